@@ -122,7 +122,7 @@ window.AIChatbot = {
             const { income, expenses, savings, fixedExpenses, flexibleSpending, 
                     incomeSources, fixedExpenseList, flexibleData, monthlyData, 
                     financialHealth, expenseRatio, savingsRate, topExpenses, 
-                    trends, overspending, userMemory, activeAlerts } = userFinanceData;
+                    trends, overspending, userMemory, activeAlerts, netWorthSummary, invested, portfolio } = userFinanceData;
 
             // Calculate health score (0-100)
             let healthScore = 50; // Default moderate
@@ -160,6 +160,19 @@ window.AIChatbot = {
                 healthScore: healthScore,
                 healthStatus: financialHealth || 'Moderate',
                 topCategories: topCategories,
+                netWorth: netWorthSummary ? {
+                    total: netWorthSummary.netWorth,
+                    assets: netWorthSummary.assets,
+                    liabilities: netWorthSummary.liabilities,
+                    yearChange: netWorthSummary.change
+                } : null,
+                invested: invested || 0,
+                portfolio: portfolio && portfolio.holdings > 0 ? {
+                    invested: portfolio.invested,
+                    value: portfolio.value,
+                    absoluteReturn: portfolio.absoluteReturn,
+                    xirr: portfolio.xirr
+                } : null,
                 flags: flags,
                 currency: 'INR',
                 month: new Date().toLocaleDateString('en-IN', { month: 'long', year: 'numeric' }),
@@ -345,8 +358,8 @@ window.AIChatbot = {
             const { income, expenses, savings, savingsRate } = context;
             
             // If AI response doesn't mention specific amounts, add them
-            if (income > 0 && !aiResponse.includes('₹')) {
-                const dataNote = `\n\nBased on your data: You have ₹${income.toLocaleString('en-IN')} income, ₹${expenses.toLocaleString('en-IN')} expenses, and ₹${savings.toLocaleString('en-IN')} savings (${parseFloat(savingsRate || 0).toFixed(1)}% savings rate).`;
+            if (income > 0 && !aiResponse.includes(getCurrencySymbol())) {
+                const dataNote = `\n\nBased on your data: You have ${formatCurrency(income, null, { decimals: 0 })} income, ${formatCurrency(expenses, null, { decimals: 0 })} expenses, and ${formatCurrency(savings, null, { decimals: 0 })} savings (${parseFloat(savingsRate || 0).toFixed(1)}% savings rate).`;
                 return aiResponse + dataNote;
             }
 
@@ -357,6 +370,35 @@ window.AIChatbot = {
         }
     },
 
+    /**
+     * Display name for a flexible spending category id
+     * @param {string} categoryId - Category id from the registry
+     * @returns {string} Category name
+     */
+    getCategoryName(categoryId) {
+        if (window.DataManager && typeof DataManager.getCategoryLabel === 'function') {
+            return DataManager.getCategoryLabel(categoryId);
+        }
+        return categoryId;
+    },
+
+    /**
+     * Find a user category mentioned in free text (longest name wins)
+     * @param {string} text - Lowercased question
+     * @returns {Object|null} Category from the registry
+     */
+    findCategoryInText(text) {
+        if (!text || !window.DataManager || typeof DataManager.getCategories !== 'function') return null;
+        const matches = DataManager.getCategories({ includeArchived: true }).filter(category => {
+            const name = category.name.toLowerCase();
+            if (text.includes(name) || text.includes(category.id.toLowerCase())) return true;
+            // "food" should find "Food & Dining": match on any significant word of the name
+            return name.split(/[^a-z0-9]+/).some(word => word.length > 3 && text.includes(word));
+        });
+        if (matches.length === 0) return null;
+        return matches.sort((a, b) => b.name.length - a.name.length)[0];
+    },
+
     /**
      * Get user's financial context for AI analysis
      * @returns {Object} Structured financial data
@@ -377,22 +419,12 @@ window.AIChatbot = {
             const fixedExpenseList = DataManager.getFixedExpenses ? DataManager.getFixedExpenses() : [];
             const flexibleData = DataManager.getFlexibleSpending ? DataManager.getFlexibleSpending() : {};
 
-            // Calculate monthly averages from history
+            // Monthly totals from the dated ledger (months with activity only)
             const monthlyData = {};
-            history.forEach(entry => {
-                if (!entry.timestamp) return;
-                const entryDate = new Date(entry.timestamp);
-                const monthKey = `${entryDate.getFullYear()}-${String(entryDate.getMonth() + 1).padStart(2, '0')}`;
-                
-                if (!monthlyData[monthKey]) {
-                    monthlyData[monthKey] = { income: 0, expenses: 0 };
-                }
-
-                if (entry.type === 'income') {
-                    monthlyData[monthKey].income += entry.amount || 0;
-                } else if (entry.type === 'expense') {
-                    monthlyData[monthKey].expenses += entry.amount || 0;
-                }
+            const monthlyTotals = DataManager.getMonthlyTotals ? DataManager.getMonthlyTotals(12) : [];
+            monthlyTotals.forEach(month => {
+                if (month.income === 0 && month.expenses === 0) return;
+                monthlyData[month.month] = { income: month.income, expenses: month.expenses };
             });
 
             return {
@@ -405,7 +437,17 @@ window.AIChatbot = {
                 fixedExpenseList,
                 flexibleData,
                 history,
-                monthlyData
+                monthlyData,
+                categories: DataManager.getCategories ? DataManager.getCategories({ includeArchived: true }) : [],
+                loans: DataManager.getLoans ? DataManager.getLoans().map(loan => DataManager.getLoanStatus(loan.id)).filter(Boolean) : [],
+                netWorth: DataManager.getNetWorth ? DataManager.getNetWorth() : null,
+                netWorthHistory: DataManager.getNetWorthHistory ? DataManager.getNetWorthHistory(12) : [],
+                // SIPs and purchases are transfers: already inside savings, never in expenses
+                invested: DataManager.getTotalInvested ? DataManager.getTotalInvested() : 0,
+                portfolio: DataManager.getPortfolioSummary ? DataManager.getPortfolioSummary() : null,
+                bills: DataManager.getBills ? DataManager.getBills(30) : [],
+                subscriptions: DataManager.getSubscriptions ? DataManager.getSubscriptions() : null,
+                selectedMonth: DataManager.getSelectedMonth ? DataManager.getSelectedMonth() : null
             };
         } catch (e) {
             console.warn('Failed to get financial context:', e);
@@ -578,7 +620,7 @@ window.AIChatbot = {
         if (totalExpenses > income) {
             insights.push({
                 type: 'overall',
-                message: `Your total expenses (₹${totalExpenses.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}) exceed your income (₹${income.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}).`
+                message: `Your total expenses (${formatCurrency(totalExpenses)}) exceed your income (${formatCurrency(income)}).`
             });
         }
 
@@ -592,7 +634,7 @@ window.AIChatbot = {
                 insights.push({
                     type: 'fixed',
                     category: topFixed.name,
-                    message: `Your fixed expenses are ${fixedRatio.toFixed(1)}% of income. ${topFixed.name} is your largest fixed expense at ₹${topFixed.amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.`
+                    message: `Your fixed expenses are ${fixedRatio.toFixed(1)}% of income. ${topFixed.name} is your largest fixed expense at ${formatCurrency(topFixed.amount)}.`
                 });
             }
         }
@@ -606,13 +648,11 @@ window.AIChatbot = {
             
             if (topFlexible) {
                 const [category, amount] = topFlexible;
-                const categoryName = category === 'food' ? 'Food & Dining' : 
-                                   category === 'travel' ? 'Travel & Transport' : 
-                                   category === 'shopping' ? 'Shopping' : 'Miscellaneous';
+                const categoryName = this.getCategoryName(category);
                 insights.push({
                     type: 'flexible',
                     category: categoryName,
-                    message: `Your flexible spending is ${flexibleRatio.toFixed(1)}% of income. ${categoryName} is your highest category at ₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.`
+                    message: `Your flexible spending is ${flexibleRatio.toFixed(1)}% of income. ${categoryName} is your highest category at ${formatCurrency(amount)}.`
                 });
             }
         }
@@ -635,8 +675,27 @@ window.AIChatbot = {
             const q = question.toLowerCase();
             let intent = { type: 'GENERAL_ADVICE', confidence: 0.5 };
 
+            // WHAT_IF_SIMULATION intent (Level 9): loan prepayments ("what if I prepay ₹1 lakh?");
+            // other what-if questions keep their usual routing below
+            if (/\b(pre-?pay|part[- ]?pay)/.test(q)) {
+                intent = { type: 'WHAT_IF_SIMULATION', confidence: 0.9 };
+            }
+
+            // NET_WORTH intent: the whole picture, not just this month
+            else if (q.includes('net worth') || q.includes('networth') ||
+                     (q.includes('overall') && !q.includes('spend') && !q.includes('expense')) ||
+                     ((q.includes('assets') || q.includes('liabilities')) && (q.includes('my') || q.includes('total')))) {
+                intent = { type: 'NET_WORTH', confidence: 0.9 };
+            }
+
+            // SUBSCRIPTIONS intent: recurring charges found in the ledger
+            else if (q.includes('subscription') || q.includes('recurring charge') || q.includes('recurring payment') ||
+                     /\b(ott|streaming)\b/.test(q) || (q.includes('paying for') && (q.includes('what') || q.includes('which')))) {
+                intent = { type: 'SUBSCRIPTIONS', confidence: 0.9 };
+            }
+
             // SAVE_MORE intent
-            if ((q.includes('save more') || q.includes('increase savings') || q.includes('improve savings') || 
+            else if ((q.includes('save more') || q.includes('increase savings') || q.includes('improve savings') || 
                  q.includes('how can i save') || q.includes('ways to save')) && 
                 (q.includes('how') || q.includes('what') || q.includes('suggest'))) {
                 intent = { type: 'SAVE_MORE', confidence: 0.9 };
@@ -656,7 +715,7 @@ window.AIChatbot = {
 
             // CATEGORY_ANALYSIS intent
             else if (q.includes('category') || q.includes('spending by') || q.includes('breakdown') || 
-                     (q.includes('how much') && (q.includes('food') || q.includes('travel') || q.includes('shopping')))) {
+                     (q.includes('how much') && this.findCategoryInText(q))) {
                 intent = { type: 'CATEGORY_ANALYSIS', confidence: 0.85 };
             }
 
@@ -791,7 +850,7 @@ window.AIChatbot = {
 
         try {
             const { income, expenses, savings, fixedExpenses, flexibleSpending, incomeSources, 
-                    fixedExpenseList, flexibleData, monthlyData, history } = baseContext;
+                    fixedExpenseList, flexibleData, monthlyData, history, netWorth, netWorthHistory } = baseContext;
 
             const trends = this.analyzeTrends(monthlyData);
             const overspending = this.identifyOverspending(baseContext);
@@ -841,9 +900,7 @@ window.AIChatbot = {
                 .slice(0, 3);
 
             flexibleEntries.forEach(([category, amount]) => {
-                const categoryName = category === 'food' ? 'Food & Dining' : 
-                                   category === 'travel' ? 'Travel & Transport' : 
-                                   category === 'shopping' ? 'Shopping' : 'Miscellaneous';
+                const categoryName = this.getCategoryName(category);
                 topExpenses.push({
                     name: categoryName,
                     amount: amount,
@@ -866,7 +923,9 @@ window.AIChatbot = {
                 overspending,
                 topExpenses,
                 // Month comparison
-                monthComparison: this.buildMonthComparison(monthlyData)
+                monthComparison: this.buildMonthComparison(monthlyData),
+                // Assets, liabilities and how net worth moved over the year
+                netWorthSummary: this.buildNetWorthSummary(netWorth, netWorthHistory, expenses)
             };
         } catch (e) {
             console.warn('Failed to build enhanced context:', e);
@@ -874,6 +933,119 @@ window.AIChatbot = {
         }
     },
 
+    /**
+     * Summarize net worth for responses and the AI context
+     * @param {Object} netWorth - DataManager.getNetWorth() result
+     * @param {Array} history - DataManager.getNetWorthHistory() points, oldest first
+     * @param {number} monthlyExpenses - This month's expenses
+     * @returns {Object|null} Null when nothing is tracked yet
+     */
+    buildNetWorthSummary(netWorth, history, monthlyExpenses) {
+        if (!netWorth || !Array.isArray(netWorth.lines) || netWorth.lines.length === 0) return null;
+
+        // Change since the first month that had anything tracked
+        const tracked = (history || []).filter(point => point.assets !== 0 || point.liabilities !== 0);
+        const first = tracked.length > 1 ? tracked[0] : null;
+        const change = first ? netWorth.netWorth - first.netWorth : null;
+        const liquid = netWorth.lines
+            .filter(line => line.source === 'account' && line.kind === 'asset')
+            .reduce((sum, line) => sum + line.value, 0);
+
+        return {
+            netWorth: netWorth.netWorth,
+            assets: netWorth.assets,
+            liabilities: netWorth.liabilities,
+            debtRatio: netWorth.assets > 0 ? (netWorth.liabilities / netWorth.assets) * 100 : null,
+            change,
+            changePercent: first && first.netWorth !== 0 ? (change / Math.abs(first.netWorth)) * 100 : null,
+            since: first ? first.month : null,
+            liquid,
+            monthsCovered: monthlyExpenses > 0 ? liquid / monthlyExpenses : null,
+            largestAsset: netWorth.lines.filter(line => line.kind === 'asset').sort((a, b) => b.value - a.value)[0] || null,
+            largestLiability: netWorth.lines.filter(line => line.kind === 'liability').sort((a, b) => b.value - a.value)[0] || null
+        };
+    },
+
+    /**
+     * Net worth paragraph shared by the health and net worth responses
+     * @param {Object} summary - buildNetWorthSummary() result
+     * @returns {string} Empty when nothing is tracked
+     */
+    describeNetWorth(summary) {
+        if (!summary) return '';
+        let text = `Your net worth is ${formatCurrency(summary.netWorth)}: ${formatCurrency(summary.assets)} in assets against ${formatCurrency(summary.liabilities)} owed.`;
+        if (summary.change !== null) {
+            const since = new Date(summary.since + '-01').toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+            const direction = summary.change >= 0 ? 'up' : 'down';
+            const percent = summary.changePercent !== null ? ` (${Math.abs(summary.changePercent).toFixed(1)}%)` : '';
+            text += ` It is ${direction} ${formatCurrency(Math.abs(summary.change))}${percent} since ${since}.`;
+        }
+        if (summary.monthsCovered !== null) {
+            text += ` Your account balances would cover ${summary.monthsCovered.toFixed(1)} months of expenses.`;
+        }
+        return text;
+    },
+
+    /**
+     * Generate NET_WORTH intent response
+     * @param {Object} context - Enhanced financial context
+     * @returns {string} Response message
+     */
+    generateNetWorthResponse(context) {
+        const summary = context ? context.netWorthSummary : null;
+        if (!summary) {
+            return 'You are not tracking any accounts, assets or loans yet. Add them under Net Worth to see where you stand overall.';
+        }
+
+        let response = `Here's where you stand overall:\n\n${this.describeNetWorth(summary)}`;
+        if (summary.largestAsset) {
+            response += `\n\nLargest asset: ${summary.largestAsset.name} (${formatCurrency(summary.largestAsset.value)}).`;
+        }
+        if (summary.largestLiability) {
+            response += `\nLargest debt: ${summary.largestLiability.name} (${formatCurrency(summary.largestLiability.value)}).`;
+        }
+        if (summary.debtRatio !== null && summary.debtRatio > 50) {
+            response += `\n\nYou owe ${summary.debtRatio.toFixed(0)}% of what you own; paying down debt will move your net worth the most.`;
+        } else if (context.savings > 0) {
+            response += `\n\nThis month's savings of ${formatCurrency(context.savings)} add to it.`;
+        } else if (context.savings < 0) {
+            response += `\n\nThis month you are spending ${formatCurrency(Math.abs(context.savings))} more than you earn, which draws it down.`;
+        }
+        return response;
+    },
+
+    /**
+     * Generate SUBSCRIPTIONS intent response from DataManager.getSubscriptions()
+     * @param {Object} context - Enhanced financial context
+     * @returns {string} Response message
+     */
+    generateSubscriptionsResponse(context) {
+        const result = context ? context.subscriptions : null;
+        if (!result || result.subscriptions.length === 0) {
+            return 'I couldn\'t find any recurring charges in your transactions yet. Import a few months of bank statements or add your fixed expenses, and I\'ll spot anything billed weekly, monthly or yearly.';
+        }
+        const active = result.subscriptions.filter(sub => sub.active);
+        if (active.length === 0) {
+            const last = result.subscriptions.slice().sort((a, b) => b.lastDate.localeCompare(a.lastDate))[0];
+            return `None of the ${result.subscriptions.length} subscription${result.subscriptions.length !== 1 ? 's' : ''} I found are still being charged. The most recent was ${last.name} on ${last.lastDate}.`;
+        }
+
+        let response = `You're paying for ${active.length} subscription${active.length !== 1 ? 's' : ''}, about ${formatCurrency(result.monthlyCost)} a month (${formatCurrency(result.annualCost)} a year):\n\n`;
+        response += active.slice(0, 8).map(sub =>
+            `• ${sub.name}: ${formatCurrency(sub.amount, sub.currency)} ${sub.cadenceLabel.toLowerCase()} (${formatCurrency(sub.annualCost, sub.currency)} a year)${sub.priceHike ? ', price went up' : ''}`
+        ).join('\n');
+        if (active.length > 8) {
+            response += `\n…and ${active.length - 8} more on the Subscriptions page.`;
+        }
+        if (result.candidates.length > 0) {
+            response += '\n\nWorth reconsidering:\n' + result.candidates.slice(0, 3).map(candidate => `• ${candidate.name}: ${candidate.reasons.join('; ')}`).join('\n');
+        }
+        if (context.income > 0) {
+            response += `\n\nSubscriptions take ${((result.monthlyCost / context.income) * 100).toFixed(1)}% of your monthly income.`;
+        }
+        return response;
+    },
+
     /**
      * Build month-to-month comparison
      * @param {Object} monthlyData - Monthly financial data
@@ -1071,7 +1243,7 @@ window.AIChatbot = {
                         const report = this.generateMonthlyReport(enhancedContext);
                         if (report) {
                             const monthName = new Date(report.month + '-01').toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
-                            response = `Here's your monthly financial summary for ${monthName}:\n\nIncome: ₹${report.totalIncome.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\nExpenses: ₹${report.totalExpenses.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\nSavings: ₹${report.totalSavings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (${report.savingsRate}%)\n\n${report.insights.join('\n')}`;
+                            response = `Here's your monthly financial summary for ${monthName}:\n\nIncome: ${formatCurrency(report.totalIncome)}\nExpenses: ${formatCurrency(report.totalExpenses)}\nSavings: ${formatCurrency(report.totalSavings)} (${report.savingsRate}%)\n\n${report.insights.join('\n')}`;
                         }
                     }
                     break;
@@ -1085,6 +1257,14 @@ window.AIChatbot = {
                     response = this.generateFinancialHealthScoreResponse(enhancedContext);
                     break;
 
+                case 'NET_WORTH':
+                    response = this.generateNetWorthResponse(enhancedContext);
+                    break;
+
+                case 'SUBSCRIPTIONS':
+                    response = this.generateSubscriptionsResponse(enhancedContext);
+                    break;
+
                 case 'PREDICTIVE_INSIGHTS':
                     response = this.generatePredictiveInsightsResponse(enhancedContext);
                     break;
@@ -1210,7 +1390,7 @@ window.AIChatbot = {
             let response = 'Based on your data, ';
             
             if (expenses > income) {
-                response += `your expenses (₹${expenses.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}) exceed your income (₹${income.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}). You're overspending by ₹${Math.abs(savings).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.`;
+                response += `your expenses (${formatCurrency(expenses)}) exceed your income (${formatCurrency(income)}). You're overspending by ${formatCurrency(Math.abs(savings))}.`;
                 
                 // Add trend context (website-aware)
                 if (trends.hasTrend && trends.expenseTrend === 'increasing') {
@@ -1235,7 +1415,7 @@ window.AIChatbot = {
                 
                 response += ' This gives you a strong financial foundation.';
             } else {
-                response += `your expenses account for ${ratio}% of your income, and you're saving ${savingsRate}% each month. This is a healthy balance. Your monthly savings is ₹${savings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.`;
+                response += `your expenses account for ${ratio}% of your income, and you're saving ${savingsRate}% each month. This is a healthy balance. Your monthly savings is ${formatCurrency(savings)}.`;
                 
                 if (trends.hasTrend) {
                     if (trends.expenseTrend === 'increasing') {
@@ -1256,7 +1436,7 @@ window.AIChatbot = {
             }
 
             const savingsRate = income > 0 ? (((income - expenses) / income) * 100).toFixed(1) : 0;
-            let response = `Based on your data, you're currently saving ₹${savings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} per month, which is ${savingsRate}% of your income.`;
+            let response = `Based on your data, you're currently saving ${formatCurrency(savings)} per month, which is ${savingsRate}% of your income.`;
 
             if (savingsRate > 20) {
                 response += ' That\'s an excellent savings rate! Keep up the good work.';
@@ -1270,7 +1450,7 @@ window.AIChatbot = {
             const monthlySavings = Object.values(monthlyData).map(m => m.income - m.expenses).filter(s => s > 0);
             if (monthlySavings.length > 1) {
                 const avgSavings = monthlySavings.reduce((sum, s) => sum + s, 0) / monthlySavings.length;
-                response += ` Your average monthly savings over the past ${monthlySavings.length} months has been ₹${avgSavings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.`;
+                response += ` Your average monthly savings over the past ${monthlySavings.length} months has been ${formatCurrency(avgSavings)}.`;
             }
 
             return this.applySafeResponseFramework(response);
@@ -1298,7 +1478,7 @@ window.AIChatbot = {
                 const expenseRatio = (totalExpenses / income) * 100;
                 
                 if (expenseRatio > 100) {
-                    response += '\nYour total expenses exceed your income by ' + ((expenseRatio - 100) * income / 100).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }) + '.';
+                    response += '\nYour total expenses exceed your income by ' + formatCurrency((expenseRatio - 100) * income / 100) + '.';
                 }
                 
                 // Identify specific risky patterns
@@ -1328,26 +1508,24 @@ window.AIChatbot = {
             let response = 'Here\'s a breakdown of your spending:\n\n';
             
             if (fixedExpenses > 0) {
-                response += `Fixed Expenses: ₹${fixedExpenses.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n`;
+                response += `Fixed Expenses: ${formatCurrency(fixedExpenses)}\n`;
                 if (fixedExpenseList.length > 0) {
                     const sortedFixed = [...fixedExpenseList].sort((a, b) => b.amount - a.amount);
                     const topExpense = sortedFixed[0];
-                    response += `Your largest fixed expense is ${topExpense.name} at ₹${topExpense.amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.\n\n`;
+                    response += `Your largest fixed expense is ${topExpense.name} at ${formatCurrency(topExpense.amount)}.\n\n`;
                 }
             }
 
             if (flexibleSpending > 0) {
-                response += `Flexible Spending: ₹${flexibleSpending.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n`;
+                response += `Flexible Spending: ${formatCurrency(flexibleSpending)}\n`;
                 const categories = Object.entries(flexibleData)
                     .filter(([_, amount]) => amount > 0)
                     .sort(([_, a], [__, b]) => b - a);
                 
                 if (categories.length > 0) {
                     const [topCategory, topAmount] = categories[0];
-                    const categoryName = topCategory === 'food' ? 'Food & Dining' : 
-                                       topCategory === 'travel' ? 'Travel & Transport' : 
-                                       topCategory === 'shopping' ? 'Shopping' : 'Miscellaneous';
-                    response += `Your highest flexible spending category is ${categoryName} at ₹${topAmount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.`;
+                    const categoryName = this.getCategoryName(topCategory);
+                    response += `Your highest flexible spending category is ${categoryName} at ${formatCurrency(topAmount)}.`;
                     
                     // Add overspending context if applicable
                     const categoryRatio = income > 0 ? ((topAmount / income) * 100) : 0;
@@ -1380,16 +1558,16 @@ window.AIChatbot = {
             }
 
             const savingsRate = income > 0 ? (((income - expenses) / income) * 100).toFixed(1) : 0;
-            let response = `You have ₹${Math.max(0, availableForAfford).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} in available savings.`;
+            let response = `You have ${formatCurrency(Math.max(0, availableForAfford))} in available savings.`;
 
             if (specificAmount && specificAmount > 0) {
                 const percentage = (specificAmount / availableForAfford) * 100;
                 if (percentage <= 30) {
-                    response += ` A purchase of ₹${specificAmount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} would be safe (${percentage.toFixed(1)}% of your savings).`;
+                    response += ` A purchase of ${formatCurrency(specificAmount)} would be safe (${percentage.toFixed(1)}% of your savings).`;
                 } else if (percentage <= 60) {
-                    response += ` A purchase of ₹${specificAmount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} would be risky (${percentage.toFixed(1)}% of your savings). Consider if it's essential.`;
+                    response += ` A purchase of ${formatCurrency(specificAmount)} would be risky (${percentage.toFixed(1)}% of your savings). Consider if it's essential.`;
                 } else {
-                    response += ` A purchase of ₹${specificAmount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} would be difficult to afford (${percentage.toFixed(1)}% of your savings). You may need to save more or reduce other expenses first.`;
+                    response += ` A purchase of ${formatCurrency(specificAmount)} would be difficult to afford (${percentage.toFixed(1)}% of your savings). You may need to save more or reduce other expenses first.`;
                 }
             } else {
                 response += ' As a general rule, purchases that are less than 30% of your savings are safe, 30-60% are risky, and above 60% are difficult to afford. Use the "Can I Afford This?" tool on the dashboard to check specific purchase amounts.';
@@ -1405,12 +1583,12 @@ window.AIChatbot = {
                 return 'You haven\'t added any income sources yet. Add your monthly income to start tracking your finances.';
             }
 
-            let response = `Your total monthly income is ₹${income.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} from ${incomeSources.length} source${incomeSources.length > 1 ? 's' : ''}.\n\n`;
+            let response = `Your total monthly income is ${formatCurrency(income)} from ${incomeSources.length} source${incomeSources.length > 1 ? 's' : ''}.\n\n`;
             
             if (incomeSources.length > 1) {
                 response += 'Your income sources:\n';
                 incomeSources.forEach(source => {
-                    response += `• ${source.name}: ₹${source.amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n`;
+                    response += `• ${source.name}: ${formatCurrency(source.amount)}\n`;
                 });
             }
 
@@ -1541,22 +1719,22 @@ window.AIChatbot = {
             let response = `Here's your monthly financial summary for ${monthName}:\n\n`;
 
             // Income
-            response += `Your total income this month was ₹${income.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.\n`;
+            response += `Your total income this month was ${formatCurrency(income)}.\n`;
 
             // Expenses
-            response += `You spent ₹${expenses.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}, `;
+            response += `You spent ${formatCurrency(expenses)}, `;
 
             // Savings
             if (savings > 0) {
-                response += `and saved ₹${savings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.\n`;
+                response += `and saved ${formatCurrency(savings)}.\n`;
             } else {
-                response += `which is ₹${Math.abs(savings).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} more than you earned.\n`;
+                response += `which is ${formatCurrency(Math.abs(savings))} more than you earned.\n`;
             }
 
             // Top spending category
             if (topExpenses && topExpenses.length > 0) {
                 const topCategory = topExpenses[0];
-                response += `\nYour highest spending category was ${topCategory.name} (₹${topCategory.amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}).`;
+                response += `\nYour highest spending category was ${topCategory.name} (${formatCurrency(topCategory.amount)}).`;
             }
 
             // Financial health status
@@ -1622,18 +1800,18 @@ window.AIChatbot = {
             const monthName = now.toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
 
             let response = `Here's your monthly financial summary for ${monthName}:\n\n`;
-            response += `Your total income this month was ₹${income.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.\n`;
-            response += `You spent ₹${expenses.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}, `;
+            response += `Your total income this month was ${formatCurrency(income)}.\n`;
+            response += `You spent ${formatCurrency(expenses)}, `;
 
             if (savings > 0) {
-                response += `and saved ₹${savings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.\n`;
+                response += `and saved ${formatCurrency(savings)}.\n`;
             } else {
-                response += `which is ₹${Math.abs(savings).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} more than you earned.\n`;
+                response += `which is ${formatCurrency(Math.abs(savings))} more than you earned.\n`;
             }
 
             if (topExpenses && topExpenses.length > 0) {
                 const topCategory = topExpenses[0];
-                response += `\nYour highest spending category was ${topCategory.name} (₹${topCategory.amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}).`;
+                response += `\nYour highest spending category was ${topCategory.name} (${formatCurrency(topCategory.amount)}).`;
             }
 
             response += `\n\nOverall, your savings look `;
@@ -1683,7 +1861,7 @@ window.AIChatbot = {
             // Only trigger if there's a significant issue or opportunity
             if (expenses > income) {
                 const overspend = expenses - income;
-                return `You're currently overspending by ₹${overspend.toLocaleString('en-IN')}. Consider reviewing your expenses.`;
+                return `You're currently overspending by ${formatCurrency(overspend, null, { decimals: 0 })}. Consider reviewing your expenses.`;
             }
 
             if (ratio > 85) {
@@ -1699,7 +1877,7 @@ window.AIChatbot = {
                 const projectedExpenses = dailyAverage * daysInMonth;
                 
                 if (projectedExpenses > income * 1.1) {
-                    return `At current spending rate, you may exceed your budget by ₹${(projectedExpenses - income).toLocaleString('en-IN')} this month.`;
+                    return `At current spending rate, you may exceed your budget by ${formatCurrency((projectedExpenses - income), null, { decimals: 0 })} this month.`;
                 }
             }
 
@@ -1719,7 +1897,7 @@ window.AIChatbot = {
                     const shortfall = expectedSaved - updatedGoal.amountSaved;
                     
                     if (shortfall > 0) {
-                        return `Your "${updatedGoal.name}" goal is behind by ₹${shortfall.toLocaleString('en-IN')}. Consider reducing expenses to catch up.`;
+                        return `Your "${updatedGoal.name}" goal is behind by ${formatCurrency(shortfall, null, { decimals: 0 })}. Consider reducing expenses to catch up.`;
                     }
                 }
             }
@@ -1739,7 +1917,7 @@ window.AIChatbot = {
         }
 
         try {
-            const { savings, savingsRate, income, expenses, financialHealth, trends, topExpenses } = context;
+            const { savings, savingsRate, income, expenses, financialHealth, trends, topExpenses, invested, portfolio } = context;
             
             if (income === 0 && expenses === 0) {
                 return 'Based on your data, you haven\'t added any financial information yet. Add your income and expenses to get a savings analysis.';
@@ -1750,7 +1928,7 @@ window.AIChatbot = {
             const rate = parseFloat(savingsRate || 0);
             
             if (savings > 0) {
-                response += `You're saving ₹${savings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} per month, which is ${rate.toFixed(1)}% of your income. `;
+                response += `You're saving ${formatCurrency(savings)} per month, which is ${rate.toFixed(1)}% of your income. `;
                 
                 if (rate > 20) {
                     response += 'This is an excellent savings rate! ';
@@ -1759,6 +1937,9 @@ window.AIChatbot = {
                 } else {
                     response += 'This savings rate could be improved. ';
                 }
+                if (invested > 0) {
+                    response += `${formatCurrency(invested)} of it went into SIPs and investments, and ${formatCurrency(Math.max(0, savings - invested))} stayed in the bank. `;
+                }
             } else {
                 response += `You're currently not saving any money. Your expenses equal or exceed your income. `;
             }
@@ -1781,6 +1962,14 @@ window.AIChatbot = {
                 }
             }
 
+            if (portfolio && portfolio.holdings > 0) {
+                response += `\n\nYour investments are worth ${formatCurrency(portfolio.value)} against ${formatCurrency(portfolio.invested)} put in`;
+                const returns = [];
+                if (portfolio.absoluteReturn !== null) returns.push(`${portfolio.absoluteReturn > 0 ? '+' : ''}${portfolio.absoluteReturn.toFixed(1)}% overall`);
+                if (portfolio.xirr !== null) returns.push(`an XIRR of ${portfolio.xirr.toFixed(1)}% a year`);
+                response += returns.length ? ` (${returns.join(', ')}).` : '. Record the latest NAVs to see your returns.';
+            }
+
             // Add actionable insight
             if (rate < 15 && topExpenses && topExpenses.length > 0) {
                 const top = topExpenses[0];
@@ -1816,7 +2005,7 @@ window.AIChatbot = {
             const ratio = parseFloat(expenseRatio || 0);
             
             if (expenses > income) {
-                response += `Your spending is risky - you're spending ₹${Math.abs(income - expenses).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} more than you earn. This is not sustainable.`;
+                response += `Your spending is risky - you're spending ${formatCurrency(Math.abs(income - expenses))} more than you earn. This is not sustainable.`;
             } else if (ratio > 90) {
                 response += `Your spending is high risk - ${ratio.toFixed(1)}% of your income goes to expenses, leaving very little room for savings or emergencies.`;
             } else if (ratio > 80) {
@@ -1892,6 +2081,10 @@ window.AIChatbot = {
                 }
             }
 
+            if (context.netWorthSummary) {
+                response += `\n\n${this.describeNetWorth(context.netWorthSummary)}`;
+            }
+
             return response;
         } catch (e) {
             console.warn('Budget health assessment failed:', e);
@@ -1921,9 +2114,9 @@ window.AIChatbot = {
             if (topExpenses && topExpenses.length > 0) {
                 response += 'Top areas to reduce costs:\n';
                 topExpenses.slice(0, 3).forEach((exp, idx) => {
-                    response += `${idx + 1}. ${exp.name}: ₹${exp.amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (${exp.percentage.toFixed(1)}% of income)\n`;
+                    response += `${idx + 1}. ${exp.name}: ${formatCurrency(exp.amount)} (${exp.percentage.toFixed(1)}% of income)\n`;
                     if (exp.percentage > 25) {
-                        response += `   → This is a high-impact area. Even a 10-15% reduction would save ₹${(exp.amount * 0.1).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} per month.\n`;
+                        response += `   → This is a high-impact area. Even a 10-15% reduction would save ${formatCurrency((exp.amount * 0.1))} per month.\n`;
                     }
                 });
             }
@@ -2113,6 +2306,10 @@ window.AIChatbot = {
                 });
             }
 
+            if (context.netWorthSummary) {
+                response += `\n${this.describeNetWorth(context.netWorthSummary)}`;
+            }
+
             return response;
         } catch (e) {
             console.warn('Financial health score response failed:', e);
@@ -2154,12 +2351,12 @@ window.AIChatbot = {
 
                 if (projectedMonthlyExpenses > income) {
                     const overspend = projectedMonthlyExpenses - income;
-                    insights.push(`You may exceed your budget by ₹${overspend.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} this month if current spending continues.`);
+                    insights.push(`You may exceed your budget by ${formatCurrency(overspend)} this month if current spending continues.`);
                 } else if (projectedSavings < savings) {
                     const drop = savings - projectedSavings;
-                    insights.push(`Your savings could drop by ₹${drop.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} by month-end if spending continues at current rate.`);
+                    insights.push(`Your savings could drop by ${formatCurrency(drop)} by month-end if spending continues at current rate.`);
                 } else if (projectedSavings > savings * 1.1) {
-                    insights.push(`If you maintain current spending, you could save ₹${projectedSavings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} this month.`);
+                    insights.push(`If you maintain current spending, you could save ${formatCurrency(projectedSavings)} this month.`);
                 }
             }
 
@@ -2173,7 +2370,7 @@ window.AIChatbot = {
                     const increasePercent = parseFloat(trends.expenseChangePercent || 0);
                     const projectedNextMonth = recentAvgExpenses * (1 + increasePercent / 100);
                     if (projectedNextMonth > income) {
-                        insights.push(`Based on current trends, next month's expenses could exceed income by ₹${(projectedNextMonth - income).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.`);
+                        insights.push(`Based on current trends, next month's expenses could exceed income by ${formatCurrency((projectedNextMonth - income))}.`);
                     }
                 }
             }
@@ -2194,7 +2391,7 @@ window.AIChatbot = {
                 
                 if (updatedGoal.amountSaved < expectedSaved * 0.8) {
                     const shortfall = expectedSaved - updatedGoal.amountSaved;
-                    insights.push(`Your "${updatedGoal.name}" goal is behind schedule by ₹${shortfall.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}. Consider increasing monthly savings.`);
+                    insights.push(`Your "${updatedGoal.name}" goal is behind schedule by ${formatCurrency(shortfall)}. Consider increasing monthly savings.`);
                 }
             }
 
@@ -2241,7 +2438,7 @@ window.AIChatbot = {
                     const newSavings = savings + reductionAmount;
                     const newRate = income > 0 ? (((income - expenses + reductionAmount) / income) * 100) : 0;
                     
-                    advice.push(`Reduce ${topExpense.name} by ₹${reductionAmount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (15% reduction). This would increase your monthly savings to ₹${newSavings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (${newRate.toFixed(1)}% savings rate).`);
+                    advice.push(`Reduce ${topExpense.name} by ${formatCurrency(reductionAmount)} (15% reduction). This would increase your monthly savings to ${formatCurrency(newSavings)} (${newRate.toFixed(1)}% savings rate).`);
                 }
             }
 
@@ -2254,7 +2451,7 @@ window.AIChatbot = {
                 const newSavings = savings + reductionNeeded;
                 
                 if (reductionNeeded > 0) {
-                    advice.push(`Reduce total expenses by ₹${reductionNeeded.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} to bring expense ratio to ${targetRatio}%. This would increase savings to ₹${newSavings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.`);
+                    advice.push(`Reduce total expenses by ${formatCurrency(reductionNeeded)} to bring expense ratio to ${targetRatio}%. This would increase savings to ${formatCurrency(newSavings)}.`);
                 }
             }
 
@@ -2266,7 +2463,7 @@ window.AIChatbot = {
                 const savingsGap = targetSavings - savings;
                 
                 if (savingsGap > 0) {
-                    advice.push(`Increase monthly savings by ₹${savingsGap.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} to reach ${targetRate}% savings rate. This can be achieved by reducing expenses or increasing income.`);
+                    advice.push(`Increase monthly savings by ${formatCurrency(savingsGap)} to reach ${targetRate}% savings rate. This can be achieved by reducing expenses or increasing income.`);
                 }
             }
 
@@ -2278,7 +2475,7 @@ window.AIChatbot = {
                 if (flexibleRatio > 40 && flexibleSpending > fixedExpenses) {
                     const targetFlexible = income * 0.30; // 30% target
                     const reduction = flexibleSpending - targetFlexible;
-                    advice.push(`Reduce flexible spending by ₹${reduction.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} to bring it to 30% of income. Focus on non-essential categories.`);
+                    advice.push(`Reduce flexible spending by ${formatCurrency(reduction)} to bring it to 30% of income. Focus on non-essential categories.`);
                 }
             }
 
@@ -2372,7 +2569,7 @@ window.AIChatbot = {
             if (topExpenses && topExpenses.length > 0) {
                 response += 'Top areas to reduce:\n';
                 topExpenses.slice(0, 3).forEach((exp, idx) => {
-                    response += `${idx + 1}. ${exp.name}: ₹${exp.amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (${exp.percentage.toFixed(1)}% of income)\n`;
+                    response += `${idx + 1}. ${exp.name}: ${formatCurrency(exp.amount)} (${exp.percentage.toFixed(1)}% of income)\n`;
                 });
             }
 
@@ -2405,7 +2602,7 @@ window.AIChatbot = {
 
             let response = 'Your highest spending categories:\n\n';
             topExpenses.slice(0, 5).forEach((exp, idx) => {
-                response += `${idx + 1}. ${exp.name}: ₹${exp.amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (${exp.percentage.toFixed(1)}% of income)\n`;
+                response += `${idx + 1}. ${exp.name}: ${formatCurrency(exp.amount)} (${exp.percentage.toFixed(1)}% of income)\n`;
             });
 
             return response;
@@ -2433,29 +2630,27 @@ window.AIChatbot = {
             let response = 'Here\'s a breakdown of your spending by category:\n\n';
             
             if (fixedExpenses > 0) {
-                response += `Fixed Expenses: ₹${fixedExpenses.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n`;
+                response += `Fixed Expenses: ${formatCurrency(fixedExpenses)}\n`;
                 if (fixedExpenseList && fixedExpenseList.length > 0) {
                     const sortedFixed = [...fixedExpenseList].sort((a, b) => b.amount - a.amount);
                     sortedFixed.forEach(exp => {
                         const ratio = income > 0 ? ((exp.amount / income) * 100) : 0;
-                        response += `  • ${exp.name}: ₹${exp.amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (${ratio.toFixed(1)}%)\n`;
+                        response += `  • ${exp.name}: ${formatCurrency(exp.amount)} (${ratio.toFixed(1)}%)\n`;
                     });
                 }
                 response += '\n';
             }
 
             if (flexibleSpending > 0) {
-                response += `Flexible Spending: ₹${flexibleSpending.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n`;
+                response += `Flexible Spending: ${formatCurrency(flexibleSpending)}\n`;
                 const categories = Object.entries(flexibleData || {})
                     .filter(([_, amount]) => amount > 0)
                     .sort(([_, a], [__, b]) => b - a);
                 
                 categories.forEach(([category, amount]) => {
-                    const categoryName = category === 'food' ? 'Food & Dining' : 
-                                       category === 'travel' ? 'Travel & Transport' : 
-                                       category === 'shopping' ? 'Shopping' : 'Miscellaneous';
+                    const categoryName = this.getCategoryName(category);
                     const ratio = income > 0 ? ((amount / income) * 100) : 0;
-                    response += `  • ${categoryName}: ₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (${ratio.toFixed(1)}%)\n`;
+                    response += `  • ${categoryName}: ${formatCurrency(amount)} (${ratio.toFixed(1)}%)\n`;
                 });
             }
 
@@ -2485,7 +2680,7 @@ window.AIChatbot = {
             const rate = parseFloat(savingsRate || 0);
             
             if (savings > 0) {
-                response += `You're saving ₹${savings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} per month (${rate.toFixed(1)}% of income). `;
+                response += `You're saving ${formatCurrency(savings)} per month (${rate.toFixed(1)}% of income). `;
                 
                 if (rate > 20) {
                     response += 'This is excellent! Keep up the good work.';
@@ -2523,7 +2718,7 @@ window.AIChatbot = {
             let response = 'Expense analysis:\n\n';
             const ratio = parseFloat(expenseRatio || 0);
             
-            response += `Total expenses: ₹${expenses.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n`;
+            response += `Total expenses: ${formatCurrency(expenses)}\n`;
             response += `Expense ratio: ${ratio.toFixed(1)}% of income\n\n`;
             
             if (topExpenses && topExpenses.length > 0) {
@@ -2634,7 +2829,7 @@ window.AIChatbot = {
             }
 
             if (expenses > income) {
-                let response = `You're overspending by ₹${Math.abs(savings).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} this month.\n\n`;
+                let response = `You're overspending by ${formatCurrency(Math.abs(savings))} this month.\n\n`;
                 
                 if (overspending && overspending.length > 0) {
                     response += 'Areas of concern:\n';
@@ -2842,13 +3037,13 @@ window.AIChatbot = {
 
         // Main financial health statement (proactive and website-aware)
         if (expenses > income) {
-            summary.push(`Based on your data, you're currently overspending by ₹${Math.abs(savings).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} per month.`);
+            summary.push(`Based on your data, you're currently overspending by ${formatCurrency(Math.abs(savings))} per month.`);
         } else if (ratio > 85) {
             summary.push(`Based on your data, your expenses use ${ratio.toFixed(0)}% of your income, leaving little room for savings.`);
         } else if (ratio < 50) {
             summary.push(`Based on your data, you're saving ${savingsRate.toFixed(0)}% of your income, which is excellent.`);
         } else {
-            summary.push(`Based on your data, you're saving ₹${savings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} per month (${savingsRate.toFixed(0)}% of income).`);
+            summary.push(`Based on your data, you're saving ${formatCurrency(savings)} per month (${savingsRate.toFixed(0)}% of income).`);
         }
 
         // Add proactive insights (silent, text-only)
@@ -2876,7 +3071,7 @@ window.AIChatbot = {
                     summary.push(`Your fixed expenses are ${fixedRatio.toFixed(0)}% of your income.`);
                 }
             } else if (flexibleSpending > fixedExpenses * 1.5) {
-                summary.push(`Your flexible spending (₹${flexibleSpending.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}) is higher than fixed expenses.`);
+                summary.push(`Your flexible spending (${formatCurrency(flexibleSpending)}) is higher than fixed expenses.`);
             }
         }
 
@@ -2915,9 +3110,7 @@ window.AIChatbot = {
         if (flexibleEntries.length > 0) {
             const sorted = flexibleEntries.sort(([_, a], [__, b]) => a - b);
             const [bestCat, bestAmount] = sorted[0];
-            const categoryName = bestCat === 'food' ? 'Food & Dining' : 
-                               bestCat === 'travel' ? 'Travel & Transport' : 
-                               bestCat === 'shopping' ? 'Shopping' : 'Miscellaneous';
+            const categoryName = this.getCategoryName(bestCat);
             report.bestCategory = { name: categoryName, amount: bestAmount };
         }
 
@@ -2925,17 +3118,15 @@ window.AIChatbot = {
         if (flexibleEntries.length > 0) {
             const sorted = flexibleEntries.sort(([_, a], [__, b]) => b - a);
             const [worstCat, worstAmount] = sorted[0];
-            const categoryName = worstCat === 'food' ? 'Food & Dining' : 
-                               worstCat === 'travel' ? 'Travel & Transport' : 
-                               worstCat === 'shopping' ? 'Shopping' : 'Miscellaneous';
+            const categoryName = this.getCategoryName(worstCat);
             report.worstCategory = { name: categoryName, amount: worstAmount };
         }
 
         // Generate insights
         if (savings > 0) {
-            report.insights.push(`You saved ₹${savings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} this month.`);
+            report.insights.push(`You saved ${formatCurrency(savings)} this month.`);
         } else {
-            report.insights.push(`You spent ₹${Math.abs(savings).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} more than you earned this month.`);
+            report.insights.push(`You spent ${formatCurrency(Math.abs(savings))} more than you earned this month.`);
         }
 
         if (report.savingsRate > 20) {
@@ -2945,7 +3136,7 @@ window.AIChatbot = {
         }
 
         if (report.bestCategory) {
-            report.insights.push(`You managed ${report.bestCategory.name} spending well at ₹${report.bestCategory.amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.`);
+            report.insights.push(`You managed ${report.bestCategory.name} spending well at ${formatCurrency(report.bestCategory.amount)}.`);
         }
 
         // Generate suggestions
@@ -3018,10 +3209,9 @@ window.AIChatbot = {
                 }
 
                 // Extract categories
-                if (q.includes('category') || q.includes('food') || q.includes('travel') || q.includes('shopping')) {
-                    if (q.includes('food')) context.mentionedCategories.push('Food & Dining');
-                    if (q.includes('travel')) context.mentionedCategories.push('Travel & Transport');
-                    if (q.includes('shopping')) context.mentionedCategories.push('Shopping');
+                const mentionedCategory = this.findCategoryInText(q);
+                if (mentionedCategory) {
+                    context.mentionedCategories.push(mentionedCategory.name);
                 }
             } else if (msg.role === 'assistant') {
                 // Store last analysis for reference
@@ -3060,7 +3250,7 @@ window.AIChatbot = {
 
             // Priority 1: Overspending alert (most critical)
             if (expenses > income) {
-                insights.push(`You're currently spending ₹${Math.abs(savings).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} more than you earn. Consider reviewing your expenses.`);
+                insights.push(`You're currently spending ${formatCurrency(Math.abs(savings))} more than you earn. Consider reviewing your expenses.`);
             }
 
             // Priority 2: Savings rate insights
@@ -3144,7 +3334,7 @@ window.AIChatbot = {
             
             if (newExpenses > income) {
                 const overspend = newExpenses - income;
-                return `Based on your data, adding this expense would result in overspending by ₹${overspend.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}. You may want to consider adjusting other expenses or increasing income.`;
+                return `Based on your data, adding this expense would result in overspending by ${formatCurrency(overspend)}. You may want to consider adjusting other expenses or increasing income.`;
             }
             
             const newRatio = income > 0 ? ((newExpenses / income) * 100) : 0;
@@ -3239,7 +3429,7 @@ window.AIChatbot = {
                         if (savings <= 0) {
                             return 'Based on your data, to start saving, you need to either reduce expenses or increase income. Your expenses currently equal or exceed your income. You may want to review your spending categories to find areas where you can cut back.';
                         }
-                        return `Based on your data, you're currently saving ₹${savings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} per month. You may want to consider finding ways to increase your savings rate for better financial security.`;
+                        return `Based on your data, you're currently saving ${formatCurrency(savings)} per month. You may want to consider finding ways to increase your savings rate for better financial security.`;
                     } else if (convContext.lastTopic === 'expenses') {
                         const overspending = this.identifyOverspending(financialContext);
                         if (overspending.length > 0) {
@@ -3252,7 +3442,7 @@ window.AIChatbot = {
             // "Tell me more" or "What else" - expand on last topic
             if (q.includes('tell me more') || q.includes('what else') || q.includes('and')) {
                 if (convContext.lastTopic === 'savings') {
-                    return `Based on your data, your savings of ₹${savings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} represents ${income > 0 ? (((savings / income) * 100).toFixed(1)) : 0}% of your income. You may want to consider ways to protect and grow this amount.`;
+                    return `Based on your data, your savings of ${formatCurrency(savings)} represents ${income > 0 ? (((savings / income) * 100).toFixed(1)) : 0}% of your income. You may want to consider ways to protect and grow this amount.`;
                 } else if (convContext.lastTopic === 'expenses') {
                     const overspending = this.identifyOverspending(financialContext);
                     if (overspending.length > 0) {
@@ -3645,6 +3835,13 @@ window.AIChatbot = {
         setTimeout(() => {
             this.checkFinancialAlerts();
         }, 2000);
+
+        // Re-check as soon as the user's numbers change (once per batch of edits)
+        if (window.DataManager && typeof window.DataManager.on === 'function') {
+            window.DataManager.on('change', () => {
+                this.checkFinancialAlerts();
+            });
+        }
     },
 
     /**
@@ -3658,14 +3855,14 @@ window.AIChatbot = {
             const context = this.getUserFinancialContext();
             if (!context) return alerts;
 
-            const { income, expenses, savings, savingsRate, fixedExpenses, flexibleSpending, monthlyData } = context;
+            const { income, expenses, savings, savingsRate, fixedExpenses, flexibleSpending, monthlyData, bills } = context;
             
             // Alert 1: Overspending detection
             if (expenses > income) {
                 alerts.push({
                     type: 'overspending',
                     severity: 'high',
-                    message: `You're spending ₹${Math.abs(savings).toLocaleString('en-IN')} more than you earn this month.`,
+                    message: `You're spending ${formatCurrency(Math.abs(savings), null, { decimals: 0 })} more than you earn this month.`,
                     suggestion: 'Consider reviewing your expenses and reducing non-essential spending.'
                 });
             }
@@ -3711,6 +3908,32 @@ window.AIChatbot = {
                 });
             }
 
+            // Alert 5: Bills past their due date, then bills inside their reminder window
+            const overdueBills = (bills || []).filter(bill => bill.status === 'overdue');
+            if (overdueBills.length > 0) {
+                // Bills can be in other currencies; the total is in the base currency
+                const total = overdueBills.reduce((sum, bill) => sum + DataManager.toBaseCurrency(bill.amount, bill.currency), 0);
+                const names = [...new Set(overdueBills.map(bill => bill.name))];
+                alerts.push({
+                    type: 'overdue_bills',
+                    severity: 'high',
+                    message: `${names.join(', ')} ${names.length === 1 ? 'is' : 'are'} overdue (${formatCurrency(total, null, { decimals: 0 })} unpaid).`,
+                    suggestion: 'Pay overdue bills first to avoid late fees, then mark them paid in Upcoming Bills.'
+                });
+            }
+            const dueBills = (bills || []).filter(bill => bill.status === 'today' || bill.status === 'soon');
+            if (dueBills.length > 0) {
+                const next = dueBills[0];
+                alerts.push({
+                    type: 'bills_due',
+                    severity: 'medium',
+                    message: dueBills.length === 1
+                        ? `${next.name} (${formatCurrency(next.amount, next.currency, { decimals: 0 })}) is due ${next.daysUntil === 0 ? 'today' : `in ${next.daysUntil} day${next.daysUntil !== 1 ? 's' : ''}`}.`
+                        : `${dueBills.length} bills are due soon, starting with ${next.name} ${next.daysUntil === 0 ? 'today' : `in ${next.daysUntil} day${next.daysUntil !== 1 ? 's' : ''}`}.`,
+                    suggestion: 'Keep enough in the paying account to cover them.'
+                });
+            }
+
             // Store alerts in memory for AI context
             this.userAIMemory.lastAlertCheck = Date.now();
             this.userAIMemory.activeAlerts = alerts;
@@ -4017,7 +4240,7 @@ window.AIChatbot = {
             if (monthlyRequirement > income) {
                 return { 
                     achievable: false, 
-                    reason: `Monthly requirement (₹${monthlyRequirement.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}) exceeds your income`,
+                    reason: `Monthly requirement (${formatCurrency(monthlyRequirement)}) exceeds your income`,
                     suggestion: 'Consider increasing the duration or reducing the target amount'
                 };
             }
@@ -4028,7 +4251,7 @@ window.AIChatbot = {
                     achievable: true,
                     requiresReduction: true,
                     shortfall: shortfall,
-                    reason: `You need to reduce expenses by ₹${shortfall.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month`,
+                    reason: `You need to reduce expenses by ${formatCurrency(shortfall)}/month`,
                     suggestion: this._generateReductionSuggestion(shortfall, topExpenses)
                 };
             }
@@ -4053,15 +4276,15 @@ window.AIChatbot = {
      */
     _generateReductionSuggestion(shortfall, topExpenses) {
         if (!topExpenses || topExpenses.length === 0) {
-            return `Reduce expenses by ₹${shortfall.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month`;
+            return `Reduce expenses by ${formatCurrency(shortfall)}/month`;
         }
 
         const topExpense = topExpenses[0];
         if (topExpense.amount >= shortfall) {
-            return `Reduce ${topExpense.name} by ₹${shortfall.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month`;
+            return `Reduce ${topExpense.name} by ${formatCurrency(shortfall)}/month`;
         } else {
             const remaining = shortfall - topExpense.amount;
-            return `Reduce ${topExpense.name} by ₹${topExpense.amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month and other expenses by ₹${remaining.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month`;
+            return `Reduce ${topExpense.name} by ${formatCurrency(topExpense.amount)}/month and other expenses by ${formatCurrency(remaining)}/month`;
         }
     },
 
@@ -4105,9 +4328,9 @@ window.AIChatbot = {
             const analysis = this.analyzeGoalAchievability(goal, context);
             
             let response = `✅ Goal created: "${goal.name}"\n\n`;
-            response += `Target: ₹${goal.targetAmount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n`;
+            response += `Target: ${formatCurrency(goal.targetAmount)}\n`;
             response += `Duration: ${goal.durationMonths} months\n`;
-            response += `Monthly requirement: ₹${goal.monthlyRequirement.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n\n`;
+            response += `Monthly requirement: ${formatCurrency(goal.monthlyRequirement)}\n\n`;
 
             if (analysis.achievable) {
                 if (analysis.requiresReduction) {
@@ -4170,10 +4393,10 @@ window.AIChatbot = {
             
             activeGoals.forEach((goal, idx) => {
                 response += `${idx + 1}. ${goal.name}\n`;
-                response += `   Target: ₹${goal.targetAmount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n`;
-                response += `   Saved: ₹${goal.amountSaved.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (${goal.completionPercentage.toFixed(1)}%)\n`;
-                response += `   Remaining: ₹${goal.remainingAmount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n`;
-                response += `   Monthly need: ₹${goal.monthlyRequirement.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n`;
+                response += `   Target: ${formatCurrency(goal.targetAmount)}\n`;
+                response += `   Saved: ${formatCurrency(goal.amountSaved)} (${goal.completionPercentage.toFixed(1)}%)\n`;
+                response += `   Remaining: ${formatCurrency(goal.remainingAmount)}\n`;
+                response += `   Monthly need: ${formatCurrency(goal.monthlyRequirement)}\n`;
                 
                 if (goal.status === 'behind') {
                     response += `   ⚠️ Status: Falling behind schedule\n`;
@@ -4216,8 +4439,8 @@ window.AIChatbot = {
             const analysis = this.analyzeGoalAchievability(updatedGoal, context);
 
             let response = `Goal Analysis: "${updatedGoal.name}"\n\n`;
-            response += `Target: ₹${updatedGoal.targetAmount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} in ${updatedGoal.durationMonths} months\n`;
-            response += `Monthly requirement: ₹${updatedGoal.monthlyRequirement.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n\n`;
+            response += `Target: ${formatCurrency(updatedGoal.targetAmount)} in ${updatedGoal.durationMonths} months\n`;
+            response += `Monthly requirement: ${formatCurrency(updatedGoal.monthlyRequirement)}\n\n`;
 
             if (analysis.achievable) {
                 if (analysis.requiresReduction) {
@@ -4277,21 +4500,21 @@ window.AIChatbot = {
             
             if (analysis.requiresReduction && analysis.shortfall) {
                 const { topExpenses } = context;
-                response += `To reach your goal, you need to save ₹${updatedGoal.monthlyRequirement.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month.\n\n`;
+                response += `To reach your goal, you need to save ${formatCurrency(updatedGoal.monthlyRequirement)}/month.\n\n`;
                 response += `Current situation:\n`;
-                response += `- Current savings: ₹${(context.savings || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month\n`;
-                response += `- Shortfall: ₹${analysis.shortfall.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month\n\n`;
+                response += `- Current savings: ${formatCurrency((context.savings || 0))}/month\n`;
+                response += `- Shortfall: ${formatCurrency(analysis.shortfall)}/month\n\n`;
                 
                 if (topExpenses && topExpenses.length > 0) {
                     response += `Recommended adjustments:\n`;
                     topExpenses.slice(0, 2).forEach((exp, idx) => {
                         const reduction = Math.min(exp.amount * 0.15, analysis.shortfall / 2);
-                        response += `${idx + 1}. Reduce ${exp.name} by ₹${reduction.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month\n`;
+                        response += `${idx + 1}. Reduce ${exp.name} by ${formatCurrency(reduction)}/month\n`;
                     });
                 }
             } else {
                 response += `Your current plan is working well!\n\n`;
-                response += `You're saving ₹${(context.savings || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month, which is sufficient for your goal.`;
+                response += `You're saving ${formatCurrency((context.savings || 0))}/month, which is sufficient for your goal.`;
             }
 
             return response;
@@ -4413,23 +4636,18 @@ window.AIChatbot = {
                 params.percentage = parseFloat(percentMatch[1]);
             }
 
-            // Determine type
+            // Determine type (a named user category beats the generic expense words)
+            const mentionedCategory = this.findCategoryInText(q);
             if (q.includes('income') || q.includes('salary') || q.includes('earn')) {
                 params.type = 'income_change';
+            } else if (mentionedCategory) {
+                params.type = 'category_change';
+                params.category = mentionedCategory.name;
             } else if (q.includes('rent') || q.includes('expense') || q.includes('spending')) {
                 params.type = 'expense_change';
-            } else if (q.includes('food') || q.includes('dining')) {
-                params.type = 'category_change';
-                params.category = 'Food & Dining';
-            } else if (q.includes('travel') || q.includes('transport')) {
-                params.type = 'category_change';
-                params.category = 'Travel & Transport';
-            } else if (q.includes('shopping')) {
+            } else if (q.includes('misc')) {
                 params.type = 'category_change';
-                params.category = 'Shopping';
-            } else if (q.includes('miscellaneous') || q.includes('misc')) {
-                params.type = 'category_change';
-                params.category = 'Miscellaneous';
+                params.category = this.getCategoryName('miscellaneous');
             }
 
             // Determine increase/decrease
@@ -4468,22 +4686,17 @@ window.AIChatbot = {
                 const change = amount || (percentage ? (simulated.expenses * percentage / 100) : 0);
                 simulated.expenses = isIncrease ? simulated.expenses + change : Math.max(0, simulated.expenses - change);
             } else if (type === 'category_change' && category) {
-                // Find category in flexible spending
-                const categoryMap = {
-                    'Food & Dining': 'food',
-                    'Travel & Transport': 'travel',
-                    'Shopping': 'shopping',
-                    'Miscellaneous': 'miscellaneous'
-                };
-                
-                const catKey = categoryMap[category];
-                if (catKey && simulated.flexibleSpending && simulated.flexibleSpending[catKey]) {
-                    const currentAmount = simulated.flexibleSpending[catKey] || 0;
+                // Find category in flexible spending by its registry name
+                const match = (simulated.categories || []).find(c => c.name === category);
+                const catKey = match ? match.id : null;
+                if (catKey && simulated.flexibleData && simulated.flexibleData[catKey]) {
+                    const currentAmount = simulated.flexibleData[catKey] || 0;
                     const change = amount || (percentage ? (currentAmount * percentage / 100) : 0);
-                    simulated.flexibleSpending[catKey] = isIncrease ? currentAmount + change : Math.max(0, currentAmount - change);
+                    simulated.flexibleData[catKey] = isIncrease ? currentAmount + change : Math.max(0, currentAmount - change);
                     
                     // Recalculate total expenses
-                    const flexibleTotal = Object.values(simulated.flexibleSpending || {}).reduce((sum, val) => sum + (val || 0), 0);
+                    const flexibleTotal = Object.values(simulated.flexibleData || {}).reduce((sum, val) => sum + (val || 0), 0);
+                    simulated.flexibleSpending = flexibleTotal;
                     simulated.expenses = (simulated.fixedExpenses || 0) + flexibleTotal;
                 }
             }
@@ -4510,10 +4723,14 @@ window.AIChatbot = {
         }
 
         try {
+            if (/pre-?pay|part[- ]?pay/i.test(question)) {
+                return this.handleLoanPrepaymentSimulation(question, context);
+            }
+
             const params = this.extractSimulationParams(question);
             
             if (!params) {
-                return 'I can help you simulate financial scenarios! Try asking:\n\n• "What if my income reduces by ₹10,000?"\n• "What if rent increases by 20%?"\n• "What if I reduce Food & Dining by ₹2,000?"';
+                return 'I can help you simulate financial scenarios! Try asking:\n\n• "What if my income reduces by ₹10,000?"\n• "What if rent increases by 20%?"\n• "What if I reduce Food & Dining by ₹2,000?"\n• "What if I prepay ₹1 lakh on my home loan?"';
             }
 
             const simulated = this.simulateScenario(context, params);
@@ -4522,7 +4739,7 @@ window.AIChatbot = {
             }
 
             const { income, expenses, savings, savingsRate } = context;
-            const { simIncome, simExpenses, simSavings, simSavingsRate } = simulated;
+            const { income: simIncome, expenses: simExpenses, savings: simSavings, savingsRate: simSavingsRate } = simulated;
 
             const incomeChange = simIncome - income;
             const expenseChange = simExpenses - expenses;
@@ -4531,37 +4748,37 @@ window.AIChatbot = {
 
             let response = '📊 Simulation Results:\n\n';
             response += `Current Situation:\n`;
-            response += `• Income: ₹${income.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n`;
-            response += `• Expenses: ₹${expenses.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n`;
-            response += `• Savings: ₹${savings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (${savingsRate}%)\n\n`;
+            response += `• Income: ${formatCurrency(income)}\n`;
+            response += `• Expenses: ${formatCurrency(expenses)}\n`;
+            response += `• Savings: ${formatCurrency(savings)} (${savingsRate}%)\n\n`;
 
             response += `After This Change:\n`;
-            response += `• Income: ₹${simIncome.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+            response += `• Income: ${formatCurrency(simIncome)}`;
             if (incomeChange !== 0) {
-                response += ` (${incomeChange > 0 ? '+' : ''}₹${Math.abs(incomeChange).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })})`;
+                response += ` (${incomeChange > 0 ? '+' : ''}${formatCurrency(Math.abs(incomeChange))})`;
             }
             response += `\n`;
 
-            response += `• Expenses: ₹${simExpenses.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+            response += `• Expenses: ${formatCurrency(simExpenses)}`;
             if (expenseChange !== 0) {
-                response += ` (${expenseChange > 0 ? '+' : ''}₹${Math.abs(expenseChange).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })})`;
+                response += ` (${expenseChange > 0 ? '+' : ''}${formatCurrency(Math.abs(expenseChange))})`;
             }
             response += `\n`;
 
-            response += `• Savings: ₹${simSavings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (${simSavingsRate}%)`;
+            response += `• Savings: ${formatCurrency(simSavings)} (${simSavingsRate}%)`;
             if (savingsChange !== 0) {
-                response += ` (${savingsChange > 0 ? '+' : ''}₹${Math.abs(savingsChange).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })})`;
+                response += ` (${savingsChange > 0 ? '+' : ''}${formatCurrency(Math.abs(savingsChange))})`;
             }
             response += `\n\n`;
 
             // Impact explanation
             if (savingsChange < 0) {
-                response += `⚠️ Impact: Your savings would decrease by ₹${Math.abs(savingsChange).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month.`;
+                response += `⚠️ Impact: Your savings would decrease by ${formatCurrency(Math.abs(savingsChange))}/month.`;
                 if (simSavings < 0) {
                     response += ` This would result in overspending.`;
                 }
             } else if (savingsChange > 0) {
-                response += `✅ Impact: Your savings would increase by ₹${savingsChange.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month.`;
+                response += `✅ Impact: Your savings would increase by ${formatCurrency(savingsChange)}/month.`;
             } else {
                 response += `📊 Impact: Your savings would remain unchanged.`;
             }
@@ -4575,7 +4792,7 @@ window.AIChatbot = {
                 
                 if (simAnalysis.achievable) {
                     if (simAnalysis.requiresReduction) {
-                        response += `\n\n🎯 Goal Impact: You could still reach "${updatedGoal.name}", but you'd need to reduce expenses by ₹${simAnalysis.shortfall.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month.`;
+                        response += `\n\n🎯 Goal Impact: You could still reach "${updatedGoal.name}", but you'd need to reduce expenses by ${formatCurrency(simAnalysis.shortfall)}/month.`;
                     } else {
                         response += `\n\n🎯 Goal Impact: You'd still be on track to reach "${updatedGoal.name}".`;
                     }
@@ -4592,6 +4809,70 @@ window.AIChatbot = {
         }
     },
 
+    /**
+     * Answer "what if I prepay ₹1 lakh": compare reducing tenure with reducing EMI
+     * on the loan named in the question, or the costliest loan.
+     * @param {string} question - User question
+     * @param {Object} context - Financial context (with loans)
+     * @returns {string} Response
+     */
+    handleLoanPrepaymentSimulation(question, context) {
+        const loans = Array.isArray(context.loans) ? context.loans.filter(loan => loan.outstanding > 0) : [];
+        if (loans.length === 0) {
+            return 'You don\'t have any active loans yet. Add one with "Add Loan" under Fixed Obligations and I can simulate prepayments for it.';
+        }
+
+        const params = this.extractSimulationParams(question);
+        const amount = params && params.amount ? params.amount : 0;
+        if (!(amount > 0)) {
+            return 'How much would you like to prepay? Try asking: "What if I prepay ₹1 lakh?"';
+        }
+
+        // A loan named in the question, otherwise the one charging the highest rate
+        const q = question.toLowerCase();
+        const named = loans.filter(loan => q.includes(loan.name.toLowerCase()) ||
+            loan.name.toLowerCase().split(/[^a-z0-9]+/).some(word => word.length > 3 && q.includes(word)));
+        const loan = (named.length ? named : loans).slice().sort((a, b) => b.annualRate - a.annualRate)[0];
+        const prepay = Math.min(amount, loan.outstanding);
+
+        const tenure = DataManager.simulateLoanPrepayment(loan.id, { amount: prepay, mode: 'tenure' });
+        const emi = DataManager.simulateLoanPrepayment(loan.id, { amount: prepay, mode: 'emi' });
+        if (!tenure || !emi) {
+            return 'I couldn\'t process that simulation. Please try rephrasing your question.';
+        }
+        const money = value => formatCurrency(value, loan.currency);
+        const monthLabel = date => date ? new Date(date + 'T00:00:00').toLocaleDateString('en-IN', { month: 'short', year: 'numeric' }) : '-';
+
+        let response = `📊 Prepayment Simulation: ${loan.name}\n\n`;
+        response += `Current Loan:\n`;
+        response += `• Outstanding: ${money(loan.outstanding)} at ${loan.annualRate}%\n`;
+        response += `• EMI: ${money(tenure.emiBefore)} · ends ${monthLabel(tenure.before.endDate)}\n`;
+        response += `• Interest still to pay: ${money(tenure.before.totalInterest - loan.interestPaid)}\n\n`;
+
+        if (prepay < amount) {
+            response += `Only ${money(prepay)} is outstanding, so that is the most you can prepay.\n\n`;
+        }
+        response += `Prepay ${money(prepay)} and reduce tenure:\n`;
+        response += `• Same EMI of ${money(tenure.emiAfter)}, loan ends ${monthLabel(tenure.after.endDate)} (${tenure.monthsSaved} months sooner)\n`;
+        response += `• Interest saved: ${money(tenure.interestSaved)}\n\n`;
+
+        response += `Prepay ${money(prepay)} and reduce EMI:\n`;
+        response += `• EMI drops to ${money(emi.emiAfter)} (${money(emi.emiBefore - emi.emiAfter)} less each month)\n`;
+        response += `• Interest saved: ${money(emi.interestSaved)}\n\n`;
+
+        response += tenure.interestSaved >= emi.interestSaved
+            ? `✅ Reducing tenure saves ${money(tenure.interestSaved - emi.interestSaved)} more in interest; reducing EMI frees up monthly cash flow instead.`
+            : `✅ Reducing EMI saves more in interest here.`;
+
+        const available = (context.savings || 0);
+        if (prepay > available && available >= 0) {
+            response += `\n\n⚠️ This is more than this month's savings of ${formatCurrency(available)}, so it would come from money you have set aside.`;
+        }
+
+        response += `\n\n💡 Note: This is a simulation only. Your actual data remains unchanged.`;
+        return response;
+    },
+
     /**
      * Handle GOAL_FEASIBILITY_CHECK intent (Level 9)
      * @param {string} question - User question
@@ -4623,11 +4904,11 @@ window.AIChatbot = {
                 response += `Scenario: `;
                 if (params.type === 'income_change') {
                     response += `Income ${params.direction === 'increase' ? 'increases' : 'decreases'}`;
-                    if (params.amount) response += ` by ₹${params.amount.toLocaleString('en-IN')}`;
+                    if (params.amount) response += ` by ${formatCurrency(params.amount, null, { decimals: 0 })}`;
                     if (params.percentage) response += ` by ${params.percentage}%`;
                 } else if (params.type === 'expense_change') {
                     response += `Expenses ${params.direction === 'increase' ? 'increase' : 'decrease'}`;
-                    if (params.amount) response += ` by ₹${params.amount.toLocaleString('en-IN')}`;
+                    if (params.amount) response += ` by ${formatCurrency(params.amount, null, { decimals: 0 })}`;
                     if (params.percentage) response += ` by ${params.percentage}%`;
                 }
                 response += `\n\n`;
@@ -4681,7 +4962,7 @@ window.AIChatbot = {
                 risks.push({
                     type: 'overspending',
                     severity: 'high',
-                    message: `You're currently overspending by ₹${overspend.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month.`,
+                    message: `You're currently overspending by ${formatCurrency(overspend)}/month.`,
                     suggestion: 'Review your expenses and identify areas to reduce spending immediately.'
                 });
             }
@@ -4771,7 +5052,7 @@ window.AIChatbot = {
                     priority: 'high',
                     category: 'Savings',
                     message: `Your savings rate is ${rate.toFixed(1)}%. Aim for 15-20% for better financial security.`,
-                    action: `Try to save an additional ₹${((income * 0.15) - savings).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month.`
+                    action: `Try to save an additional ${formatCurrency(((income * 0.15) - savings))}/month.`
                 });
             }
 
@@ -4783,7 +5064,7 @@ window.AIChatbot = {
                         priority: 'medium',
                         category: 'Expense Management',
                         message: `${topExpense.name} accounts for ${((topExpense.amount / income) * 100).toFixed(1)}% of your income.`,
-                        action: `Consider reducing ${topExpense.name} by 10-15% to free up ₹${(topExpense.amount * 0.15).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month.`
+                        action: `Consider reducing ${topExpense.name} by 10-15% to free up ${formatCurrency((topExpense.amount * 0.15))}/month.`
                     });
                 }
             }
@@ -4798,8 +5079,8 @@ window.AIChatbot = {
                     advice.push({
                         priority: 'high',
                         category: 'Goal Achievement',
-                        message: `To reach "${updatedGoal.name}", you need to save ₹${updatedGoal.monthlyRequirement.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month.`,
-                        action: analysis.suggestion || `Reduce expenses by ₹${analysis.shortfall.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/month.`
+                        message: `To reach "${updatedGoal.name}", you need to save ${formatCurrency(updatedGoal.monthlyRequirement)}/month.`,
+                        action: analysis.suggestion || `Reduce expenses by ${formatCurrency(analysis.shortfall)}/month.`
                     });
                 }
             }
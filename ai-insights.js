@@ -31,7 +31,7 @@ window.AIFinancialInsights = {
                 } else if (monthlySavingsRate > 20) {
                     explanation = `This purchase fits well within your budget. Your savings rate of ${monthlySavingsRate.toFixed(1)}% shows you're managing expenses effectively.`;
                 } else {
-                    explanation = `This purchase is affordable based on your current savings. You'll still have ₹${(availableSavings - purchaseAmount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} remaining.`;
+                    explanation = `This purchase is affordable based on your current savings. You'll still have ${formatCurrency((availableSavings - purchaseAmount))} remaining.`;
                 }
                 break;
 
@@ -41,7 +41,7 @@ window.AIFinancialInsights = {
                 } else if (monthlySavingsRate < 10) {
                     explanation = `While technically affordable, your low savings rate (${monthlySavingsRate.toFixed(1)}%) means this purchase could impact your financial cushion.`;
                 } else {
-                    explanation = `This purchase is feasible but leaves less room for unexpected expenses. You'd have ₹${(availableSavings - purchaseAmount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} remaining.`;
+                    explanation = `This purchase is feasible but leaves less room for unexpected expenses. You'd have ${formatCurrency((availableSavings - purchaseAmount))} remaining.`;
                 }
                 break;
 
@@ -53,7 +53,7 @@ window.AIFinancialInsights = {
                 if (monthlyExpenses >= monthlyIncome) {
                     explanation = `Your monthly expenses currently equal or exceed your income. Focus on reducing expenses before making this purchase.`;
                 } else {
-                    explanation = `You don't have enough savings for this purchase right now. Consider saving ₹${purchaseAmount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} over the next few months.`;
+                    explanation = `You don't have enough savings for this purchase right now. Consider saving ${formatCurrency(purchaseAmount)} over the next few months.`;
                 }
                 break;
 
@@ -66,89 +66,43 @@ window.AIFinancialInsights = {
 
     /**
      * Generate spending category insights
-     * @param {Array} history - Transaction history
-     * @param {Object} currentFlexibleSpending - Current flexible spending limits
+     * @param {Array} budgetStatus - DataManager.getBudgetStatus() for the month:
+     *   actual spending per category with its budget
+     * @param {Object} previousSpending - Last month's actual spending by category id
      * @returns {Array} Array of insight strings
      */
-    generateCategoryInsights(history, currentFlexibleSpending) {
+    generateCategoryInsights(budgetStatus, previousSpending) {
         const insights = [];
-        if (!history || history.length === 0) {
+        if (!Array.isArray(budgetStatus) || budgetStatus.length === 0) {
             return insights;
         }
 
-        // Analyze last two months
-        const now = new Date();
-        const currentMonth = now.getMonth();
-        const currentYear = now.getFullYear();
-        const lastMonth = currentMonth === 0 ? 11 : currentMonth - 1;
-        const lastMonthYear = currentMonth === 0 ? currentYear - 1 : currentYear;
-
-        const thisMonthData = { food: 0, travel: 0, shopping: 0, miscellaneous: 0 };
-        const lastMonthData = { food: 0, travel: 0, shopping: 0, miscellaneous: 0 };
-
-        history.forEach(entry => {
-            if (!entry.timestamp) return;
-            const entryDate = new Date(entry.timestamp);
-            const entryMonth = entryDate.getMonth();
-            const entryYear = entryDate.getFullYear();
-            const amount = entry.amount || 0;
-
-            if (entry.type === 'expense' && entry.category) {
-                const categoryLower = entry.category.toLowerCase();
-                const isThisMonth = entryMonth === currentMonth && entryYear === currentYear;
-                const isLastMonth = entryMonth === lastMonth && entryYear === lastMonthYear;
-
-                if (categoryLower.includes('food')) {
-                    if (isThisMonth) thisMonthData.food += amount;
-                    if (isLastMonth) lastMonthData.food += amount;
-                } else if (categoryLower.includes('travel')) {
-                    if (isThisMonth) thisMonthData.travel += amount;
-                    if (isLastMonth) lastMonthData.travel += amount;
-                } else if (categoryLower.includes('shopping')) {
-                    if (isThisMonth) thisMonthData.shopping += amount;
-                    if (isLastMonth) lastMonthData.shopping += amount;
-                } else if (categoryLower.includes('miscellaneous')) {
-                    if (isThisMonth) thisMonthData.miscellaneous += amount;
-                    if (isLastMonth) lastMonthData.miscellaneous += amount;
+        // Over-budget categories first, then the ones close to their limit
+        const ordered = budgetStatus.slice().sort((a, b) => (b.percent || 0) - (a.percent || 0));
+        ordered.forEach(category => {
+            const thisMonth = category.spent || 0;
+            const lastMonth = (previousSpending || {})[category.id] || 0;
+            const categoryName = category.name.toLowerCase();
+
+            // Compare against budget
+            if (category.budget > 0) {
+                const budgetUtilization = category.percent;
+                if (category.over) {
+                    insights.push(`You're ${formatCurrency(thisMonth - category.budget)} over your ${categoryName} budget this month.`);
+                } else if (budgetUtilization > 90) {
+                    insights.push(`You're using ${budgetUtilization.toFixed(0)}% of your ${categoryName} budget this month.`);
+                } else if (budgetUtilization < 50 && thisMonth > 0) {
+                    insights.push(`You're using ${budgetUtilization.toFixed(0)}% of your ${categoryName} budget, which is well within your limits.`);
                 }
             }
-        });
-
-        // Generate insights for each category
-        Object.keys(thisMonthData).forEach(category => {
-            const thisMonth = thisMonthData[category];
-            const lastMonth = lastMonthData[category];
-            const currentLimit = currentFlexibleSpending[category] || 0;
 
             if (lastMonth > 0 && thisMonth > 0) {
                 const changePercent = ((thisMonth - lastMonth) / lastMonth) * 100;
-                
-                if (Math.abs(changePercent) > 15) {
-                    const categoryName = category === 'food' ? 'food expenses' : 
-                                       category === 'travel' ? 'travel expenses' : 
-                                       category === 'shopping' ? 'shopping expenses' : 
-                                       'miscellaneous expenses';
-                    
-                    if (changePercent > 15) {
-                        insights.push(`Your ${categoryName} increased by ${Math.abs(changePercent).toFixed(0)}% compared to last month.`);
-                    } else {
-                        insights.push(`Your ${categoryName} decreased by ${Math.abs(changePercent).toFixed(0)}% compared to last month.`);
-                    }
-                }
-            }
 
-            // Compare against budget
-            if (currentLimit > 0 && thisMonth > 0) {
-                const budgetUtilization = (thisMonth / currentLimit) * 100;
-                const categoryName = category === 'food' ? 'food' : 
-                                   category === 'travel' ? 'travel' : 
-                                   category === 'shopping' ? 'shopping' : 
-                                   'miscellaneous';
-                
-                if (budgetUtilization > 90) {
-                    insights.push(`You're using ${budgetUtilization.toFixed(0)}% of your ${categoryName} budget this month.`);
-                } else if (budgetUtilization < 50 && thisMonth > 0) {
-                    insights.push(`You're using ${budgetUtilization.toFixed(0)}% of your ${categoryName} budget, which is well within your limits.`);
+                if (changePercent > 15) {
+                    insights.push(`Your ${categoryName} expenses increased by ${Math.abs(changePercent).toFixed(0)}% compared to last month.`);
+                } else if (changePercent < -15) {
+                    insights.push(`Your ${categoryName} expenses decreased by ${Math.abs(changePercent).toFixed(0)}% compared to last month.`);
                 }
             }
         });
@@ -199,13 +153,13 @@ window.AIFinancialInsights = {
 
             if (monthlySavingsValues.length > 0) {
                 const avgMonthlySavings = monthlySavingsValues.reduce((sum, val) => sum + val, 0) / monthlySavingsValues.length;
-                insight = `You are saving approximately ₹${avgMonthlySavings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} per month on average.`;
+                insight = `You are saving approximately ${formatCurrency(avgMonthlySavings)} per month on average.`;
             }
         }
 
         // Fallback to current month if no history
         if (!insight && monthlySavings > 0) {
-            insight = `You are saving ₹${monthlySavings.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} per month.`;
+            insight = `You are saving ${formatCurrency(monthlySavings)} per month.`;
         }
 
         // Add savings rate context
@@ -436,13 +436,23 @@ const AnimationManager = {
         requestAnimationFrame(animate);
     },
     
-    // Number counter animation
-    animateCounter(element, targetValue, duration = 1000, prefix = '$', suffix = '') {
+    // Number counter animation (prefix defaults to the user's base currency)
+    animateCounter(element, targetValue, duration = 1000, prefix = null, suffix = '') {
         if (!element) return;
         
         const startValue = parseFloat(element.textContent.replace(/[^0-9.-]/g, '')) || 0;
         const startTime = performance.now();
         
+        function format(value) {
+            if (prefix === null && typeof formatCurrency === 'function') {
+                return `${formatCurrency(Math.abs(value))}${suffix}`;
+            }
+            return `${prefix || ''}${Math.abs(value).toLocaleString('en-US', { 
+                minimumFractionDigits: 2, 
+                maximumFractionDigits: 2 
+            })}${suffix}`;
+        }
+        
         function animate(currentTime) {
             const elapsed = currentTime - startTime;
             const progress = Math.min(elapsed / duration, 1);
@@ -451,18 +461,12 @@ const AnimationManager = {
             const easeOutCubic = 1 - Math.pow(1 - progress, 3);
             const currentValue = startValue + (targetValue - startValue) * easeOutCubic;
             
-            element.textContent = `${prefix}${Math.abs(currentValue).toLocaleString('en-US', { 
-                minimumFractionDigits: 2, 
-                maximumFractionDigits: 2 
-            })}${suffix}`;
+            element.textContent = format(currentValue);
             
             if (progress < 1) {
                 requestAnimationFrame(animate);
             } else {
-                element.textContent = `${prefix}${Math.abs(targetValue).toLocaleString('en-US', { 
-                    minimumFractionDigits: 2, 
-                    maximumFractionDigits: 2 
-                })}${suffix}`;
+                element.textContent = format(targetValue);
             }
         }
         
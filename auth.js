@@ -6,10 +6,15 @@ var _stubListeners = (window.AuthManager && Array.isArray(window.AuthManager.aut
     ? window.AuthManager.authStateListeners.slice()
     : [];
 
+// Set while the app runs as a local-only guest
+var GUEST_SESSION_KEY = 'finance_guest_session';
+
 var AuthManager = {
     currentUser: null,
     authStateListeners: _stubListeners,
     historyUnsubscribe: null,
+    financeUnsubscribe: null,
+    financeWatchPath: null,
     isLoadingData: false,
     hasLoadedInitialData: false,
     // Performance: Cache user data in memory
@@ -17,11 +22,17 @@ var AuthManager = {
     cachedFinanceData: null,
     cachedHistoryData: null,
     authStateResolved: false,
+    guestMergeOffered: false,
 
     isAuthenticated() {
         return this.currentUser !== null;
     },
 
+    // Guests are "authenticated" locally (uid 'guest') but never touch Firestore
+    isGuest() {
+        return !!(this.currentUser && this.currentUser.isGuest);
+    },
+
     getCurrentUser() {
         return this.currentUser;
     },
@@ -55,6 +66,11 @@ var AuthManager = {
     init() {
         // CRITICAL: Don't show errors during initialization - wait for auth state
         let firebaseLoadingState = 'initializing';
+
+        // A guest session resumes right away; it never waits on Firebase
+        if (this.hasGuestSession() && !this.isGuest()) {
+            this.startGuestSession();
+        }
         
         // Setup offline/online event listeners for real network detection
         if (typeof window !== 'undefined') {
@@ -75,6 +91,11 @@ var AuthManager = {
                 this.hideLoadingState();
                 // A/B/E: mark Firebase ready only AFTER onAuthStateChanged fires at least once
                 if (user && user.uid) {
+                // Leaving guest mode: the guest data stays on the device for the merge wizard
+                if (this.isGuest()) {
+                    this.endGuestSession({ silent: true });
+                }
+
                 // Clear any previous user's data before loading new user
                 if (this.currentUser && this.currentUser.uid && this.currentUser.uid !== user.uid) {
                     this.clearDashboardUI();
@@ -117,6 +138,7 @@ var AuthManager = {
                         window.hasInitialized = true;
                         init();
                     }
+                    this.offerGuestMerge();
                     return;
                 }
 
@@ -133,15 +155,17 @@ var AuthManager = {
                     if (window.DataManager) {
                         window.DataManager._initData();
                     }
-                    if (typeof window.updateDashboard === 'function') {
-                        window.updateDashboard();
-                    }
                     self.hasLoadedInitialData = true;
                     self.notifyAuthStateChange(user);
                     if (typeof init === 'function' && !window.hasInitialized) {
                         window.hasInitialized = true;
                         init();
                     }
+                    self.offerGuestMerge();
+                    // Households load once the personal space is up; the last one used reopens
+                    if (window.DataManager && typeof DataManager.refreshHouseholds === 'function') {
+                        DataManager.refreshHouseholds().then(() => DataManager.resumeContext()).catch(() => {});
+                    }
                     } catch (e) {
                         if (self.cachedFinanceData && window.DataManager) {
                             window.DataManager._initData();
@@ -161,6 +185,15 @@ var AuthManager = {
                     runFirestoreLoad();
                 }
             } else {
+                // No Firebase user: a guest keeps (or resumes) the local session
+                if (this.isGuest()) return;
+                if (this.hasGuestSession()) {
+                    this.startGuestSession();
+                    return;
+                }
+
+                this.unwatchFinanceData();
+
                 // Clear UI state only (preserve data in Firestore and localStorage)
                 this.clearDashboardUI();
                 this.clearCharts();
@@ -355,11 +388,17 @@ var AuthManager = {
     },
 
     async signOut() {
+        if (this.isGuest()) {
+            this.endGuestSession();
+            return;
+        }
+
         // Unsubscribe from Firestore listeners
         if (this.historyUnsubscribe) {
             this.historyUnsubscribe();
             this.historyUnsubscribe = null;
         }
+        this.unwatchFinanceData();
 
         // Store current user ID before clearing
         const currentUserId = this.currentUser ? this.currentUser.uid : null;
@@ -390,6 +429,75 @@ var AuthManager = {
         this.currentUser = null;
     },
 
+    // ===============================
+    // GUEST MODE
+    // ===============================
+
+    hasGuestSession() {
+        try {
+            return localStorage.getItem(GUEST_SESSION_KEY) === '1';
+        } catch (e) {
+            return false;
+        }
+    },
+
+    // Local-only session under DataManager's 'guest' namespace; survives reloads
+    startGuestSession() {
+        try {
+            localStorage.setItem(GUEST_SESSION_KEY, '1');
+        } catch (e) {}
+
+        this.currentUser = { uid: 'guest', email: null, displayName: 'Guest', isGuest: true };
+        this.authStateResolved = true;
+        this.hasLoadedInitialData = true;
+        this.isLoadingData = false;
+
+        if (window.DataManager) {
+            window.DataManager._initData();
+        }
+
+        document.getElementById("main-app")?.classList.remove("hidden");
+        document.getElementById("welcome-screen")?.classList.add("hidden");
+        document.getElementById("auth-modal")?.classList.remove("active");
+
+        this.notifyAuthStateChange(this.currentUser);
+        if (typeof init === 'function' && !window.hasInitialized) {
+            window.hasInitialized = true;
+            init();
+        }
+    },
+
+    // silent: switching straight into a signed-in account, so listeners are not told about a sign-out
+    endGuestSession({ silent = false } = {}) {
+        try {
+            localStorage.removeItem(GUEST_SESSION_KEY);
+        } catch (e) {}
+        if (!this.isGuest()) return;
+
+        if (window.DataManager) {
+            window.DataManager._resetData();
+        }
+        this.currentUser = null;
+        this.hasLoadedInitialData = false;
+        this.isLoadingData = false;
+        if (silent) return;
+
+        this.clearDashboardUI();
+        this.clearCharts();
+        this.authStateResolved = false;
+        this.notifyAuthStateChange(null);
+    },
+
+    // After sign-in, offer once per page load to fold a guest session's data into the account
+    offerGuestMerge() {
+        if (this.guestMergeOffered || this.isGuest()) return;
+        if (!window.DataManager || typeof DataManager.hasGuestData !== 'function' || !DataManager.hasGuestData()) return;
+        this.guestMergeOffered = true;
+        if (typeof window.showGuestMergeWizard === 'function') {
+            window.showGuestMergeWizard();
+        }
+    },
+
     clearDashboardUI() {
         // Reset all dashboard values to zero/empty
         const resetElement = (id, value = '₹0.00') => {
@@ -422,9 +530,8 @@ var AuthManager = {
         }
 
         // Reset flexible spending inputs
-        ['food-limit', 'travel-limit', 'shopping-limit', 'misc-limit'].forEach(id => {
-            const input = document.getElementById(id);
-            if (input) input.value = '';
+        document.querySelectorAll('#flexible-categories-grid .currency-input').forEach(input => {
+            input.value = '';
         });
 
         // Clear recent activity
@@ -599,49 +706,170 @@ var AuthManager = {
         }
     },
 
-    async saveUserData(data) {
-        if (!this.currentUser || !this.currentUser.uid || !this.isFirebaseReady()) return null;
+    // With resolve(stored) => document, the save runs as a transaction: resolve
+    // merges into the document as stored right now (retried if a member writes
+    // first) and the document written is returned
+    async saveUserData(data, resolve) {
+        if (!this.currentUser || !this.currentUser.uid || this.isGuest() || !this.isFirebaseReady()) return null;
         try {
-            return await window.firebaseDb
-                .collection("users")
-                .doc(this.currentUser.uid)
+            const financeRef = this.workspaceRef()
                 .collection("data")
-                .doc("finance")
-                .set(data, { merge: true });
+                .doc("finance");
+            if (typeof resolve !== 'function') {
+                return await financeRef.set(data, { merge: true });
+            }
+            return await window.firebaseDb.runTransaction(async (transaction) => {
+                const snap = await transaction.get(financeRef);
+                const merged = resolve(snap.exists ? snap.data() : null);
+                transaction.set(financeRef, merged, { merge: true });
+                return merged;
+            });
         } catch (e) {
             // Silent fail - save errors are handled gracefully
             return null;
         }
     },
 
+    // Live updates for the open workspace: changes saved by other household
+    // members (or this account on another device) reach DataManager as they land
+    watchFinanceData() {
+        if (!this.currentUser || !this.currentUser.uid || this.isGuest() || !this.isFirebaseReady()) return;
+        const financeRef = this.workspaceRef().collection("data").doc("finance");
+        if (this.financeUnsubscribe && this.financeWatchPath === financeRef.path) return;
+        this.unwatchFinanceData();
+        const scope = DataManager._storageScope();
+        this.financeWatchPath = financeRef.path;
+        this.financeUnsubscribe = financeRef.onSnapshot((snap) => {
+            // Our own pending writes and stale cache reads are not news
+            if (!snap.exists || snap.metadata.hasPendingWrites || snap.metadata.fromCache) return;
+            if (DataManager._storageScope() !== scope) return;
+            DataManager.applyRemoteFinanceData(snap.data());
+        }, () => {
+            // Listener errors (permissions revoked, offline) leave the local copy as is
+        });
+    },
+
+    unwatchFinanceData() {
+        if (this.financeUnsubscribe) {
+            this.financeUnsubscribe();
+        }
+        this.financeUnsubscribe = null;
+        this.financeWatchPath = null;
+    },
+
+    // Keyed by the local entry id so undo can delete it again, and dated by its
+    // timestamp so an entry put back by undo/redo keeps its place in the log
     async saveHistoryEntry(entry) {
-        if (!this.currentUser || !this.currentUser.uid || !this.isFirebaseReady()) return null;
+        if (!this.currentUser || !this.currentUser.uid || this.isGuest() || !this.isFirebaseReady()) return null;
+        try {
+            const collection = this.workspaceRef().collection("history");
+            const when = new Date(entry.timestamp || entry.dateTime);
+            const data = {
+                ...entry,
+                createdAt: isNaN(when.getTime())
+                    ? firebase.firestore.FieldValue.serverTimestamp()
+                    : firebase.firestore.Timestamp.fromDate(when)
+            };
+            return await (entry.id ? collection.doc(String(entry.id)).set(data) : collection.add(data));
+        } catch (e) {
+            // Silent fail - history save errors are handled gracefully
+            return null;
+        }
+    },
+
+    async deleteHistoryEntry(id) {
+        if (!this.currentUser || !this.currentUser.uid || this.isGuest() || !this.isFirebaseReady() || !id) return null;
         try {
-            return await window.firebaseDb
-                .collection("users")
-                .doc(this.currentUser.uid)
+            return await this.workspaceRef()
                 .collection("history")
-                .add({
-                    ...entry,
-                    createdAt: firebase.firestore.FieldValue.serverTimestamp()
+                .doc(String(id))
+                .delete();
+        } catch (e) {
+            return null;
+        }
+    },
+
+    async updateHistoryEntry(id, fields) {
+        if (!this.currentUser || !this.currentUser.uid || this.isGuest() || !this.isFirebaseReady() || !id) return null;
+        try {
+            // update() rejects for entries that never reached Firestore; nothing to do then
+            return await this.workspaceRef()
+                .collection("history")
+                .doc(id)
+                .update(fields);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    // Swap the whole history collection for `entries` (backup restore). Documents are
+    // keyed by the local entry id and dated by its timestamp so paging order holds.
+    async replaceFirestoreHistory(entries) {
+        if (!this.currentUser || !this.currentUser.uid || this.isGuest() || !this.isFirebaseReady()) return null;
+        const BATCH_SIZE = 400;
+        const collection = this.workspaceRef().collection("history");
+        try {
+            while (true) {
+                const snap = await collection.limit(BATCH_SIZE).get();
+                if (snap.empty) break;
+                const batch = window.firebaseDb.batch();
+                snap.forEach(d => batch.delete(d.ref));
+                await batch.commit();
+                if (snap.size < BATCH_SIZE) break;
+            }
+            for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+                const batch = window.firebaseDb.batch();
+                entries.slice(i, i + BATCH_SIZE).forEach(entry => {
+                    const when = new Date(entry.timestamp || entry.dateTime);
+                    batch.set(collection.doc(String(entry.id)), {
+                        ...entry,
+                        createdAt: isNaN(when.getTime())
+                            ? firebase.firestore.FieldValue.serverTimestamp()
+                            : firebase.firestore.Timestamp.fromDate(when)
+                    });
                 });
+                await batch.commit();
+            }
+            return entries.length;
         } catch (e) {
-            // Silent fail - history save errors are handled gracefully
+            console.warn('Restoring history to Firestore failed:', e && e.message ? e.message : e);
             return null;
         }
     },
 
+    // Record the schema version of finance data copied in from Firestore
+    writeSchemaVersion(userKeys, version) {
+        if (!userKeys || !userKeys.META) return;
+        try {
+            if (Number.isInteger(version) && version > 0) {
+                localStorage.setItem(userKeys.META, JSON.stringify({ schemaVersion: version, migratedAt: new Date().toISOString() }));
+            } else {
+                localStorage.removeItem(userKeys.META);
+            }
+        } catch (e) {
+            // Missing version only means migrations run again; they are idempotent
+        }
+    },
+
     async loadFinanceDataFromFirestore() {
-        if (!this.currentUser || !this.currentUser.uid || !this.isFirebaseReady()) return;
+        if (!this.currentUser || !this.currentUser.uid || this.isGuest() || !this.isFirebaseReady()) return;
         
         // CRITICAL: Abort immediately if file:// protocol
         if (window.location.protocol === 'file:') {
             return;
         }
 
-        // Performance: Return cached data if available and user hasn't changed
-        if (this.cachedFinanceData && this.cachedFinanceData.userId === this.currentUser.uid) {
-            const userKeys = DataManager._getUserKeys(this.currentUser.uid);
+        // localStorage namespace of the open workspace (personal or household)
+        const scope = window.DataManager && typeof DataManager._storageScope === 'function'
+            ? DataManager._storageScope()
+            : this.currentUser.uid;
+        // Storage is replaced with the cloud copy below; DataManager takes that
+        // as its sync base when it next loads
+        if (window.DataManager) DataManager._syncBaseScope = null;
+
+        // Performance: Return cached data if available and neither user nor workspace changed
+        if (this.cachedFinanceData && this.cachedFinanceData.userId === this.currentUser.uid && this.cachedFinanceData.scope === scope) {
+            const userKeys = DataManager._getUserKeys(scope);
             if (this.cachedFinanceData.income) {
                 localStorage.setItem(userKeys.INCOME, JSON.stringify(this.cachedFinanceData.income));
             }
@@ -651,10 +879,35 @@ var AuthManager = {
             if (this.cachedFinanceData.flexibleSpending) {
                 localStorage.setItem(userKeys.FLEXIBLE, JSON.stringify(this.cachedFinanceData.flexibleSpending));
             }
+            if (this.cachedFinanceData.transactions) {
+                localStorage.setItem(userKeys.TRANSACTIONS, JSON.stringify(this.cachedFinanceData.transactions));
+            }
+            if (this.cachedFinanceData.categories) {
+                localStorage.setItem(userKeys.CATEGORIES, JSON.stringify(this.cachedFinanceData.categories));
+            }
+            if (this.cachedFinanceData.settings) {
+                localStorage.setItem(userKeys.SETTINGS, JSON.stringify(this.cachedFinanceData.settings));
+            }
+            if (this.cachedFinanceData.exchangeRates) {
+                localStorage.setItem(userKeys.RATES, JSON.stringify(this.cachedFinanceData.exchangeRates));
+            }
+            if (this.cachedFinanceData.accounts) {
+                localStorage.setItem(userKeys.ACCOUNTS, JSON.stringify(this.cachedFinanceData.accounts));
+            }
+            if (this.cachedFinanceData.assets) {
+                localStorage.setItem(userKeys.ASSETS, JSON.stringify(this.cachedFinanceData.assets));
+            }
+            if (this.cachedFinanceData.investments) {
+                localStorage.setItem(userKeys.INVESTMENTS, JSON.stringify(this.cachedFinanceData.investments));
+            }
+            if (this.cachedFinanceData.splits) {
+                localStorage.setItem(userKeys.SPLITS, JSON.stringify(this.cachedFinanceData.splits));
+            }
+            this.writeSchemaVersion(userKeys, this.cachedFinanceData.schemaVersion);
             var payload = {
                 income: Array.isArray(this.cachedFinanceData.income) ? this.cachedFinanceData.income : [],
                 fixedExpenses: Array.isArray(this.cachedFinanceData.fixedExpenses) ? this.cachedFinanceData.fixedExpenses : [],
-                flexibleSpending: (this.cachedFinanceData.flexibleSpending && typeof this.cachedFinanceData.flexibleSpending === 'object') ? this.cachedFinanceData.flexibleSpending : { food: 0, travel: 0, shopping: 0, miscellaneous: 0 }
+                flexibleSpending: (this.cachedFinanceData.flexibleSpending && typeof this.cachedFinanceData.flexibleSpending === 'object') ? this.cachedFinanceData.flexibleSpending : {}
             };
             var runRehydrate = function() {
                 if (typeof window.rehydrateInputsFromFinanceData === 'function') {
@@ -670,9 +923,7 @@ var AuthManager = {
         }
 
         try {
-            const financeRef = window.firebaseDb
-                .collection("users")
-                .doc(this.currentUser.uid)
+            const financeRef = this.workspaceRef()
                 .collection("data")
                 .doc("finance");
             
@@ -694,7 +945,7 @@ var AuthManager = {
             }
 
             if (window.DataManager && typeof DataManager._getUserKeys === 'function') {
-                const userKeys = DataManager._getUserKeys(this.currentUser.uid);
+                const userKeys = DataManager._getUserKeys(scope);
                 
                 if (financeDoc.exists) {
                     const data = financeDoc.data();
@@ -702,9 +953,19 @@ var AuthManager = {
                     // Cache data in memory for performance
                     this.cachedFinanceData = {
                         userId: this.currentUser.uid,
+                        scope,
                         income: data.income || [],
                         fixedExpenses: data.fixedExpenses || [],
-                        flexibleSpending: data.flexibleSpending || { food: 0, travel: 0, shopping: 0, miscellaneous: 0 }
+                        flexibleSpending: data.flexibleSpending || {},
+                        transactions: Array.isArray(data.transactions) ? data.transactions : null,
+                        categories: Array.isArray(data.categories) ? data.categories : null,
+                        settings: (data.settings && typeof data.settings === 'object') ? data.settings : null,
+                        exchangeRates: Array.isArray(data.exchangeRates) ? data.exchangeRates : null,
+                        accounts: Array.isArray(data.accounts) ? data.accounts : null,
+                        assets: Array.isArray(data.assets) ? data.assets : null,
+                        investments: Array.isArray(data.investments) ? data.investments : null,
+                        splits: Array.isArray(data.splits) ? data.splits : null,
+                        schemaVersion: Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0
                     };
                     
                     // Sync Firestore data to localStorage (Firestore is source of truth)
@@ -723,13 +984,43 @@ var AuthManager = {
                     if (data.flexibleSpending && typeof data.flexibleSpending === 'object') {
                         localStorage.setItem(userKeys.FLEXIBLE, JSON.stringify(data.flexibleSpending));
                     } else {
-                        localStorage.setItem(userKeys.FLEXIBLE, JSON.stringify({ food: 0, travel: 0, shopping: 0, miscellaneous: 0 }));
+                        localStorage.setItem(userKeys.FLEXIBLE, JSON.stringify({}));
+                    }
+
+                    // Documents written before the ledger existed have no transactions;
+                    // keep the local ledger so DataManager can migrate the snapshots.
+                    if (Array.isArray(data.transactions)) {
+                        localStorage.setItem(userKeys.TRANSACTIONS, JSON.stringify(data.transactions));
+                    }
+                    // Same for categories: without a registry DataManager seeds one from the old keys
+                    if (Array.isArray(data.categories)) {
+                        localStorage.setItem(userKeys.CATEGORIES, JSON.stringify(data.categories));
+                    }
+                    if (data.settings && typeof data.settings === 'object') {
+                        localStorage.setItem(userKeys.SETTINGS, JSON.stringify(data.settings));
+                    }
+                    if (Array.isArray(data.exchangeRates)) {
+                        localStorage.setItem(userKeys.RATES, JSON.stringify(data.exchangeRates));
+                    }
+                    if (Array.isArray(data.accounts)) {
+                        localStorage.setItem(userKeys.ACCOUNTS, JSON.stringify(data.accounts));
+                    }
+                    if (Array.isArray(data.assets)) {
+                        localStorage.setItem(userKeys.ASSETS, JSON.stringify(data.assets));
+                    }
+                    if (Array.isArray(data.investments)) {
+                        localStorage.setItem(userKeys.INVESTMENTS, JSON.stringify(data.investments));
+                    }
+                    if (Array.isArray(data.splits)) {
+                        localStorage.setItem(userKeys.SPLITS, JSON.stringify(data.splits));
                     }
+                    // The cloud copy may be older than this client; DataManager migrates from its version
+                    this.writeSchemaVersion(userKeys, this.cachedFinanceData.schemaVersion);
                     // Rehydrate input fields after snapshot data is confirmed (defer so DOM/script are ready)
                     var payload = {
                         income: Array.isArray(data.income) ? data.income : [],
                         fixedExpenses: Array.isArray(data.fixedExpenses) ? data.fixedExpenses : [],
-                        flexibleSpending: (data.flexibleSpending && typeof data.flexibleSpending === 'object') ? data.flexibleSpending : { food: 0, travel: 0, shopping: 0, miscellaneous: 0 }
+                        flexibleSpending: (data.flexibleSpending && typeof data.flexibleSpending === 'object') ? data.flexibleSpending : {}
                     };
                     var runRehydrate = function() {
                         if (typeof window.rehydrateInputsFromFinanceData === 'function') {
@@ -746,12 +1037,15 @@ var AuthManager = {
                     const defaultFinanceData = {
                         income: [],
                         fixedExpenses: [],
-                        flexibleSpending: {
-                            food: 0,
-                            travel: 0,
-                            shopping: 0,
-                            miscellaneous: 0
-                        },
+                        flexibleSpending: {},
+                        transactions: [],
+                        categories: [],
+                        settings: { baseCurrency: 'INR' },
+                        exchangeRates: [],
+                        accounts: [],
+                        assets: [],
+                        investments: [],
+                        splits: [],
                         savings: 0,
                         goals: [],
                         createdAt: firebase.firestore.FieldValue.serverTimestamp(),
@@ -772,85 +1066,117 @@ var AuthManager = {
                     // Cache default data
                     this.cachedFinanceData = {
                         userId: this.currentUser.uid,
+                        scope,
                         income: [],
                         fixedExpenses: [],
-                        flexibleSpending: { food: 0, travel: 0, shopping: 0, miscellaneous: 0 }
+                        flexibleSpending: {},
+                        transactions: [],
+                        categories: [],
+                        settings: { baseCurrency: 'INR' },
+                        exchangeRates: [],
+                        accounts: [],
+                        assets: [],
+                        investments: [],
+                        splits: []
                     };
                     
                     // Initialize localStorage with default values
                     localStorage.setItem(userKeys.INCOME, JSON.stringify([]));
                     localStorage.setItem(userKeys.EXPENSES, JSON.stringify([]));
-                    localStorage.setItem(userKeys.FLEXIBLE, JSON.stringify({ food: 0, travel: 0, shopping: 0, miscellaneous: 0 }));
+                    localStorage.setItem(userKeys.FLEXIBLE, JSON.stringify({}));
+                    localStorage.setItem(userKeys.TRANSACTIONS, JSON.stringify([]));
+                    localStorage.setItem(userKeys.CATEGORIES, JSON.stringify([]));
+                    localStorage.setItem(userKeys.SETTINGS, JSON.stringify({ baseCurrency: 'INR' }));
+                    localStorage.setItem(userKeys.RATES, JSON.stringify([]));
+                    localStorage.setItem(userKeys.ACCOUNTS, JSON.stringify([]));
+                    localStorage.setItem(userKeys.ASSETS, JSON.stringify([]));
+                    localStorage.setItem(userKeys.INVESTMENTS, JSON.stringify([]));
+                    localStorage.setItem(userKeys.SPLITS, JSON.stringify([]));
+                    // Fresh data still runs every migration step (seeds categories etc.)
+                    localStorage.removeItem(userKeys.META);
                 }
             }
         } catch (e) {
             // Silent handling - all errors handled gracefully
             // Initialize with defaults if Firestore fails
             if (window.DataManager && typeof DataManager._getUserKeys === 'function') {
-                const userKeys = DataManager._getUserKeys(this.currentUser.uid);
+                const userKeys = DataManager._getUserKeys(scope);
                 localStorage.setItem(userKeys.INCOME, JSON.stringify([]));
                 localStorage.setItem(userKeys.EXPENSES, JSON.stringify([]));
-                localStorage.setItem(userKeys.FLEXIBLE, JSON.stringify({ food: 0, travel: 0, shopping: 0, miscellaneous: 0 }));
+                localStorage.setItem(userKeys.FLEXIBLE, JSON.stringify({}));
                 this.cachedFinanceData = {
                     userId: this.currentUser.uid,
+                    scope,
                     income: [],
                     fixedExpenses: [],
-                    flexibleSpending: { food: 0, travel: 0, shopping: 0, miscellaneous: 0 }
+                    flexibleSpending: {}
                 };
             }
         }
     },
 
     async loadHistoryFromFirestore() {
-        if (!this.currentUser || !this.currentUser.uid || !this.isFirebaseReady()) return [];
+        if (!this.currentUser || !this.currentUser.uid || this.isGuest() || !this.isFirebaseReady()) return [];
         
         // CRITICAL: Abort immediately if file:// protocol
         if (window.location.protocol === 'file:') {
             return [];
         }
 
+        // A workspace switch while pages load makes this copy stale
+        const scope = window.DataManager && typeof DataManager._storageScope === 'function'
+            ? DataManager._storageScope()
+            : this.currentUser.uid;
+
         try {
-            // Use timeout protection for history load
-            const historyQuery = window.firebaseDb
-                .collection("users")
-                .doc(this.currentUser.uid)
+            // Page through the whole collection; local storage no longer caps history
+            const PAGE_SIZE = 300;
+            const baseQuery = this.workspaceRef()
                 .collection("history")
-                .orderBy("createdAt", "desc")
-                .limit(300);
-            
-            let snap;
-            try {
-                snap = await Promise.race([
-                    historyQuery.get({ source: 'server' }),
-                    new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 8000))
-                ]);
-            } catch (timeoutError) {
-                // Try cache if server times out
+                .orderBy("createdAt", "desc");
+
+            const history = [];
+            let lastDoc = null;
+            let source = 'server';
+            while (true) {
+                const pageQuery = (lastDoc ? baseQuery.startAfter(lastDoc) : baseQuery).limit(PAGE_SIZE);
+                let snap;
                 try {
-                    snap = await historyQuery.get({ source: 'cache' });
-                } catch (cacheError) {
-                    // Return empty array if both fail
-                    return [];
+                    // Use timeout protection for each page
+                    snap = await Promise.race([
+                        pageQuery.get({ source }),
+                        new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 8000))
+                    ]);
+                } catch (timeoutError) {
+                    if (source === 'cache') return [];
+                    // Try cache if server times out
+                    try {
+                        source = 'cache';
+                        snap = await pageQuery.get({ source });
+                    } catch (cacheError) {
+                        // Return empty array if both fail
+                        return [];
+                    }
                 }
+                snap.forEach(d => history.push({ ...d.data(), id: d.id }));
+                if (snap.size < PAGE_SIZE) break;
+                lastDoc = snap.docs[snap.docs.length - 1];
             }
-
-            const history = [];
-            snap.forEach(d => history.push({ ...d.data(), id: d.id }));
             
             // Cache history in memory for performance
             this.cachedHistoryData = {
                 userId: this.currentUser.uid,
+                scope,
                 history: history
             };
             
-            // Use user-specific key
-            if (window.DataManager && typeof DataManager._getUserKeys === 'function') {
-                const userKeys = DataManager._getUserKeys(this.currentUser.uid);
-                localStorage.setItem(userKeys.HISTORY, JSON.stringify(history));
-                
-                // Update DataManager in-memory state
-                if (window.DataManager) {
-                    window.DataManager.HISTORY = history;
+            // DataManager merges it by id into its history adapter (IndexedDB or localStorage);
+            // entries that never reached Firestore are uploaded now
+            if (window.DataManager && typeof DataManager.mergeHistory === 'function' &&
+                DataManager._storageScope() === scope) {
+                const localOnly = await DataManager.mergeHistory(history);
+                if (DataManager._storageScope() === scope && DataManager.canEdit()) {
+                    await Promise.all(localOnly.map(entry => this.saveHistoryEntry(entry)));
                 }
             }
             
@@ -861,6 +1187,185 @@ var AuthManager = {
         }
     },
 
+    // ===============================
+    // HOUSEHOLDS
+    // ===============================
+
+    // Document that holds the open workspace's finance data and history:
+    // users/{uid}, or households/{id} while DataManager has a household open
+    workspaceRef() {
+        const context = window.DataManager && typeof DataManager.getContext === 'function' ? DataManager.getContext() : null;
+        if (context && context.type === 'household') {
+            return window.firebaseDb.collection("households").doc(context.householdId);
+        }
+        return window.firebaseDb.collection("users").doc(this.currentUser.uid);
+    },
+
+    // Household actions need Firestore; guests and offline sessions get a readable error
+    requireCloud() {
+        if (!this.currentUser || !this.currentUser.uid || this.isGuest() || !this.isFirebaseReady()) {
+            throw new Error('Shared households need a signed-in account and a connection.');
+        }
+    },
+
+    // How the signed-in user appears in a household's member list
+    memberRecord(role) {
+        return {
+            role,
+            email: String(this.currentUser.email || '').toLowerCase(),
+            name: this.currentUser.displayName || this.currentUser.email || 'Member',
+            joinedAt: new Date().toISOString()
+        };
+    },
+
+    // Invitations are keyed <householdId>_<email> so the security rules can look them up
+    invitationRef(householdId, email) {
+        return window.firebaseDb.collection("invitations").doc(`${householdId}_${email}`);
+    },
+
+    // Raw household documents the user belongs to: [{ id, name, ownerId, memberIds, members }]
+    async loadHouseholds() {
+        if (!this.currentUser || !this.currentUser.uid || this.isGuest() || !this.isFirebaseReady()) return [];
+        const snap = await window.firebaseDb
+            .collection("households")
+            .where("memberIds", "array-contains", this.currentUser.uid)
+            .get();
+        const households = [];
+        snap.forEach(d => households.push({ ...d.data(), id: d.id }));
+        return households;
+    },
+
+    async createHousehold(name) {
+        this.requireCloud();
+        const uid = this.currentUser.uid;
+        const ref = await window.firebaseDb.collection("households").add({
+            name,
+            ownerId: uid,
+            memberIds: [uid],
+            members: { [uid]: this.memberRecord('owner') },
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        return { id: ref.id };
+    },
+
+    async inviteToHousehold(household, email, role) {
+        this.requireCloud();
+        await this.invitationRef(household.id, email).set({
+            householdId: household.id,
+            householdName: household.name,
+            email,
+            role,
+            invitedBy: this.currentUser.uid,
+            invitedByName: this.currentUser.displayName || this.currentUser.email || '',
+            status: 'pending',
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+    },
+
+    // Pending invitations addressed to the signed-in user's email
+    async loadInvitations() {
+        if (!this.currentUser || !this.currentUser.email || this.isGuest() || !this.isFirebaseReady()) return [];
+        // The rules only show invitations to a verified address
+        if (!(await this.hasVerifiedEmail())) return [];
+        const snap = await window.firebaseDb
+            .collection("invitations")
+            .where("email", "==", String(this.currentUser.email).toLowerCase())
+            .where("status", "==", "pending")
+            .get();
+        const invitations = [];
+        snap.forEach(d => {
+            const data = d.data();
+            invitations.push({
+                id: d.id,
+                householdId: data.householdId,
+                householdName: data.householdName || 'Household',
+                email: data.email,
+                role: data.role,
+                invitedByName: data.invitedByName || ''
+            });
+        });
+        return invitations;
+    },
+
+    // Pending invitations the owner sent for one household: [{ email, role }]
+    async loadSentInvitations(householdId) {
+        this.requireCloud();
+        const snap = await window.firebaseDb
+            .collection("invitations")
+            .where("invitedBy", "==", this.currentUser.uid)
+            .where("householdId", "==", householdId)
+            .where("status", "==", "pending")
+            .get();
+        const invitations = [];
+        snap.forEach(d => invitations.push({ email: d.data().email, role: d.data().role }));
+        return invitations;
+    },
+
+    async cancelInvitation(householdId, email) {
+        this.requireCloud();
+        await this.invitationRef(householdId, email).delete();
+    },
+
+    // One batch, so the invitee is never a member with the invitation still
+    // pending (or the reverse). The rules check the invitation as it was before the batch.
+    async respondToInvitation(invitation, accept) {
+        this.requireCloud();
+        const uid = this.currentUser.uid;
+        const batch = window.firebaseDb.batch();
+        if (accept) {
+            batch.update(window.firebaseDb.collection("households").doc(invitation.householdId), {
+                [`members.${uid}`]: this.memberRecord(invitation.role),
+                memberIds: firebase.firestore.FieldValue.arrayUnion(uid)
+            });
+        }
+        batch.update(this.invitationRef(invitation.householdId, invitation.email), {
+            status: accept ? 'accepted' : 'declined',
+            respondedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        await batch.commit();
+    },
+
+    // A verification link clicked since sign-in only counts once the user and
+    // the ID token (where the rules read email_verified) are refreshed
+    async hasVerifiedEmail() {
+        if (!this.currentUser) return false;
+        if (!this.currentUser.emailVerified && typeof this.currentUser.reload === 'function') {
+            try {
+                await this.currentUser.reload();
+                if (this.currentUser.emailVerified) await this.currentUser.getIdToken(true);
+            } catch (e) {
+                // Offline: try again on the next refresh
+            }
+        }
+        return !!this.currentUser.emailVerified;
+    },
+
+    async sendVerificationEmail() {
+        this.requireCloud();
+        await this.currentUser.sendEmailVerification();
+    },
+
+    // Change a member's role, or remove them when role is null
+    async updateHouseholdMember(householdId, uid, role) {
+        this.requireCloud();
+        const ref = window.firebaseDb.collection("households").doc(householdId);
+        if (role) {
+            await ref.update({ [`members.${uid}.role`]: role });
+            return;
+        }
+        await ref.update({
+            [`members.${uid}`]: firebase.firestore.FieldValue.delete(),
+            memberIds: firebase.firestore.FieldValue.arrayRemove(uid)
+        });
+    },
+
+    // Reload finance data and history after DataManager switched workspace
+    async loadWorkspaceData() {
+        if (!this.currentUser || !this.currentUser.uid || this.isGuest() || !this.isFirebaseReady()) return;
+        await this.loadFinanceDataFromFirestore();
+        this.loadHistoryFromFirestore().catch(() => {});
+    },
+
     initLocalMode() {
         const savedUser = localStorage.getItem("local_user");
         if (savedUser) {
@@ -880,6 +1385,7 @@ var AuthManager = {
                     console.error('Failed to remove localStorage key:', k, e);
                 }
             });
+            DataManager.destroyHistoryStore(userId);
         }
     },
 
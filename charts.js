@@ -7,6 +7,7 @@ const ChartManager = {
         incomeExpense: null,
         expensePie: null,
         savingsLine: null,
+        netWorthLine: null,
         savingsBar: null
     },
 
@@ -19,6 +20,12 @@ const ChartManager = {
         pointColor: '#00d4ff'
     },
 
+    // '#rrggbb' -> 'rgba(r, g, b, a)' for category colors
+    hexToRgba(hex, alpha) {
+        const value = parseInt(String(hex).slice(1), 16);
+        return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+    },
+
     // Check if Chart.js is available
     isChartJsAvailable() {
         return typeof Chart !== 'undefined' && typeof Chart === 'function';
@@ -37,6 +44,7 @@ const ChartManager = {
             this.initIncomeExpenseChart();
             this.initExpensePieChart();
             this.initSavingsLineChart();
+            this.initNetWorthLineChart();
             this.initSavingsBarChart();
             this.setupResizeHandlers();
         } catch (e) {
@@ -76,6 +84,7 @@ const ChartManager = {
             this.updateIncomeExpenseChart();
             this.updateExpensePieChart();
             this.updateSavingsLineChart();
+            this.updateNetWorthLineChart();
             this.updateSavingsBarChart();
         } catch (e) {
             if (typeof console !== 'undefined' && console.warn) {
@@ -148,14 +157,14 @@ const ChartManager = {
                             label: function(context) {
                                 const value = context.parsed && context.parsed.y != null ? context.parsed.y : 0;
                                 const sign = context.dataset && context.dataset.label === 'Expenses' ? '−' : '+';
-                                return `${(context.dataset && context.dataset.label) || ''}: ${sign}₹${Math.abs(Number(value)).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+                                return `${(context.dataset && context.dataset.label) || ''}: ${sign}${formatCurrency(Math.abs(Number(value)))}`;
                             },
                             footer: function(tooltipItems) {
                                 if (tooltipItems && tooltipItems.length === 2) {
                                     const income = (tooltipItems[0].parsed && tooltipItems[0].parsed.y != null) ? tooltipItems[0].parsed.y : 0;
                                     const expenses = (tooltipItems[1].parsed && tooltipItems[1].parsed.y != null) ? tooltipItems[1].parsed.y : 0;
                                     const net = income - expenses;
-                                    return `Net: ${net >= 0 ? '+' : ''}₹${Number(net).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+                                    return `Net: ${net >= 0 ? '+' : ''}${formatCurrency(Number(net))}`;
                                 }
                                 return '';
                             }
@@ -185,7 +194,7 @@ const ChartManager = {
                                 size: 11
                             },
                             callback: function(value) {
-                                return '₹' + value.toLocaleString('en-IN');
+                                return formatCurrency(value, null, { decimals: 0 });
                             }
                         },
                         grid: {
@@ -210,50 +219,19 @@ const ChartManager = {
     updateIncomeExpenseChart() {
         if (!this.charts.incomeExpense || !window.DataManager) return;
         try {
-            const rawHistory = DataManager.getHistory ? DataManager.getHistory() : [];
-            const history = Array.isArray(rawHistory) ? rawHistory : [];
-        const incomeHistory = [];
-        const expenseHistory = [];
-        const labels = [];
-
-        // Group by month from history
-        const monthlyData = {};
-        history.forEach(entry => {
-            if (!entry.timestamp) return;
-            const date = new Date(entry.timestamp);
-            const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-            
-            if (!monthlyData[monthKey]) {
-                monthlyData[monthKey] = { income: 0, expenses: 0 };
-            }
-
-            const type = entry.type || '';
-            if (type.includes('income')) {
-                monthlyData[monthKey].income += entry.amount || 0;
-            } else if (type.includes('expense')) {
-                monthlyData[monthKey].expenses += entry.amount || 0;
-            }
-        });
-
-        // Get current month data
-        const now = new Date();
-        const currentMonthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-        if (!monthlyData[currentMonthKey]) {
-            monthlyData[currentMonthKey] = { income: 0, expenses: 0 };
-        }
-            monthlyData[currentMonthKey].income = DataManager.getTotalIncome ? DataManager.getTotalIncome() : 0;
-            monthlyData[currentMonthKey].expenses = (DataManager.getTotalFixedExpenses ? DataManager.getTotalFixedExpenses() : 0) + (DataManager.getTotalFlexibleSpending ? DataManager.getTotalFlexibleSpending() : 0);
-
-        // Sort by month and get last 6 months
-        const sortedMonths = Object.keys(monthlyData).sort().slice(-6);
-        
-        sortedMonths.forEach(monthKey => {
-            const [year, month] = monthKey.split('-');
-            const date = new Date(year, parseInt(month) - 1);
-            labels.push(date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' }));
-            incomeHistory.push(monthlyData[monthKey].income);
-            expenseHistory.push(monthlyData[monthKey].expenses);
-        });
+            // Last 6 months ending at the selected month, straight from the ledger
+            const totals = DataManager.getMonthlyTotals ? DataManager.getMonthlyTotals(6) : [];
+            const labels = [];
+            const incomeHistory = [];
+            const expenseHistory = [];
+
+            totals.forEach(month => {
+                const [year, monthNum] = month.month.split('-');
+                const date = new Date(year, parseInt(monthNum) - 1);
+                labels.push(date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' }));
+                incomeHistory.push(month.income);
+                expenseHistory.push(month.expenses);
+            });
 
             this.charts.incomeExpense.data.labels = labels.length > 0 ? labels : ['Current Month'];
             this.charts.incomeExpense.data.datasets[0].data = incomeHistory.length > 0 ? incomeHistory : [0];
@@ -343,7 +321,14 @@ const ChartManager = {
                                 const dataArr = context.dataset && context.dataset.data;
                                 const total = Array.isArray(dataArr) ? dataArr.reduce((a, b) => a + (Number(b) || 0), 0) : 0;
                                 const percentage = total > 0 ? ((Number(value) / total) * 100).toFixed(1) : 0;
-                                return `${label}: ₹${Number(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (${percentage}%)`;
+                                const line = `${label}: ${formatCurrency(Number(value))} (${percentage}%)`;
+                                // Flexible categories also show progress against their budget
+                                const budget = context.dataset && Array.isArray(context.dataset.budgets) ? context.dataset.budgets[context.dataIndex] : 0;
+                                if (!(budget > 0)) return line;
+                                const used = (Number(value) / budget) * 100;
+                                return [line, Number(value) > budget
+                                    ? `Over budget by ${formatCurrency(Number(value) - budget)} (${used.toFixed(0)}% of ${formatCurrency(budget)})`
+                                    : `${used.toFixed(0)}% of ${formatCurrency(budget)} budget, ${formatCurrency(budget - Number(value))} left`];
                             }
                         }
                     }
@@ -360,38 +345,23 @@ const ChartManager = {
     updateExpensePieChart() {
         if (!this.charts.expensePie || !window.DataManager) return;
         try {
-            const rawFixed = DataManager.getFixedExpenses ? DataManager.getFixedExpenses() : [];
-            const fixedExpenses = Array.isArray(rawFixed) ? rawFixed : [];
-            const rawFlex = DataManager.getFlexibleSpending ? DataManager.getFlexibleSpending() : null;
-            const flexibleSpending = (rawFlex && typeof rawFlex === 'object') ? rawFlex : { food: 0, travel: 0, shopping: 0, miscellaneous: 0 };
-        const categories = [];
-        const amounts = [];
-
-        // Fixed expenses
-        fixedExpenses.forEach(expense => {
-            if (expense && (expense.name != null || expense.amount != null)) {
-                categories.push(expense.name || '');
-                amounts.push(Number(expense.amount) || 0);
-            }
-        });
-
-        // Flexible spending categories
-        if (flexibleSpending.food > 0) {
-            categories.push('Food & Dining');
-            amounts.push(flexibleSpending.food);
-        }
-        if (flexibleSpending.travel > 0) {
-            categories.push('Travel & Transport');
-            amounts.push(flexibleSpending.travel);
-        }
-        if (flexibleSpending.shopping > 0) {
-            categories.push('Shopping');
-            amounts.push(flexibleSpending.shopping);
-        }
-        if (flexibleSpending.miscellaneous > 0) {
-            categories.push('Miscellaneous');
-            amounts.push(flexibleSpending.miscellaneous);
-        }
+            // Selected month's expense rows: fixed by payee, flexible by category
+            const rawBreakdown = DataManager.getSpendingBreakdown ? DataManager.getSpendingBreakdown() : [];
+            const breakdown = Array.isArray(rawBreakdown) ? rawBreakdown : [];
+            const categoryBudgets = DataManager.getCategoryBudgets ? DataManager.getCategoryBudgets() : {};
+            const categories = [];
+            const amounts = [];
+            const categoryColors = [];
+            const budgets = [];
+
+            breakdown.forEach(group => {
+                if (group && group.amount > 0) {
+                    categories.push(group.label || '');
+                    amounts.push(Number(group.amount) || 0);
+                    categoryColors.push(group.color || null);
+                    budgets.push(categoryBudgets[group.category] || 0);
+                }
+            });
 
             // Color mapping to avoid clashes - assign colors based on category name
             const colorMap = {
@@ -424,14 +394,14 @@ const ChartManager = {
                 '#ffc107'  // Yellow/amber border for Miscellaneous
             ];
             
-            // Assign colors dynamically - use different color for Miscellaneous
+            // User categories carry their own color; fixed expenses cycle the palette
             const backgroundColor = [];
             const borderColor = [];
             
             categories.forEach((cat, index) => {
-                if (cat.toLowerCase() === 'miscellaneous') {
-                    backgroundColor.push('rgba(255, 193, 7, 0.8)');
-                    borderColor.push('#ffc107');
+                if (categoryColors[index]) {
+                    backgroundColor.push(this.hexToRgba(categoryColors[index], 0.8));
+                    borderColor.push(categoryColors[index]);
                 } else if (cat.toLowerCase().includes('rent')) {
                     backgroundColor.push('rgba(0, 212, 255, 0.8)');
                     borderColor.push('#00d4ff');
@@ -443,6 +413,7 @@ const ChartManager = {
 
             this.charts.expensePie.data.labels = categories.length > 0 ? categories : ['No Expenses'];
             this.charts.expensePie.data.datasets[0].data = amounts.length > 0 ? amounts : [1];
+            this.charts.expensePie.data.datasets[0].budgets = budgets;
             this.charts.expensePie.data.datasets[0].backgroundColor = backgroundColor.length > 0 ? backgroundColor : baseColors;
             this.charts.expensePie.data.datasets[0].borderColor = borderColor.length > 0 ? borderColor : baseBorderColors;
             this.charts.expensePie.update('active');
@@ -511,7 +482,7 @@ const ChartManager = {
                         callbacks: {
                             label: function(context) {
                                 const y = context.parsed && context.parsed.y != null ? context.parsed.y : 0;
-                                return `Savings: ₹${Number(y).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+                                return `Savings: ${formatCurrency(Number(y))}`;
                             }
                         }
                     }
@@ -535,7 +506,7 @@ const ChartManager = {
                                 size: 11
                             },
                             callback: function(value) {
-                                return '₹' + (Number(value) || 0).toLocaleString('en-IN');
+                                return formatCurrency(Number(value) || 0, null, { decimals: 0 });
                             }
                         },
                         grid: {
@@ -555,78 +526,15 @@ const ChartManager = {
     updateSavingsLineChart() {
         if (!this.charts.savingsLine || !window.DataManager) return;
         try {
-            const rawHistory = DataManager.getHistory ? DataManager.getHistory() : [];
-            const history = Array.isArray(rawHistory) ? rawHistory : [];
+            const rawTransactions = DataManager.queryTransactions ? DataManager.queryTransactions(null) : [];
+            // Transfers only move money between accounts
+            const transactions = Array.isArray(rawTransactions) ? rawTransactions.filter(txn => txn.type !== 'transfer') : [];
             const now = new Date();
-            
-            // Find first activity date (user sign-in date) from history
-            let firstActivityDate = null;
-            if (history.length > 0) {
-                const dates = history
-                    .map(item => {
-                        if (!item.timestamp) return null;
-                        const d = new Date(item.timestamp);
-                        return isNaN(d.getTime()) ? null : d;
-                    })
-                    .filter(d => d !== null)
-                    .sort((a, b) => a - b);
-                
-                if (dates.length > 0) {
-                    firstActivityDate = dates[0];
-                }
-            }
-            
-            // If no history, use current date as start
-            if (!firstActivityDate) {
-                firstActivityDate = new Date(now);
-                firstActivityDate.setDate(firstActivityDate.getDate() - 7); // Default to 7 days ago
-            }
-            
-            // Calculate daily savings from first activity to today
-            const dailySavingsMap = {};
-            const startDate = new Date(firstActivityDate);
-            const endDate = new Date(now);
-            const daysDiff = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-            const maxDays = Math.min(daysDiff, 90); // Limit to 90 days for performance
-            
-            // Process each day from first activity to today
-            for (let i = 0; i <= maxDays; i++) {
-                const date = new Date(startDate);
-                date.setDate(date.getDate() + i);
-                const dateKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
-                
-                // Calculate savings for this day from history
-                let dayIncome = 0;
-                let dayExpenses = 0;
-                
-                history.forEach(item => {
-                    if (!item.timestamp) return;
-                    const itemDate = new Date(item.timestamp);
-                    if (isNaN(itemDate.getTime())) return;
-                    
-                    const itemDateKey = `${itemDate.getFullYear()}-${String(itemDate.getMonth() + 1).padStart(2, '0')}-${String(itemDate.getDate()).padStart(2, '0')}`;
-                    
-                    if (itemDateKey === dateKey) {
-                        if (item.type === 'income' || (item.type && item.type.includes('income'))) {
-                            dayIncome += parseFloat(item.amount) || 0;
-                        } else if (item.type === 'expense' || (item.type && item.type.includes('expense'))) {
-                            dayExpenses += parseFloat(item.amount) || 0;
-                        }
-                    }
-                });
-                
-                dailySavingsMap[dateKey] = dayIncome - dayExpenses;
-            }
-            
-            // If no history data, use current snapshot for today
-            if (history.length === 0 || Object.keys(dailySavingsMap).length === 0) {
-                const income = DataManager.getTotalIncome ? DataManager.getTotalIncome() : 0;
-                const fixedExpenses = DataManager.getTotalFixedExpenses ? DataManager.getTotalFixedExpenses() : 0;
-                const flexibleSpending = DataManager.getTotalFlexibleSpending ? DataManager.getTotalFlexibleSpending() : 0;
-                const currentSavings = income - fixedExpenses - flexibleSpending;
 
-                const today = new Date();
-                const todayLabel = today.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+            // If no ledger rows, use current snapshot for today
+            if (transactions.length === 0) {
+                const currentSavings = DataManager.calculateSavings ? DataManager.calculateSavings() : 0;
+                const todayLabel = now.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
 
                 this.charts.savingsLine.data.labels = [todayLabel];
                 this.charts.savingsLine.data.datasets[0].data = [currentSavings];
@@ -634,56 +542,163 @@ const ChartManager = {
                 return;
             }
 
-            // Get current total savings calculation
-            const income = DataManager.getTotalIncome ? DataManager.getTotalIncome() : 0;
-            const fixedExpenses = DataManager.getTotalFixedExpenses ? DataManager.getTotalFixedExpenses() : 0;
-            const flexibleSpending = DataManager.getTotalFlexibleSpending ? DataManager.getTotalFlexibleSpending() : 0;
-            const currentSavings = income - fixedExpenses - flexibleSpending;
+            // Net change per booked day (transactions are sorted by date)
+            const dailyNet = {};
+            transactions.forEach(txn => {
+                const sign = txn.type === 'income' ? 1 : -1;
+                dailyNet[txn.date] = (dailyNet[txn.date] || 0) + sign * DataManager._transactionBaseAmount(txn);
+            });
+
+            // Window: up to 90 days ending today (or the last booked day if later)
+            const lastBooked = transactions[transactions.length - 1].date;
+            const todayKey = DataManager._toDateKey(now);
+            const endKey = lastBooked > todayKey ? lastBooked : todayKey;
+            const endDate = new Date(endKey + 'T00:00:00');
+            const firstDate = new Date(transactions[0].date + 'T00:00:00');
+            const daysDiff = Math.ceil((endDate - firstDate) / (1000 * 60 * 60 * 24));
+            const maxDays = Math.min(daysDiff, 90); // Limit to 90 days for performance
+            const startDate = new Date(endDate);
+            startDate.setDate(startDate.getDate() - maxDays);
+            const startKey = DataManager._toDateKey(startDate);
+
+            // Carry in everything booked before the window
+            let cumulativeSavings = 0;
+            Object.keys(dailyNet).forEach(dateKey => {
+                if (dateKey < startKey) cumulativeSavings += dailyNet[dateKey];
+            });
 
-            // Build cumulative savings trend from history
-            const sortedDates = Object.keys(dailySavingsMap).sort();
             const labels = [];
             const data = [];
-            
-            if (sortedDates.length > 0) {
-                // Calculate cumulative savings starting from first date
-                let cumulativeSavings = 0;
-                
-                sortedDates.forEach(dateKey => {
-                    const [year, month, day] = dateKey.split('-');
-                    const date = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-                    labels.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
-                    
-                    // Add daily savings change to cumulative total
-                    cumulativeSavings += dailySavingsMap[dateKey];
-                    data.push(Math.max(0, cumulativeSavings));
-                });
-                
-                // Adjust last value to match current calculated savings
-                if (data.length > 0 && Math.abs(data[data.length - 1] - currentSavings) > 1) {
-                    const adjustment = currentSavings - data[data.length - 1];
-                    data[data.length - 1] = currentSavings;
-                }
+            for (let i = 0; i <= maxDays; i++) {
+                const date = new Date(startDate);
+                date.setDate(date.getDate() + i);
+                const dateKey = DataManager._toDateKey(date);
+                cumulativeSavings += dailyNet[dateKey] || 0;
+                labels.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+                data.push(cumulativeSavings);
             }
 
-            // If no data points, use current savings
-            if (data.length === 0 || labels.length === 0) {
-                const today = new Date();
-                const todayLabel = today.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-                this.charts.savingsLine.data.labels = [todayLabel];
-                this.charts.savingsLine.data.datasets[0].data = [Math.max(0, currentSavings)];
-            } else {
-                this.charts.savingsLine.data.labels = labels;
-                this.charts.savingsLine.data.datasets[0].data = data;
-            }
-            
+            this.charts.savingsLine.data.labels = labels;
+            this.charts.savingsLine.data.datasets[0].data = data;
             this.charts.savingsLine.update("active");
         } catch (e) {
             console.warn('Savings line chart update error:', e.message);
         }
     },
     
-    // Monthly Savings Comparison Bar Chart
+    // Net Worth Line Chart: month-end net worth over the last year
+    initNetWorthLineChart() {
+        if (!this.isChartJsAvailable()) return;
+        const ctx = document.getElementById('netWorthLineChart');
+        if (!ctx) return;
+
+        try {
+            this.charts.netWorthLine = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Net Worth',
+                    data: [],
+                    points: [],
+                    borderColor: '#00d4ff',
+                    backgroundColor: 'rgba(0, 212, 255, 0.1)',
+                    borderWidth: 3,
+                    fill: true,
+                    tension: 0.3,
+                    pointRadius: 4,
+                    pointHoverRadius: 6,
+                    pointBackgroundColor: '#00d4ff',
+                    pointBorderColor: '#1e2a3a',
+                    pointBorderWidth: 2
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: {
+                    duration: 1200,
+                    easing: 'easeOutCubic'
+                },
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        backgroundColor: '#1e2a3a',
+                        titleColor: '#ffffff',
+                        bodyColor: '#b8c5d1',
+                        borderColor: '#2a3441',
+                        borderWidth: 1,
+                        padding: 12,
+                        callbacks: {
+                            label: function(context) {
+                                const y = context.parsed && context.parsed.y != null ? context.parsed.y : 0;
+                                return `Net worth: ${formatCurrency(Number(y))}`;
+                            },
+                            afterLabel: function(context) {
+                                const point = (context.dataset.points || [])[context.dataIndex];
+                                if (!point) return '';
+                                return `Assets ${formatCurrency(point.assets)} · Owed ${formatCurrency(point.liabilities)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: {
+                            color: '#b8c5d1',
+                            font: {
+                                size: 11
+                            }
+                        },
+                        grid: {
+                            color: '#2a3441'
+                        }
+                    },
+                    y: {
+                        ticks: {
+                            color: '#b8c5d1',
+                            font: {
+                                size: 11
+                            },
+                            callback: function(value) {
+                                return formatCurrency(Number(value) || 0, null, { decimals: 0 });
+                            }
+                        },
+                        grid: {
+                            color: '#2a3441'
+                        }
+                    }
+                }
+            }
+        });
+        } catch (e) {
+            if (typeof console !== 'undefined' && console.warn) {
+                console.warn('Net worth chart initialization error:', e.message);
+            }
+        }
+    },
+
+    updateNetWorthLineChart() {
+        if (!this.charts.netWorthLine || !window.DataManager || typeof DataManager.getNetWorthHistory !== 'function') return;
+        try {
+            const points = DataManager.getNetWorthHistory(12);
+            const dataset = this.charts.netWorthLine.data.datasets[0];
+            this.charts.netWorthLine.data.labels = points.map(point => {
+                const [year, month] = point.month.split('-').map(Number);
+                return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+            });
+            dataset.data = points.map(point => point.netWorth);
+            dataset.points = points;
+            this.charts.netWorthLine.update('active');
+        } catch (e) {
+            console.warn('Net worth chart update error:', e.message);
+        }
+    },
+    
+    // Monthly Savings Comparison Bar Chart: what went into investments stacked
+    // under what stayed in the bank, so SIPs show up as savings
     initSavingsBarChart() {
         if (!this.isChartJsAvailable()) return;
         const ctx = document.getElementById('savingsBarChart');
@@ -695,7 +710,14 @@ const ChartManager = {
             data: {
                 labels: [],
                 datasets: [{
-                    label: 'Monthly Savings',
+                    label: 'Invested',
+                    data: [],
+                    backgroundColor: 'rgba(0, 212, 255, 0.6)',
+                    borderColor: '#00d4ff',
+                    borderWidth: 2,
+                    borderRadius: 8
+                }, {
+                    label: 'Kept',
                     data: [],
                     backgroundColor: 'rgba(46, 213, 115, 0.6)',
                     borderColor: '#2ed573',
@@ -724,13 +746,22 @@ const ChartManager = {
                         callbacks: {
                             label: function(context) {
                                 const y = context.parsed && context.parsed.y != null ? context.parsed.y : 0;
-                                return `Savings: ₹${Number(y).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+                                return `${context.dataset.label}: ${formatCurrency(Number(y))}`;
+                            },
+                            footer: function(items) {
+                                const total = items.reduce((sum, item) => sum + (item.parsed && item.parsed.y != null ? item.parsed.y : 0), 0);
+                                return `Savings: ${formatCurrency(total)}`;
                             }
                         }
                     }
                 },
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
                 scales: {
                     x: {
+                        stacked: true,
                         ticks: {
                             color: '#b8c5d1',
                             font: {
@@ -743,13 +774,14 @@ const ChartManager = {
                         }
                     },
                     y: {
+                        stacked: true,
                         ticks: {
                             color: '#b8c5d1',
                             font: {
                                 size: 11
                             },
                             callback: function(value) {
-                                return '₹' + (Number(value) || 0).toLocaleString('en-IN');
+                                return formatCurrency(Number(value) || 0, null, { decimals: 0 });
                             }
                         },
                         grid: {
@@ -769,62 +801,20 @@ const ChartManager = {
     updateSavingsBarChart() {
         if (!this.charts.savingsBar || !window.DataManager) return;
         try {
-            const rawHistory = DataManager.getHistory ? DataManager.getHistory() : [];
-            const history = Array.isArray(rawHistory) ? rawHistory : [];
             const now = new Date();
-            
-            // Calculate monthly savings from income and expenses history
-            const monthlySavings = {};
-            
-            // Process history to calculate monthly savings
-            history.forEach(item => {
-                if (!item.timestamp) return;
-                const date = new Date(item.timestamp);
-                if (isNaN(date.getTime())) return;
-                
-                const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-                
-                if (!monthlySavings[monthKey]) {
-                    monthlySavings[monthKey] = { income: 0, expenses: 0 };
-                }
-                
-                if (item.type === 'income' || (item.type && item.type.includes('income'))) {
-                    monthlySavings[monthKey].income += parseFloat(item.amount) || 0;
-                } else if (item.type === 'expense' || (item.type && item.type.includes('expense'))) {
-                    monthlySavings[monthKey].expenses += parseFloat(item.amount) || 0;
-                }
-            });
-            
-            // Add current month with current totals
-            const currentMonthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-            if (!monthlySavings[currentMonthKey]) {
-                monthlySavings[currentMonthKey] = { income: 0, expenses: 0 };
-            }
-            
-            // Use current calculated values for current month
-            const currentIncome = DataManager.getTotalIncome ? DataManager.getTotalIncome() : 0;
-            const currentFixedExpenses = DataManager.getTotalFixedExpenses ? DataManager.getTotalFixedExpenses() : 0;
-            const currentFlexibleSpending = DataManager.getTotalFlexibleSpending ? DataManager.getTotalFlexibleSpending() : 0;
-            monthlySavings[currentMonthKey].income = currentIncome;
-            monthlySavings[currentMonthKey].expenses = currentFixedExpenses + currentFlexibleSpending;
-            
-            // Calculate savings for each month
-            const monthlySavingsData = {};
-            Object.keys(monthlySavings).forEach(monthKey => {
-                monthlySavingsData[monthKey] = monthlySavings[monthKey].income - monthlySavings[monthKey].expenses;
-            });
+            const totals = DataManager.getMonthlyTotals ? DataManager.getMonthlyTotals(6) : [];
 
-            // Get last 6 months dynamically
-            const sortedMonths = Object.keys(monthlySavingsData).sort().slice(-6);
-            const labels = sortedMonths.map(monthKey => {
-                const [year, month] = monthKey.split('-');
-                const date = new Date(parseInt(year), parseInt(month) - 1);
+            const labels = totals.map(month => {
+                const [year, monthNum] = month.month.split('-');
+                const date = new Date(parseInt(year), parseInt(monthNum) - 1);
                 return date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
             });
-            const savings = sortedMonths.map(monthKey => monthlySavingsData[monthKey]);
+            const invested = totals.map(month => month.invested || 0);
+            const kept = totals.map(month => month.savings - (month.invested || 0));
 
             this.charts.savingsBar.data.labels = labels.length > 0 ? labels : [now.toLocaleDateString('en-US', { month: 'short', year: '2-digit' })];
-            this.charts.savingsBar.data.datasets[0].data = savings.length > 0 ? savings : [DataManager.calculateSavings ? DataManager.calculateSavings() : 0];
+            this.charts.savingsBar.data.datasets[0].data = invested.length > 0 ? invested : [0];
+            this.charts.savingsBar.data.datasets[1].data = kept.length > 0 ? kept : [DataManager.calculateSavings ? DataManager.calculateSavings() : 0];
             this.charts.savingsBar.update('active');
         } catch (e) {
             console.warn('Savings bar chart update error:', e.message);
@@ -895,7 +885,7 @@ const ChartManager = {
                         callbacks: {
                             label: function(context) {
                                 const y = context.parsed && context.parsed.y != null ? context.parsed.y : 0;
-                                return `Amount: ₹${Number(y).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+                                return `Amount: ${formatCurrency(Number(y))}`;
                             }
                         }
                     }
@@ -920,7 +910,7 @@ const ChartManager = {
                                 size: 11
                             },
                             callback: function(value) {
-                                return '₹' + value.toLocaleString('en-IN');
+                                return formatCurrency(value, null, { decimals: 0 });
                             }
                         },
                         grid: {
@@ -959,6 +949,7 @@ function initChartsWhenReady() {
     const hasCanvas = document.getElementById('incomeExpenseChart') || 
                       document.getElementById('expensePieChart') ||
                       document.getElementById('savingsLineChart') ||
+                      document.getElementById('netWorthLineChart') ||
                       document.getElementById('savingsBarChart');
     
     if (!hasCanvas) {
@@ -990,5 +981,14 @@ if (typeof AuthManager !== 'undefined' && AuthManager.onAuthStateChange) {
     });
 }
 
+// Redraw once per batch of data changes (entries, categories, rates, undo, month switch)
+if (window.DataManager && typeof DataManager.on === 'function') {
+    DataManager.on('change', () => {
+        if (chartsInitialized) {
+            ChartManager.updateAllCharts();
+        }
+    });
+}
+
 // ===== FINAL GLOBAL EXPORTS (CRITICAL) =====
 window.ChartManager = ChartManager;
\ No newline at end of file
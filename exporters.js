@@ -0,0 +1,305 @@
+// ============================================
+// JOURNAL EXPORT - plain-text accounting
+// Writes the ledger as ledger, hledger or beancount journals
+// ============================================
+
+(function () {
+    'use strict';
+
+    const JOURNAL_FORMATS = { ledger: 'Ledger', hledger: 'hledger', beancount: 'Beancount' };
+
+    // Top-level account names; every exported account hangs off one of these
+    const DEFAULT_ACCOUNT_NAMES = {
+        assets: 'Assets',
+        liabilities: 'Liabilities',
+        income: 'Income',
+        expenses: 'Expenses',
+        equity: 'Equity',
+        unassigned: 'Assets:Unassigned'
+    };
+
+    // Beancount's own names for its five root accounts (changed with option "name_*")
+    const BEANCOUNT_ROOTS = { assets: 'Assets', liabilities: 'Liabilities', income: 'Income', expenses: 'Expenses', equity: 'Equity' };
+
+    const POSTING_WIDTH = 48;
+
+    const JournalExporter = {
+        FORMATS: JOURNAL_FORMATS,
+        DEFAULT_ACCOUNT_NAMES: DEFAULT_ACCOUNT_NAMES,
+
+        /**
+         * Fill in missing account names and tidy the ones given.
+         * @param {Object} names - Partial { assets, liabilities, income, expenses, equity, unassigned }
+         * @returns {Object} Complete set of names
+         */
+        normalizeNames(names = {}) {
+            const result = {};
+            Object.keys(DEFAULT_ACCOUNT_NAMES).forEach(key => {
+                const value = String(names[key] || '').split(':').map(part => part.replace(/\s+/g, ' ').trim()).filter(Boolean).join(':');
+                result[key] = value || DEFAULT_ACCOUNT_NAMES[key];
+            });
+            return result;
+        },
+
+        // One account name component: ledger/hledger allow spaces but not ':', ';' or runs of spaces
+        _ledgerComponent(value) {
+            return String(value || '').replace(/:/g, '-').replace(/;/g, ',').replace(/\s+/g, ' ').trim() || 'Other';
+        },
+
+        // Beancount components start with a capital letter or digit and hold letters, digits and dashes
+        _beancountComponent(value) {
+            const words = String(value || '').normalize('NFKD').replace(/[^\w\s-]/g, ' ').split(/[\s_-]+/).filter(Boolean);
+            const component = words.map(word => word[0].toUpperCase() + word.slice(1)).join('-');
+            return component || 'Other';
+        },
+
+        _accountName(format, path) {
+            const clean = format === 'beancount' ? this._beancountComponent.bind(this) : this._ledgerComponent.bind(this);
+            return path.join(':').split(':').map(clean).join(':');
+        },
+
+        _amount(value, currency) {
+            return `${(Math.round(value * 100) / 100).toFixed(2)} ${currency}`;
+        },
+
+        _posting(account, amount) {
+            if (amount === undefined) return `    ${account}`;
+            const gap = Math.max(2, POSTING_WIDTH - account.length);
+            return `    ${account}${' '.repeat(gap)}${amount}`;
+        },
+
+        _oneLine(value) {
+            return String(value || '').replace(/\s+/g, ' ').trim();
+        },
+
+        // A ledger/hledger payee ends at ';' (a comment) and hledger splits payee|note at '|';
+        // a leading '(' reads as a transaction code and a leading '*' or '!' as a status mark
+        _ledgerPayee(value) {
+            const payee = this._oneLine(value)
+                .replace(/;/g, ',')
+                .replace(/\|/g, '/')
+                .replace(/^\(([^)]*)\)/, '[$1]')
+                .replace(/^[(*!\s]+/, '');
+            return payee || 'Other';
+        },
+
+        // ledger tags sit between colons and hledger tags end at ':' or ','
+        _ledgerTag(value) {
+            return String(value).replace(/[\s:,]+/g, '-');
+        },
+
+        /**
+         * Collect everything a journal needs from DataManager.
+         * @param {Object} dm - DataManager
+         * @returns {Object} { baseCurrency, accounts, investments, loans, transactions, categoryLabel }
+         */
+        collect(dm) {
+            return {
+                baseCurrency: dm.getBaseCurrency(),
+                accounts: dm.getAccounts({ includeArchived: true }),
+                investments: typeof dm.getInvestments === 'function' ? dm.getInvestments({ includeArchived: true }) : [],
+                loans: typeof dm.getLoans === 'function' ? dm.getLoans() : [],
+                transactions: dm.queryTransactions(null),
+                categoryLabel: category => dm.getCategoryLabel(category)
+            };
+        },
+
+        /**
+         * Turn the ledger into journal entries, independent of output syntax.
+         * Income rows credit Income:<payee>, fixed expenses debit Expenses:Fixed:<payee>,
+         * flexible spending debits Expenses:<category>; the other side is the row's
+         * account, or the unassigned account when it has none. Opening balances come
+         * from Equity, SIPs and purchases move money into Assets:Investments:<holding>, and loan
+         * prepayments pay down Liabilities:Loans:<loan>. Entries are sorted by date, then content, so repeated exports
+         * of the same data are byte-identical.
+         * @param {Object} source - Output of collect()
+         * @param {Object} names - Account names (see normalizeNames)
+         * @returns {Object[]} { date, payee, note, tags, postings: [{ path, amount, currency, price? }] }
+         */
+        buildEntries(source, names) {
+            const root = key => names[key].split(':');
+            const accountsById = {};
+            source.accounts.forEach(account => { accountsById[account.id] = account; });
+            const accountPath = id => {
+                const account = accountsById[id];
+                if (!account) return root('unassigned');
+                return root(account.type === 'credit' ? 'liabilities' : 'assets').concat(account.name);
+            };
+
+            const holdingsById = {};
+            (source.investments || []).forEach(holding => { holdingsById[holding.id] = holding; });
+            // Transfers without a receiving account that pay for a holding
+            const holdingFor = t => (!t.toAccount && (t.source === 'sip' || t.source === 'investment') ? holdingsById[t.sourceId] : null);
+            const loansByPrepayment = {};
+            (source.loans || []).forEach(item => {
+                ((item.loan && item.loan.prepayments) || []).forEach(prepayment => { loansByPrepayment[prepayment.id] = item; });
+            });
+            // Split transfers without an account on one side are money friends owe, or were paid back;
+            // a prepayment without one goes to the loan it paid down
+            const transferPath = (id, t) => {
+                if (id) return accountPath(id);
+                if (t.source === 'split' || t.source === 'settlement') return root('assets').concat('Friends');
+                if (t.source === 'prepayment' && loansByPrepayment[t.sourceId]) return root('liabilities').concat('Loans', loansByPrepayment[t.sourceId].name);
+                return accountPath(id);
+            };
+
+            const entries = [];
+            source.accounts.forEach(account => {
+                const opening = parseFloat(account.openingBalance) || 0;
+                if (!opening) return;
+                // A credit card's opening balance is what was owed
+                const amount = account.type === 'credit' ? -opening : opening;
+                entries.push({
+                    date: account.openingDate,
+                    payee: `Opening balance: ${account.name}`,
+                    note: '',
+                    tags: [],
+                    postings: [
+                        { path: accountPath(account.id), amount, currency: account.currency },
+                        { path: root('equity').concat('Opening Balances') }
+                    ]
+                });
+            });
+
+            source.transactions.forEach(t => {
+                const amount = parseFloat(t.amount) || 0;
+                if (!amount) return;
+                const payee = this._oneLine(t.payee) || source.categoryLabel(t.category);
+                let postings;
+                const holding = t.type === 'transfer' ? holdingFor(t) : null;
+                if (holding) {
+                    postings = [
+                        { path: root('assets').concat('Investments', holding.name), amount, currency: t.currency },
+                        { path: accountPath(t.account) }
+                    ];
+                } else if (t.type === 'transfer') {
+                    const received = parseFloat(t.toAmount) || amount;
+                    const toAccount = accountsById[t.toAccount];
+                    const toCurrency = toAccount ? toAccount.currency : t.currency;
+                    postings = toCurrency === t.currency
+                        ? [
+                            { path: transferPath(t.toAccount, t), amount, currency: t.currency },
+                            { path: transferPath(t.account, t), amount: -amount, currency: t.currency }
+                        ]
+                        : [
+                            { path: transferPath(t.toAccount, t), amount: received, currency: toCurrency },
+                            { path: transferPath(t.account, t), amount: -amount, currency: t.currency, price: { amount: received, currency: toCurrency } }
+                        ];
+                } else if (t.type === 'income') {
+                    postings = [
+                        { path: accountPath(t.account), amount, currency: t.currency },
+                        { path: root('income').concat(payee || 'Other') }
+                    ];
+                } else {
+                    const path = t.category === 'fixed'
+                        ? root('expenses').concat('Fixed', payee || 'Other')
+                        : root('expenses').concat(source.categoryLabel(t.category));
+                    postings = [
+                        { path, amount, currency: t.currency },
+                        { path: accountPath(t.account) }
+                    ];
+                }
+                entries.push({ date: t.date, payee, note: this._oneLine(t.note), tags: Array.isArray(t.tags) ? t.tags.slice().sort() : [], postings });
+            });
+
+            const sortKey = entry => [entry.date, entry.payee, entry.postings.map(p => `${p.path.join(':')}=${p.amount || ''}`).join('|'), entry.note].join('\u0000');
+            return entries.sort((a, b) => {
+                const left = sortKey(a);
+                const right = sortKey(b);
+                return left < right ? -1 : left > right ? 1 : 0;
+            });
+        },
+
+        /**
+         * Render a complete journal.
+         * @param {string} format - 'ledger' | 'hledger' | 'beancount'
+         * @param {Object} source - Output of collect()
+         * @param {Object} names - Account names (partial is fine)
+         * @returns {string} Journal text ending in a newline
+         */
+        build(format, source, names) {
+            if (!JOURNAL_FORMATS[format]) throw new Error(`Unknown journal format: ${format}`);
+            const accountNames = this.normalizeNames(names);
+            const entries = this.buildEntries(source, accountNames);
+            const accountName = posting => this._accountName(format, posting.path);
+
+            // First use of each account, for declarations (beancount needs the date)
+            const opened = {};
+            const currencies = new Set([source.baseCurrency]);
+            entries.forEach(entry => entry.postings.forEach(posting => {
+                const name = accountName(posting);
+                if (!opened[name] || entry.date < opened[name]) opened[name] = entry.date;
+                if (posting.currency) currencies.add(posting.currency);
+            }));
+            const declared = Object.keys(opened).sort();
+
+            const lines = [];
+            if (format === 'beancount') {
+                lines.push(`; Finance Clarity export (${JOURNAL_FORMATS[format]})`);
+                lines.push(`option "operating_currency" "${source.baseCurrency}"`);
+                Object.keys(BEANCOUNT_ROOTS).forEach(key => {
+                    const rootName = this._beancountComponent(accountNames[key].split(':')[0]);
+                    if (rootName !== BEANCOUNT_ROOTS[key]) lines.push(`option "name_${key}" "${rootName}"`);
+                });
+                lines.push('');
+                const firstDate = entries.length ? entries[0].date : null;
+                [...currencies].sort().forEach(currency => lines.push(`${firstDate || '1970-01-01'} commodity ${currency}`));
+                lines.push('');
+                declared.forEach(name => lines.push(`${opened[name]} open ${name}`));
+            } else {
+                lines.push(`; Finance Clarity export (${JOURNAL_FORMATS[format]})`);
+                lines.push(`; Base currency: ${source.baseCurrency}`);
+                lines.push('');
+                [...currencies].sort().forEach(currency => lines.push(`commodity ${currency}`));
+                lines.push('');
+                declared.forEach(name => lines.push(`account ${name}`));
+            }
+
+            entries.forEach(entry => {
+                lines.push('');
+                lines.push(...this._renderEntry(format, entry, accountName));
+            });
+            return `${lines.join('\n')}\n`;
+        },
+
+        _renderEntry(format, entry, accountName) {
+            const lines = [];
+            const amountText = posting => {
+                if (posting.amount === undefined) return undefined;
+                const base = this._amount(posting.amount, posting.currency);
+                return posting.price ? `${base} @@ ${this._amount(posting.price.amount, posting.price.currency)}` : base;
+            };
+
+            if (format === 'beancount') {
+                const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+                const tags = entry.tags.map(tag => `#${String(tag).replace(/[^\w\-/.]/g, '-')}`).join(' ');
+                lines.push(`${entry.date} * ${quote(entry.payee)} ${quote(entry.note)}${tags ? ` ${tags}` : ''}`);
+            } else {
+                lines.push(`${entry.date} * ${this._ledgerPayee(entry.payee)}`);
+                if (entry.note) lines.push(`    ; ${entry.note}`);
+                if (entry.tags.length) {
+                    // ledger tags are :a:b:, hledger tags are name: pairs
+                    const tags = entry.tags.map(tag => this._ledgerTag(tag));
+                    lines.push(format === 'ledger'
+                        ? `    ; :${tags.join(':')}:`
+                        : `    ; ${tags.map(tag => `${tag}:`).join(', ')}`);
+                }
+            }
+            entry.postings.forEach(posting => lines.push(this._posting(accountName(posting), amountText(posting))));
+            return lines;
+        },
+
+        /**
+         * Journal for the loaded DataManager data.
+         * @param {Object} dm - DataManager
+         * @param {string} format - 'ledger' | 'hledger' | 'beancount'
+         * @param {Object} names - Account names; defaults to the ones saved in settings
+         * @returns {string} Journal text
+         */
+        exportJournal(dm, format, names) {
+            return this.build(format, this.collect(dm), names || dm.getJournalAccountNames());
+        }
+    };
+
+    window.JournalExporter = JournalExporter;
+})();
@@ -1,6 +1,7 @@
 const functions = require("firebase-functions");
 const admin = require("firebase-admin");
 const nodemailer = require("nodemailer");
+const { onDocumentWritten } = require("firebase-functions/v2/firestore");
 
 try {
   admin.initializeApp();
@@ -76,3 +77,45 @@ exports.sendContactEmail = functions.https.onRequest(async (req, res) => {
   }
 });
 
+
+function sameTime(a, b) {
+  return Boolean(a && b && typeof a.isEqual === "function" && a.isEqual(b));
+}
+
+// Email the invitee when a household invitation is created, or re-sent by the
+// owner (which rewrites createdAt). Invitations live at invitations/{householdId}_{email}.
+exports.sendInvitationEmail = onDocumentWritten("invitations/{invitationId}", async (event) => {
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  const after = event.data.after.exists ? event.data.after.data() : null;
+  if (!after || after.status !== "pending" || !after.email) return;
+  // Our own emailedAt write, or an accept/decline, lands here too
+  if (before && before.status === "pending" && sameTime(before.createdAt, after.createdAt)) return;
+
+  try {
+    const cfg = functions.config && typeof functions.config === "function" ? functions.config() : {};
+    const appUrl = (cfg.app && cfg.app.url) || process.env.APP_URL || "";
+    const sender = (cfg.gmail && cfg.gmail.user) || process.env.GMAIL_USER;
+    const household = String(after.householdName || "a household");
+    const inviter = String(after.invitedByName || "Someone");
+    const role = after.role === "viewer" ? "a viewer (read only)" : "an editor";
+
+    const transporter = getMailer();
+
+    const subject = `Finance Clarity — ${inviter} invited you to ${household}`;
+    const text =
+      `${inviter} invited you to join the household "${household}" on Finance Clarity as ${role}.\n\n` +
+      `Sign in${appUrl ? ` at ${appUrl}` : ""} with ${after.email} and open the household menu to accept or decline.\n\n` +
+      `If you were not expecting this, you can ignore this email.\n`;
+
+    await transporter.sendMail({
+      from: `"Finance Clarity" <${sender}>`,
+      to: after.email,
+      subject,
+      text
+    });
+
+    await event.data.after.ref.update({ emailedAt: admin.firestore.FieldValue.serverTimestamp() });
+  } catch (e) {
+    console.error("sendInvitationEmail failed:", e);
+  }
+});
@@ -0,0 +1,546 @@
+// ============================================
+// STATEMENT IMPORT - bank statement parsing
+// Turns exported bank files into candidate ledger rows for DataManager.importTransactions
+// ============================================
+
+(function () {
+    'use strict';
+
+    // Fields a statement column can be mapped to
+    const IMPORT_FIELDS = ['date', 'description', 'debit', 'credit', 'amount', 'balance'];
+
+    // Header names banks commonly use, checked in order; the first field to claim a column keeps it
+    const HEADER_HINTS = {
+        date: /^(txn|tran|transaction|posting|value)?\s*\.?\s*date|^date/i,
+        description: /narration|description|particulars|details|remarks|payee|memo/i,
+        debit: /debit|withdrawal|paid out|^dr\.?$|dr\s*amount/i,
+        credit: /credit|deposit|paid in|^cr\.?$|cr\s*amount/i,
+        balance: /balance/i,
+        amount: /amount|value|inr|rs\.?$/i
+    };
+
+    const DELIMITERS = [',', ';', '\t', '|'];
+
+    const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12 };
+
+    const StatementImporter = {
+        FIELDS: IMPORT_FIELDS,
+
+        /**
+         * Decode raw file bytes. Honors a UTF-8/UTF-16 byte order mark, otherwise
+         * tries strict UTF-8 and falls back to Windows-1252 (what older bank portals export).
+         * @param {ArrayBuffer} buffer - File contents
+         * @returns {{text: string, encoding: string}}
+         */
+        decode(buffer) {
+            const bytes = new Uint8Array(buffer);
+            if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+                return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+            }
+            if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+                return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'utf-16le' };
+            }
+            if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+                return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'utf-16be' };
+            }
+            try {
+                return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+            } catch (e) {
+                return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+            }
+        },
+
+        /**
+         * Pick the delimiter that splits the first lines into the most columns, consistently.
+         * @param {string} text - Decoded file contents
+         * @returns {string} One of , ; tab |
+         */
+        detectDelimiter(text) {
+            const lines = String(text).split(/\r?\n/).filter(line => line.trim()).slice(0, 20);
+            let best = ',';
+            let bestScore = 0;
+            DELIMITERS.forEach(delimiter => {
+                const counts = lines.map(line => this._splitLine(line, delimiter).length - 1).filter(count => count > 0);
+                if (counts.length === 0) return;
+                // Most common column count, weighted by how many lines agree on it
+                const tally = {};
+                counts.forEach(count => { tally[count] = (tally[count] || 0) + 1; });
+                const [count, lineCount] = Object.entries(tally).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+                const score = lineCount * Number(count);
+                if (score > bestScore) {
+                    best = delimiter;
+                    bestScore = score;
+                }
+            });
+            return best;
+        },
+
+        // Quote-aware split of a single line (used for detection only)
+        _splitLine(line, delimiter) {
+            const cells = [];
+            let cell = '';
+            let quoted = false;
+            for (let i = 0; i < line.length; i++) {
+                const ch = line[i];
+                if (ch === '"') {
+                    quoted = !quoted;
+                } else if (ch === delimiter && !quoted) {
+                    cells.push(cell);
+                    cell = '';
+                } else {
+                    cell += ch;
+                }
+            }
+            cells.push(cell);
+            return cells;
+        },
+
+        /**
+         * RFC 4180 style parser: quoted fields may contain the delimiter, doubled quotes and newlines.
+         * @param {string} text - Decoded file contents
+         * @param {string} delimiter - Field separator
+         * @returns {string[][]} Rows of trimmed cells, blank rows dropped
+         */
+        parseCSV(text, delimiter) {
+            const rows = [];
+            let row = [];
+            let cell = '';
+            let quoted = false;
+            const source = String(text);
+            for (let i = 0; i < source.length; i++) {
+                const ch = source[i];
+                if (quoted) {
+                    if (ch === '"' && source[i + 1] === '"') {
+                        cell += '"';
+                        i++;
+                    } else if (ch === '"') {
+                        quoted = false;
+                    } else {
+                        cell += ch;
+                    }
+                } else if (ch === '"') {
+                    quoted = true;
+                } else if (ch === delimiter) {
+                    row.push(cell.trim());
+                    cell = '';
+                } else if (ch === '\n' || ch === '\r') {
+                    if (ch === '\r' && source[i + 1] === '\n') i++;
+                    row.push(cell.trim());
+                    rows.push(row);
+                    row = [];
+                    cell = '';
+                } else {
+                    cell += ch;
+                }
+            }
+            row.push(cell.trim());
+            rows.push(row);
+            return rows.filter(r => r.some(value => value !== ''));
+        },
+
+        /**
+         * Bank exports often start with account details before the real table.
+         * The header is the first row that names a date column and has as many
+         * cells as the rows beneath it.
+         * @param {string[][]} rows - Parsed rows
+         * @returns {number} Index of the header row
+         */
+        findHeaderRow(rows) {
+            const limit = Math.min(rows.length, 40);
+            for (let i = 0; i < limit; i++) {
+                const cells = rows[i];
+                if (cells.length < 3 || !cells.some(cell => /date/i.test(cell))) continue;
+                const next = rows[i + 1];
+                if (!next || next.length >= cells.length - 1) return i;
+            }
+            return 0;
+        },
+
+        /**
+         * Guess which column holds which field from the header names.
+         * @param {string[]} headers - Header row
+         * @returns {Object} Field name -> column index (or -1 when not found)
+         */
+        guessMapping(headers) {
+            const mapping = {};
+            const taken = new Set();
+            Object.keys(HEADER_HINTS).forEach(field => {
+                const index = headers.findIndex((header, i) => !taken.has(i) && HEADER_HINTS[field].test(String(header).trim()));
+                mapping[field] = index;
+                if (index !== -1) taken.add(index);
+            });
+            // A separate debit and credit pair makes a signed amount column redundant
+            if (mapping.debit !== -1 && mapping.credit !== -1) mapping.amount = -1;
+            return mapping;
+        },
+
+        /**
+         * Parse a statement amount: Indian (1,23,456.78) and western grouping,
+         * currency symbols, (123.45) and trailing Dr/Cr markers.
+         * @param {string} value - Cell text
+         * @returns {number|null} Signed amount, or null when the cell is blank or unreadable
+         */
+        parseAmount(value) {
+            let text = String(value == null ? '' : value).trim();
+            if (!text || text === '-') return null;
+            let sign = 1;
+            if (/^\(.*\)$/.test(text)) {
+                sign = -1;
+                text = text.slice(1, -1);
+            }
+            const marker = text.match(/\s*(dr|cr)\.?$/i);
+            if (marker) {
+                if (marker[1].toLowerCase() === 'dr') sign = -sign;
+                text = text.slice(0, marker.index);
+            }
+            text = text.replace(/^(rs|inr)\.?/i, '').replace(/[^\d.,\-+]/g, '');
+            if (text.startsWith('-')) {
+                sign = -sign;
+                text = text.slice(1);
+            } else if (text.startsWith('+')) {
+                text = text.slice(1);
+            }
+            if (text.endsWith('-')) {
+                sign = -sign;
+                text = text.slice(0, -1);
+            }
+            // 1.234,56 style: dots group thousands and the comma is the decimal point
+            if (/^\d{1,3}(\.\d{3})+,\d{1,2}$/.test(text) || /^\d+,\d{1,2}$/.test(text)) {
+                text = text.replace(/\./g, '').replace(',', '.');
+            } else {
+                text = text.replace(/,/g, '');
+            }
+            if (!/^\d*\.?\d+$/.test(text)) return null;
+            return sign * parseFloat(text);
+        },
+
+        /**
+         * Work out the date order from sample values. Any first part above 12 means
+         * day-first; any second part above 12 means month-first; otherwise `fallback`.
+         * @param {string[]} values - Date cells
+         * @param {string} fallback - Order when every sample is ambiguous (Indian statements are day-first)
+         * @returns {string} 'DMY' | 'MDY' | 'YMD'
+         */
+        detectDateFormat(values, fallback = 'DMY') {
+            let dayFirst = false;
+            let monthFirst = false;
+            for (const value of values) {
+                const parts = String(value || '').trim().split(/[\/\-. ]+/);
+                if (parts.length < 3) continue;
+                if (/^\d{4}$/.test(parts[0])) return 'YMD';
+                if (!/^\d+$/.test(parts[0]) || !/^\d+$/.test(parts[1])) continue;
+                if (Number(parts[0]) > 12) dayFirst = true;
+                if (Number(parts[1]) > 12) monthFirst = true;
+            }
+            if (monthFirst && !dayFirst) return 'MDY';
+            return dayFirst ? 'DMY' : fallback;
+        },
+
+        /**
+         * Parse a statement date into YYYY-MM-DD. Handles DD/MM/YYYY, DD-MM-YY,
+         * DD-Mon-YYYY, DD Mon YYYY, YYYY-MM-DD and a trailing time.
+         * @param {string} value - Cell text
+         * @param {string} format - 'DMY' | 'MDY' | 'YMD'
+         * @returns {string|null} Date key, or null when it is not a valid date
+         */
+        parseDate(value, format = 'DMY') {
+            const text = String(value || '').trim().replace(/[T\s]+\d{1,2}:\d{2}(:\d{2})?(\s*[ap]m)?$/i, '');
+            const parts = text.split(/[\/\-. ,]+/).filter(Boolean);
+            if (parts.length !== 3) return null;
+
+            let day;
+            let month;
+            let year;
+            const named = parts.findIndex(part => MONTHS[part.slice(0, 4).toLowerCase()] || MONTHS[part.slice(0, 3).toLowerCase()]);
+            if (named !== -1) {
+                month = MONTHS[parts[named].slice(0, 4).toLowerCase()] || MONTHS[parts[named].slice(0, 3).toLowerCase()];
+                const rest = parts.filter((part, i) => i !== named).map(Number);
+                [day, year] = rest[0] > 31 ? [rest[1], rest[0]] : rest;
+            } else if (/^\d{4}$/.test(parts[0]) || format === 'YMD') {
+                [year, month, day] = parts.map(Number);
+            } else if (format === 'MDY') {
+                [month, day, year] = parts.map(Number);
+            } else {
+                [day, month, year] = parts.map(Number);
+            }
+            if (year < 100) year += year < 70 ? 2000 : 1900;
+
+            const date = new Date(year, month - 1, day);
+            if (isNaN(date.getTime()) || date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+                return null;
+            }
+            return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+        },
+
+        /**
+         * Read a statement file end to end: decode, split and locate the header.
+         * @param {ArrayBuffer} buffer - File contents
+         * @returns {{encoding: string, delimiter: string, headers: string[], records: string[][], mapping: Object, dateFormat: string}}
+         */
+        readCSV(buffer) {
+            const { text, encoding } = this.decode(buffer);
+            const delimiter = this.detectDelimiter(text);
+            const rows = this.parseCSV(text, delimiter);
+            const headerIndex = this.findHeaderRow(rows);
+            const headers = rows[headerIndex] || [];
+            const records = rows.slice(headerIndex + 1).filter(row => row.length > 1);
+            const mapping = this.guessMapping(headers);
+            const dateFormat = this.detectDateFormat(records.map(row => row[mapping.date]).filter(Boolean).slice(0, 50));
+            return { encoding, delimiter, headers, records, mapping, dateFormat };
+        },
+
+        /**
+         * Apply a column mapping to raw records.
+         * Debits become expenses and credits become income. With a single signed
+         * amount column, negative values are debits unless `invertAmount` is set.
+         * @param {string[][]} records - Data rows
+         * @param {Object} mapping - Field name -> column index (-1 for unmapped)
+         * @param {Object} options - { dateFormat, invertAmount }
+         * @returns {Object[]} { line, date, description, amount, type, balance, error, raw }
+         */
+        mapRecords(records, mapping, { dateFormat = 'DMY', invertAmount = false } = {}) {
+            const cell = (row, field) => (mapping[field] >= 0 ? row[mapping[field]] : undefined);
+            return records.map((row, i) => {
+                const date = this.parseDate(cell(row, 'date'), dateFormat);
+                const debit = this.parseAmount(cell(row, 'debit'));
+                const credit = this.parseAmount(cell(row, 'credit'));
+                let signed = null;
+                if (mapping.debit >= 0 || mapping.credit >= 0) {
+                    if (debit) signed = -Math.abs(debit);
+                    else if (credit) signed = Math.abs(credit);
+                } else {
+                    signed = this.parseAmount(cell(row, 'amount'));
+                    if (signed !== null && invertAmount) signed = -signed;
+                }
+                const balance = this.parseAmount(cell(row, 'balance'));
+                const error = !date ? 'Unreadable date' : !signed ? 'No amount' : null;
+                return {
+                    line: i + 1,
+                    date,
+                    description: String(cell(row, 'description') || '').replace(/\s+/g, ' ').trim(),
+                    amount: signed === null ? 0 : Math.abs(signed),
+                    type: signed !== null && signed > 0 ? 'income' : 'expense',
+                    balance,
+                    error,
+                    raw: row
+                };
+            });
+        },
+
+        /**
+         * Flag rows whose running balance does not follow from the previous row,
+         * which usually means debit and credit are mapped the wrong way round.
+         * Works whether the statement is sorted oldest or newest first.
+         * @param {Object[]} rows - Output of mapRecords
+         * @returns {number} Count of rows that break the running balance
+         */
+        checkBalances(rows) {
+            const usable = rows.filter(row => !row.error && row.balance !== null);
+            if (usable.length < 2) return 0;
+            const delta = row => (row.type === 'income' ? row.amount : -row.amount);
+            const mismatches = direction => usable.slice(1).filter((row, i) => {
+                const prev = usable[i];
+                const expected = direction > 0 ? prev.balance + delta(row) : prev.balance - delta(prev);
+                return Math.abs(expected - row.balance) > 0.01;
+            });
+            const forward = mismatches(1);
+            const backward = mismatches(-1);
+            const broken = forward.length <= backward.length ? forward : backward;
+            broken.forEach(row => { row.balanceMismatch = true; });
+            return broken.length;
+        },
+
+        /**
+         * Tell statement formats apart by content first and file extension second.
+         * @param {string} text - Decoded file contents
+         * @param {string} fileName - Original file name
+         * @returns {string} 'ofx' | 'qif' | 'csv'
+         */
+        detectFormat(text, fileName = '') {
+            const head = String(text).slice(0, 2000);
+            if (/OFXHEADER\s*:|<\?OFX\b|<OFX>/i.test(head)) return 'ofx';
+            if (/^\s*!(Type|Account|Option)\b/im.test(head)) return 'qif';
+            const extension = String(fileName).split('.').pop().toLowerCase();
+            if (extension === 'ofx' || extension === 'qfx') return 'ofx';
+            if (extension === 'qif') return 'qif';
+            return 'csv';
+        },
+
+        /**
+         * Read any supported statement file. CSV results need a column mapping
+         * (see mapRecords); OFX/QFX and QIF results already carry ledger rows.
+         * @param {ArrayBuffer} buffer - File contents
+         * @param {string} fileName - Original file name
+         * @returns {Object} readCSV output, or { format, encoding, rows, accounts }
+         */
+        read(buffer, fileName) {
+            const { text, encoding } = this.decode(buffer);
+            const format = this.detectFormat(text, fileName);
+            if (format === 'ofx') return { format, encoding, ...this.parseOFX(text) };
+            if (format === 'qif') return { format, encoding, ...this.parseQIF(text) };
+            return { format, ...this.readCSV(buffer) };
+        },
+
+        // OFX dates are YYYYMMDD with an optional time and zone suffix
+        _parseOFXDate(value) {
+            const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+            return match ? this.parseDate(`${match[1]}-${match[2]}-${match[3]}`, 'YMD') : null;
+        },
+
+        _decodeEntities(value) {
+            return String(value || '')
+                .replace(/&lt;/gi, '<')
+                .replace(/&gt;/gi, '>')
+                .replace(/&quot;/gi, '"')
+                .replace(/&apos;/gi, "'")
+                .replace(/&nbsp;/gi, ' ')
+                .replace(/&amp;/gi, '&')
+                .trim();
+        },
+
+        /**
+         * Parse OFX 1.x (SGML, leaf tags left unclosed) and OFX 2.x (XML); QFX is OFX
+         * with Quicken extras. Aggregates are closed in both dialects, so statements
+         * and transactions are cut out by their aggregate tags and leaf values read up
+         * to the next tag or line break. FITIDs repeated inside one file are dropped.
+         * @param {string} text - Decoded file contents
+         * @returns {{rows: Object[], accounts: Object[]}} Rows carry fitId and sourceAccount
+         */
+        parseOFX(text) {
+            const source = String(text);
+            const leaf = (block, tag) => {
+                const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+                return match ? this._decodeEntities(match[1]) : '';
+            };
+            const blocks = (block, tag) => {
+                const found = [];
+                const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi');
+                let match;
+                while ((match = pattern.exec(block))) found.push(match[1]);
+                return found;
+            };
+
+            const rows = [];
+            const accounts = [];
+            const seen = new Set();
+            const statements = blocks(source, 'STMTRS').concat(blocks(source, 'CCSTMTRS'));
+            statements.forEach(statement => {
+                const accountBlock = blocks(statement, 'BANKACCTFROM')[0] || blocks(statement, 'CCACCTFROM')[0] || '';
+                const accountId = leaf(accountBlock, 'ACCTID');
+                const currency = leaf(statement, 'CURDEF').toUpperCase();
+                const ledgerBalance = blocks(statement, 'LEDGERBAL')[0];
+                accounts.push({
+                    id: accountId,
+                    type: /<CCACCTFROM>/i.test(statement) ? 'credit' : 'bank',
+                    currency,
+                    balance: ledgerBalance ? this.parseAmount(leaf(ledgerBalance, 'BALAMT')) : null
+                });
+
+                blocks(statement, 'STMTTRN').forEach(transaction => {
+                    const amount = this.parseAmount(leaf(transaction, 'TRNAMT'));
+                    const date = this._parseOFXDate(leaf(transaction, 'DTPOSTED') || leaf(transaction, 'DTUSER'));
+                    const fitId = leaf(transaction, 'FITID');
+                    const key = `${accountId}|${fitId}`;
+                    if (fitId && seen.has(key)) return;
+                    if (fitId) seen.add(key);
+
+                    const payeeBlock = blocks(transaction, 'PAYEE')[0];
+                    const name = leaf(transaction, 'NAME') || (payeeBlock ? leaf(payeeBlock, 'NAME') : '');
+                    const memo = leaf(transaction, 'MEMO');
+                    rows.push({
+                        line: rows.length + 1,
+                        date,
+                        description: [name, memo && memo !== name ? memo : ''].filter(Boolean).join(' · ') || leaf(transaction, 'TRNTYPE'),
+                        amount: amount === null ? 0 : Math.abs(amount),
+                        type: amount !== null && amount > 0 ? 'income' : 'expense',
+                        balance: null,
+                        currency,
+                        fitId,
+                        sourceAccount: accountId,
+                        error: !date ? 'Unreadable date' : !amount ? 'No amount' : null
+                    });
+                });
+            });
+            return { rows, accounts };
+        },
+
+        /**
+         * Parse QIF: records of single-letter fields ending in '^'. Only bank, cash
+         * and card sections are read; investment and list sections are skipped, as
+         * are split lines (the record total is what hit the account). The L field
+         * carries the category name, or [Account] for a transfer. Quicken writes
+         * dates month-first (D9/1'26 is 1 September), so ambiguous files read that way.
+         * @param {string} text - Decoded file contents
+         * @param {string} dateFormat - Force 'DMY' | 'MDY' | 'YMD'; detected from the file by default
+         * @returns {{rows: Object[], accounts: Object[], dateFormat: string}}
+         */
+        parseQIF(text, dateFormat) {
+            const records = [];
+            const accounts = [];
+            let section = '';
+            let accountName = '';
+            let inAccountBlock = false;
+            let record = {};
+
+            String(text).split(/\r?\n/).forEach(rawLine => {
+                const line = rawLine.replace(/^\s+/, '');
+                if (!line) return;
+                if (line[0] === '!') {
+                    const header = line.slice(1).trim().toLowerCase();
+                    if (header === 'account') {
+                        inAccountBlock = true;
+                    } else if (header.startsWith('type:')) {
+                        section = header.slice(5).trim();
+                        inAccountBlock = false;
+                    }
+                    record = {};
+                    return;
+                }
+                if (line[0] === '^') {
+                    if (inAccountBlock) {
+                        accountName = record.N || accountName;
+                        if (record.N) accounts.push({ id: record.N, type: /ccard|credit/i.test(record.T || '') ? 'credit' : 'bank' });
+                    } else if (/^(bank|cash|ccard|oth a|oth l)$/.test(section)) {
+                        records.push({ ...record, account: accountName });
+                    }
+                    record = {};
+                    return;
+                }
+                const code = line[0];
+                const value = line.slice(1).trim();
+                // Split lines (S, E, $) repeat per split; the record total is enough
+                if (code === 'S' || code === 'E' || code === '$' || code === '%') return;
+                if (code === 'M' && record.M) record.M += ` ${value}`;
+                else record[code] = value;
+            });
+
+            const dates = records.map(r => String(r.D || '').replace(/'/g, '/'));
+            const format = dateFormat || this.detectDateFormat(dates, 'MDY');
+            const seen = {};
+            const rows = records.map((r, i) => {
+                const amount = this.parseAmount(r.T || r.U);
+                const date = this.parseDate(dates[i], format);
+                const category = String(r.L || '');
+                // QIF has no transaction ids; the same record in a re-export gets the same key.
+                // The date goes in as written, so reading it in another order cannot change the key.
+                const base = [r.account, String(r.D || '').trim(), amount, r.P || '', r.N || ''].join('|');
+                seen[base] = (seen[base] || 0) + 1;
+                return {
+                    line: i + 1,
+                    date,
+                    description: this._decodeEntities(r.P || r.M || ''),
+                    amount: amount === null ? 0 : Math.abs(amount),
+                    type: amount !== null && amount > 0 ? 'income' : 'expense',
+                    balance: null,
+                    categoryName: /^\[.*\]$/.test(category) ? '' : category.split(':')[0],
+                    fitId: `qif:${base}#${seen[base]}`,
+                    sourceAccount: r.account || '',
+                    error: !date ? 'Unreadable date' : !amount ? 'No amount' : null
+                };
+            });
+            return { rows, accounts, dateFormat: format };
+        }
+    };
+
+    window.StatementImporter = StatementImporter;
+})();
@@ -0,0 +1,120 @@
+// ============================================
+// INVESTMENTS - units, returns and XIRR
+// Pure calculations behind DataManager's investment tracker
+// ============================================
+
+(function () {
+    'use strict';
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const round2 = value => Math.round(value * 100) / 100;
+    const daysBetween = (from, to) => (new Date(to + 'T00:00:00') - new Date(from + 'T00:00:00')) / DAY_MS;
+
+    const InvestmentCalculator = {
+        /**
+         * Latest price on or before a date.
+         * @param {Object[]} prices - [{ date, price }] sorted by date
+         * @param {string} date - YYYY-MM-DD
+         * @returns {Object|null} { date, price }
+         */
+        priceOn(prices, date) {
+            const known = (prices || []).filter(p => p.date <= date);
+            return known.length ? known[known.length - 1] : null;
+        },
+
+        /**
+         * Units a lot bought. Lots entered without units (SIP installments booked
+         * without their NAV) use the price recorded closest to their date, the
+         * earlier one on a tie.
+         * @param {Object} lot - { date, amount, units? }
+         * @param {Object[]} prices - [{ date, price }] sorted by date
+         * @returns {number|null} Null while no usable price exists
+         */
+        lotUnits(lot, prices) {
+            if (parseFloat(lot.units) > 0) return parseFloat(lot.units);
+            let nearest = null;
+            (prices || []).forEach(p => {
+                if (!(p.price > 0)) return;
+                if (!nearest || Math.abs(daysBetween(lot.date, p.date)) < Math.abs(daysBetween(lot.date, nearest.date))) nearest = p;
+            });
+            return nearest ? lot.amount / nearest.price : null;
+        },
+
+        /**
+         * Annualized internal rate of return for irregular cash flows
+         * (money invested is negative, the current value positive).
+         * @param {Object[]} flows - [{ date, amount }]
+         * @returns {number|null} Rate as a fraction (0.12 = 12% a year), null when undefined
+         */
+        xirr(flows) {
+            const valid = (flows || []).filter(f => f && f.date && isFinite(f.amount) && f.amount !== 0)
+                .slice()
+                .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+            if (valid.length < 2 || !valid.some(f => f.amount > 0) || !valid.some(f => f.amount < 0)) return null;
+            const first = valid[0].date;
+            const years = valid.map(f => daysBetween(first, f.date) / 365);
+            if (years[years.length - 1] <= 0) return null;
+
+            const npv = rate => valid.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + rate, years[i]), 0);
+            const slope = rate => valid.reduce((sum, f, i) => sum - years[i] * f.amount / Math.pow(1 + rate, years[i] + 1), 0);
+
+            // Newton from 10%, then bisection when it wanders off or stalls
+            let rate = 0.1;
+            for (let i = 0; i < 50; i++) {
+                const value = npv(rate);
+                const d = slope(rate);
+                if (!isFinite(value) || !isFinite(d) || d === 0) break;
+                const next = rate - value / d;
+                if (!isFinite(next) || next <= -1) break;
+                if (Math.abs(next - rate) < 1e-9) return next;
+                rate = next;
+            }
+            let low = -0.9999;
+            let high = 10;
+            if (npv(low) * npv(high) > 0) return null;
+            for (let i = 0; i < 200; i++) {
+                const mid = (low + high) / 2;
+                if (npv(low) * npv(mid) <= 0) high = mid;
+                else low = mid;
+                if (high - low < 1e-9) break;
+            }
+            return (low + high) / 2;
+        },
+
+        /**
+         * Where a holding stands on a date, in its own currency.
+         * @param {Object} holding - { lots: [{ date, amount, units? }], prices: [{ date, price }] }
+         * @param {string} asOf - YYYY-MM-DD
+         * @returns {Object} { units, invested, price, priceDate, value, gain, absoluteReturn, xirr, firstDate }
+         *   value, gain and the returns are null until the holding has a price and known units;
+         *   absoluteReturn and xirr are percentages
+         */
+        summarize(holding, asOf) {
+            const prices = holding.prices || [];
+            const lots = (holding.lots || []).filter(lot => lot.date <= asOf);
+            const invested = round2(lots.reduce((sum, lot) => sum + (parseFloat(lot.amount) || 0), 0));
+            const unitsPerLot = lots.map(lot => this.lotUnits(lot, prices));
+            const unitsKnown = unitsPerLot.every(units => units !== null);
+            const units = unitsKnown ? Math.round(unitsPerLot.reduce((sum, u) => sum + u, 0) * 10000) / 10000 : null;
+            const price = this.priceOn(prices, asOf);
+            const value = price && units !== null ? round2(units * price.price) : null;
+            const gain = value !== null ? round2(value - invested) : null;
+            const rate = value !== null && value > 0
+                ? this.xirr(lots.map(lot => ({ date: lot.date, amount: -lot.amount })).concat({ date: asOf, amount: value }))
+                : null;
+            return {
+                units,
+                invested,
+                price: price ? price.price : null,
+                priceDate: price ? price.date : null,
+                value,
+                gain,
+                absoluteReturn: gain !== null && invested > 0 ? round2((gain / invested) * 100) : null,
+                xirr: rate !== null ? round2(rate * 100) : null,
+                firstDate: lots.length ? lots.reduce((min, lot) => (lot.date < min ? lot.date : min), lots[0].date) : null
+            };
+        }
+    };
+
+    window.InvestmentCalculator = InvestmentCalculator;
+})();
@@ -0,0 +1,167 @@
+// ============================================
+// LOANS - EMI and amortization maths
+// Pure calculations behind DataManager's loan tracker
+// ============================================
+
+(function () {
+    'use strict';
+
+    const PREPAYMENT_MODES = { tenure: 'Reduce tenure', emi: 'Reduce EMI' };
+
+    // Safety stop for schedules that never amortize (EMI below the monthly interest)
+    const MAX_INSTALLMENTS = 1200;
+
+    const round2 = value => Math.round(value * 100) / 100;
+
+    const LoanCalculator = {
+        PREPAYMENT_MODES: PREPAYMENT_MODES,
+
+        /**
+         * Equated monthly installment for a reducing-balance loan.
+         * @param {number} principal - Amount borrowed
+         * @param {number} annualRate - Interest rate in percent per year
+         * @param {number} months - Tenure in months
+         * @returns {number} EMI rounded to paise
+         */
+        emi(principal, annualRate, months) {
+            const p = parseFloat(principal) || 0;
+            const n = Math.max(1, parseInt(months, 10) || 1);
+            const r = (parseFloat(annualRate) || 0) / 1200;
+            if (p <= 0) return 0;
+            if (r === 0) return round2(p / n);
+            const growth = Math.pow(1 + r, n);
+            return round2((p * r * growth) / (growth - 1));
+        },
+
+        // Installment date k months after the first one, clamped to the month's last day
+        _dateAt(startDate, k) {
+            const [year, month, day] = startDate.split('-').map(Number);
+            const target = new Date(year, month - 1 + k, 1);
+            const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+            target.setDate(Math.min(day, lastDay));
+            return `${target.getFullYear()}-${String(target.getMonth() + 1).padStart(2, '0')}-${String(target.getDate()).padStart(2, '0')}`;
+        },
+
+        /**
+         * Full amortization schedule. A prepayment is applied before the first
+         * installment dated after it; 'emi' prepayments keep the end date and
+         * lower the EMI, 'tenure' prepayments keep the EMI and end the loan sooner.
+         * @param {Object} loan - { principal, annualRate, tenureMonths, startDate (first EMI), emi?,
+         *   prepayments?: [{ date, amount, mode: 'tenure'|'emi' }] }
+         * @returns {Object[]} { number, date, opening, prepayment, interest, principal, payment, closing }
+         */
+        schedule(loan) {
+            const r = (parseFloat(loan.annualRate) || 0) / 1200;
+            const tenure = Math.max(1, parseInt(loan.tenureMonths, 10) || 1);
+            const pending = (Array.isArray(loan.prepayments) ? loan.prepayments : [])
+                .filter(p => p && parseFloat(p.amount) > 0 && p.date)
+                .slice()
+                .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+            let balance = round2(parseFloat(loan.principal) || 0);
+            let emi = parseFloat(loan.emi) > 0 ? parseFloat(loan.emi) : this.emi(balance, loan.annualRate, tenure);
+            const rows = [];
+
+            for (let k = 0; balance > 0 && k < MAX_INSTALLMENTS; k++) {
+                const date = this._dateAt(loan.startDate, k);
+                const opening = balance;
+                let prepayment = 0;
+                let reduceEmi = false;
+                while (pending.length > 0 && pending[0].date < date) {
+                    const next = pending.shift();
+                    const amount = round2(Math.min(balance, parseFloat(next.amount)));
+                    balance = round2(balance - amount);
+                    prepayment = round2(prepayment + amount);
+                    if (next.mode === 'emi') reduceEmi = true;
+                }
+                if (balance <= 0) {
+                    rows.push({ number: k + 1, date, opening, prepayment, interest: 0, principal: 0, payment: 0, closing: 0 });
+                    break;
+                }
+                if (reduceEmi) emi = this.emi(balance, loan.annualRate, Math.max(1, tenure - k));
+
+                const interest = round2(balance * r);
+                let principal = round2(emi - interest);
+                // Last installment (or one that would overshoot) clears what is left
+                if (principal >= balance || k === tenure - 1) principal = balance;
+                const closing = round2(balance - principal);
+                rows.push({ number: k + 1, date, opening, prepayment, interest, principal, payment: round2(principal + interest), closing });
+                balance = closing;
+            }
+            return rows;
+        },
+
+        /**
+         * Totals for a schedule.
+         * @param {Object[]} rows - Output of schedule()
+         * @returns {Object} { emi, months, totalInterest, totalPaid, prepaid, endDate }
+         */
+        summarize(rows) {
+            const paying = rows.filter(row => row.payment > 0);
+            return {
+                emi: paying.length ? paying[0].payment : 0,
+                months: paying.length,
+                totalInterest: round2(rows.reduce((sum, row) => sum + row.interest, 0)),
+                totalPaid: round2(rows.reduce((sum, row) => sum + row.payment + row.prepayment, 0)),
+                prepaid: round2(rows.reduce((sum, row) => sum + row.prepayment, 0)),
+                endDate: paying.length ? paying[paying.length - 1].date : null
+            };
+        },
+
+        /**
+         * EMI due on the first installment after a date.
+         * @param {Object[]} rows - Output of schedule()
+         * @param {string} date - YYYY-MM-DD
+         * @returns {number}
+         */
+        emiAfter(rows, date) {
+            const next = rows.find(row => row.date > date && row.payment > 0);
+            return next ? next.payment : 0;
+        },
+
+        /**
+         * Principal still owed on a date, after installments and prepayments made by then.
+         * @param {Object} loan - See schedule()
+         * @param {string} asOf - YYYY-MM-DD
+         * @returns {number}
+         */
+        outstanding(loan, asOf) {
+            const paid = this.schedule(loan).filter(row => row.date <= asOf);
+            const last = paid[paid.length - 1];
+            let balance = last ? last.closing : (parseFloat(loan.principal) || 0);
+            // Prepayments made since the last installment only reach the schedule on the next one
+            (Array.isArray(loan.prepayments) ? loan.prepayments : []).forEach(p => {
+                if (p.date <= asOf && (!last || p.date >= last.date)) balance -= parseFloat(p.amount) || 0;
+            });
+            return Math.max(0, round2(balance));
+        },
+
+        /**
+         * Compare a loan with and without one more prepayment.
+         * @param {Object} loan - See schedule()
+         * @param {Object} prepayment - { amount, date, mode: 'tenure'|'emi' }
+         * @returns {Object} { before, after, interestSaved, monthsSaved, emiBefore, emiAfter, schedule }
+         */
+        simulatePrepayment(loan, prepayment) {
+            const mode = prepayment.mode === 'emi' ? 'emi' : 'tenure';
+            const current = this.schedule(loan);
+            const withPrepayment = this.schedule({
+                ...loan,
+                prepayments: (Array.isArray(loan.prepayments) ? loan.prepayments : []).concat({ ...prepayment, mode })
+            });
+            const before = this.summarize(current);
+            const after = this.summarize(withPrepayment);
+            return {
+                mode,
+                before,
+                after,
+                interestSaved: round2(before.totalInterest - after.totalInterest),
+                monthsSaved: before.months - after.months,
+                emiBefore: this.emiAfter(current, prepayment.date),
+                emiAfter: this.emiAfter(withPrepayment, prepayment.date),
+                schedule: withPrepayment
+            };
+        }
+    };
+
+    window.LoanCalculator = LoanCalculator;
+})();
@@ -80,7 +80,8 @@
       }
       return container;
     }
-    function show(message, type) {
+    // options.action = { label, onClick } adds a button (e.g. Undo) and keeps the toast up longer
+    function show(message, type, options) {
       try {
         const c = ensureContainer();
         const t = document.createElement('div');
@@ -101,6 +102,25 @@
         if (type === 'success') t.style.borderColor = 'rgba(76, 175, 80, 0.55)';
         if (type === 'error') t.style.borderColor = 'rgba(255, 71, 87, 0.6)';
         t.textContent = String(message || '');
+        const action = options && options.action;
+        if (action && typeof action.onClick === 'function') {
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.textContent = String(action.label || 'Undo');
+          btn.style.marginLeft = '12px';
+          btn.style.padding = '2px 8px';
+          btn.style.border = '1px solid rgba(255,255,255,0.3)';
+          btn.style.borderRadius = '6px';
+          btn.style.background = 'transparent';
+          btn.style.color = '#00d4ff';
+          btn.style.fontWeight = '600';
+          btn.style.cursor = 'pointer';
+          btn.addEventListener('click', () => {
+            try { t.remove(); } catch (e) {}
+            action.onClick();
+          });
+          t.appendChild(btn);
+        }
         c.appendChild(t);
         requestAnimationFrame(() => {
           t.style.opacity = '1';
@@ -112,18 +132,50 @@
           setTimeout(() => {
             try { t.remove(); } catch (e) {}
           }, 180);
-        }, 2600);
+        }, action ? 6000 : 2600);
       } catch (e) {
         // Never crash app for toasts
       }
     }
     return {
-      success: (m) => show(m, 'success'),
-      error: (m) => show(m, 'error'),
-      info: (m) => show(m, 'info')
+      success: (m, o) => show(m, 'success', o),
+      error: (m, o) => show(m, 'error', o),
+      info: (m, o) => show(m, 'info', o)
     };
   })();
 
+  /* ================= CURRENCY FORMATTING ================= */
+  // Every money display goes through formatCurrency so amounts follow the user's
+  // base currency (or the entry's own currency when one is given).
+  const CURRENCY_LOCALES = { INR: 'en-IN', AED: 'en-AE', GBP: 'en-GB', EUR: 'en-IE' };
+  window.formatCurrency = function (amount, currency, options = {}) {
+    const code = currency || (window.DataManager && typeof DataManager.getBaseCurrency === 'function' ? DataManager.getBaseCurrency() : 'INR');
+    const value = Number(amount) || 0;
+    const digits = options.decimals !== undefined ? options.decimals : 2;
+    try {
+      return new Intl.NumberFormat(CURRENCY_LOCALES[code] || 'en-US', {
+        style: 'currency',
+        currency: code,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+      }).format(value);
+    } catch (e) {
+      return `${code} ${value.toFixed(digits)}`;
+    }
+  };
+
+  window.getCurrencySymbol = function (currency) {
+    const code = currency || (window.DataManager && typeof DataManager.getBaseCurrency === 'function' ? DataManager.getBaseCurrency() : 'INR');
+    try {
+      const part = new Intl.NumberFormat(CURRENCY_LOCALES[code] || 'en-US', { style: 'currency', currency: code })
+        .formatToParts(0)
+        .find(p => p.type === 'currency');
+      return part ? part.value : code;
+    } catch (e) {
+      return code;
+    }
+  };
+
   // Basic error boundary: keep app running + provide graceful feedback
   if (!window.__fcGlobalErrorsInstalled) {
     window.__fcGlobalErrorsInstalled = true;
@@ -146,7 +198,334 @@
   /* ================= DATA MANAGER ================= */
   // Complete implementation with all required methods
 
+  // Seed categories. Their ids match the pre-registry flexibleSpending keys,
+  // so old data and ledger rows keep pointing at the right category.
+  const DEFAULT_CATEGORIES = [
+    { id: 'food', name: 'Food & Dining', color: '#ff6b35', icon: '🍴' },
+    { id: 'travel', name: 'Travel & Transport', color: '#2ed573', icon: '✈️' },
+    { id: 'shopping', name: 'Shopping', color: '#a55eea', icon: '🛍️' },
+    { id: 'miscellaneous', name: 'Miscellaneous', color: '#ffc107', icon: '⋯' }
+  ];
+  // Reserved ledger categories that are not user-managed
+  const SYSTEM_CATEGORIES = { fixed: 'Fixed Expenses', income: 'Income' };
+  const CATEGORY_PALETTE = ['#00d4ff', '#ff6b35', '#2ed573', '#a55eea', '#ff4757', '#5352ed', '#ffc107'];
+  // Offered in currency pickers alongside any currency the rate table mentions
+  const COMMON_CURRENCIES = ['INR', 'USD', 'AED', 'EUR', 'GBP', 'SGD'];
+  // Where money sits. Credit cards are liabilities: their balance is the amount owed.
+  const ACCOUNT_TYPES = { bank: 'Bank', cash: 'Cash', credit: 'Credit Card', wallet: 'Wallet' };
+  // What the net-worth register holds besides accounts and tracked loans
+  const NET_WORTH_TYPES = {
+    asset: { fd: 'Fixed Deposit', mutual_fund: 'Mutual Fund', stocks: 'Stocks', gold: 'Gold', property: 'Property', retirement: 'Retirement Fund', other: 'Other Asset' },
+    liability: { loan: 'Loan', borrowed: 'Money Borrowed', other: 'Other Liability' }
+  };
+  // Holdings in the investment tracker; prices are NAVs for funds, quotes for the rest
+  const INVESTMENT_TYPES = { mutual_fund: 'Mutual Fund', stock: 'Stock', etf: 'ETF', bond: 'Bond', gold: 'Gold', other: 'Other' };
+  // What each member of a shared household may do. Owners also manage members and invitations.
+  const HOUSEHOLD_ROLES = { owner: 'Owner', editor: 'Editor', viewer: 'Viewer' };
+
+  // Stored data shape version. Bump it and append a step to SCHEMA_MIGRATIONS
+  // whenever the persisted shape changes; steps run in order from the stored version.
+  const SCHEMA_VERSION = 7;
+  const SCHEMA_MIGRATIONS = [
+    // v1: legacy addIncome/addExpense entries may lack ids, names, a category or numeric amounts
+    { version: 1, run: dm => dm._migrateLegacyEntries() },
+    // v2: flexibleSpending keys become a category registry
+    { version: 2, run: dm => dm._migrateCategories() },
+    // v3: entries and rows carry a currency code
+    { version: 3, run: dm => dm._migrateCurrency() },
+    // v4: snapshot totals become dated ledger rows
+    { version: 4, run: dm => dm._migrateToLedger() },
+    // v5: standing entries carry a recurrence schedule
+    { version: 5, run: dm => dm._migrateRecurrence() },
+    // v6: entries, rows and history carry tags and a note
+    { version: 6, run: dm => dm._migrateTags() },
+    // v7: flexibleSpending is the category budget, not spending booked in the ledger
+    { version: 7, run: dm => dm._migrateBudgets() }
+  ];
+
+  // Backup archives: `version` is the archive layout, `schemaVersion` the data
+  // shape inside it (restores of older shapes run the same SCHEMA_MIGRATIONS)
+  const BACKUP_FORMAT = 'finance-clarity-backup';
+  const BACKUP_VERSION = 1;
+
+  // Change events emitted by DataManager. Subscribers get one batched 'change'
+  // event per tick listing everything that happened, or can listen to a single
+  // type ('income:added'), a family ('income:*') or everything ('*').
+  const DATA_EVENTS = Object.freeze([
+    'income:added', 'income:updated', 'income:deleted', 'income:posted',
+    'expense:added', 'expense:updated', 'expense:deleted', 'expense:posted', 'expense:paid',
+    'budget:updated', 'envelope:moved', 'envelope:closed',
+    'loan:added', 'loan:prepaid',
+    'networth:added', 'networth:updated', 'networth:valued', 'networth:archived',
+    'investment:added', 'investment:updated', 'investment:archived', 'investment:priced',
+    'investment:bought', 'investment:sip', 'investment:posted',
+    'split:added', 'split:settled', 'split:deleted',
+    'transaction:added', 'transaction:updated', 'transaction:deleted', 'transaction:imported',
+    'category:added', 'category:updated', 'category:merged',
+    'currency:changed', 'rate:added', 'rate:deleted',
+    'account:added', 'account:updated', 'account:archived', 'transfer:added',
+    'history:appended', 'history:updated', 'history:deleted', 'history:cleared', 'history:loaded',
+    'settings:changed', 'month:selected',
+    'household:updated', 'context:switched',
+    'data:loaded', 'data:restored', 'data:reset', 'data:merged', 'data:synced'
+  ]);
+
+  // Fields of the Firestore finance document: the in-memory property and storage
+  // key behind each, and whether it is an id-keyed list or a plain map
+  const FINANCE_FIELDS = Object.freeze([
+    { field: 'income', prop: 'income', key: 'INCOME', list: true },
+    { field: 'fixedExpenses', prop: 'expenses', key: 'EXPENSES', list: true },
+    { field: 'flexibleSpending', prop: 'flexibleSpending', key: 'FLEXIBLE', list: false },
+    { field: 'transactions', prop: 'transactions', key: 'TRANSACTIONS', list: true },
+    { field: 'categories', prop: 'categories', key: 'CATEGORIES', list: true },
+    { field: 'settings', prop: 'settings', key: 'SETTINGS', list: false },
+    { field: 'exchangeRates', prop: 'exchangeRates', key: 'RATES', list: true },
+    { field: 'accounts', prop: 'accounts', key: 'ACCOUNTS', list: true },
+    { field: 'assets', prop: 'assets', key: 'ASSETS', list: true },
+    { field: 'investments', prop: 'investments', key: 'INVESTMENTS', list: true },
+    { field: 'splits', prop: 'splits', key: 'SPLITS', list: true }
+  ]);
+
+  /* ================= HISTORY STORAGE ADAPTERS ================= */
+  // History is the one list that grows without bound, so it lives behind an
+  // adapter instead of a localStorage blob. Every adapter exposes the same
+  // promise-based interface:
+  //   kind                      'indexedDB' | 'localStorage' | custom
+  //   getAll()                  every entry, oldest first
+  //   put(entry) / putMany(entries) / update(id, fields) / delete(id) / replaceAll(entries) / clear()
+  //   count()
+  //   query({ type, category, cursor, limit })
+  //                             newest-first page: { entries, cursor } where cursor
+  //                             (opaque, null on the last page) fetches the next page
+  //   close() / destroy()       release handles / delete everything for the user
+  // Entries are keyed by `id` and ordered by `timestamp` (ISO string).
+
+  // Newest-first ordering key shared by both adapters: [timestamp, id]
+  const historyOrderKey = entry => [String(entry.timestamp || ''), String(entry.id)];
+  const compareHistoryKeys = (a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]);
+
+  // Fallback adapter: the original one-blob-per-user layout
+  function createLocalStorageHistoryAdapter(storageKey) {
+    let entries = null;
+    const load = () => {
+      if (entries) return entries;
+      try {
+        const parsed = JSON.parse(localStorage.getItem(storageKey) || '[]');
+        entries = Array.isArray(parsed) ? parsed : [];
+      } catch (e) {
+        entries = [];
+      }
+      return entries;
+    };
+    const persist = () => {
+      localStorage.setItem(storageKey, JSON.stringify(entries));
+    };
+    const run = fn => {
+      try {
+        return Promise.resolve(fn());
+      } catch (e) {
+        return Promise.reject(e);
+      }
+    };
+
+    return {
+      kind: 'localStorage',
+      getAll: () => run(() => load().slice().sort((a, b) => compareHistoryKeys(historyOrderKey(a), historyOrderKey(b)))),
+      put: entry => run(() => {
+        load().push({ ...entry });
+        persist();
+      }),
+      putMany: list => run(() => {
+        list.forEach(entry => load().push({ ...entry }));
+        persist();
+      }),
+      update: (id, fields) => run(() => {
+        const entry = load().find(h => h.id === id);
+        if (!entry) return;
+        Object.assign(entry, fields);
+        persist();
+      }),
+      delete: id => run(() => {
+        entries = load().filter(h => h.id !== id);
+        persist();
+      }),
+      replaceAll: list => run(() => {
+        entries = list.map(entry => ({ ...entry }));
+        persist();
+      }),
+      clear: () => run(() => {
+        entries = [];
+        persist();
+      }),
+      count: () => run(() => load().length),
+      query: ({ type, category, cursor, limit = 50 } = {}) => run(() => {
+        const page = load()
+          .filter(h => (!type || h.type === type) && (!category || h.category === category))
+          .filter(h => !cursor || compareHistoryKeys(historyOrderKey(h), cursor) < 0)
+          .sort((a, b) => compareHistoryKeys(historyOrderKey(b), historyOrderKey(a)))
+          .slice(0, limit)
+          .map(h => ({ ...h }));
+        return { entries: page, cursor: page.length === limit ? historyOrderKey(page[page.length - 1]) : null };
+      }),
+      close: () => Promise.resolve(),
+      destroy: () => run(() => {
+        entries = [];
+        localStorage.removeItem(storageKey);
+      })
+    };
+  }
+
+  // Default adapter: one database per user with compound indexes so type and
+  // category filters page by time without scanning the whole store. A legacy
+  // localStorage blob is copied in on first open and then removed.
+  function createIndexedDBHistoryAdapter(dbName, legacyKey) {
+    const STORE = 'history';
+    let dbPromise = null;
+
+    const settle = req => new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    const finished = tx => new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('History transaction aborted'));
+    });
+
+    const migrateLegacyBlob = db => {
+      let legacy = null;
+      try {
+        legacy = JSON.parse(localStorage.getItem(legacyKey) || 'null');
+      } catch (e) {
+        return db; // unreadable blobs are left for the quarantine on next load
+      }
+      if (!Array.isArray(legacy)) return db;
+      const tx = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+      legacy.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') return;
+        store.put({ ...entry, id: String(entry.id || `legacy-${index}-${entry.timestamp || ''}`) });
+      });
+      return finished(tx).then(() => {
+        localStorage.removeItem(legacyKey);
+        return db;
+      });
+    };
+
+    const open = () => {
+      if (dbPromise) return dbPromise;
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(dbName, 1);
+        req.onupgradeneeded = () => {
+          const store = req.result.createObjectStore(STORE, { keyPath: 'id' });
+          store.createIndex('timestamp', ['timestamp', 'id']);
+          store.createIndex('type', ['type', 'timestamp', 'id']);
+          store.createIndex('category', ['category', 'timestamp', 'id']);
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+        req.onblocked = () => reject(new Error('History database is blocked by another tab'));
+      }).then(migrateLegacyBlob);
+      return dbPromise;
+    };
+
+    const write = fn => open().then(db => {
+      const tx = db.transaction(STORE, 'readwrite');
+      fn(tx.objectStore(STORE));
+      return finished(tx);
+    });
+    const read = fn => open().then(db => settle(fn(db.transaction(STORE, 'readonly').objectStore(STORE))));
+
+    return {
+      kind: 'indexedDB',
+      getAll: () => read(store => store.getAll())
+        .then(list => list.sort((a, b) => compareHistoryKeys(historyOrderKey(a), historyOrderKey(b)))),
+      put: entry => write(store => store.put({ ...entry })),
+      putMany: list => write(store => list.forEach(entry => store.put({ ...entry }))),
+      update: (id, fields) => write(store => {
+        store.get(id).onsuccess = event => {
+          const entry = event.target.result;
+          if (entry) store.put({ ...entry, ...fields });
+        };
+      }),
+      delete: id => write(store => store.delete(id)),
+      replaceAll: list => write(store => {
+        store.clear();
+        list.forEach(entry => store.put({ ...entry }));
+      }),
+      clear: () => write(store => store.clear()),
+      count: () => read(store => store.count()),
+      // Walks an index backwards from the cursor; a category filter on top of a
+      // type filter is applied while walking.
+      query: ({ type, category, cursor, limit = 50 } = {}) => open().then(db => new Promise((resolve, reject) => {
+        const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+        const indexName = type ? 'type' : category ? 'category' : 'timestamp';
+        const prefix = type ? [type] : category ? [category] : [];
+        // An array sorts after every string, so [...prefix, []] caps the prefix's range
+        const upper = cursor ? [...prefix, ...cursor] : [...prefix, []];
+        const range = IDBKeyRange.bound(prefix, upper, false, true);
+        const entries = [];
+        const req = store.index(indexName).openCursor(range, 'prev');
+        req.onerror = () => reject(req.error);
+        req.onsuccess = () => {
+          const walker = req.result;
+          if (walker && entries.length < limit) {
+            if (!type || !category || walker.value.category === category) entries.push(walker.value);
+            walker.continue();
+            return;
+          }
+          resolve({ entries, cursor: entries.length === limit ? historyOrderKey(entries[entries.length - 1]) : null });
+        };
+      })),
+      close: () => (dbPromise ? dbPromise.then(db => db.close(), () => {}) : Promise.resolve()),
+      destroy() {
+        return this.close().then(() => new Promise(resolve => {
+          dbPromise = null;
+          try {
+            localStorage.removeItem(legacyKey);
+          } catch (e) {}
+          const req = indexedDB.deleteDatabase(dbName);
+          req.onsuccess = req.onerror = req.onblocked = () => resolve();
+        }));
+      }
+    };
+  }
+
+  // Built-in adapters as (userKeys, userId) => adapter factories
+  const HISTORY_ADAPTERS = Object.freeze({
+    indexedDB: (userKeys, userId) => createIndexedDBHistoryAdapter(`finance_clarity_${userId}`, userKeys.HISTORY),
+    localStorage: userKeys => createLocalStorageHistoryAdapter(userKeys.HISTORY)
+  });
+
   window.DataManager = {
+    // Undo journal: in-memory, per session, cleared when the user's data is (re)loaded
+    _undoStack: [],
+    _redoStack: [],
+    _journalDepth: 0,
+
+    // Change listeners by event type; pending events flush as one 'change' per tick
+    _listeners: {},
+    _pendingChanges: [],
+    EVENTS: DATA_EVENTS,
+
+    // History storage: the active adapter and an optional factory that replaces
+    // the default (IndexedDB when available, else localStorage)
+    historyAdapters: HISTORY_ADAPTERS,
+    _historyStore: null,
+    _historyStoreOwner: null,
+    _historyAdapterFactory: null,
+
+    // Workspace: { type: 'personal' } or { type: 'household', householdId, userId }.
+    // Households and invitations are the signed-in user's, as last loaded from Firestore.
+    _context: { type: 'personal' },
+    _households: [],
+    _invitations: [],
+
+    // The finance document as this device last saw it in Firestore. Saves and
+    // incoming snapshots merge against it, so members' edits do not overwrite each other.
+    _syncBase: null,
+    _syncBaseScope: null,
+
     // Get user-specific localStorage keys
     _getUserKeys(userId) {
       const uid = userId || 'guest';
@@ -154,43 +533,262 @@
         INCOME: `finance_income_${uid}`,
         EXPENSES: `finance_expenses_${uid}`,
         FLEXIBLE: `finance_flexible_${uid}`,
-        HISTORY: `finance_history_${uid}`
+        HISTORY: `finance_history_${uid}`,
+        TRANSACTIONS: `finance_transactions_${uid}`,
+        CATEGORIES: `finance_categories_${uid}`,
+        SETTINGS: `finance_settings_${uid}`,
+        RATES: `finance_rates_${uid}`,
+        ACCOUNTS: `finance_accounts_${uid}`,
+        ASSETS: `finance_assets_${uid}`,
+        INVESTMENTS: `finance_investments_${uid}`,
+        SPLITS: `finance_splits_${uid}`,
+        META: `finance_meta_${uid}`,
+        QUARANTINE: `finance_quarantine_${uid}`,
+        CONTEXT: `finance_context_${uid}`
       };
     },
 
     // Legacy KEYS for backward compatibility (will be replaced by user-specific keys)
     get KEYS() {
+      return this._getUserKeys(this._storageScope());
+    },
+
+    // Key namespace of the active workspace: the user's uid for the personal
+    // space, household_<id> while a household is open
+    _storageScope() {
       const userId = (typeof AuthManager !== 'undefined' && AuthManager.currentUser && AuthManager.currentUser.uid) ? AuthManager.currentUser.uid : 'guest';
-      return this._getUserKeys(userId);
+      const context = this._context;
+      return context && context.type === 'household' && context.userId === userId ? `household_${context.householdId}` : userId;
     },
 
     // Initialize data from localStorage (user-specific)
     _initData() {
+      // A different account or workspace gets a fresh undo journal
+      const journalOwner = (typeof AuthManager !== 'undefined' && AuthManager.currentUser) ? this._storageScope() : null;
+      if (this._journalOwner !== journalOwner) {
+        this._undoStack = [];
+        this._redoStack = [];
+        this._journalOwner = journalOwner;
+      }
+
       // Only load if authenticated
       if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser) {
         this._resetData();
+        if (this._historyStore) this._historyStore.close().catch(() => {});
+        this._historyStore = null;
+        this._historyStoreOwner = null;
+        this._emit('data:loaded', { userId: null });
         return;
       }
 
       const userId = AuthManager.currentUser.uid;
-      const userKeys = this._getUserKeys(userId);
-      
+      const scope = this._storageScope();
+      const userKeys = this._getUserKeys(scope);
+      const isList = value => Array.isArray(value);
+      const isMap = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+      // A blob that fails to parse (or has the wrong shape) is quarantined, not lost
+      this._recoveredFromCorruption = false;
+      this.income = this._readStored(userKeys, 'INCOME', [], isList);
+      this.expenses = this._readStored(userKeys, 'EXPENSES', [], isList);
+      this.flexibleSpending = this._readStored(userKeys, 'FLEXIBLE', {}, isMap);
+      // Once the adapter is open for this workspace the in-memory log is already current
+      if (!this._historyStore || this._historyStoreOwner !== scope) {
+        this.HISTORY = this._readStored(userKeys, 'HISTORY', [], isList);
+      }
+      this.transactions = this._readStored(userKeys, 'TRANSACTIONS', [], isList);
+      this.categories = this._readStored(userKeys, 'CATEGORIES', [], isList);
+      this.settings = this._readStored(userKeys, 'SETTINGS', { baseCurrency: 'INR' }, isMap);
+      this.exchangeRates = this._readStored(userKeys, 'RATES', [], isList);
+      this.accounts = this._readStored(userKeys, 'ACCOUNTS', [], isList);
+      this.assets = this._readStored(userKeys, 'ASSETS', [], isList);
+      this.investments = this._readStored(userKeys, 'INVESTMENTS', [], isList);
+      this.splits = this._readStored(userKeys, 'SPLITS', [], isList);
+      // Storage holds the Firestore copy the first time a workspace loads. Later
+      // reloads keep the base, or unsynced edits would pass for synced ones.
+      if (this._syncBaseScope !== scope) {
+        this._syncBase = JSON.parse(JSON.stringify(this._financePayload()));
+        this._syncBaseScope = scope;
+      }
+
+      // History written before the adapter finishes opening is queued by it
+      this._openHistoryStore(userKeys, scope);
+      this._runMigrations(userKeys);
+      // A viewer's copy is read-only; members who can edit post what fell due
+      if (this.canEdit()) {
+        this.postDueRecurring();
+        this.closeEnvelopeMonths();
+      }
+      this._emit('data:loaded', { userId, context: this.getContext() });
+      this._loadHistoryFromStore();
+      // Members' changes arrive live from here on, merged against what was just loaded
+      if (typeof AuthManager.watchFinanceData === 'function') AuthManager.watchFinanceData();
+    },
+
+    /* ---------- SCHEMA & RECOVERY ---------- */
+    // Parse one stored blob. Unreadable or wrongly shaped data is moved to the
+    // quarantine key with the raw text so it can be inspected or recovered later.
+    _readStored(userKeys, key, fallback, isValid) {
+      let raw = null;
       try {
-        this.income = JSON.parse(localStorage.getItem(userKeys.INCOME)) || [];
-        this.expenses = JSON.parse(localStorage.getItem(userKeys.EXPENSES)) || [];
-        this.flexibleSpending = JSON.parse(localStorage.getItem(userKeys.FLEXIBLE)) || { food: 0, travel: 0, shopping: 0, miscellaneous: 0 };
-        this.HISTORY = JSON.parse(localStorage.getItem(userKeys.HISTORY)) || [];
+        raw = localStorage.getItem(userKeys[key]);
+        if (raw === null || raw === undefined) return fallback;
+        const value = JSON.parse(raw);
+        if (value === null) return fallback;
+        if (isValid(value)) return value;
+        this._quarantine(userKeys, key, raw, 'Unexpected data shape');
       } catch (e) {
-        this._resetData();
+        this._quarantine(userKeys, key, raw, e && e.message ? e.message : 'Unreadable data');
+      }
+      return fallback;
+    },
+
+    _quarantine(userKeys, key, raw, reason) {
+      try {
+        let items = [];
+        try {
+          items = JSON.parse(localStorage.getItem(userKeys.QUARANTINE)) || [];
+        } catch (e) {
+          items = [];
+        }
+        items.push({ id: this._generateId(), key, raw, reason, quarantinedAt: new Date().toISOString() });
+        localStorage.setItem(userKeys.QUARANTINE, JSON.stringify(items));
+        localStorage.removeItem(userKeys[key]);
+      } catch (e) {
+        console.warn('Failed to quarantine stored data:', e);
+      }
+      console.warn(`Stored ${key} data could not be read and was set aside:`, reason);
+      if (!this._recoveredFromCorruption && window.FCToast) {
+        FCToast.error('Some saved data could not be read. It was set aside and the rest of your data loaded normally.');
+      }
+      this._recoveredFromCorruption = true;
+    },
+
+    getQuarantine() {
+      if (typeof AuthManager === 'undefined' || !AuthManager.currentUser || !AuthManager.currentUser.uid) return [];
+      try {
+        return JSON.parse(localStorage.getItem(this._getUserKeys(this._storageScope()).QUARANTINE)) || [];
+      } catch (e) {
+        return [];
       }
     },
 
+    clearQuarantine() {
+      if (typeof AuthManager === 'undefined' || !AuthManager.currentUser || !AuthManager.currentUser.uid) return;
+      localStorage.removeItem(this._getUserKeys(this._storageScope()).QUARANTINE);
+    },
+
+    getSchemaVersion() {
+      if (typeof AuthManager === 'undefined' || !AuthManager.currentUser || !AuthManager.currentUser.uid) return SCHEMA_VERSION;
+      try {
+        const meta = JSON.parse(localStorage.getItem(this._getUserKeys(this._storageScope()).META));
+        return meta && Number.isInteger(meta.schemaVersion) ? meta.schemaVersion : 0;
+      } catch (e) {
+        return 0;
+      }
+    },
+
+    // Upgrade loaded data one version at a time. A failing step stops the run
+    // and leaves the version at the last good step so it is retried next load.
+    // After a quarantine every (idempotent) step reruns to rebuild what was lost.
+    _runMigrations(userKeys) {
+      const from = this._recoveredFromCorruption ? 0 : this.getSchemaVersion();
+      let version = from;
+      for (const step of SCHEMA_MIGRATIONS) {
+        if (step.version <= version) continue;
+        try {
+          step.run(this);
+          version = step.version;
+        } catch (e) {
+          console.warn(`Schema migration to v${step.version} failed:`, e);
+          break;
+        }
+      }
+      if (version !== from || localStorage.getItem(userKeys.META) === null) {
+        this._writeSchemaVersion(userKeys, version);
+      }
+      return version;
+    },
+
+    _writeSchemaVersion(userKeys, version) {
+      try {
+        localStorage.setItem(userKeys.META, JSON.stringify({ schemaVersion: version, migratedAt: new Date().toISOString() }));
+      } catch (e) {
+        console.warn('Failed to save schema version:', e);
+      }
+    },
+
+    // v1: entries written by the legacy addIncome/addExpense paths
+    _migrateLegacyEntries() {
+      const fix = (items, type) => {
+        let changed = false;
+        (Array.isArray(items) ? items : []).forEach(item => {
+          if (!item || typeof item !== 'object') return;
+          if (!item.id) { item.id = this._generateId(); changed = true; }
+          if (typeof item.amount !== 'number') { item.amount = parseFloat(item.amount) || 0; changed = true; }
+          if (!item.name) { item.name = item.source || item.label || (type === 'income' ? 'Income' : 'Expense'); changed = true; }
+          if (!item.timestamp) { item.timestamp = new Date().toISOString(); changed = true; }
+          if (type === 'expense' && !item.category) { item.category = 'fixed'; changed = true; }
+        });
+        return changed;
+      };
+      if (Array.isArray(this.income)) this.income = this.income.filter(item => item && typeof item === 'object');
+      if (Array.isArray(this.expenses)) this.expenses = this.expenses.filter(item => item && typeof item === 'object');
+      if (fix(this.income, 'income')) this._save('INCOME', this.income);
+      if (fix(this.expenses, 'expense')) this._save('EXPENSES', this.expenses);
+    },
+
+    // v6: tags arrays and note strings everywhere they are read
+    _migrateTags() {
+      const fix = (items, key) => {
+        let changed = false;
+        (Array.isArray(items) ? items : []).forEach(item => {
+          if (!item || (Array.isArray(item.tags) && typeof item.note === 'string')) return;
+          item.tags = this._normalizeTags(item.tags);
+          item.note = String(item.note || '').trim();
+          changed = true;
+        });
+        if (changed && key) this._save(key, items);
+        return changed;
+      };
+      fix(this.income, 'INCOME');
+      fix(this.expenses, 'EXPENSES');
+      fix(this.transactions, 'TRANSACTIONS');
+      if (fix(this.HISTORY, null)) this._writeHistory('replaceAll', this.HISTORY);
+    },
+
+    // v7: the dashboard inputs used to book their amount as a 'flexible' ledger
+    // row. The amounts stay in flexibleSpending as budgets. This month's row is
+    // that budget, so it goes; rows from earlier months are what was spent then
+    // and stay as ordinary expense rows.
+    _migrateBudgets() {
+      if (!Array.isArray(this.transactions)) return;
+      const currentMonth = this._toMonthKey(new Date());
+      let changed = false;
+      this.transactions = this.transactions.filter(t => {
+        if (!t || t.source !== 'flexible') return true;
+        changed = true;
+        if (this._toMonthKey(t.date) === currentMonth) return false;
+        delete t.source;
+        return true;
+      });
+      if (changed) this._save('TRANSACTIONS', this.transactions);
+    },
+
     // Reset all data to empty state
     _resetData() {
       this.income = [];
       this.expenses = [];
-      this.flexibleSpending = { food: 0, travel: 0, shopping: 0, miscellaneous: 0 };
+      this.flexibleSpending = {};
       this.HISTORY = [];
+      this.transactions = [];
+      this.categories = DEFAULT_CATEGORIES.map(c => ({ ...c, archived: false }));
+      this.settings = { baseCurrency: 'INR' };
+      this.exchangeRates = [];
+      this.accounts = [];
+      this.assets = [];
+      this.investments = [];
+      this.splits = [];
     },
 
     // Clear all user data (for sign-out)
@@ -202,6 +800,7 @@
             localStorage.removeItem(key);
           } catch (e) {}
         });
+        this.destroyHistoryStore(userId);
       }
       this._resetData();
     },
@@ -212,9 +811,12 @@
       if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser) {
         return;
       }
+      // Upgrading a backup in memory must not touch the account's stored data
+      if (this._detachedWrites) return;
+      // Viewers never write a household's data
+      if (!this.canEdit()) return;
 
-      const userId = AuthManager.currentUser.uid;
-      const userKeys = this._getUserKeys(userId);
+      const userKeys = this._getUserKeys(this._storageScope());
       
       try {
         localStorage.setItem(userKeys[key], JSON.stringify(data));
@@ -231,6 +833,10 @@
       if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
         return;
       }
+      // Guest data never leaves the device
+      if (typeof AuthManager.isGuest === 'function' && AuthManager.isGuest()) {
+        return;
+      }
       // Guard: never sync before Firebase is ready (prevents race-condition errors)
       if (typeof AuthManager.isFirebaseReady === 'function' && !AuthManager.isFirebaseReady()) {
         return;
@@ -243,11 +849,7 @@
       
       this._syncTimeout = setTimeout(() => {
         try {
-          const financeData = {
-            income: Array.isArray(this.income) ? this.income : [],
-            fixedExpenses: Array.isArray(this.expenses) ? this.expenses : [],
-            flexibleSpending: this.flexibleSpending || { food: 0, travel: 0, shopping: 0, miscellaneous: 0 }
-          };
+          const financeData = this._financePayload();
 
           // Performance: skip sync if payload is identical to last sync
           try {
@@ -261,7 +863,7 @@
           }
 
           if (typeof AuthManager.saveUserData === 'function') {
-            AuthManager.saveUserData(financeData).catch(err => {
+            this._pushFinanceData(financeData).catch(err => {
               if (err && err.message && !err.message.includes('permission')) {
                 console.warn('Firestore sync failed:', err.message);
               }
@@ -273,270 +875,4365 @@
       }, 500);
     },
 
+    // The finance document as stored in Firestore (history lives in its own collection)
+    _financePayload() {
+      return {
+        income: Array.isArray(this.income) ? this.income : [],
+        fixedExpenses: Array.isArray(this.expenses) ? this.expenses : [],
+        flexibleSpending: this.flexibleSpending || {},
+        transactions: Array.isArray(this.transactions) ? this.transactions : [],
+        categories: Array.isArray(this.categories) ? this.categories : [],
+        settings: this.settings || { baseCurrency: 'INR' },
+        exchangeRates: Array.isArray(this.exchangeRates) ? this.exchangeRates : [],
+        accounts: Array.isArray(this.accounts) ? this.accounts : [],
+        assets: Array.isArray(this.assets) ? this.assets : [],
+        investments: Array.isArray(this.investments) ? this.investments : [],
+        splits: Array.isArray(this.splits) ? this.splits : [],
+        schemaVersion: this.getSchemaVersion()
+      };
+    },
+
+    // Write the finance document now. The save runs as a transaction that merges
+    // into what is stored, so a member saving at the same time loses nothing.
+    async _pushFinanceData(financeData = this._financePayload()) {
+      const base = this._syncBase;
+      const scope = this._storageScope();
+      const saved = await AuthManager.saveUserData(financeData, remote => this._mergeSyncedFinance(base, financeData, remote));
+      if (saved && this._storageScope() === scope) this.applyRemoteFinanceData(saved);
+      return saved;
+    },
+
+    /**
+     * Three-way merge of this device's finance data with the Firestore copy,
+     * against the copy both started from. Lists merge entry by entry on id:
+     * what this device added or changed since base wins, what it deleted stays
+     * deleted, everything else comes from remote. Maps merge key by key.
+     * @param {Object|null} base - Last synced document (null: nothing in common)
+     * @param {Object} local - _financePayload()
+     * @param {Object|null} remote - The document as stored now
+     * @returns {Object} Document to store, with its revision bumped
+     */
+    _mergeSyncedFinance(base, local, remote) {
+      if (!remote) return { ...local, revision: 1 };
+      const from = base || {};
+      const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+      const keyOf = entry => (entry && entry.id !== undefined ? `id:${entry.id}` : `value:${JSON.stringify(entry)}`);
+      const merged = { ...remote };
+
+      FINANCE_FIELDS.forEach(({ field, list }) => {
+        const mine = local[field];
+        const theirs = remote[field];
+        // Documents written before a field existed keep this device's copy
+        if (list ? !Array.isArray(theirs) : !theirs || typeof theirs !== 'object') {
+          merged[field] = mine;
+          return;
+        }
+        if (list) {
+          const before = new Map((Array.isArray(from[field]) ? from[field] : []).map(entry => [keyOf(entry), entry]));
+          const ours = new Map(mine.map(entry => [keyOf(entry), entry]));
+          const seen = new Set();
+          const result = [];
+          theirs.forEach(entry => {
+            const key = keyOf(entry);
+            seen.add(key);
+            if (ours.has(key)) {
+              result.push(before.has(key) && same(before.get(key), ours.get(key)) ? entry : ours.get(key));
+            } else if (!before.has(key)) {
+              result.push(entry);
+            }
+          });
+          // Added here, or changed here while another member deleted it
+          mine.forEach(entry => {
+            const key = keyOf(entry);
+            if (!seen.has(key) && (!before.has(key) || !same(before.get(key), entry))) {
+              seen.add(key);
+              result.push(entry);
+            }
+          });
+          merged[field] = result;
+          return;
+        }
+        const before = from[field] && typeof from[field] === 'object' ? from[field] : {};
+        const result = { ...theirs };
+        new Set([...Object.keys(before), ...Object.keys(mine)]).forEach(key => {
+          if (same(before[key], mine[key])) return;
+          if (mine[key] === undefined) delete result[key];
+          else result[key] = mine[key];
+        });
+        merged[field] = result;
+      });
+      merged.schemaVersion = Math.max(Number(local.schemaVersion) || 0, Number(remote.schemaVersion) || 0);
+      merged.revision = (Number(remote.revision) || 0) + 1;
+      return merged;
+    },
+
+    /**
+     * Take in the workspace's finance document as stored in Firestore: a
+     * member's change arriving live, or the result of this device's own save.
+     * Local edits not yet synced stay on top of it.
+     * @param {Object} remote - The Firestore finance document
+     * @returns {boolean} Whether local data changed
+     */
+    applyRemoteFinanceData(remote) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser) {
+        return false;
+      }
+      if (!remote || typeof remote !== 'object') return false;
+      // A save's result and a live snapshot can arrive out of order
+      const base = this._syncBase;
+      if (base && (Number(remote.revision) || 0) < (Number(base.revision) || 0)) return false;
+
+      const local = this._financePayload();
+      const merged = this._mergeSyncedFinance(base, local, remote);
+      // The new base is what Firestore holds; unsynced local edits stay edits
+      const stored = { revision: Number(remote.revision) || 0, schemaVersion: Number(remote.schemaVersion) || 0 };
+      FINANCE_FIELDS.forEach(({ field, list }) => {
+        const value = remote[field];
+        stored[field] = (list ? Array.isArray(value) : value && typeof value === 'object') ? value : merged[field];
+      });
+      this._syncBase = JSON.parse(JSON.stringify(stored));
+
+      const userKeys = this._getUserKeys(this._storageScope());
+      const changed = FINANCE_FIELDS.filter(({ field }) => JSON.stringify(merged[field]) !== JSON.stringify(local[field]));
+      changed.forEach(({ field, prop, key }) => {
+        this[prop] = merged[field];
+        // Written directly: viewers receive members' changes too
+        try {
+          localStorage.setItem(userKeys[key], JSON.stringify(merged[field]));
+        } catch (e) {
+          console.warn('Failed to save to localStorage:', e);
+        }
+      });
+      if (changed.length === 0) return false;
+      this._emit('data:synced', { fields: changed.map(({ field }) => field) });
+      return true;
+    },
+
+    // Persist every finance list at once (bulk merges and restores)
+    _saveAllFinanceData() {
+      this._save('INCOME', this.income);
+      this._save('EXPENSES', this.expenses);
+      this._save('FLEXIBLE', this.flexibleSpending);
+      this._save('TRANSACTIONS', this.transactions);
+      this._save('CATEGORIES', this.categories);
+      this._save('SETTINGS', this.settings);
+      this._save('RATES', this.exchangeRates);
+      this._save('ACCOUNTS', this.accounts);
+      this._save('ASSETS', this.assets);
+      this._save('INVESTMENTS', this.investments);
+      this._save('SPLITS', this.splits);
+    },
+
     // Generate unique ID
     _generateId() {
       return Date.now().toString(36) + Math.random().toString(36).substr(2);
     },
 
-    /* ---------- INCOME METHODS ---------- */
-    addIncomeSource({ name, amount }) {
+    /* ---------- CHANGE EVENTS ---------- */
+    // Subscribe to a change event; returns a function that unsubscribes
+    on(type, handler) {
+      if (typeof handler !== 'function') return () => {};
+      const isKnown = type === '*' || type === 'change' ||
+        DATA_EVENTS.includes(type) ||
+        (type.endsWith(':*') && DATA_EVENTS.some(e => e.startsWith(type.slice(0, -1))));
+      if (!isKnown) {
+        console.warn(`DataManager.on: unknown event "${type}"`);
+        return () => {};
+      }
+      (this._listeners[type] = this._listeners[type] || []).push(handler);
+      return () => this.off(type, handler);
+    },
+
+    off(type, handler) {
+      const list = this._listeners[type];
+      if (!list) return;
+      this._listeners[type] = list.filter(h => h !== handler);
+    },
+
+    _dispatch(type, event) {
+      (this._listeners[type] || []).slice().forEach(handler => {
+        try {
+          handler(event);
+        } catch (error) {
+          console.error(`DataManager listener for "${type}" failed:`, error);
+        }
+      });
+    },
+
+    // Notify listeners of one change; views should prefer the batched 'change'
+    _emit(type, detail = {}) {
+      const event = { type, detail, at: Date.now() };
+      this._dispatch(type, event);
+      this._dispatch(`${type.split(':')[0]}:*`, event);
+      this._dispatch('*', event);
+
+      this._pendingChanges.push(event);
+      if (this._pendingChanges.length === 1) {
+        setTimeout(() => {
+          const events = this._pendingChanges;
+          this._pendingChanges = [];
+          const types = [...new Set(events.map(e => e.type))];
+          this._dispatch('change', {
+            type: 'change',
+            events,
+            types,
+            has: prefix => types.some(t => t === prefix || t.startsWith(`${prefix}:`))
+          });
+        }, 0);
+      }
+    },
+
+    /* ---------- UNDO / REDO ---------- */
+    // Each journaled mutation stores the finance state before and after it ran,
+    // plus the history entries it added or removed so undo can take them back out.
+    _snapshot() {
+      return JSON.stringify({
+        income: this.income || [],
+        expenses: this.expenses || [],
+        flexibleSpending: this.flexibleSpending || {},
+        transactions: this.transactions || [],
+        categories: this.categories || [],
+        settings: this.settings || { baseCurrency: 'INR' },
+        exchangeRates: this.exchangeRates || [],
+        accounts: this.accounts || [],
+        assets: this.assets || [],
+        investments: this.investments || [],
+        splits: this.splits || []
+      });
+    },
+
+    _restoreSnapshot(snapshot) {
+      const state = JSON.parse(snapshot);
+      this.income = state.income;
+      this.expenses = state.expenses;
+      this.flexibleSpending = state.flexibleSpending;
+      this.transactions = state.transactions;
+      this.categories = state.categories;
+      this.settings = state.settings;
+      this.exchangeRates = state.exchangeRates;
+      this.accounts = state.accounts || [];
+      this.assets = state.assets || [];
+      this.investments = state.investments || [];
+      this.splits = state.splits || [];
+      // _save writes localStorage and queues _syncToFirestore with the reverted state
+      this._save('INCOME', this.income);
+      this._save('EXPENSES', this.expenses);
+      this._save('FLEXIBLE', this.flexibleSpending);
+      this._save('TRANSACTIONS', this.transactions);
+      this._save('CATEGORIES', this.categories);
+      this._save('SETTINGS', this.settings);
+      this._save('RATES', this.exchangeRates);
+      this._save('ACCOUNTS', this.accounts);
+      this._save('ASSETS', this.assets);
+      this._save('INVESTMENTS', this.investments);
+      this._save('SPLITS', this.splits);
+    },
+
+    // History entries in `after` that are not in `before`, by id
+    _historyDiff(before, after) {
+      const ids = new Set(before.map(h => h.id));
+      return after.filter(h => !ids.has(h.id)).map(h => ({ ...h }));
+    },
+
+    // Take `remove` out of the log and put `restore` back, locally and in Firestore
+    _rewindHistory(remove, restore) {
+      if (!remove.length && !restore.length) return;
+      const removeIds = new Set(remove.map(h => h.id));
+      const restoreIds = new Set(restore.map(h => h.id));
+      this.HISTORY = (Array.isArray(this.HISTORY) ? this.HISTORY : [])
+        .filter(h => !removeIds.has(h.id) && !restoreIds.has(h.id))
+        .concat(restore.map(h => ({ ...h })))
+        .sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+      remove.forEach(h => this._writeHistory('delete', h.id));
+      if (restore.length) this._writeHistory('putMany', restore);
+
+      if (typeof AuthManager !== 'undefined' && AuthManager.isAuthenticated()) {
+        const quiet = err => {
+          if (err && err.message && !err.message.includes('permission')) {
+            console.warn('Firestore save failed:', err.message);
+          }
+        };
+        if (typeof AuthManager.deleteHistoryEntry === 'function') {
+          remove.forEach(h => AuthManager.deleteHistoryEntry(h.id).catch(quiet));
+        }
+        if (typeof AuthManager.saveHistoryEntry === 'function') {
+          restore.forEach(h => AuthManager.saveHistoryEntry(h).catch(quiet));
+        }
+      }
+      this._emit('history:loaded', { count: this.HISTORY.length, storage: this.getHistoryStorageKind() });
+    },
+
+    // Run a mutation and record it; nested mutations fold into the outermost one
+    _journaled(label, fn) {
+      if (this._journalDepth > 0) return fn();
+      const before = this._snapshot();
+      const historyBefore = Array.isArray(this.HISTORY) ? this.HISTORY.slice() : [];
+      let result;
+      this._journalDepth++;
+      try {
+        result = fn();
+      } finally {
+        this._journalDepth--;
+      }
+      const after = this._snapshot();
+      const historyAfter = Array.isArray(this.HISTORY) ? this.HISTORY : [];
+      const history = {
+        added: this._historyDiff(historyBefore, historyAfter),
+        removed: this._historyDiff(historyAfter, historyBefore)
+      };
+      if (before !== after || history.added.length || history.removed.length) {
+        this._undoStack.push({ label, before, after, history });
+        if (this._undoStack.length > 50) this._undoStack.shift();
+        this._redoStack = [];
+        if (window.FCToast) {
+          FCToast.info(label, { action: { label: 'Undo', onClick: () => this.undo() } });
+        }
+      }
+      return result;
+    },
+
+    canUndo() {
+      return this._undoStack.length > 0;
+    },
+
+    canRedo() {
+      return this._redoStack.length > 0;
+    },
+
+    undo() {
+      const entry = this._undoStack.pop();
+      if (!entry) return null;
+      this._restoreSnapshot(entry.before);
+      this._rewindHistory(entry.history.added, entry.history.removed);
+      this._redoStack.push(entry);
+      this._emit('data:restored', { label: entry.label, direction: 'undo' });
+      if (window.FCToast) {
+        FCToast.info(`Undone: ${entry.label}`, { action: { label: 'Redo', onClick: () => this.redo() } });
+      }
+      return entry.label;
+    },
+
+    redo() {
+      const entry = this._redoStack.pop();
+      if (!entry) return null;
+      this._restoreSnapshot(entry.after);
+      this._rewindHistory(entry.history.removed, entry.history.added);
+      this._undoStack.push(entry);
+      this._emit('data:restored', { label: entry.label, direction: 'redo' });
+      if (window.FCToast) {
+        FCToast.info(`Redone: ${entry.label}`, { action: { label: 'Undo', onClick: () => this.undo() } });
+      }
+      return entry.label;
+    },
+
+    /* ---------- CURRENCY ---------- */
+    // Amounts are stored in the entry's own currency; totals convert to the base
+    // currency using the rate table. Rate rows: { id, from, to, rate, effectiveDate }
+    // meaning 1 `from` = `rate` `to` from effectiveDate onward (inverse pairs work too).
+    _normalizeCurrencyCode(code) {
+      const value = String(code || '').trim().toUpperCase();
+      return /^[A-Z]{3}$/.test(value) ? value : null;
+    },
+
+    getBaseCurrency() {
+      return (this.settings && this.settings.baseCurrency) || 'INR';
+    },
+
+    // Existing entries are stamped with the base currency before it can change
+    setBaseCurrency(code) {
       if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
         return;
       }
-      if (!name || !amount || parseFloat(amount) <= 0) return;
-      
-      const id = this._generateId();
+      const currency = this._normalizeCurrencyCode(code);
+      if (!currency || currency === this.getBaseCurrency()) return;
+      this._migrateCurrency();
+      this.settings = { ...(this.settings || {}), baseCurrency: currency };
+      this._save('SETTINGS', this.settings);
+      this._emit('currency:changed', { currency });
+      return currency;
+    },
+
+    getExchangeRates() {
+      return (Array.isArray(this.exchangeRates) ? this.exchangeRates : [])
+        .map(r => ({ ...r }))
+        .sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to) || b.effectiveDate.localeCompare(a.effectiveDate));
+    },
+
+    addExchangeRate({ from, to, rate, effectiveDate }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const fromCode = this._normalizeCurrencyCode(from);
+      const toCode = this._normalizeCurrencyCode(to) || this.getBaseCurrency();
+      const value = parseFloat(rate);
+      if (!fromCode || fromCode === toCode || !(value > 0)) return;
+      if (!Array.isArray(this.exchangeRates)) this.exchangeRates = [];
+
       const entry = {
-        id,
-        name: name.trim(),
-        amount: parseFloat(amount),
-        timestamp: new Date().toISOString()
+        id: this._generateId(),
+        from: fromCode,
+        to: toCode,
+        rate: value,
+        effectiveDate: this._toDateKey(effectiveDate || new Date()) || this._toDateKey(new Date())
       };
-      
-      this.income.push(entry);
-      this._save('INCOME', this.income);
-      
-      // Add to history
-      this.addHistoryEntry({
-        type: 'income',
-        category: name,
-        action: 'Added',
-        amount: parseFloat(amount),
-        name: name
-      });
-      
-      // Trigger recent activity update
-      if (typeof window.renderRecentActivity === 'function') {
-        setTimeout(() => window.renderRecentActivity(), 50);
+      // One rate per pair and day: a new value for the same day replaces the old one
+      this.exchangeRates = this.exchangeRates.filter(r => !(r.from === fromCode && r.to === toCode && r.effectiveDate === entry.effectiveDate));
+      this.exchangeRates.push(entry);
+      this._save('RATES', this.exchangeRates);
+      this._emit('rate:added', { rate: { ...entry } });
+      return { ...entry };
+    },
+
+    deleteExchangeRate(id) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
       }
-      
-      return entry;
+      if (!Array.isArray(this.exchangeRates)) return;
+      const index = this.exchangeRates.findIndex(r => r.id === id);
+      if (index === -1) return;
+      const [removed] = this.exchangeRates.splice(index, 1);
+      this._save('RATES', this.exchangeRates);
+      this._emit('rate:deleted', { rate: { ...removed } });
+      return removed;
+    },
+
+    // Rate for 1 `from` in `to` on a date: latest row effective on or before the
+    // date, else the earliest known row. Null when the pair is unknown.
+    getExchangeRate(from, to, date) {
+      if (from === to) return 1;
+      const day = this._toDateKey(date || new Date());
+      const pick = (a, b) => {
+        const rows = (this.exchangeRates || []).filter(r => r.from === a && r.to === b);
+        if (rows.length === 0) return null;
+        const effective = rows.filter(r => r.effectiveDate <= day).sort((x, y) => y.effectiveDate.localeCompare(x.effectiveDate))[0];
+        return effective || rows.sort((x, y) => x.effectiveDate.localeCompare(y.effectiveDate))[0];
+      };
+      const direct = pick(from, to);
+      if (direct) return direct.rate;
+      const inverse = pick(to, from);
+      return inverse ? 1 / inverse.rate : null;
+    },
+
+    convertCurrency(amount, from, to, date) {
+      const source = this._normalizeCurrencyCode(from) || this.getBaseCurrency();
+      const target = this._normalizeCurrencyCode(to) || this.getBaseCurrency();
+      const rate = this.getExchangeRate(source, target, date);
+      // Without a rate the amount is counted as-is; getMissingRates() surfaces the gap
+      return rate === null ? amount : amount * rate;
+    },
+
+    toBaseCurrency(amount, currency, date) {
+      return this.convertCurrency(amount, currency, this.getBaseCurrency(), date);
+    },
+
+    // Currencies in use that have no rate to the base currency
+    getMissingRates() {
+      const base = this.getBaseCurrency();
+      const used = new Set();
+      (this.transactions || []).forEach(t => { if (t.currency) used.add(t.currency); });
+      (this.income || []).concat(this.expenses || []).forEach(item => { if (item && item.currency) used.add(item.currency); });
+      return [...used].filter(code => code !== base && this.getExchangeRate(code, base) === null);
+    },
+
+    getKnownCurrencies() {
+      const codes = new Set([this.getBaseCurrency(), ...COMMON_CURRENCIES]);
+      (this.exchangeRates || []).forEach(r => { codes.add(r.from); codes.add(r.to); });
+      return [...codes];
+    },
+
+    // Rows and entries written before currencies existed are in the base currency
+    _migrateCurrency() {
+      const base = this.getBaseCurrency();
+      const stamp = (items, key) => {
+        let changed = false;
+        (Array.isArray(items) ? items : []).forEach(item => {
+          if (item && !item.currency) {
+            item.currency = base;
+            changed = true;
+          }
+        });
+        if (changed) this._save(key, items);
+      };
+      stamp(this.transactions, 'TRANSACTIONS');
+      stamp(this.income, 'INCOME');
+      stamp(this.expenses, 'EXPENSES');
+    },
+
+    /* ---------- DATE HELPERS ---------- */
+    // Local calendar date as YYYY-MM-DD (toISOString would shift to UTC)
+    _toDateKey(date) {
+      const d = date instanceof Date ? date : new Date(date);
+      if (isNaN(d.getTime())) return null;
+      return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    },
+
+    _toMonthKey(date) {
+      if (typeof date === 'string' && /^\d{4}-\d{2}/.test(date)) return date.slice(0, 7);
+      const key = this._toDateKey(date);
+      return key ? key.slice(0, 7) : null;
+    },
+
+    // First and last calendar day of a YYYY-MM month
+    _monthRange(monthKey) {
+      const [year, month] = monthKey.split('-').map(Number);
+      const lastDay = new Date(year, month, 0).getDate();
+      return { from: `${monthKey}-01`, to: `${monthKey}-${String(lastDay).padStart(2, '0')}` };
+    },
+
+    _addMonths(monthKey, count) {
+      const [year, month] = monthKey.split('-').map(Number);
+      const d = new Date(year, month - 1 + count, 1);
+      return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    },
+
+    // Date new entries are booked on: today when it falls in the month, else the 1st
+    _defaultDateForMonth(monthKey) {
+      const today = this._toDateKey(new Date());
+      return today.slice(0, 7) === monthKey ? today : `${monthKey}-01`;
+    },
+
+    getSelectedMonth() {
+      return this.selectedMonth || this._toMonthKey(new Date());
+    },
+
+    setSelectedMonth(monthKey) {
+      if (!/^\d{4}-\d{2}$/.test(String(monthKey || ''))) return false;
+      const changed = this.selectedMonth !== monthKey;
+      this.selectedMonth = monthKey;
+      if (changed) this._emit('month:selected', { month: monthKey });
+      return true;
+    },
+
+    /* ---------- TRANSACTION LEDGER ---------- */
+    // Every total on the dashboard is derived from these dated rows.
+    // Shape: { id, date: 'YYYY-MM-DD', type: 'income'|'expense'|'transfer', amount,
+    //          payee, category, account, note, tags, source?, sourceId?, importId?, timestamp }
+    // `account` is an account id (or ''). Transfers move `amount` out of `account`
+    // into `toAccount` (`toAmount` in that account's currency) and are neither
+    // income nor expense, so type-filtered totals never see them.
+    _normalizeTransaction(txn) {
+      const type = txn.type === 'income' || txn.type === 'transfer' ? txn.type : 'expense';
+      return {
+        id: txn.id || this._generateId(),
+        date: this._toDateKey(txn.date || new Date()) || this._toDateKey(new Date()),
+        type,
+        amount: Math.abs(parseFloat(txn.amount) || 0),
+        payee: String(txn.payee || '').trim(),
+        category: type === 'transfer' ? 'transfer' : String(txn.category || (type === 'income' ? 'income' : 'miscellaneous')).trim(),
+        currency: this._normalizeCurrencyCode(txn.currency) || this.getBaseCurrency(),
+        account: String(txn.account || '').trim(),
+        note: String(txn.note || '').trim(),
+        tags: this._normalizeTags(txn.tags),
+        ...(type === 'transfer' ? { toAccount: String(txn.toAccount || '').trim(), toAmount: Math.abs(parseFloat(txn.toAmount) || parseFloat(txn.amount) || 0) } : {}),
+        ...(txn.source ? { source: txn.source } : {}),
+        ...(txn.sourceId ? { sourceId: txn.sourceId } : {}),
+        ...(txn.importId ? { importId: txn.importId } : {}),
+        ...(txn.addedBy ? { addedBy: txn.addedBy } : {}),
+        timestamp: txn.timestamp || new Date().toISOString()
+      };
+    },
+
+    // Ledger primitive: callers that represent a user action write their own history entry
+    addTransaction(txn) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (!txn || !(parseFloat(txn.amount) > 0)) return;
+      if (!Array.isArray(this.transactions)) this.transactions = [];
+
+      const entry = this._normalizeTransaction({ ...txn, addedBy: txn.addedBy || this._attribution() });
+      this.transactions.push(entry);
+      this._save('TRANSACTIONS', this.transactions);
+      this._emit('transaction:added', { transaction: { ...entry } });
+      return { ...entry };
+    },
+
+    updateTransaction(id, patch) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (!Array.isArray(this.transactions) || !patch) return;
+      const index = this.transactions.findIndex(t => t.id === id);
+      if (index === -1) return;
+      if (patch.amount !== undefined && !(parseFloat(patch.amount) > 0)) return;
+
+      const updated = this._normalizeTransaction({ ...this.transactions[index], ...patch, id });
+      this.transactions[index] = updated;
+      this._save('TRANSACTIONS', this.transactions);
+      this._emit('transaction:updated', { transaction: { ...updated } });
+      return { ...updated };
+    },
+
+    deleteTransaction(id) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (!Array.isArray(this.transactions)) return;
+      const index = this.transactions.findIndex(t => t.id === id);
+      if (index === -1) return;
+
+      const [removed] = this.transactions.splice(index, 1);
+      this._save('TRANSACTIONS', this.transactions);
+      this._emit('transaction:deleted', { transaction: { ...removed } });
+      return removed;
+    },
+
+    /**
+     * Query the ledger.
+     * range: 'YYYY-MM', { from, to } (dates or YYYY-MM-DD, inclusive) or null for all
+     * filters: { type, category, account (either side of a transfer), payee (substring), source, sourceId }
+     * Returns copies sorted by date, oldest first.
+     */
+    queryTransactions(range, filters = {}) {
+      const all = Array.isArray(this.transactions) ? this.transactions : [];
+      let from = null;
+      let to = null;
+      if (typeof range === 'string') {
+        ({ from, to } = this._monthRange(this._toMonthKey(range)));
+      } else if (range && typeof range === 'object') {
+        from = range.from ? this._toDateKey(range.from) : null;
+        to = range.to ? this._toDateKey(range.to) : null;
+      }
+      const payee = filters.payee ? String(filters.payee).toLowerCase() : null;
+
+      return all
+        .filter(t => {
+          if (from && t.date < from) return false;
+          if (to && t.date > to) return false;
+          if (filters.type && t.type !== filters.type) return false;
+          if (filters.category && t.category !== filters.category) return false;
+          if (filters.account && t.account !== filters.account && t.toAccount !== filters.account) return false;
+          if (filters.source && t.source !== filters.source) return false;
+          if (filters.sourceId && t.sourceId !== filters.sourceId) return false;
+          if (payee && !String(t.payee || '').toLowerCase().includes(payee)) return false;
+          return true;
+        })
+        .map(t => ({ ...t }))
+        .sort((a, b) => a.date.localeCompare(b.date) || String(a.timestamp).localeCompare(String(b.timestamp)));
+    },
+
+    // Totals are always in the base currency
+    _sumTransactions(range, filters) {
+      return this.queryTransactions(range, filters).reduce((sum, t) => sum + this._transactionBaseAmount(t), 0);
+    },
+
+    _transactionBaseAmount(t) {
+      return this.toBaseCurrency(parseFloat(t.amount) || 0, t.currency, t.date);
+    },
+
+    // Money moved into investments during a month. These rows are transfers, so
+    // they are part of savings and never of expenses.
+    getTotalInvested(monthKey) {
+      return this.queryTransactions(monthKey || this.getSelectedMonth(), { type: 'transfer' })
+        .filter(t => t.source === 'sip' || t.source === 'investment')
+        .reduce((sum, t) => sum + this._transactionBaseAmount(t), 0);
+    },
+
+    /**
+     * Income, expenses and savings per month, oldest first. `invested` is the
+     * part of savings moved into investments (SIPs and purchases).
+     * @param {number} count - Number of months to return
+     * @param {string} endMonth - Last month (YYYY-MM), defaults to the selected month
+     */
+    getMonthlyTotals(count = 6, endMonth) {
+      const end = endMonth || this.getSelectedMonth();
+      const [year, month] = end.split('-').map(Number);
+      const totals = [];
+      for (let i = count - 1; i >= 0; i--) {
+        const monthKey = this._toMonthKey(new Date(year, month - 1 - i, 1));
+        const income = this._sumTransactions(monthKey, { type: 'income' });
+        const expenses = this._sumTransactions(monthKey, { type: 'expense' });
+        totals.push({ month: monthKey, income, expenses, savings: income - expenses, invested: this.getTotalInvested(monthKey) });
+      }
+      return totals;
+    },
+
+    // Expense rows for a month grouped for display: fixed by payee, flexible by category
+    getSpendingBreakdown(monthKey) {
+      const groups = {};
+      this.queryTransactions(monthKey || this.getSelectedMonth(), { type: 'expense' }).forEach(t => {
+        const label = t.category === 'fixed' ? (t.payee || 'Fixed expense') : this.getCategoryLabel(t.category);
+        const key = `${t.category}:${label}`;
+        if (!groups[key]) {
+          const entry = this.getCategory(t.category);
+          groups[key] = { label, category: t.category, color: entry ? entry.color : null, amount: 0 };
+        }
+        groups[key].amount += this._transactionBaseAmount(t);
+      });
+      return Object.values(groups);
+    },
+
+    getCategoryLabel(category) {
+      const entry = this.getCategory(category);
+      if (entry) return entry.name;
+      return SYSTEM_CATEGORIES[category] || category;
+    },
+
+    /* ---------- STATEMENT IMPORT ---------- */
+    // Parsed statement rows: { date: 'YYYY-MM-DD', type: 'income'|'expense', amount,
+    // description, balance?, currency?, category?, categoryName?, fitId?, sourceAccount? }.
+    // Each imported ledger row keeps an importId: the bank's FITID (scoped to the
+    // statement account) for OFX/QFX, or a key built from the statement line
+    // otherwise, so importing the same file twice is caught exactly and skipped.
+    // Rows entered by hand are matched by type, amount and a date a few days either way.
+    _importIds(rows, accountId) {
+      const seen = {};
+      return rows.map(row => {
+        if (row.fitId) return `fitid|${row.sourceAccount || ''}|${row.fitId}`;
+        const base = [accountId || '', row.date, row.type, (parseFloat(row.amount) || 0).toFixed(2),
+          String(row.description || '').toLowerCase(), row.balance == null ? '' : row.balance].join('|');
+        // Identical lines in one statement (two equal payments the same day) stay distinct
+        seen[base] = (seen[base] || 0) + 1;
+        return `${base}#${seen[base]}`;
+      });
+    },
+
+    /**
+     * Match statement rows against the ledger before importing.
+     * Each existing transaction is matched at most once, so two equal payments
+     * on a statement only flag one when the ledger has one.
+     * @param {Array} rows - Parsed statement rows
+     * @param {Object} options - { accountId, windowDays: date tolerance for hand-entered rows }
+     * @returns {Array} Per row: null, or { reason: 'imported'|'similar', transaction }
+     */
+    findDuplicateTransactions(rows, { accountId = '', windowDays = 3 } = {}) {
+      const ledger = Array.isArray(this.transactions) ? this.transactions : [];
+      const byImportId = new Map(ledger.filter(t => t.importId).map(t => [t.importId, t]));
+      const claimed = new Set();
+      const dayMs = 24 * 60 * 60 * 1000;
+      const ids = this._importIds(rows, accountId);
+
+      return rows.map((row, i) => {
+        if (!row || !row.date || !(parseFloat(row.amount) > 0)) return null;
+        const exact = byImportId.get(ids[i]);
+        if (exact && !claimed.has(exact.id)) {
+          claimed.add(exact.id);
+          return { reason: 'imported', transaction: { ...exact } };
+        }
+
+        const amount = parseFloat(row.amount);
+        const rowTime = new Date(`${row.date}T00:00:00`).getTime();
+        const payee = String(row.description || '').toLowerCase();
+        const candidates = ledger
+          .filter(t => !claimed.has(t.id) && t.type === row.type && Math.abs((parseFloat(t.amount) || 0) - amount) < 0.005)
+          .filter(t => !accountId || !t.account || t.account === accountId)
+          .map(t => ({ t, gap: Math.abs(new Date(`${t.date}T00:00:00`).getTime() - rowTime) / dayMs }))
+          .filter(c => c.gap <= windowDays)
+          // Closest date first, then rows whose payee appears in the statement narration
+          .sort((a, b) => a.gap - b.gap ||
+            Number(!!(b.t.payee && payee.includes(b.t.payee.toLowerCase()))) - Number(!!(a.t.payee && payee.includes(a.t.payee.toLowerCase()))));
+        if (candidates.length === 0) return null;
+        claimed.add(candidates[0].t.id);
+        return { reason: 'similar', transaction: { ...candidates[0].t } };
+      });
+    },
+
+    /**
+     * Book parsed statement rows into the ledger as one undoable step.
+     * @param {Array} rows - Parsed statement rows the user chose to keep
+     * @param {Object} options - { accountId, currency, category: default expense category, fileName }
+     * @returns {Object|undefined} { imported, skipped, transactions }
+     */
+    importTransactions(rows, { accountId, currency, category, fileName } = {}) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (!Array.isArray(rows) || rows.length === 0) return;
+
+      const account = this.getAccount(accountId);
+      const expenseCategory = this.getCategory(category) ? category : 'miscellaneous';
+      const ids = this._importIds(rows, account ? account.id : '');
+      const known = new Set((this.transactions || []).map(t => t.importId).filter(Boolean));
+      const categoriesByName = new Map(this.getCategories({ includeArchived: true }).map(c => [c.name.toLowerCase(), c.id]));
+      const added = [];
+      let skipped = 0;
+
+      rows.forEach((row, i) => {
+        const date = row && this._toDateKey(row.date);
+        // Already in the ledger (same FITID or statement line): never book it twice
+        if (!date || !(parseFloat(row.amount) > 0) || known.has(ids[i])) {
+          skipped++;
+          return;
+        }
+        known.add(ids[i]);
+        const type = row.type === 'income' ? 'income' : 'expense';
+        const named = row.categoryName ? categoriesByName.get(String(row.categoryName).toLowerCase()) : null;
+        added.push(this.addTransaction({
+          date,
+          type,
+          amount: parseFloat(row.amount),
+          payee: row.description,
+          category: type === 'income' ? 'income' : (this.getCategory(row.category) ? row.category : named || expenseCategory),
+          currency: account ? account.currency : (row.currency || currency),
+          account: account ? account.id : '',
+          source: 'import',
+          importId: ids[i]
+        }));
+      });
+      if (added.length === 0) return { imported: 0, skipped, transactions: [] };
+
+      const net = added.reduce((sum, t) => sum + (t.type === 'income' ? t.amount : -t.amount), 0);
+      this.addHistoryEntry({
+        type: 'import',
+        category: 'Statement import',
+        action: 'Imported',
+        amount: Math.abs(net),
+        currency: added[0].currency,
+        name: `${added.length} transaction${added.length !== 1 ? 's' : ''}${fileName ? ` from ${fileName}` : ''}`
+      });
+
+      this._emit('transaction:imported', { count: added.length, accountId: account ? account.id : '', fileName: fileName || '' });
+      return { imported: added.length, skipped, transactions: added };
+    },
+
+    /* ---------- JOURNAL EXPORT ---------- */
+    // Account names used by the plain-text accounting export (exporters.js fills
+    // in defaults): { assets, liabilities, income, expenses, equity, unassigned }
+    getJournalAccountNames() {
+      const saved = this.settings && this.settings.journalAccounts;
+      return saved && typeof saved === 'object' ? { ...saved } : {};
+    },
+
+    setJournalAccountNames(names) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (!names || typeof names !== 'object') return;
+      const journalAccounts = {};
+      ['assets', 'liabilities', 'income', 'expenses', 'equity', 'unassigned'].forEach(key => {
+        const value = String(names[key] || '').trim();
+        if (value) journalAccounts[key] = value;
+      });
+      this.settings = { ...(this.settings || {}), journalAccounts };
+      this._save('SETTINGS', this.settings);
+      this._emit('settings:changed', { journalAccounts: { ...journalAccounts } });
+      return { ...journalAccounts };
+    },
+
+    /* ---------- ACCOUNTS ---------- */
+    // Shape: { id, name, type: bank|cash|credit|wallet, currency, openingBalance,
+    //          openingDate, archived, createdAt }. Balances are derived from the
+    // opening balance plus ledger rows booked to the account on or after openingDate.
+    getAccountTypes() {
+      return { ...ACCOUNT_TYPES };
+    },
+
+    isLiabilityAccount(account) {
+      return !!account && account.type === 'credit';
+    },
+
+    getAccounts({ includeArchived = false } = {}) {
+      return (Array.isArray(this.accounts) ? this.accounts : [])
+        .filter(a => includeArchived || !a.archived)
+        .map(a => ({ ...a, balance: this.getAccountBalance(a.id), isLiability: this.isLiabilityAccount(a) }));
+    },
+
+    getAccount(id) {
+      const account = (Array.isArray(this.accounts) ? this.accounts : []).find(a => a.id === id);
+      return account ? { ...account } : null;
+    },
+
+    _isAccountNameTaken(name, exceptId) {
+      const lower = String(name).trim().toLowerCase();
+      return (this.accounts || []).some(a => a.id !== exceptId && a.name.toLowerCase() === lower);
+    },
+
+    addAccount({ name, type, currency, openingBalance, openingDate }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const label = String(name || '').trim();
+      if (!label || !ACCOUNT_TYPES[type] || this._isAccountNameTaken(label)) return;
+      if (!Array.isArray(this.accounts)) this.accounts = [];
+
+      const account = {
+        id: this._generateId(),
+        name: label,
+        type,
+        currency: this._normalizeCurrencyCode(currency) || this.getBaseCurrency(),
+        openingBalance: parseFloat(openingBalance) || 0,
+        openingDate: this._toDateKey(openingDate || new Date()) || this._toDateKey(new Date()),
+        archived: false,
+        createdAt: new Date().toISOString()
+      };
+      this.accounts.push(account);
+      this._save('ACCOUNTS', this.accounts);
+      this._emit('account:added', { account: { ...account } });
+      return { ...account };
+    },
+
+    // Name, opening balance and opening date are editable; type and currency are
+    // fixed once rows reference the account.
+    updateAccount(id, patch) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const account = (this.accounts || []).find(a => a.id === id);
+      if (!account || !patch) return;
+      const name = patch.name !== undefined ? String(patch.name).trim() : account.name;
+      if (!name || this._isAccountNameTaken(name, id)) return;
+      const inUse = (this.transactions || []).some(t => t.account === id || t.toAccount === id);
+
+      account.name = name;
+      if (patch.openingBalance !== undefined) account.openingBalance = parseFloat(patch.openingBalance) || 0;
+      if (patch.openingDate !== undefined) account.openingDate = this._toDateKey(patch.openingDate) || account.openingDate;
+      if (!inUse && ACCOUNT_TYPES[patch.type]) account.type = patch.type;
+      if (!inUse && patch.currency !== undefined) account.currency = this._normalizeCurrencyCode(patch.currency) || account.currency;
+      this._save('ACCOUNTS', this.accounts);
+      this._emit('account:updated', { account: { ...account } });
+      return { ...account };
+    },
+
+    archiveAccount(id, archived = true) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const account = (this.accounts || []).find(a => a.id === id);
+      if (!account) return;
+      account.archived = !!archived;
+      this._save('ACCOUNTS', this.accounts);
+      this._emit('account:archived', { account: { ...account } });
+      return { ...account };
+    },
+
+    // Signed effect of a ledger row on an account, in the account's currency
+    _accountDelta(account, t) {
+      if (t.type === 'transfer') {
+        // toAmount is already in the destination account's currency
+        if (t.toAccount === account.id) return t.toAmount;
+        return t.account === account.id ? -this.convertCurrency(t.amount, t.currency, account.currency, t.date) : 0;
+      }
+      if (t.account !== account.id) return 0;
+      const amount = this.convertCurrency(parseFloat(t.amount) || 0, t.currency, account.currency, t.date);
+      return t.type === 'income' ? amount : -amount;
+    },
+
+    /**
+     * Rows touching an account with the balance after each one, oldest first.
+     * Credit card balances are the amount owed, so spending raises them.
+     * @param {string} id - Account id
+     * @param {*} range - Same as queryTransactions; earlier rows still count toward the balance
+     */
+    getAccountRegister(id, range) {
+      const account = this.getAccount(id);
+      if (!account) return [];
+      const sign = this.isLiabilityAccount(account) ? -1 : 1;
+      let balance = account.openingBalance;
+      const rows = this.queryTransactions(null, { account: id })
+        .filter(t => t.date >= account.openingDate)
+        .map(t => {
+          const delta = sign * this._accountDelta(account, t);
+          balance += delta;
+          return { ...t, delta, balance };
+        });
+      if (!range) return rows;
+      const inRange = new Set(this.queryTransactions(range, { account: id }).map(t => t.id));
+      return rows.filter(t => inRange.has(t.id));
+    },
+
+    getAccountBalance(id, asOf) {
+      const account = this.getAccount(id);
+      if (!account) return 0;
+      const day = this._toDateKey(asOf || new Date());
+      const rows = this.getAccountRegister(id).filter(t => t.date <= day);
+      return rows.length > 0 ? rows[rows.length - 1].balance : account.openingBalance;
+    },
+
+    // Bank, cash and wallet balances in the base currency
+    getLiquidBalance(asOf) {
+      const day = this._toDateKey(asOf || new Date());
+      return this.getAccounts()
+        .filter(a => !a.isLiability)
+        .reduce((sum, a) => sum + this.toBaseCurrency(this.getAccountBalance(a.id, day), a.currency, day), 0);
+    },
+
+    // Outstanding credit card balances in the base currency
+    getLiabilities(asOf) {
+      const day = this._toDateKey(asOf || new Date());
+      return this.getAccounts()
+        .filter(a => a.isLiability)
+        .reduce((sum, a) => sum + this.toBaseCurrency(this.getAccountBalance(a.id, day), a.currency, day), 0);
+    },
+
+    /**
+     * Move money between two accounts. Paying a credit card is a transfer into it.
+     * @param {Object} transfer - { fromAccountId, toAccountId, amount, toAmount?, date?, note? }
+     *   toAmount defaults to amount converted into the destination account's currency
+     */
+    addTransfer({ fromAccountId, toAccountId, amount, toAmount, date, note }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const from = this.getAccount(fromAccountId);
+      const to = this.getAccount(toAccountId);
+      const value = parseFloat(amount);
+      if (!from || !to || from.id === to.id || !(value > 0)) return;
+
+      const day = this._toDateKey(date || this._defaultDateForMonth(this.getSelectedMonth()));
+      const received = parseFloat(toAmount) > 0 ? parseFloat(toAmount) : this.convertCurrency(value, from.currency, to.currency, day);
+      const entry = this.addTransaction({
+        date: day,
+        type: 'transfer',
+        amount: value,
+        toAmount: received,
+        currency: from.currency,
+        account: from.id,
+        toAccount: to.id,
+        payee: `${from.name} → ${to.name}`,
+        note
+      });
+
+      this.addHistoryEntry({
+        type: 'transfer',
+        category: 'Transfer',
+        action: 'Transferred',
+        amount: value,
+        currency: from.currency,
+        name: entry.payee
+      });
+
+      this._emit('transfer:added', { transaction: entry });
+      return entry;
+    },
+
+    /**
+     * What the savings card and affordability check treat as available money:
+     * the month's income minus expenses, or, once the user opts in and has
+     * accounts, liquid balances minus credit card dues.
+     */
+    getSavingsBasis() {
+      return this.settings && this.settings.savingsBasis === 'accounts' && this.getAccounts().length > 0 ? 'accounts' : 'surplus';
+    },
+
+    setSavingsBasis(basis) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (basis !== 'accounts' && basis !== 'surplus') return;
+      this.settings = { ...(this.settings || {}), savingsBasis: basis };
+      this._save('SETTINGS', this.settings);
+      this._emit('settings:changed', { savingsBasis: basis });
+      return basis;
+    },
+
+    getAvailableSavings(monthKey) {
+      if (this.getSavingsBasis() === 'accounts') {
+        return this.getLiquidBalance() - this.getLiabilities();
+      }
+      return this.calculateSavings(monthKey);
+    },
+
+    /* ---------- CATEGORY METHODS ---------- */
+    // Shape: { id, name, color, icon, archived }. Ledger rows reference the id,
+    // so renaming or recoloring never rewrites transactions.
+    _migrateCategories() {
+      let changed = false;
+      if (!Array.isArray(this.categories) || this.categories.length === 0) {
+        this.categories = DEFAULT_CATEGORIES.map(c => ({ ...c, archived: false }));
+        changed = true;
+      }
+
+      // Anything already booked or budgeted under an unknown key becomes a category
+      const known = new Set(this.categories.map(c => c.id));
+      const used = Object.keys(this.flexibleSpending || {}).filter(id => parseFloat(this.flexibleSpending[id]) > 0);
+      (Array.isArray(this.transactions) ? this.transactions : []).forEach(t => {
+        if (t.type === 'expense') used.push(t.category);
+      });
+      used.forEach(id => {
+        if (!id || known.has(id) || SYSTEM_CATEGORIES[id]) return;
+        known.add(id);
+        this.categories.push({
+          id,
+          name: id.charAt(0).toUpperCase() + id.slice(1),
+          color: CATEGORY_PALETTE[this.categories.length % CATEGORY_PALETTE.length],
+          icon: '•',
+          archived: false
+        });
+        changed = true;
+      });
+
+      if (changed) this._save('CATEGORIES', this.categories);
+    },
+
+    _isCategoryNameTaken(name, exceptId) {
+      const lower = name.toLowerCase();
+      return (this.categories || []).some(c => c.id !== exceptId && c.name.toLowerCase() === lower);
+    },
+
+    /**
+     * Flexible spending categories.
+     * @param {Object} options - { includeArchived: false }
+     * @returns {Array} Copies, in display order
+     */
+    getCategories({ includeArchived = false } = {}) {
+      return (Array.isArray(this.categories) ? this.categories : [])
+        .filter(c => includeArchived || !c.archived)
+        .map(c => ({ ...c }));
+    },
+
+    getCategory(id) {
+      const entry = (Array.isArray(this.categories) ? this.categories : []).find(c => c.id === id);
+      return entry ? { ...entry } : null;
+    },
+
+    addCategory({ name, color, icon }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const trimmed = String(name || '').trim();
+      if (!trimmed || this._isCategoryNameTaken(trimmed)) return;
+
+      const entry = {
+        id: this._generateId(),
+        name: trimmed,
+        color: /^#[0-9a-f]{6}$/i.test(color || '') ? color : CATEGORY_PALETTE[this.categories.length % CATEGORY_PALETTE.length],
+        icon: String(icon || '').trim() || '•',
+        archived: false
+      };
+      this.categories.push(entry);
+      this._save('CATEGORIES', this.categories);
+      this._emit('category:added', { category: { ...entry } });
+      return { ...entry };
+    },
+
+    renameCategory(id, name) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const entry = this.categories.find(c => c.id === id);
+      const trimmed = String(name || '').trim();
+      if (!entry || !trimmed || this._isCategoryNameTaken(trimmed, id)) return;
+
+      entry.name = trimmed;
+      this._save('CATEGORIES', this.categories);
+      this._emit('category:updated', { category: { ...entry } });
+      return { ...entry };
+    },
+
+    recolorCategory(id, color) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const entry = this.categories.find(c => c.id === id);
+      if (!entry || !/^#[0-9a-f]{6}$/i.test(color || '')) return;
+
+      entry.color = color;
+      this._save('CATEGORIES', this.categories);
+      this._emit('category:updated', { category: { ...entry } });
+      return { ...entry };
+    },
+
+    // Archived categories drop out of the inputs but keep their booked history
+    archiveCategory(id, archived = true) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const entry = this.categories.find(c => c.id === id);
+      if (!entry) return;
+      if (archived && this.getCategories().length <= 1 && !entry.archived) return; // keep at least one active
+
+      entry.archived = !!archived;
+      this._save('CATEGORIES', this.categories);
+      this._emit('category:updated', { category: { ...entry } });
+      return { ...entry };
+    },
+
+    // Move every transaction and amount from one category into another, then drop the source
+    mergeCategories(sourceId, targetId) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (sourceId === targetId) return;
+      const source = this.categories.find(c => c.id === sourceId);
+      const target = this.categories.find(c => c.id === targetId);
+      if (!source || !target) return;
+
+      let moved = 0;
+      (this.transactions || []).forEach(t => {
+        if (t.category !== sourceId) return;
+        t.category = targetId;
+        moved++;
+      });
+      if (moved > 0) this._save('TRANSACTIONS', this.transactions);
+
+      if (this.flexibleSpending && sourceId in this.flexibleSpending) {
+        this.flexibleSpending[targetId] = (parseFloat(this.flexibleSpending[targetId]) || 0) + (parseFloat(this.flexibleSpending[sourceId]) || 0);
+        // Zeroed rather than deleted: Firestore merge-writes would keep a removed key
+        this.flexibleSpending[sourceId] = 0;
+        this._save('FLEXIBLE', this.flexibleSpending);
+      }
+
+      this.categories = this.categories.filter(c => c.id !== sourceId);
+      target.archived = false;
+      this._save('CATEGORIES', this.categories);
+
+      this.addHistoryEntry({
+        type: 'expense',
+        category: target.name,
+        action: `Merged ${source.name}`,
+        amount: this.getFlexibleSpending()[targetId] || 0,
+        name: target.name
+      });
+      this._emit('category:merged', { sourceId, targetId, moved });
+      return { ...target, moved };
+    },
+
+    // Book pre-ledger snapshots (income sources, fixed expenses, flexible amounts)
+    // into the current month. Idempotent: linked rows are never posted twice, and
+    // scheduled items are left to the recurrence catch-up.
+    _migrateToLedger() {
+      if (!Array.isArray(this.transactions)) this.transactions = [];
+      const linked = new Set(this.transactions.map(t => t.sourceId).filter(Boolean));
+      const wasEmpty = this.transactions.length === 0;
+      const today = this._toDateKey(new Date());
+      let changed = false;
+
+      (Array.isArray(this.income) ? this.income : []).forEach(item => {
+        if (!item || item.recurrence || linked.has(item.id) || !(parseFloat(item.amount) > 0)) return;
+        this.transactions.push(this._normalizeTransaction({
+          date: today, type: 'income', amount: item.amount, payee: item.name,
+          category: 'income', source: 'income', sourceId: item.id
+        }));
+        changed = true;
+      });
+
+      (Array.isArray(this.expenses) ? this.expenses : []).forEach(item => {
+        if (!item || item.recurrence || linked.has(item.id) || !(parseFloat(item.amount) > 0)) return;
+        this.transactions.push(this._normalizeTransaction({
+          date: today, type: 'expense', amount: item.amount, payee: item.name,
+          category: 'fixed', source: 'fixed', sourceId: item.id
+        }));
+        changed = true;
+      });
+
+      if (wasEmpty && this.flexibleSpending && typeof this.flexibleSpending === 'object') {
+        Object.entries(this.flexibleSpending).forEach(([category, amount]) => {
+          if (!(parseFloat(amount) > 0)) return;
+          this.transactions.push(this._normalizeTransaction({
+            date: today, type: 'expense', amount, payee: this.getCategoryLabel(category),
+            category, source: 'flexible'
+          }));
+          changed = true;
+        });
+      }
+
+      if (changed) this._save('TRANSACTIONS', this.transactions);
+    },
+
+    /* ---------- RECURRENCE ---------- */
+    // Income sources and fixed expenses carry a schedule:
+    // { frequency: 'once'|'weekly'|'monthly'|'quarterly'|'yearly'|'custom',
+    //   interval, unit: 'day'|'week'|'month' (custom only), dayOfMonth, startDate, endDate }
+    // plus lastPostedDate on the item, so catch-up never books an occurrence twice.
+    _normalizeRecurrence(rule, fallbackStart) {
+      const frequencies = ['once', 'weekly', 'monthly', 'quarterly', 'yearly', 'custom'];
+      const r = rule && typeof rule === 'object' ? rule : {};
+      const startDate = this._toDateKey(r.startDate || fallbackStart || new Date());
+      const endDate = r.endDate ? this._toDateKey(r.endDate) : null;
+      const dayOfMonth = parseInt(r.dayOfMonth, 10);
+      return {
+        frequency: frequencies.includes(r.frequency) ? r.frequency : 'monthly',
+        interval: Math.max(1, parseInt(r.interval, 10) || 1),
+        unit: ['day', 'week', 'month'].includes(r.unit) ? r.unit : 'month',
+        dayOfMonth: dayOfMonth >= 1 && dayOfMonth <= 31 ? dayOfMonth : Number(startDate.slice(8, 10)),
+        startDate,
+        endDate: endDate && endDate >= startDate ? endDate : null
+      };
+    },
+
+    _addDays(dateKey, days) {
+      const d = new Date(dateKey + 'T00:00:00');
+      d.setDate(d.getDate() + days);
+      return this._toDateKey(d);
+    },
+
+    // The k-th occurrence of a rule (k = 0 is anchored on the start date)
+    _occurrenceAt(rule, k) {
+      if (rule.frequency === 'once') return k === 0 ? rule.startDate : null;
+      if (rule.frequency === 'weekly') return this._addDays(rule.startDate, 7 * k);
+      if (rule.frequency === 'custom' && rule.unit !== 'month') {
+        return this._addDays(rule.startDate, (rule.unit === 'week' ? 7 : 1) * rule.interval * k);
+      }
+      const step = { monthly: 1, quarterly: 3, yearly: 12, custom: rule.interval }[rule.frequency];
+      const [year, month] = rule.startDate.split('-').map(Number);
+      const target = new Date(year, month - 1 + step * k, 1);
+      const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+      target.setDate(Math.min(rule.dayOfMonth, lastDay));
+      return this._toDateKey(target);
+    },
+
+    // Index of the first occurrence on or after fromKey, worked out from the gap
+    // since the start date so old schedules don't walk every occurrence in between
+    _firstOccurrenceIndex(rule, fromKey) {
+      if (rule.frequency === 'once' || fromKey <= rule.startDate) return 0;
+      const [sy, sm, sd] = rule.startDate.split('-').map(Number);
+      const [fy, fm, fd] = fromKey.split('-').map(Number);
+      let k;
+      if (rule.frequency === 'weekly' || (rule.frequency === 'custom' && rule.unit !== 'month')) {
+        const step = rule.frequency === 'weekly' ? 7 : (rule.unit === 'week' ? 7 : 1) * rule.interval;
+        k = Math.floor((Date.UTC(fy, fm - 1, fd) - Date.UTC(sy, sm - 1, sd)) / 864e5 / step);
+      } else {
+        const step = { monthly: 1, quarterly: 3, yearly: 12, custom: rule.interval }[rule.frequency];
+        k = Math.floor(((fy - sy) * 12 + fm - sm) / step);
+      }
+      k = Math.max(0, k);
+      while (k > 0 && this._occurrenceAt(rule, k - 1) >= fromKey) k--;
+      while (this._occurrenceAt(rule, k) < fromKey) k++;
+      return k;
+    },
+
+    // Occurrence dates within [fromKey, toKey], honouring start and end dates
+    _occurrencesBetween(rule, fromKey, toKey) {
+      const dates = [];
+      const last = rule.endDate && rule.endDate < toKey ? rule.endDate : toKey;
+      for (let k = this._firstOccurrenceIndex(rule, fromKey); ; k++) {
+        const date = this._occurrenceAt(rule, k);
+        if (!date || date > last) break;
+        if (date >= fromKey && date >= rule.startDate) dates.push(date);
+      }
+      return dates;
+    },
+
+    // Human-readable schedule, e.g. "Monthly on day 1"
+    describeRecurrence(rule) {
+      if (!rule) return '';
+      const ends = rule.endDate ? ` until ${new Date(rule.endDate + 'T00:00:00').toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}` : '';
+      switch (rule.frequency) {
+        case 'once': return `Once on ${new Date(rule.startDate + 'T00:00:00').toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+        case 'weekly': return `Weekly on ${new Date(rule.startDate + 'T00:00:00').toLocaleDateString('en-IN', { weekday: 'long' })}s${ends}`;
+        case 'monthly': return `Monthly on day ${rule.dayOfMonth}${ends}`;
+        case 'quarterly': return `Quarterly on day ${rule.dayOfMonth}${ends}`;
+        case 'yearly': return `Yearly on ${new Date(2000, Number(rule.startDate.slice(5, 7)) - 1, rule.dayOfMonth).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}${ends}`;
+        default: return `Every ${rule.interval} ${rule.unit}${rule.interval > 1 ? 's' : ''}${ends}`;
+      }
+    },
+
+    // What one occurrence books: the item's amount, or the installment due that day for a loan
+    _occurrenceAmount(item, date) {
+      if (!item.loan || typeof window.LoanCalculator === 'undefined') return item.amount;
+      const row = LoanCalculator.schedule(item.loan).find(r => r.date === date);
+      return row ? row.payment : 0;
+    },
+
+    // Book every occurrence of one item that has come due. Caller saves the item list.
+    // Bills are skipped: they wait in getBills() until marked paid.
+    _postDueOccurrences(item, type, { asOf, history = true } = {}) {
+      if (!item || !item.recurrence || item.bill || !(parseFloat(item.amount) > 0)) return 0;
+      const today = asOf || this._toDateKey(new Date());
+      const from = item.lastPostedDate ? this._addDays(item.lastPostedDate, 1) : item.recurrence.startDate;
+      const dates = this._occurrencesBetween(item.recurrence, from, today);
+      if (dates.length === 0) return 0;
+      if (!Array.isArray(this.transactions)) this.transactions = [];
+
+      dates.forEach(date => {
+        const amount = this._occurrenceAmount(item, date);
+        if (!(amount > 0)) return;
+        // Keyed by entry and date: when two household members post the same
+        // occurrence, their saves merge into one row
+        const id = `${item.id}_${date}`;
+        this.transactions.push(this._normalizeTransaction({
+          id,
+          date,
+          type,
+          amount,
+          payee: item.name,
+          category: type === 'income' ? 'income' : 'fixed',
+          source: type === 'income' ? 'income' : 'fixed',
+          sourceId: item.id,
+          currency: item.currency,
+          account: item.accountId || '',
+          tags: item.tags,
+          note: item.note,
+          // Scheduled postings belong to whoever set up the entry
+          addedBy: item.addedBy
+        }));
+        if (history) {
+          this.addHistoryEntry({
+            id,
+            type,
+            category: item.name,
+            action: 'Posted',
+            amount,
+            name: item.name,
+            tags: item.tags
+          });
+        }
+      });
+      item.lastPostedDate = dates[dates.length - 1];
+      this._save('TRANSACTIONS', this.transactions);
+      this._emit(`${type}:posted`, { sourceId: item.id, dates });
+      return dates.length;
+    },
+
+    /**
+     * Catch-up: post every scheduled occurrence that came due since the last run.
+     * Runs on app load; safe to call repeatedly.
+     * @returns {number} Number of occurrences posted
+     */
+    postDueRecurring() {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return 0;
+      }
+      let incomePosted = 0;
+      let expensesPosted = 0;
+      (Array.isArray(this.income) ? this.income : []).forEach(item => {
+        incomePosted += this._postDueOccurrences(item, 'income');
+      });
+      (Array.isArray(this.expenses) ? this.expenses : []).forEach(item => {
+        expensesPosted += this._postDueOccurrences(item, 'expense');
+      });
+      let sipPosted = 0;
+      (Array.isArray(this.investments) ? this.investments : []).forEach(holding => {
+        sipPosted += this._postDueSip(holding);
+      });
+      if (incomePosted > 0) this._save('INCOME', this.income);
+      if (expensesPosted > 0) this._save('EXPENSES', this.expenses);
+      if (sipPosted > 0) this._save('INVESTMENTS', this.investments);
+      return incomePosted + expensesPosted + sipPosted;
+    },
+
+    /**
+     * Scheduled occurrences not yet posted, soonest first.
+     * @param {number} days - Look-ahead window from today
+     * @returns {Array} [{ sourceId, type, name, amount, date }]
+     */
+    getUpcomingOccurrences(days = 30) {
+      const today = this._toDateKey(new Date());
+      const until = this._addDays(today, days);
+      const upcoming = [];
+      const collect = (items, type) => (Array.isArray(items) ? items : []).forEach(item => {
+        if (!item || !item.recurrence) return;
+        // Unpaid bills can lie in the past; those show as overdue in getBills() instead
+        const next = item.lastPostedDate ? this._addDays(item.lastPostedDate, 1) : item.recurrence.startDate;
+        const from = next > today ? next : today;
+        this._occurrencesBetween(item.recurrence, from, until).forEach(date => {
+          const amount = this._occurrenceAmount(item, date);
+          if (amount > 0) upcoming.push({ sourceId: item.id, type, name: item.name, amount, currency: item.currency, date });
+        });
+      });
+      collect(this.income, 'income');
+      collect(this.expenses, 'expense');
+      (Array.isArray(this.investments) ? this.investments : []).forEach(holding => {
+        const sip = holding.sip;
+        if (!sip || holding.archived) return;
+        const from = sip.lastPostedDate ? this._addDays(sip.lastPostedDate, 1) : sip.recurrence.startDate;
+        this._occurrencesBetween(sip.recurrence, from, until).forEach(date => {
+          upcoming.push({ sourceId: holding.id, type: 'investment', name: `${holding.name} SIP`, amount: sip.amount, currency: holding.currency, date });
+        });
+      });
+      return upcoming.sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    // Entries created before schedules existed were "monthly amounts": make them
+    // monthly from their first booked row so catch-up continues where they left off.
+    _migrateRecurrence() {
+      const migrate = (items) => {
+        let changed = false;
+        (Array.isArray(items) ? items : []).forEach(item => {
+          if (!item || item.recurrence) return;
+          const rows = (this.transactions || []).filter(t => t.sourceId === item.id).map(t => t.date).sort();
+          const startDate = rows[0] || this._toDateKey(new Date());
+          item.recurrence = this._normalizeRecurrence({ frequency: 'monthly' }, startDate);
+          item.lastPostedDate = rows.length > 0 ? rows[rows.length - 1] : null;
+          changed = true;
+        });
+        return changed;
+      };
+      if (migrate(this.income)) this._save('INCOME', this.income);
+      if (migrate(this.expenses)) this._save('EXPENSES', this.expenses);
+    },
+
+    /* ---------- INCOME METHODS ---------- */
+    addIncomeSource({ name, amount, recurrence, currency, accountId, tags, note }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (!name || !amount || parseFloat(amount) <= 0) return;
+      
+      const id = this._generateId();
+      const entry = {
+        id,
+        name: name.trim(),
+        amount: parseFloat(amount),
+        currency: this._normalizeCurrencyCode(currency) || this.getBaseCurrency(),
+        accountId: this.getAccount(accountId) ? accountId : null,
+        tags: this._normalizeTags(tags),
+        note: String(note || '').trim(),
+        recurrence: this._normalizeRecurrence(recurrence, this._defaultDateForMonth(this.getSelectedMonth())),
+        lastPostedDate: null,
+        addedBy: this._attribution(),
+        timestamp: new Date().toISOString()
+      };
+      
+      this.income.push(entry);
+      // Occurrences already due (start date up to today) are booked right away
+      this._postDueOccurrences(entry, 'income', { history: false });
+      this._save('INCOME', this.income);
+      
+      // Add to history
+      this.addHistoryEntry({
+        type: 'income',
+        category: name,
+        action: 'Added',
+        amount: parseFloat(amount),
+        name: name,
+        tags: entry.tags,
+        note: entry.note
+      });
+      
+      this._emit('income:added', { item: { ...entry } });
+      
+      return entry;
+    },
+
+    deleteIncomeSource(id) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const index = this.income.findIndex(item => item.id === id);
+      if (index === -1) return;
+      
+      const item = this.income[index];
+      this.income.splice(index, 1);
+      this._save('INCOME', this.income);
+      this._removeLinkedTransactions(id);
+      
+      // Add to history
+      this.addHistoryEntry({
+        type: 'income',
+        category: item.name,
+        action: 'Deleted',
+        amount: item.amount,
+        name: item.name
+      });
+      
+      this._emit('income:deleted', { item: { ...item } });
+    },
+
+    updateIncomeSource(id, patch) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      return this._updateStandingEntry(this.income, 'INCOME', 'income', id, patch);
+    },
+
+    getIncome() {
+      return Array.isArray(this.income) ? [...this.income] : [];
+    },
+
+    // Income booked in the ledger for a month (defaults to the selected month)
+    getTotalIncome(monthKey) {
+      return this._sumTransactions(monthKey || this.getSelectedMonth(), { type: 'income' });
+    },
+
+    // Edit an income source or fixed expense in place. Rows already posted this
+    // month onward follow the new name/amount (same window as deletes); earlier
+    // months keep what was booked unless `patch.applyToPast` is set. Loans never
+    // rewrite past installments, which follow their schedule. One 'Edited' history
+    // entry records before/after, and applyToPast when earlier months changed too.
+    _updateStandingEntry(list, key, type, id, patch) {
+      if (!Array.isArray(list) || !patch) return;
+      const item = list.find(entry => entry.id === id);
+      if (!item) return;
+
+      const name = patch.name !== undefined ? String(patch.name).trim() : item.name;
+      const amount = patch.amount !== undefined ? parseFloat(patch.amount) : item.amount;
+      if (!name || !(amount > 0)) return;
+
+      const currency = patch.currency !== undefined ? (this._normalizeCurrencyCode(patch.currency) || item.currency) : item.currency;
+      const accountId = patch.accountId !== undefined ? (this.getAccount(patch.accountId) ? patch.accountId : null) : (item.accountId || null);
+      const tags = patch.tags !== undefined ? this._normalizeTags(patch.tags) : (item.tags || []);
+      const note = patch.note !== undefined ? String(patch.note || '').trim() : (item.note || '');
+      const before = { name: item.name, amount: item.amount, currency: item.currency };
+      const scheduleChanged = patch.recurrence !== undefined &&
+        JSON.stringify(this._normalizeRecurrence(patch.recurrence, item.recurrence && item.recurrence.startDate)) !== JSON.stringify(item.recurrence);
+      const bill = patch.bill !== undefined ? this._normalizeBill(patch.bill) : (item.bill || null);
+      const billChanged = JSON.stringify(bill) !== JSON.stringify(item.bill || null);
+      if (before.name === name && before.amount === amount && before.currency === currency &&
+        (item.accountId || null) === accountId && JSON.stringify(item.tags || []) === JSON.stringify(tags) &&
+        (item.note || '') === note && !scheduleChanged && !billChanged) return { ...item };
+
+      item.name = name;
+      item.amount = amount;
+      item.currency = currency;
+      item.accountId = accountId;
+      item.tags = tags;
+      item.note = note;
+      if (scheduleChanged) {
+        item.recurrence = this._normalizeRecurrence(patch.recurrence, item.recurrence && item.recurrence.startDate);
+      }
+      if (bill) item.bill = bill;
+      else delete item.bill;
+
+      const applyToPast = Boolean(patch.applyToPast) && !item.loan;
+      const fromDate = applyToPast ? '' : this._monthRange(this._toMonthKey(new Date())).from;
+      let rowsChanged = false;
+      (this.transactions || []).forEach(t => {
+        if (t.sourceId !== id || t.date < fromDate) return;
+        t.payee = name;
+        t.amount = amount;
+        t.currency = currency;
+        t.account = accountId || '';
+        t.tags = tags;
+        t.note = note;
+        rowsChanged = true;
+      });
+      if (rowsChanged) this._save('TRANSACTIONS', this.transactions);
+      // A bill turned back into an automatic expense catches up on what is due
+      if (scheduleChanged || billChanged) this._postDueOccurrences(item, type);
+      this._save(key, list);
+
+      this.addHistoryEntry({
+        type,
+        category: name,
+        action: 'Edited',
+        amount,
+        name,
+        before,
+        after: { name, amount, currency },
+        ...(applyToPast ? { applyToPast: true } : {}),
+        tags,
+        note
+      });
+
+      this._emit(`${type}:updated`, { item: { ...item }, before });
+
+      return { ...item };
+    },
+
+    // Deleting a standing entry drops its rows from the current month onward;
+    // earlier months keep what was actually booked.
+    _removeLinkedTransactions(sourceId) {
+      if (!Array.isArray(this.transactions)) return;
+      const fromDate = this._monthRange(this._toMonthKey(new Date())).from;
+      const before = this.transactions.length;
+      this.transactions = this.transactions.filter(t => t.sourceId !== sourceId || t.date < fromDate);
+      if (this.transactions.length !== before) {
+        this._save('TRANSACTIONS', this.transactions);
+      }
+    },
+
+    /* ---------- BILLS ---------- */
+    // A fixed expense with `bill: { reminderDays }` is not booked automatically.
+    // Each due date waits until markBillPaid() books it, and lastPostedDate marks
+    // the last due date paid. The due day is the schedule's dayOfMonth.
+    _normalizeBill(bill) {
+      if (!bill) return null;
+      const days = parseInt(bill.reminderDays, 10);
+      return { reminderDays: days >= 0 ? Math.min(days, 60) : 3 };
+    },
+
+    // Oldest due date of a bill that has not been paid yet (may lie in the future)
+    _nextUnpaidDueDate(item) {
+      const from = item.lastPostedDate ? this._addDays(item.lastPostedDate, 1) : item.recurrence.startDate;
+      return this._occurrencesBetween(item.recurrence, from, this._addDays(from, 400))[0] || null;
+    },
+
+    /**
+     * Unpaid bills due up to `days` from today, overdue ones first.
+     * `remind` is true once a bill is inside its reminder window.
+     * @param {number} days - Look-ahead window from today
+     * @returns {Array} [{ expenseId, name, amount, currency, accountId, dueDate, daysUntil,
+     *   status: 'overdue'|'today'|'soon'|'later', remind }]
+     */
+    getBills(days = 30) {
+      const today = this._toDateKey(new Date());
+      const dayMs = 24 * 60 * 60 * 1000;
+      const bills = [];
+      this.getFixedExpenses().forEach(item => {
+        if (!item.bill || !item.recurrence) return;
+        const from = item.lastPostedDate ? this._addDays(item.lastPostedDate, 1) : item.recurrence.startDate;
+        const until = this._addDays(today, Math.max(days, item.bill.reminderDays));
+        this._occurrencesBetween(item.recurrence, from, until).forEach(dueDate => {
+          const amount = this._occurrenceAmount(item, dueDate);
+          if (!(amount > 0)) return;
+          const daysUntil = Math.round((new Date(dueDate + 'T00:00:00') - new Date(today + 'T00:00:00')) / dayMs);
+          const remind = daysUntil <= item.bill.reminderDays;
+          bills.push({
+            expenseId: item.id,
+            name: item.name,
+            amount,
+            currency: item.currency,
+            accountId: item.accountId || null,
+            dueDate,
+            daysUntil,
+            status: daysUntil < 0 ? 'overdue' : daysUntil === 0 ? 'today' : remind ? 'soon' : 'later',
+            remind
+          });
+        });
+      });
+      return bills.sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Pay the oldest unpaid due date of a bill: books the expense row and a history entry.
+     * @param {string} id - Fixed expense id
+     * @param {Object} payment - { date?, amount?, accountId? } date defaults to today,
+     *   amount to what is due, account to the bill's account
+     * @returns {Object|undefined} { dueDate, transaction }
+     */
+    markBillPaid(id, { date, amount, accountId } = {}) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const item = (this.expenses || []).find(entry => entry.id === id);
+      if (!item || !item.bill || !item.recurrence) return;
+      const dueDate = this._nextUnpaidDueDate(item);
+      if (!dueDate) return;
+      const paid = amount !== undefined && amount !== null && amount !== '' ? parseFloat(amount) : this._occurrenceAmount(item, dueDate);
+      if (!(paid > 0)) return;
+
+      if (!Array.isArray(this.transactions)) this.transactions = [];
+      const row = this._normalizeTransaction({
+        date: date || new Date(),
+        type: 'expense',
+        amount: paid,
+        payee: item.name,
+        category: 'fixed',
+        source: 'fixed',
+        sourceId: item.id,
+        currency: item.currency,
+        account: accountId !== undefined ? accountId || '' : item.accountId || '',
+        tags: item.tags,
+        note: item.note,
+        addedBy: this._attribution()
+      });
+      this.transactions.push(row);
+      item.lastPostedDate = dueDate;
+      this._save('TRANSACTIONS', this.transactions);
+      this._save('EXPENSES', this.expenses);
+
+      this.addHistoryEntry({
+        type: 'expense',
+        category: item.name,
+        action: row.date > dueDate ? 'Bill paid late' : 'Bill paid',
+        amount: paid,
+        currency: item.currency,
+        name: item.name,
+        dueDate,
+        tags: item.tags
+      });
+      this._emit('expense:paid', { item: { ...item }, dueDate, transaction: { ...row } });
+      return { dueDate, transaction: { ...row } };
+    },
+
+    /* ---------- SUBSCRIPTIONS ---------- */
+    /**
+     * Recurring charges found in the expense ledger (imported statements, fixed
+     * expenses and recorded spending alike); EMIs are left out. Detection itself
+     * lives in SubscriptionDetector.
+     * @param {Date|string} asOf - Defaults to today
+     * @returns {Object} { subscriptions, candidates, activeCount, annualCost, monthlyCost }
+     *   subscriptions carry annualCostBase; the totals cover active ones in the base currency
+     */
+    getSubscriptions(asOf) {
+      const day = this._toDateKey(asOf || new Date());
+      const round2 = value => Math.round(value * 100) / 100;
+      if (typeof window.SubscriptionDetector === 'undefined') {
+        return { subscriptions: [], candidates: [], activeCount: 0, annualCost: 0, monthlyCost: 0 };
+      }
+      // Fixed expenses (rent, utilities, bills, EMIs) are commitments the user set up
+      // themselves; subscriptions are found among the remaining spending
+      const rows = this.queryTransactions(null, { type: 'expense' })
+        .filter(t => t.date <= day && t.source !== 'fixed');
+      const subscriptions = SubscriptionDetector.detect(rows, day).map(sub => ({
+        ...sub,
+        annualCostBase: round2(this.toBaseCurrency(sub.annualCost, sub.currency, day))
+      }));
+      const active = subscriptions.filter(sub => sub.active);
+      const annualCost = round2(active.reduce((sum, sub) => sum + sub.annualCostBase, 0));
+      return {
+        subscriptions,
+        candidates: SubscriptionDetector.suggestCancellations(subscriptions, day),
+        activeCount: active.length,
+        annualCost,
+        monthlyCost: round2(annualCost / 12)
+      };
+    },
+
+    /* ---------- EXPENSE METHODS ---------- */
+    addFixedExpense({ name, amount, recurrence, currency, accountId, tags, note, loan, bill }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (!name || !amount || parseFloat(amount) <= 0) return;
+      
+      const id = this._generateId();
+      const entry = {
+        id,
+        name: name.trim(),
+        amount: parseFloat(amount),
+        category: 'fixed',
+        currency: this._normalizeCurrencyCode(currency) || this.getBaseCurrency(),
+        accountId: this.getAccount(accountId) ? accountId : null,
+        tags: this._normalizeTags(tags),
+        note: String(note || '').trim(),
+        recurrence: this._normalizeRecurrence(recurrence, this._defaultDateForMonth(this.getSelectedMonth())),
+        lastPostedDate: null,
+        ...(loan ? { loan } : {}),
+        ...(this._normalizeBill(bill) ? { bill: this._normalizeBill(bill) } : {}),
+        addedBy: this._attribution(),
+        timestamp: new Date().toISOString()
+      };
+      
+      this.expenses.push(entry);
+      this._postDueOccurrences(entry, 'expense', { history: false });
+      this._save('EXPENSES', this.expenses);
+      
+      // Add to history
+      this.addHistoryEntry({
+        type: 'expense',
+        category: name,
+        action: 'Added',
+        amount: parseFloat(amount),
+        name: name,
+        tags: entry.tags,
+        note: entry.note
+      });
+      
+      this._emit('expense:added', { item: { ...entry } });
+      
+      return entry;
+    },
+
+    deleteFixedExpense(id) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const index = this.expenses.findIndex(item => item.id === id);
+      if (index === -1) return;
+      
+      const item = this.expenses[index];
+      this.expenses.splice(index, 1);
+      this._save('EXPENSES', this.expenses);
+      this._removeLinkedTransactions(id);
+      
+      // Add to history
+      this.addHistoryEntry({
+        type: 'expense',
+        category: item.name,
+        action: 'Deleted',
+        amount: item.amount,
+        name: item.name
+      });
+      
+      this._emit('expense:deleted', { item: { ...item } });
+    },
+
+    updateFixedExpense(id, patch) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      return this._updateStandingEntry(this.expenses, 'EXPENSES', 'expense', id, patch);
+    },
+
+    getFixedExpenses() {
+      return Array.isArray(this.expenses) 
+        ? this.expenses.filter(e => e.category === 'fixed' || !e.category)
+        : [];
+    },
+
+    getTotalFixedExpenses(monthKey) {
+      return this._sumTransactions(monthKey || this.getSelectedMonth(), { type: 'expense', category: 'fixed' });
+    },
+
+    getExpenses() {
+      return Array.isArray(this.expenses) ? [...this.expenses] : [];
+    },
+
+    // Actual spending only; category budgets are planning figures
+    getTotalExpenses(monthKey) {
+      const fixed = this.getTotalFixedExpenses(monthKey);
+      const flexible = this.getTotalFlexibleSpending(monthKey);
+      return fixed + flexible;
+    },
+
+    /* ---------- LOANS ---------- */
+    // A loan is a monthly fixed expense carrying its terms in `loan`:
+    // { principal, annualRate, tenureMonths, startDate (first EMI), emi,
+    //   prepayments: [{ id, date, amount, mode: 'tenure'|'emi' }] }.
+    // The amortization schedule (LoanCalculator) decides what each EMI posts,
+    // so the closing installment and post-prepayment EMIs book the right amount.
+    addLoan({ name, principal, annualRate, tenureMonths, startDate, emi, currency, accountId, tags, note }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (typeof window.LoanCalculator === 'undefined') return;
+      const amount = parseFloat(principal);
+      const rate = parseFloat(annualRate);
+      const months = parseInt(tenureMonths, 10);
+      const firstDate = this._toDateKey(startDate || this._defaultDateForMonth(this.getSelectedMonth()));
+      if (!String(name || '').trim() || !(amount > 0) || !(rate >= 0) || !(months >= 1) || !firstDate) return;
+
+      const loan = {
+        principal: amount,
+        annualRate: rate,
+        tenureMonths: months,
+        startDate: firstDate,
+        emi: parseFloat(emi) > 0 ? parseFloat(emi) : LoanCalculator.emi(amount, rate, months),
+        prepayments: []
+      };
+      const summary = LoanCalculator.summarize(LoanCalculator.schedule(loan));
+      const entry = this.addFixedExpense({
+        name,
+        amount: loan.emi,
+        recurrence: { frequency: 'monthly', startDate: firstDate, endDate: summary.endDate },
+        currency,
+        accountId,
+        tags,
+        note,
+        loan
+      });
+      if (entry) this._emit('loan:added', { item: { ...entry } });
+      return entry;
+    },
+
+    getLoans() {
+      return this.getFixedExpenses().filter(item => item.loan).map(item => ({ ...item }));
+    },
+
+    getLoanSchedule(id) {
+      const item = this.getFixedExpenses().find(e => e.id === id);
+      if (!item || !item.loan || typeof window.LoanCalculator === 'undefined') return [];
+      return LoanCalculator.schedule(item.loan);
+    },
+
+    /**
+     * Where a loan stands today.
+     * @param {string} id - Fixed expense id
+     * @returns {Object|null} { id, name, currency, principal, annualRate, emi, outstanding,
+     *   paidInstallments, remainingInstallments, nextDueDate, endDate, totalInterest, interestPaid, prepaid }
+     */
+    getLoanStatus(id) {
+      const item = this.getFixedExpenses().find(e => e.id === id);
+      if (!item || !item.loan || typeof window.LoanCalculator === 'undefined') return null;
+      const today = this._toDateKey(new Date());
+      const rows = LoanCalculator.schedule(item.loan);
+      const paid = rows.filter(row => row.date <= today && row.payment > 0);
+      const remaining = rows.filter(row => row.date > today && row.payment > 0);
+      const summary = LoanCalculator.summarize(rows);
+      return {
+        id: item.id,
+        name: item.name,
+        currency: item.currency,
+        principal: item.loan.principal,
+        annualRate: item.loan.annualRate,
+        emi: remaining.length ? remaining[0].payment : 0,
+        outstanding: LoanCalculator.outstanding(item.loan, today),
+        paidInstallments: paid.length,
+        remainingInstallments: remaining.length,
+        nextDueDate: remaining.length ? remaining[0].date : null,
+        endDate: summary.endDate,
+        totalInterest: summary.totalInterest,
+        interestPaid: Math.round(paid.reduce((sum, row) => sum + row.interest, 0) * 100) / 100,
+        prepaid: summary.prepaid
+      };
+    },
+
+    /**
+     * What a prepayment would do, without recording it.
+     * @param {string} id - Fixed expense id
+     * @param {Object} prepayment - { amount, date?, mode: 'tenure'|'emi' }
+     * @returns {Object|null} See LoanCalculator.simulatePrepayment
+     */
+    simulateLoanPrepayment(id, { amount, date, mode }) {
+      const item = this.getFixedExpenses().find(e => e.id === id);
+      const value = parseFloat(amount);
+      if (!item || !item.loan || !(value > 0) || typeof window.LoanCalculator === 'undefined') return null;
+      const day = this._toDateKey(date || new Date());
+      return LoanCalculator.simulatePrepayment(item.loan, { amount: value, date: day, mode });
+    },
+
+    /**
+     * Record a prepayment: books it in the ledger and re-plans the remaining EMIs.
+     * Installments already posted after its date follow the new schedule. The
+     * prepayment pays down the loan, so like a SIP it is a transfer out of the
+     * paying account (source 'prepayment', sourceId = prepayment id), not an expense.
+     * @param {string} id - Fixed expense id
+     * @param {Object} prepayment - { amount, date?, mode: 'tenure'|'emi' }
+     */
+    prepayLoan(id, { amount, date, mode }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const item = (Array.isArray(this.expenses) ? this.expenses : []).find(e => e.id === id);
+      const value = Math.round((parseFloat(amount) || 0) * 100) / 100;
+      if (!item || !item.loan || !(value > 0) || typeof window.LoanCalculator === 'undefined') return;
+      const day = this._toDateKey(date || this._defaultDateForMonth(this.getSelectedMonth()));
+      if (!day || value > LoanCalculator.outstanding(item.loan, day)) return;
+
+      const prepayment = { id: this._generateId(), date: day, amount: value, mode: mode === 'emi' ? 'emi' : 'tenure' };
+      item.loan = { ...item.loan, prepayments: (item.loan.prepayments || []).concat(prepayment) };
+      const rows = LoanCalculator.schedule(item.loan);
+      const summary = LoanCalculator.summarize(rows);
+      item.amount = LoanCalculator.emiAfter(rows, day) || item.amount;
+      item.recurrence = this._normalizeRecurrence({ ...item.recurrence, endDate: summary.endDate }, item.recurrence.startDate);
+
+      // EMIs already booked after the prepayment follow the new schedule
+      const due = {};
+      rows.forEach(row => { due[row.date] = row.payment; });
+      this.transactions = (this.transactions || []).filter(t => t.sourceId !== id || t.date <= day || due[t.date] > 0);
+      this.transactions.forEach(t => {
+        if (t.sourceId === id && t.date > day) t.amount = due[t.date];
+      });
+      this.addTransaction({
+        date: day,
+        type: 'transfer',
+        amount: value,
+        toAmount: value,
+        toAccount: '',
+        payee: `${item.name} prepayment`,
+        currency: item.currency,
+        account: item.accountId || '',
+        source: 'prepayment',
+        sourceId: prepayment.id
+      });
+      this._save('EXPENSES', this.expenses);
+
+      this.addHistoryEntry({
+        type: 'expense',
+        category: item.name,
+        action: prepayment.mode === 'emi' ? 'Prepaid (EMI reduced)' : 'Prepaid (tenure reduced)',
+        amount: value,
+        currency: item.currency,
+        name: item.name
+      });
+      this._emit('loan:prepaid', { item: { ...item }, prepayment: { ...prepayment } });
+      return { ...prepayment };
+    },
+
+    /* ---------- NET WORTH ---------- */
+    // `assets` is the register of what is owned or owed outside the accounts:
+    // { id, name, kind: asset|liability, type, currency, note, archived, createdAt,
+    //   valuations: [{ date, value }] } with valuations sorted by date. An item is
+    // worth its latest valuation on or before a day. Net worth adds account
+    // balances and the principal still owed on tracked loans.
+    getNetWorthTypes() {
+      return { asset: { ...NET_WORTH_TYPES.asset }, liability: { ...NET_WORTH_TYPES.liability } };
+    },
+
+    // Latest valuation on or before a day (null before the first one)
+    _valuationOn(item, day) {
+      const known = (item.valuations || []).filter(v => v.date <= day);
+      return known.length ? known[known.length - 1] : null;
+    },
+
+    getNetWorthItems({ includeArchived = false } = {}) {
+      const today = this._toDateKey(new Date());
+      return (Array.isArray(this.assets) ? this.assets : [])
+        .filter(item => includeArchived || !item.archived)
+        .map(item => {
+          const current = this._valuationOn(item, today);
+          return {
+            ...item,
+            valuations: item.valuations.map(v => ({ ...v })),
+            value: current ? current.value : 0,
+            valuedOn: current ? current.date : null
+          };
+        });
+    },
+
+    getNetWorthItem(id) {
+      return this.getNetWorthItems({ includeArchived: true }).find(item => item.id === id) || null;
+    },
+
+    addNetWorthItem({ name, kind, type, currency, value, date, note }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const label = String(name || '').trim();
+      const amount = parseFloat(value);
+      const day = this._toDateKey(date || new Date());
+      if (!label || !NET_WORTH_TYPES[kind] || !(amount >= 0) || !day) return;
+      if (!Array.isArray(this.assets)) this.assets = [];
+
+      const item = {
+        id: this._generateId(),
+        name: label,
+        kind,
+        type: NET_WORTH_TYPES[kind][type] ? type : 'other',
+        currency: this._normalizeCurrencyCode(currency) || this.getBaseCurrency(),
+        note: String(note || '').trim(),
+        archived: false,
+        createdAt: new Date().toISOString(),
+        valuations: [{ date: day, value: Math.round(amount * 100) / 100 }]
+      };
+      this.assets.push(item);
+      this._save('ASSETS', this.assets);
+      this._emit('networth:added', { item: this.getNetWorthItem(item.id) });
+      return this.getNetWorthItem(item.id);
+    },
+
+    // Name, type and note are editable; kind and currency stay as created
+    updateNetWorthItem(id, patch) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const item = (this.assets || []).find(a => a.id === id);
+      if (!item || !patch) return;
+      const name = patch.name !== undefined ? String(patch.name).trim() : item.name;
+      if (!name) return;
+      item.name = name;
+      if (NET_WORTH_TYPES[item.kind][patch.type]) item.type = patch.type;
+      if (patch.note !== undefined) item.note = String(patch.note || '').trim();
+      this._save('ASSETS', this.assets);
+      this._emit('networth:updated', { item: this.getNetWorthItem(id) });
+      return this.getNetWorthItem(id);
+    },
+
+    /**
+     * Record what an item is worth (or what is owed on it) on a day. A second
+     * valuation for the same day replaces the first.
+     * @param {string} id - Register item id
+     * @param {Object} valuation - { value, date? } date defaults to today
+     */
+    recordValuation(id, { value, date }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const item = (this.assets || []).find(a => a.id === id);
+      const amount = parseFloat(value);
+      const day = this._toDateKey(date || new Date());
+      if (!item || !(amount >= 0) || !day) return;
+
+      const valuation = { date: day, value: Math.round(amount * 100) / 100 };
+      item.valuations = item.valuations.filter(v => v.date !== day).concat(valuation)
+        .sort((a, b) => a.date.localeCompare(b.date));
+      this._save('ASSETS', this.assets);
+      this._emit('networth:valued', { item: this.getNetWorthItem(id), valuation: { ...valuation } });
+      return { ...valuation };
+    },
+
+    // The first valuation is the item's starting point and cannot be removed
+    deleteValuation(id, date) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const item = (this.assets || []).find(a => a.id === id);
+      if (!item || item.valuations.length < 2 || !item.valuations.some(v => v.date === date)) return;
+      item.valuations = item.valuations.filter(v => v.date !== date);
+      this._save('ASSETS', this.assets);
+      this._emit('networth:valued', { item: this.getNetWorthItem(id), deleted: date });
+      return true;
+    },
+
+    // Archived items drop out of net worth on every date; record a 0 valuation
+    // instead when something was sold or paid off and its history should stay.
+    archiveNetWorthItem(id, archived = true) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const item = (this.assets || []).find(a => a.id === id);
+      if (!item) return;
+      item.archived = !!archived;
+      this._save('ASSETS', this.assets);
+      this._emit('networth:archived', { item: this.getNetWorthItem(id) });
+      return this.getNetWorthItem(id);
+    },
+
+    /**
+     * Everything owned minus everything owed on a day, in the base currency.
+     * Accounts count from their opening date and loans from the month before
+     * their first EMI; credit cards and loans are liabilities. Investments count
+     * at their latest price, or at cost until one is recorded.
+     * @param {Date|string} asOf - Defaults to today
+     * @returns {Object} { date, assets, liabilities, netWorth,
+     *   lines: [{ source: 'account'|'register'|'loan'|'investment', id, name, kind, type, value }] }
+     */
+    getNetWorth(asOf) {
+      const day = this._toDateKey(asOf || new Date());
+      const round2 = value => Math.round(value * 100) / 100;
+      const lines = [];
+      this.getAccounts().forEach(account => {
+        if (account.openingDate > day) return;
+        lines.push({
+          source: 'account',
+          id: account.id,
+          name: account.name,
+          kind: account.isLiability ? 'liability' : 'asset',
+          type: account.type,
+          value: round2(this.toBaseCurrency(this.getAccountBalance(account.id, day), account.currency, day))
+        });
+      });
+      (Array.isArray(this.assets) ? this.assets : []).filter(item => !item.archived).forEach(item => {
+        const valuation = this._valuationOn(item, day);
+        if (!valuation) return;
+        lines.push({
+          source: 'register',
+          id: item.id,
+          name: item.name,
+          kind: item.kind,
+          type: item.type,
+          value: round2(this.toBaseCurrency(valuation.value, item.currency, day))
+        });
+      });
+      if (typeof window.LoanCalculator !== 'undefined') {
+        this.getLoans().forEach(item => {
+          if (day < LoanCalculator._dateAt(item.loan.startDate, -1)) return;
+          const owed = LoanCalculator.outstanding(item.loan, day);
+          if (!(owed > 0)) return;
+          lines.push({ source: 'loan', id: item.id, name: item.name, kind: 'liability', type: 'loan', value: round2(this.toBaseCurrency(owed, item.currency, day)) });
+        });
+      }
+      if (typeof window.InvestmentCalculator !== 'undefined') {
+        (Array.isArray(this.investments) ? this.investments : []).filter(h => !h.archived).forEach(holding => {
+          const summary = InvestmentCalculator.summarize(holding, day);
+          if (!(summary.invested > 0)) return;
+          const value = summary.value !== null ? summary.value : summary.invested;
+          lines.push({ source: 'investment', id: holding.id, name: holding.name, kind: 'asset', type: holding.type, value: round2(this.toBaseCurrency(value, holding.currency, day)) });
+        });
+      }
+      const total = kind => round2(lines.filter(line => line.kind === kind).reduce((sum, line) => sum + line.value, 0));
+      const assets = total('asset');
+      const liabilities = total('liability');
+      return { date: day, assets, liabilities, netWorth: round2(assets - liabilities), lines };
+    },
+
+    // Net worth at the end of each month (today for the current month), oldest first
+    getNetWorthHistory(count = 12, endMonth) {
+      const today = this._toDateKey(new Date());
+      const end = endMonth || today.slice(0, 7);
+      const points = [];
+      for (let i = count - 1; i >= 0; i--) {
+        const month = this._addMonths(end, -i);
+        const monthEnd = this._monthRange(month).to;
+        const { date, assets, liabilities, netWorth } = this.getNetWorth(monthEnd < today ? monthEnd : today);
+        points.push({ month, date, assets, liabilities, netWorth });
+      }
+      return points;
+    },
+
+    /* ---------- INVESTMENTS ---------- */
+    // `investments` holds one entry per holding:
+    // { id, name, type, currency, accountId, note, archived, createdAt,
+    //   lots: [{ id, date, amount, units, source: 'buy'|'sip', transactionId }],
+    //   prices: [{ date, price }],
+    //   sip: { amount, recurrence, accountId, lastPostedDate } | null }
+    // Money put into a holding is booked as a transfer out of the paying account
+    // (source 'investment' or 'sip', sourceId = holding id), so it lowers the
+    // balance without ever counting as an expense. Returns come from InvestmentCalculator.
+    getInvestmentTypes() {
+      return { ...INVESTMENT_TYPES };
+    },
+
+    getInvestments({ includeArchived = false } = {}) {
+      const today = this._toDateKey(new Date());
+      const summarize = typeof window.InvestmentCalculator !== 'undefined'
+        ? holding => InvestmentCalculator.summarize(holding, today)
+        : () => ({});
+      return (Array.isArray(this.investments) ? this.investments : [])
+        .filter(h => includeArchived || !h.archived)
+        .map(h => ({
+          ...h,
+          lots: h.lots.map(lot => ({ ...lot })),
+          prices: h.prices.map(p => ({ ...p })),
+          sip: h.sip ? { ...h.sip, recurrence: { ...h.sip.recurrence } } : null,
+          ...summarize(h)
+        }));
+    },
+
+    getInvestment(id) {
+      return this.getInvestments({ includeArchived: true }).find(h => h.id === id) || null;
+    },
+
+    addInvestment({ name, type, currency, accountId, note, price, priceDate }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const label = String(name || '').trim();
+      if (!label) return;
+      if (!Array.isArray(this.investments)) this.investments = [];
+      const nav = parseFloat(price);
+
+      const holding = {
+        id: this._generateId(),
+        name: label,
+        type: INVESTMENT_TYPES[type] ? type : 'other',
+        currency: this._normalizeCurrencyCode(currency) || this.getBaseCurrency(),
+        accountId: accountId || null,
+        note: String(note || '').trim(),
+        archived: false,
+        createdAt: new Date().toISOString(),
+        lots: [],
+        prices: nav > 0 ? [{ date: this._toDateKey(priceDate || new Date()), price: nav }] : [],
+        sip: null
+      };
+      this.investments.push(holding);
+      this._save('INVESTMENTS', this.investments);
+      this._emit('investment:added', { holding: this.getInvestment(holding.id) });
+      return this.getInvestment(holding.id);
+    },
+
+    // Name, type, note and the default paying account are editable; the currency is not
+    updateInvestment(id, patch) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const holding = (this.investments || []).find(h => h.id === id);
+      if (!holding || !patch) return;
+      const name = patch.name !== undefined ? String(patch.name).trim() : holding.name;
+      if (!name) return;
+      holding.name = name;
+      if (INVESTMENT_TYPES[patch.type]) holding.type = patch.type;
+      if (patch.note !== undefined) holding.note = String(patch.note || '').trim();
+      if (patch.accountId !== undefined) holding.accountId = patch.accountId || null;
+      this._save('INVESTMENTS', this.investments);
+      this._emit('investment:updated', { holding: this.getInvestment(id) });
+      return this.getInvestment(id);
+    },
+
+    // Archived holdings stop their SIP and leave the portfolio and net worth
+    archiveInvestment(id, archived = true) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const holding = (this.investments || []).find(h => h.id === id);
+      if (!holding) return;
+      holding.archived = !!archived;
+      this._save('INVESTMENTS', this.investments);
+      this._emit('investment:archived', { holding: this.getInvestment(id) });
+      return this.getInvestment(id);
+    },
+
+    /**
+     * Record a NAV or market price. A second price for the same day replaces the first.
+     * @param {string} id - Holding id
+     * @param {Object} snapshot - { price, date? } date defaults to today
+     */
+    recordInvestmentPrice(id, { price, date }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const holding = (this.investments || []).find(h => h.id === id);
+      const value = parseFloat(price);
+      const day = this._toDateKey(date || new Date());
+      if (!holding || !(value > 0) || !day) return;
+
+      const snapshot = { date: day, price: value };
+      holding.prices = holding.prices.filter(p => p.date !== day).concat(snapshot)
+        .sort((a, b) => a.date.localeCompare(b.date));
+      this._save('INVESTMENTS', this.investments);
+      this._emit('investment:priced', { holding: this.getInvestment(id), price: { ...snapshot } });
+      return { ...snapshot };
+    },
+
+    // Add a lot and the transfer that paid for it. Caller saves both lists.
+    _bookInvestment(holding, { id, date, amount, units, source, accountId }) {
+      if (!Array.isArray(this.transactions)) this.transactions = [];
+      const row = this._normalizeTransaction({
+        id,
+        date,
+        type: 'transfer',
+        amount,
+        toAmount: amount,
+        toAccount: '',
+        payee: source === 'sip' ? `${holding.name} SIP` : holding.name,
+        currency: holding.currency,
+        account: accountId || '',
+        source: source === 'sip' ? 'sip' : 'investment',
+        sourceId: holding.id,
+        addedBy: this._attribution()
+      });
+      // Units are only fixed here when the day's price is known; otherwise they follow the nearest NAV
+      const sameDay = holding.prices.find(p => p.date === date);
+      const lot = {
+        id: this._generateId(),
+        date,
+        amount,
+        units: parseFloat(units) > 0 ? parseFloat(units) : (sameDay ? Math.round((amount / sameDay.price) * 10000) / 10000 : null),
+        source: source === 'sip' ? 'sip' : 'buy',
+        transactionId: row.id
+      };
+      this.transactions.push(row);
+      holding.lots = holding.lots.concat(lot).sort((a, b) => a.date.localeCompare(b.date));
+      return lot;
+    },
+
+    /**
+     * Record a one-off purchase. Give the amount paid, and units or the price
+     * per unit when known; a price given here is also kept as that day's price.
+     * @param {string} id - Holding id
+     * @param {Object} purchase - { amount?, units?, price?, date?, accountId? }
+     */
+    buyInvestment(id, { amount, units, price, date, accountId }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const holding = (this.investments || []).find(h => h.id === id);
+      const count = parseFloat(units);
+      const nav = parseFloat(price);
+      let paid = parseFloat(amount);
+      if (!(paid > 0) && count > 0 && nav > 0) paid = count * nav;
+      paid = Math.round((paid || 0) * 100) / 100;
+      const day = this._toDateKey(date || this._defaultDateForMonth(this.getSelectedMonth()));
+      if (!holding || !(paid > 0) || !day) return;
+
+      if (nav > 0) {
+        holding.prices = holding.prices.filter(p => p.date !== day).concat({ date: day, price: nav })
+          .sort((a, b) => a.date.localeCompare(b.date));
+      }
+      const lot = this._bookInvestment(holding, {
+        date: day,
+        amount: paid,
+        units: count > 0 ? count : null,
+        source: 'buy',
+        accountId: accountId !== undefined ? accountId : holding.accountId
+      });
+      this._save('TRANSACTIONS', this.transactions);
+      this._save('INVESTMENTS', this.investments);
+
+      this.addHistoryEntry({
+        type: 'investment',
+        category: holding.name,
+        action: 'Invested',
+        amount: paid,
+        currency: holding.currency,
+        name: holding.name
+      });
+      this._emit('investment:bought', { holding: this.getInvestment(id), lot: { ...lot } });
+      return { ...lot };
+    },
+
+    // Remove a lot booked by mistake together with its ledger row
+    deleteInvestmentLot(id, lotId) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const holding = (this.investments || []).find(h => h.id === id);
+      const lot = holding ? holding.lots.find(l => l.id === lotId) : null;
+      if (!lot) return;
+      holding.lots = holding.lots.filter(l => l.id !== lotId);
+      this.transactions = (this.transactions || []).filter(t => t.id !== lot.transactionId);
+      this._save('TRANSACTIONS', this.transactions);
+      this._save('INVESTMENTS', this.investments);
+      this._emit('investment:updated', { holding: this.getInvestment(id), deletedLot: { ...lot } });
+      return true;
+    },
+
+    /**
+     * Start, change or stop (sip = null) a holding's SIP. Installments due since
+     * the start date are booked straight away, like any other schedule.
+     * @param {string} id - Holding id
+     * @param {Object|null} sip - { amount, recurrence, accountId? }
+     */
+    setInvestmentSip(id, sip) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const holding = (this.investments || []).find(h => h.id === id);
+      if (!holding) return;
+      if (!sip) {
+        holding.sip = null;
+      } else {
+        const amount = Math.round((parseFloat(sip.amount) || 0) * 100) / 100;
+        if (!(amount > 0)) return;
+        holding.sip = {
+          amount,
+          recurrence: this._normalizeRecurrence(sip.recurrence, this._defaultDateForMonth(this.getSelectedMonth())),
+          accountId: sip.accountId !== undefined ? sip.accountId || null : holding.accountId,
+          // Keep what was already booked when only the amount or account changes
+          lastPostedDate: holding.sip ? holding.sip.lastPostedDate : null
+        };
+        this._postDueSip(holding, { history: false });
+      }
+      this._save('INVESTMENTS', this.investments);
+      this._emit('investment:sip', { holding: this.getInvestment(id) });
+      return this.getInvestment(id);
+    },
+
+    // Book every SIP installment that has come due. Caller saves the holdings.
+    _postDueSip(holding, { history = true } = {}) {
+      const sip = holding.sip;
+      if (!sip || holding.archived || !(sip.amount > 0)) return 0;
+      const today = this._toDateKey(new Date());
+      const from = sip.lastPostedDate ? this._addDays(sip.lastPostedDate, 1) : sip.recurrence.startDate;
+      const dates = this._occurrencesBetween(sip.recurrence, from, today);
+      if (dates.length === 0) return 0;
+
+      dates.forEach(date => {
+        // Keyed like scheduled postings, so a repeat post by another member merges away
+        const id = `${holding.id}_${date}`;
+        this._bookInvestment(holding, { id, date, amount: sip.amount, source: 'sip', accountId: sip.accountId });
+        if (history) {
+          this.addHistoryEntry({
+            id,
+            type: 'investment',
+            category: holding.name,
+            action: 'SIP invested',
+            amount: sip.amount,
+            currency: holding.currency,
+            name: holding.name
+          });
+        }
+      });
+      sip.lastPostedDate = dates[dates.length - 1];
+      this._save('TRANSACTIONS', this.transactions);
+      this._emit('investment:posted', { sourceId: holding.id, dates });
+      return dates.length;
+    },
+
+    /**
+     * The whole portfolio in the base currency. Holdings without a price yet
+     * count at cost and are left out of the returns.
+     * @param {Date|string} asOf - Defaults to today
+     * @returns {Object} { holdings, invested, value, gain, absoluteReturn, xirr, unpriced }
+     */
+    getPortfolioSummary(asOf) {
+      const day = this._toDateKey(asOf || new Date());
+      const round2 = value => Math.round(value * 100) / 100;
+      const result = { holdings: 0, invested: 0, value: 0, gain: 0, absoluteReturn: null, xirr: null, unpriced: 0 };
+      if (typeof window.InvestmentCalculator === 'undefined') return result;
+
+      const flows = [];
+      let pricedInvested = 0;
+      let pricedValue = 0;
+      (Array.isArray(this.investments) ? this.investments : []).filter(h => !h.archived).forEach(holding => {
+        const summary = InvestmentCalculator.summarize(holding, day);
+        if (summary.invested === 0) return;
+        const lots = holding.lots.filter(lot => lot.date <= day);
+        const invested = lots.reduce((sum, lot) => sum + this.toBaseCurrency(lot.amount, holding.currency, lot.date), 0);
+        result.holdings++;
+        result.invested += invested;
+        if (summary.value === null) {
+          result.unpriced++;
+          result.value += invested;
+          return;
+        }
+        const value = this.toBaseCurrency(summary.value, holding.currency, day);
+        result.value += value;
+        pricedInvested += invested;
+        pricedValue += value;
+        lots.forEach(lot => flows.push({ date: lot.date, amount: -this.toBaseCurrency(lot.amount, holding.currency, lot.date) }));
+      });
+      if (pricedValue > 0) {
+        flows.push({ date: day, amount: pricedValue });
+        const rate = InvestmentCalculator.xirr(flows);
+        result.xirr = rate !== null ? round2(rate * 100) : null;
+        result.absoluteReturn = pricedInvested > 0 ? round2(((pricedValue - pricedInvested) / pricedInvested) * 100) : null;
+      }
+      result.invested = round2(result.invested);
+      result.value = round2(result.value);
+      result.gain = round2(result.value - result.invested);
+      return result;
+    },
+
+    /* ---------- SPLITS ---------- */
+    // `splits` holds shared expenses and the payments that settle them:
+    // { id, kind: 'expense', description, date, total, currency, category, paidBy, method,
+    //   participants: [{ name, value }], shares: [{ name, amount }], accountId, note, addedBy, createdAt }
+    // { id, kind: 'settlement', date, from, to, amount, currency, accountId, note, addedBy, createdAt }
+    // People are plain names; SplitCalculator.SELF ('me') is the signed-in user.
+    // Only the user's own share is booked as an expense (source 'split'), so totals
+    // never include what friends owe. When the user paid, the friends' part leaves
+    // the paying account as a transfer; settlements that touch an account are
+    // transfers too (source 'settlement'). Both kinds use sourceId = split id.
+    getSplitMethods() {
+      const methods = typeof window.SplitCalculator !== 'undefined' ? SplitCalculator.METHODS : {};
+      const labels = {};
+      Object.keys(methods).forEach(key => { labels[key] = methods[key].label; });
+      return labels;
+    },
+
+    getSplitPersonLabel(name) {
+      return name === this._splitSelf() ? 'You' : name;
+    },
+
+    _splitSelf() {
+      return typeof window.SplitCalculator !== 'undefined' ? SplitCalculator.SELF : 'me';
+    },
+
+    // Friends named in any split, alphabetically
+    getSplitPeople() {
+      const self = this._splitSelf();
+      const names = new Set();
+      (Array.isArray(this.splits) ? this.splits : []).forEach(entry => {
+        if (entry.kind === 'settlement') {
+          names.add(entry.from);
+          names.add(entry.to);
+        } else {
+          names.add(entry.paidBy);
+          entry.shares.forEach(share => names.add(share.name));
+        }
+      });
+      names.delete(self);
+      return [...names].sort((a, b) => a.localeCompare(b));
+    },
+
+    // "me" and "you" mean the user; other names reuse the spelling already on file
+    _splitName(name) {
+      const label = String(name || '').trim();
+      const lower = label.toLowerCase();
+      if (lower === 'me' || lower === 'you') return this._splitSelf();
+      return this.getSplitPeople().find(person => person.toLowerCase() === lower) || label;
+    },
+
+    getSplits({ kind } = {}) {
+      return (Array.isArray(this.splits) ? this.splits : [])
+        .filter(entry => !kind || entry.kind === kind)
+        .map(entry => (entry.kind === 'settlement'
+          ? { ...entry }
+          : { ...entry, participants: entry.participants.map(p => ({ ...p })), shares: entry.shares.map(s => ({ ...s })) }))
+        .sort((a, b) => b.date.localeCompare(a.date) || String(b.createdAt).localeCompare(String(a.createdAt)));
+    },
+
+    getSplit(id) {
+      return this.getSplits().find(entry => entry.id === id) || null;
+    },
+
+    /**
+     * Why a split expense cannot be recorded, or '' when it can.
+     * @param {Object} expense - { total, method, participants: [{ name, value? }], paidBy }
+     * @returns {string}
+     */
+    checkSplitExpense({ total, method, participants, paidBy }) {
+      if (typeof window.SplitCalculator === 'undefined') return 'Splitting is not available.';
+      const people = (Array.isArray(participants) ? participants : []).map(p => ({ name: this._splitName(p.name), value: p.value }));
+      const amount = Math.round((parseFloat(total) || 0) * 100) / 100;
+      const problem = SplitCalculator.check(amount, people, method);
+      if (problem) return problem;
+      const payer = this._splitName(paidBy) || this._splitSelf();
+      if (!people.some(p => p.name === payer)) return `${this.getSplitPersonLabel(payer)} paid, so they need to be one of the participants.`;
+      return '';
+    },
+
+    /**
+     * Record an expense shared with friends. Include yourself as 'me' (or "You")
+     * among the participants to take a share.
+     * @param {Object} expense - { description, total, method, participants: [{ name, value? }],
+     *   paidBy?, date?, currency?, category?, accountId?, note? } paidBy defaults to you
+     * @returns {Object|undefined} The stored split; undefined when checkSplitExpense finds a problem
+     */
+    addSplitExpense({ description, total, method, participants, paidBy, date, currency, category, accountId, note }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (typeof window.SplitCalculator === 'undefined') return;
+      if (this.checkSplitExpense({ total, method, participants, paidBy })) return;
+      const self = this._splitSelf();
+      const people = participants.map(p => ({ name: this._splitName(p.name), value: p.value }));
+      const amount = Math.round((parseFloat(total) || 0) * 100) / 100;
+      const payer = this._splitName(paidBy) || self;
+
+      const account = payer === self && accountId ? this.getAccount(accountId) : null;
+      const entry = this.getCategory(category);
+      const split = {
+        id: this._generateId(),
+        kind: 'expense',
+        description: String(description || '').trim() || 'Shared expense',
+        date: this._toDateKey(date || this._defaultDateForMonth(this.getSelectedMonth())),
+        total: amount,
+        currency: this._normalizeCurrencyCode(currency) || (account ? account.currency : this.getBaseCurrency()),
+        category: entry && entry.id !== 'fixed' && !entry.archived ? entry.id : 'miscellaneous',
+        paidBy: payer,
+        method,
+        participants: people.map(p => (method === 'equal' ? { name: p.name } : { name: p.name, value: parseFloat(p.value) })),
+        shares: SplitCalculator.split(amount, people, method),
+        accountId: account ? account.id : null,
+        note: String(note || '').trim(),
+        addedBy: this._attribution(),
+        createdAt: new Date().toISOString()
+      };
+      if (!Array.isArray(this.splits)) this.splits = [];
+      if (!Array.isArray(this.transactions)) this.transactions = [];
+
+      const ownShare = split.shares.find(share => share.name === self);
+      const mine = ownShare ? ownShare.amount : 0;
+      const rows = [];
+      if (mine > 0) {
+        rows.push({ type: 'expense', amount: mine, category: split.category, account: split.accountId || '' });
+      }
+      const fronted = Math.round((split.total - mine) * 100) / 100;
+      if (payer === self && split.accountId && fronted > 0) {
+        rows.push({ type: 'transfer', amount: fronted, toAmount: fronted, toAccount: '', account: split.accountId, note: 'Paid for friends' });
+      }
+      rows.forEach(row => {
+        this.transactions.push(this._normalizeTransaction({
+          date: split.date,
+          payee: split.description,
+          currency: split.currency,
+          ...row,
+          source: 'split',
+          sourceId: split.id,
+          addedBy: split.addedBy
+        }));
+      });
+      this.splits.push(split);
+      this._save('TRANSACTIONS', this.transactions);
+      this._save('SPLITS', this.splits);
+
+      this.addHistoryEntry({
+        type: 'expense',
+        category: this.getCategoryLabel(split.category),
+        action: 'Split',
+        amount: mine,
+        currency: split.currency,
+        name: split.description,
+        note: `${this.getSplitPersonLabel(payer)} paid ${split.total} ${split.currency}, split ${SplitCalculator.METHODS[method].label.toLowerCase()} between ${split.shares.length}`
+      });
+      this._emit('split:added', { split: this.getSplit(split.id) });
+      return this.getSplit(split.id);
+    },
+
+    /**
+     * Record money paid to settle a debt. A payment you make or receive moves
+     * the given account; payments between two friends only change the balances.
+     * @param {Object} payment - { from, to, amount, date?, currency?, accountId?, note? }
+     */
+    settleUp({ from, to, amount, date, currency, accountId, note }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const self = this._splitSelf();
+      const payer = this._splitName(from);
+      const payee = this._splitName(to);
+      const value = Math.round((parseFloat(amount) || 0) * 100) / 100;
+      if (!payer || !payee || payer === payee || !(value > 0)) return;
+
+      const account = accountId && (payer === self || payee === self) ? this.getAccount(accountId) : null;
+      const settlement = {
+        id: this._generateId(),
+        kind: 'settlement',
+        date: this._toDateKey(date || new Date()),
+        from: payer,
+        to: payee,
+        amount: value,
+        currency: this._normalizeCurrencyCode(currency) || (account ? account.currency : this.getBaseCurrency()),
+        accountId: account ? account.id : null,
+        note: String(note || '').trim(),
+        addedBy: this._attribution(),
+        createdAt: new Date().toISOString()
+      };
+      if (!Array.isArray(this.splits)) this.splits = [];
+      if (!Array.isArray(this.transactions)) this.transactions = [];
+
+      if (account) {
+        const paying = payer === self;
+        this.transactions.push(this._normalizeTransaction({
+          date: settlement.date,
+          type: 'transfer',
+          amount: value,
+          toAmount: this.convertCurrency(value, settlement.currency, account.currency, settlement.date),
+          account: paying ? account.id : '',
+          toAccount: paying ? '' : account.id,
+          payee: paying ? `Settle up with ${payee}` : `Settle up from ${payer}`,
+          currency: settlement.currency,
+          note: settlement.note,
+          source: 'settlement',
+          sourceId: settlement.id,
+          addedBy: settlement.addedBy
+        }));
+        this._save('TRANSACTIONS', this.transactions);
+      }
+      this.splits.push(settlement);
+      this._save('SPLITS', this.splits);
+
+      this.addHistoryEntry({
+        type: 'settlement',
+        category: 'Splits',
+        action: 'Settled up',
+        amount: value,
+        currency: settlement.currency,
+        name: `${this.getSplitPersonLabel(payer)} → ${this.getSplitPersonLabel(payee)}`,
+        note: settlement.note
+      });
+      this._emit('split:settled', { settlement: this.getSplit(settlement.id) });
+      return this.getSplit(settlement.id);
+    },
+
+    // Remove a split expense or settlement together with the ledger rows it booked
+    deleteSplit(id) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const entry = (this.splits || []).find(s => s.id === id);
+      if (!entry) return;
+      this.splits = this.splits.filter(s => s.id !== id);
+      this.transactions = (this.transactions || []).filter(t => !((t.source === 'split' || t.source === 'settlement') && t.sourceId === id));
+      this._save('TRANSACTIONS', this.transactions);
+      this._save('SPLITS', this.splits);
+      this._emit('split:deleted', { split: { ...entry } });
+      return true;
+    },
+
+    /**
+     * Who owes whom, in the base currency. Each split converts at its own date's rate.
+     * @returns {Object} { people: [{ name, label, balance }] (positive = owed money),
+     *   transfers: [{ from, to, fromLabel, toLabel, amount }] (fewest payments that settle everyone),
+     *   owedToYou, youOwe }
+     */
+    getSplitBalances() {
+      const empty = { people: [], transfers: [], owedToYou: 0, youOwe: 0 };
+      if (typeof window.SplitCalculator === 'undefined') return empty;
+      const self = this._splitSelf();
+      const expenses = [];
+      const settlements = [];
+      (Array.isArray(this.splits) ? this.splits : []).forEach(entry => {
+        if (entry.kind === 'settlement') {
+          settlements.push({ from: entry.from, to: entry.to, amount: this.toBaseCurrency(entry.amount, entry.currency, entry.date) });
+          return;
+        }
+        const rate = entry.total > 0 ? this.toBaseCurrency(entry.total, entry.currency, entry.date) / entry.total : 1;
+        expenses.push({
+          paidBy: entry.paidBy,
+          total: entry.total * rate,
+          shares: entry.shares.map(share => ({ name: share.name, amount: share.amount * rate }))
+        });
+      });
+      const balances = SplitCalculator.balances(expenses, settlements);
+      const own = balances[self] || 0;
+      return {
+        people: Object.keys(balances)
+          .map(name => ({ name, label: this.getSplitPersonLabel(name), balance: balances[name] }))
+          .sort((a, b) => b.balance - a.balance || a.label.localeCompare(b.label)),
+        transfers: SplitCalculator.simplify(balances).map(t => ({
+          ...t,
+          fromLabel: this.getSplitPersonLabel(t.from),
+          toLabel: this.getSplitPersonLabel(t.to)
+        })),
+        owedToYou: Math.max(0, own),
+        youOwe: Math.max(0, -own)
+      };
+    },
+
+    /* ---------- CATEGORY BUDGETS ---------- */
+    // `flexibleSpending` holds the planned monthly budget per category id. What
+    // was actually spent always comes from the ledger (getFlexibleSpending), so
+    // budgets never count towards expenses.
+    setCategoryBudget(category, amount) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const entry = this.getCategory(category);
+      if (!entry || entry.archived) return;
+
+      if (!this.flexibleSpending || typeof this.flexibleSpending !== 'object') this.flexibleSpending = {};
+      const oldAmount = parseFloat(this.flexibleSpending[category]) || 0;
+      const newAmount = Math.max(0, parseFloat(amount) || 0);
+      if (oldAmount === newAmount) return newAmount;
+
+      this.flexibleSpending[category] = newAmount;
+      this._save('FLEXIBLE', this.flexibleSpending);
+
+      this.addHistoryEntry({
+        type: 'budget',
+        category: entry.name,
+        action: newAmount > 0 ? 'Budget set' : 'Budget removed',
+        amount: newAmount,
+        name: entry.name
+      });
+      this._emit('budget:updated', { category, amount: newAmount, previous: oldAmount });
+      return newAmount;
+    },
+
+    // Legacy name for setCategoryBudget: the dashboard inputs were always budgets
+    updateFlexibleSpending(category, amount) {
+      return this.setCategoryBudget(category, amount);
+    },
+
+    getCategoryBudgets() {
+      const budgets = {};
+      this.getCategories().forEach(c => {
+        budgets[c.id] = parseFloat((this.flexibleSpending || {})[c.id]) || 0;
+      });
+      return budgets;
+    },
+
+    getTotalBudget() {
+      return Object.values(this.getCategoryBudgets()).reduce((sum, amount) => sum + amount, 0);
+    },
+
+    /**
+     * Budget against actual spending for each category in a month.
+     * @param {string} monthKey - 'YYYY-MM', defaults to the selected month
+     * @returns {Object[]} { id, name, color, icon, budget, spent, remaining, percent, over };
+     *   percent is null when the category has no budget
+     */
+    getBudgetStatus(monthKey) {
+      const spending = this.getFlexibleSpending(monthKey);
+      const budgets = this.getCategoryBudgets();
+      return this.getCategories({ includeArchived: true })
+        .filter(c => !c.archived || spending[c.id] > 0)
+        .map(c => {
+          const budget = budgets[c.id] || 0;
+          const spent = spending[c.id] || 0;
+          return {
+            id: c.id,
+            name: c.name,
+            color: c.color,
+            icon: c.icon,
+            budget,
+            spent,
+            remaining: budget - spent,
+            percent: budget > 0 ? (spent / budget) * 100 : null,
+            over: budget > 0 ? spent > budget : false
+          };
+        });
+    },
+
+    /**
+     * Record money spent in a flexible category.
+     * @param {Object} spend - { category, amount, date?, payee?, note?, account?, currency? }
+     */
+    recordSpending({ category, amount, date, payee, note, account, currency }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const entry = this.getCategory(category);
+      const value = parseFloat(amount);
+      if (!entry || entry.archived || !(value > 0)) return;
+
+      const accountEntry = account ? this.getAccount(account) : null;
+      const transaction = this.addTransaction({
+        date: date || this._defaultDateForMonth(this.getSelectedMonth()),
+        type: 'expense',
+        amount: value,
+        payee: String(payee || '').trim() || entry.name,
+        category: entry.id,
+        currency: currency || (accountEntry ? accountEntry.currency : this.getBaseCurrency()),
+        account: accountEntry ? accountEntry.id : '',
+        note
+      });
+
+      this.addHistoryEntry({
+        type: 'expense',
+        category: entry.name,
+        action: 'Spent',
+        amount: value,
+        currency: transaction.currency,
+        name: transaction.payee
+      });
+      return transaction;
+    },
+
+    // Per-category spending booked in the ledger for a month, keyed by category id.
+    // Every active category is present; archived ones only when they have spend.
+    getFlexibleSpending(monthKey) {
+      const spending = {};
+      this.getCategories().forEach(c => { spending[c.id] = 0; });
+      this.queryTransactions(monthKey || this.getSelectedMonth(), { type: 'expense' }).forEach(t => {
+        if (t.category === 'fixed') return;
+        spending[t.category] = (spending[t.category] || 0) + this._transactionBaseAmount(t);
+      });
+      return spending;
+    },
+
+    getTotalFlexibleSpending(monthKey) {
+      const spending = this.getFlexibleSpending(monthKey);
+      return Object.values(spending).reduce((sum, amount) => sum + (parseFloat(amount) || 0), 0);
+    },
+
+    /* ---------- ENVELOPE BUDGETING ---------- */
+    // In envelope mode each category budget is an envelope: what is left at the
+    // end of a month rolls into the next one, and money can be moved between
+    // envelopes to cover overspending. State lives in settings.envelopes:
+    // { startMonth, closedThrough, carry: { 'YYYY-MM': { categoryId: amount } },
+    //   moves: [{ id, month, from, to, amount, note, timestamp }] }.
+    // Carry-over is fixed when a month closes; later edits to that month's
+    // spending do not change it.
+    getBudgetMode() {
+      return this.settings && this.settings.budgetMode === 'envelope' ? 'envelope' : 'simple';
+    },
+
+    setBudgetMode(mode) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (mode !== 'envelope' && mode !== 'simple') return;
+      const settings = { ...(this.settings || {}), budgetMode: mode };
+      // Envelopes start empty in the current month; switching back and forth keeps them
+      if (mode === 'envelope' && !(settings.envelopes && settings.envelopes.startMonth)) {
+        settings.envelopes = { startMonth: this._toMonthKey(new Date()), closedThrough: null, carry: {}, moves: [] };
+      }
+      this.settings = settings;
+      this._save('SETTINGS', this.settings);
+      this._emit('settings:changed', { budgetMode: mode });
+      if (mode === 'envelope') this.closeEnvelopeMonths();
+      return mode;
+    },
+
+    _envelopeState() {
+      const state = (this.settings && this.settings.envelopes) || {};
+      return {
+        startMonth: state.startMonth || null,
+        closedThrough: state.closedThrough || null,
+        carry: state.carry && typeof state.carry === 'object' ? state.carry : {},
+        moves: Array.isArray(state.moves) ? state.moves : []
+      };
+    },
+
+    _saveEnvelopeState(state) {
+      this.settings = { ...(this.settings || {}), envelopes: state };
+      this._save('SETTINGS', this.settings);
+    },
+
+    /**
+     * Every envelope for a month.
+     * @param {string} monthKey - 'YYYY-MM', defaults to the selected month
+     * @returns {Object[]} { id, name, color, icon, budget, carriedIn, movedIn, movedOut,
+     *   available, spent, balance, overspent }; available = budget + carriedIn + movedIn - movedOut
+     */
+    getEnvelopes(monthKey) {
+      const month = monthKey || this.getSelectedMonth();
+      const state = this._envelopeState();
+      const carried = state.carry[month] || {};
+      const moves = state.moves.filter(m => m.month === month);
+      return this.getBudgetStatus(month).map(status => {
+        const carriedIn = parseFloat(carried[status.id]) || 0;
+        const movedIn = moves.filter(m => m.to === status.id).reduce((sum, m) => sum + m.amount, 0);
+        const movedOut = moves.filter(m => m.from === status.id).reduce((sum, m) => sum + m.amount, 0);
+        const available = status.budget + carriedIn + movedIn - movedOut;
+        const balance = available - status.spent;
+        return {
+          id: status.id,
+          name: status.name,
+          color: status.color,
+          icon: status.icon,
+          budget: status.budget,
+          carriedIn,
+          movedIn,
+          movedOut,
+          available,
+          spent: status.spent,
+          balance,
+          overspent: balance < 0 ? -balance : 0
+        };
+      });
+    },
+
+    /**
+     * Move money from one envelope to another within a month, e.g. to cover overspending.
+     * @param {Object} move - { from, to, amount, month?, note? }
+     */
+    moveEnvelopeFunds({ from, to, amount, month, note }) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (this.getBudgetMode() !== 'envelope') return;
+      const monthKey = month || this.getSelectedMonth();
+      const state = this._envelopeState();
+      // A closed month's carry-over is already fixed
+      if (!state.startMonth || monthKey < state.startMonth || (state.closedThrough && monthKey <= state.closedThrough)) return;
+      const value = Math.round((parseFloat(amount) || 0) * 100) / 100;
+      const envelopes = this.getEnvelopes(monthKey);
+      const source = envelopes.find(e => e.id === from);
+      const target = envelopes.find(e => e.id === to);
+      if (!source || !target || source.id === target.id || !(value > 0)) return;
+      // Only what is left in the source envelope can be moved
+      if (value > Math.round(source.balance * 100) / 100) return;
+
+      const entry = { id: this._generateId(), month: monthKey, from, to, amount: value, note: String(note || '').trim(), timestamp: new Date().toISOString() };
+      this._saveEnvelopeState({ ...state, moves: state.moves.concat(entry) });
+
+      this.addHistoryEntry({
+        type: 'envelope',
+        category: 'Envelopes',
+        action: `Moved from ${source.name} to ${target.name}`,
+        amount: value,
+        name: `${source.name} → ${target.name}`,
+        note: entry.note
+      });
+      this._emit('envelope:moved', { move: { ...entry } });
+      return { ...entry };
+    },
+
+    getEnvelopeMoves(monthKey) {
+      const moves = this._envelopeState().moves;
+      return (monthKey ? moves.filter(m => m.month === monthKey) : moves).map(m => ({ ...m }));
+    },
+
+    /**
+     * Month close: roll each envelope's unspent balance into the next month.
+     * Overspent envelopes start the next month at zero. Closes months in order.
+     * @param {string} monthKey - 'YYYY-MM'; must be the first month not yet closed
+     * @returns {Object|undefined} { month, carried: { categoryId: amount }, overspent: { categoryId: amount } }
+     */
+    closeEnvelopeMonth(monthKey) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (this.getBudgetMode() !== 'envelope') return;
+      const state = this._envelopeState();
+      if (!state.startMonth) return;
+      const nextToClose = state.closedThrough ? this._addMonths(state.closedThrough, 1) : state.startMonth;
+      if (monthKey !== nextToClose || monthKey >= this._toMonthKey(new Date())) return;
+
+      const carried = {};
+      const overspent = {};
+      let total = 0;
+      this.getEnvelopes(monthKey).forEach(envelope => {
+        const balance = Math.round(envelope.balance * 100) / 100;
+        if (balance > 0) {
+          carried[envelope.id] = balance;
+          total += balance;
+        } else if (balance < 0) {
+          overspent[envelope.id] = -balance;
+        }
+      });
+      const nextMonth = this._addMonths(monthKey, 1);
+      this._saveEnvelopeState({ ...state, closedThrough: monthKey, carry: { ...state.carry, [nextMonth]: carried } });
+
+      this.addHistoryEntry({
+        type: 'envelope',
+        category: 'Envelopes',
+        action: `Closed ${monthKey}`,
+        amount: Math.round(total * 100) / 100,
+        name: 'Carried to next month'
+      });
+      this._emit('envelope:closed', { month: monthKey, carried, overspent });
+      return { month: monthKey, carried, overspent };
+    },
+
+    /**
+     * Catch-up: close every finished month since the last close.
+     * Runs on app load; safe to call repeatedly.
+     * @returns {number} Number of months closed
+     */
+    closeEnvelopeMonths() {
+      if (this.getBudgetMode() !== 'envelope') return 0;
+      const currentMonth = this._toMonthKey(new Date());
+      let closed = 0;
+      for (;;) {
+        const state = this._envelopeState();
+        if (!state.startMonth) break;
+        const month = state.closedThrough ? this._addMonths(state.closedThrough, 1) : state.startMonth;
+        if (month >= currentMonth || !this.closeEnvelopeMonth(month)) break;
+        closed++;
+      }
+      return closed;
+    },
+
+    /* ---------- HISTORY STORAGE ---------- */
+    /**
+     * Replace the history storage adapter. Takes effect on the next data load.
+     * @param {Function|null} factory - (userKeys, userId) => adapter (see HISTORY
+     *   STORAGE ADAPTERS for the interface), or null for the default
+     */
+    setHistoryAdapter(factory) {
+      this._historyAdapterFactory = typeof factory === 'function' ? factory : null;
+    },
+
+    getHistoryStorageKind() {
+      return this._historyStore ? this._historyStore.kind : null;
+    },
+
+    _openHistoryStore(userKeys, userId) {
+      if (this._historyStore && this._historyStoreOwner === userId) return;
+      if (this._historyStore) this._historyStore.close().catch(() => {});
+      const factory = this._historyAdapterFactory ||
+        (typeof indexedDB !== 'undefined' ? HISTORY_ADAPTERS.indexedDB : HISTORY_ADAPTERS.localStorage);
+      try {
+        this._historyStore = factory(userKeys, userId);
+      } catch (e) {
+        console.warn('History adapter failed to start, using localStorage:', e);
+        this._historyStore = HISTORY_ADAPTERS.localStorage(userKeys, userId);
+      }
+      this._historyStoreOwner = userId;
+      this._historyStoreKeys = userKeys;
+    },
+
+    // The in-memory list serves synchronous readers (recent activity, search);
+    // the adapter holds the full log. Entries added while it was loading are kept.
+    async _loadHistoryFromStore() {
+      const store = this._historyStore;
+      if (!store) return;
+      try {
+        const stored = await store.getAll();
+        if (store !== this._historyStore) return;
+        const known = new Set(stored.map(h => h.id));
+        // Id-less entries came from the legacy blob, which the adapter has imported
+        const pending = (Array.isArray(this.HISTORY) ? this.HISTORY : []).filter(h => h.id && !known.has(h.id));
+        this.HISTORY = stored.concat(pending);
+        this._emit('history:loaded', { count: this.HISTORY.length, storage: store.kind });
+      } catch (e) {
+        if (store !== this._historyStore || store.kind === 'localStorage') return;
+        console.warn('History database unavailable, using localStorage:', e);
+        this._historyStore = HISTORY_ADAPTERS.localStorage(this._historyStoreKeys, this._historyStoreOwner);
+        this._writeHistory('replaceAll', Array.isArray(this.HISTORY) ? this.HISTORY : []);
+      }
+    },
+
+    // Writes are fire-and-forget: a failed write costs persistence, not the UI
+    _writeHistory(method, ...args) {
+      if (!this._historyStore || this._detachedWrites) return;
+      this._historyStore[method](...args).catch(err => {
+        console.warn('Failed to save history:', err);
+      });
+    },
+
+    // Delete a user's stored history (sign-out / account switch)
+    destroyHistoryStore(userId) {
+      const userKeys = this._getUserKeys(userId);
+      let store = this._historyStoreOwner === userId ? this._historyStore : null;
+      if (store) {
+        this._historyStore = null;
+        this._historyStoreOwner = null;
+      } else {
+        store = typeof indexedDB !== 'undefined'
+          ? HISTORY_ADAPTERS.indexedDB(userKeys, userId)
+          : HISTORY_ADAPTERS.localStorage(userKeys, userId);
+      }
+      return store.destroy().catch(() => {});
+    },
+
+    /**
+     * Page through stored history, newest first.
+     * @param {Object} options - { type, category, cursor, limit = 50 }
+     * @returns {Promise<{entries: Array, cursor: *}>} pass `cursor` back for the next page; null when done
+     */
+    queryHistory(options = {}) {
+      if (!this._historyStore) return Promise.resolve({ entries: [], cursor: null });
+      return this._historyStore.query(options);
+    },
+
+    countHistory() {
+      return this._historyStore ? this._historyStore.count() : Promise.resolve(0);
+    },
+
+    // Replace the whole log (e.g. with a restored backup's)
+    replaceHistory(entries) {
+      if (!Array.isArray(entries)) return;
+      this.HISTORY = entries
+        .filter(h => h && typeof h === 'object')
+        .map(h => ({ ...h, id: String(h.id || this._generateId()) }))
+        .sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+      this._writeHistory('replaceAll', this.HISTORY);
+      this._emit('history:loaded', { count: this.HISTORY.length, storage: this.getHistoryStorageKind() });
+    },
+
+    /**
+     * Merge the copy loaded from Firestore into the local log by entry id. The
+     * remote copy wins for ids both sides have; entries only this device has
+     * (written offline, or while a Firestore write failed) are kept.
+     * @param {Array} entries - History loaded from Firestore
+     * @returns {Promise<Array>} The local-only entries, for the caller to upload
+     */
+    async mergeHistory(entries) {
+      if (!Array.isArray(entries)) return [];
+      let local = Array.isArray(this.HISTORY) ? this.HISTORY : [];
+      // The adapter holds the full log; the in-memory list may still be loading
+      if (this._historyStore) {
+        try {
+          const stored = await this._historyStore.getAll();
+          const known = new Set(stored.map(h => h.id));
+          local = stored.concat(local.filter(h => h && h.id && !known.has(h.id)));
+        } catch (e) {
+          // Merge with what is in memory
+        }
+      }
+      const remoteIds = new Set(entries.filter(h => h && h.id).map(h => String(h.id)));
+      const localOnly = local.filter(h => h && typeof h === 'object' && h.id && !remoteIds.has(String(h.id)));
+      this.replaceHistory(entries.concat(localOnly));
+      return localOnly.map(h => ({ ...h }));
+    },
+
+    /* ---------- HISTORY METHODS ---------- */
+    addHistoryEntry(entry) {
+      // Only add if authenticated
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (!this.canEdit()) return;
+
+      if (!this.HISTORY) this.HISTORY = [];
+      
+      const historyEntry = {
+        ...entry,
+        tags: this._normalizeTags(entry.tags),
+        note: String(entry.note || '').trim(),
+        id: entry.id || this._generateId(),
+        addedBy: entry.addedBy || this._attribution(),
+        timestamp: entry.timestamp || new Date().toISOString(),
+        dateTime: entry.dateTime || new Date().toISOString()
+      };
+      
+      this.HISTORY.push(historyEntry);
+      this._writeHistory('put', historyEntry);
+      
+      // Save to Firestore if authenticated
+      if (typeof AuthManager !== 'undefined' && AuthManager.isAuthenticated() && AuthManager.currentUser && AuthManager.currentUser.uid) {
+        if (typeof AuthManager.saveHistoryEntry === 'function') {
+          AuthManager.saveHistoryEntry(historyEntry).catch(err => {
+            if (err && err.message && !err.message.includes('permission')) {
+              console.warn('Firestore save failed:', err.message);
+            }
+          });
+        }
+      }
+      this._emit('history:appended', { entry: { ...historyEntry } });
+    },
+
+    getHistory() {
+      if (!Array.isArray(this.HISTORY)) this.HISTORY = [];
+      return [...this.HISTORY].reverse(); // Most recent first
+    },
+
+    deleteHistoryEntry(id) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (!this.canEdit()) return;
+      const index = (Array.isArray(this.HISTORY) ? this.HISTORY : []).findIndex(h => h.id === id);
+      if (index === -1) return;
+      const [removed] = this.HISTORY.splice(index, 1);
+      this._writeHistory('delete', id);
+      if (typeof AuthManager.deleteHistoryEntry === 'function') {
+        AuthManager.deleteHistoryEntry(id).catch(() => {});
+      }
+      this._emit('history:deleted', { entry: { ...removed } });
+      return removed;
+    },
+
+    clearHistory() {
+      if (!this.canEdit()) return;
+      this.HISTORY = [];
+      this._writeHistory('clear');
+      this._emit('history:cleared');
+    },
+
+    // Tags and notes are the only editable part of a history record
+    annotateHistoryEntry(id, { tags, note } = {}) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (!this.canEdit()) return;
+      const entry = (Array.isArray(this.HISTORY) ? this.HISTORY : []).find(h => h.id === id);
+      if (!entry) return;
+      if (tags !== undefined) entry.tags = this._normalizeTags(tags);
+      if (note !== undefined) entry.note = String(note || '').trim();
+      this._writeHistory('update', id, { tags: entry.tags, note: entry.note });
+
+      if (typeof AuthManager.updateHistoryEntry === 'function') {
+        AuthManager.updateHistoryEntry(id, { tags: entry.tags || [], note: entry.note || '' }).catch(err => {
+          if (err && err.message && !err.message.includes('permission')) {
+            console.warn('Firestore save failed:', err.message);
+          }
+        });
+      }
+      this._emit('history:updated', { entry: { ...entry } });
+      return { ...entry };
+    },
+
+    /* ---------- TAGS & SEARCH ---------- */
+    // Tags are lowercase words without '#'; accepts an array or "trip, #goa work"
+    _normalizeTags(tags) {
+      const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,\s]+/);
+      return [...new Set(list.map(t => String(t || '').trim().replace(/^#+/, '').toLowerCase()).filter(Boolean))];
+    },
+
+    getAllTags() {
+      const tags = new Set();
+      [this.income, this.expenses, this.transactions, this.HISTORY].forEach(list => {
+        (Array.isArray(list) ? list : []).forEach(item => (item && item.tags || []).forEach(tag => tags.add(tag)));
+      });
+      return [...tags].sort();
+    },
+
+    _tokenize(text) {
+      return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    },
+
+    /**
+     * Parse a search string into free-text terms and filters.
+     * Filters: tag:x (or #x), type:income|expense|transfer, in:entries|ledger|history,
+     * category:x, account:x, amount>N / >= / < / <= / = (base currency),
+     * before:YYYY-MM-DD, after:YYYY-MM-DD, on:YYYY-MM-DD (YYYY-MM works for all three).
+     * Quoted text ("car service") matches as a phrase.
+     */
+    parseSearchQuery(query) {
+      const parsed = { terms: [], phrases: [], tags: [], kinds: [], amount: [] };
+      const parts = String(query || '').match(/"[^"]*"|\S+/g) || [];
+      const dayBounds = (value) => {
+        if (/^\d{4}-\d{2}$/.test(value)) return this._monthRange(value);
+        const day = /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+        return day ? { from: day, to: day } : null;
+      };
+
+      parts.forEach(part => {
+        if (part.startsWith('"')) {
+          const phrase = part.replace(/"/g, '').trim().toLowerCase();
+          if (phrase) parsed.phrases.push(phrase);
+          return;
+        }
+        const amount = part.match(/^amount(>=|<=|>|<|=|:)(-?\d+(?:\.\d+)?)$/i);
+        if (amount) {
+          parsed.amount.push({ op: amount[1] === ':' ? '=' : amount[1], value: parseFloat(amount[2]) });
+          return;
+        }
+        const filter = part.match(/^([a-z]+):(.+)$/i);
+        const key = filter ? filter[1].toLowerCase() : null;
+        const value = filter ? filter[2].toLowerCase() : null;
+        if (key === 'tag') {
+          parsed.tags.push(...this._normalizeTags(value));
+        } else if (part.startsWith('#') && part.length > 1) {
+          parsed.tags.push(...this._normalizeTags(part));
+        } else if (key === 'type') {
+          parsed.type = value;
+        } else if (key === 'in') {
+          const kind = { entries: 'entry', entry: 'entry', ledger: 'transaction', transactions: 'transaction', history: 'history' }[value];
+          if (kind) parsed.kinds.push(kind);
+        } else if (key === 'category') {
+          parsed.category = value;
+        } else if (key === 'account') {
+          parsed.account = value;
+        } else if ((key === 'before' || key === 'after' || key === 'on') && dayBounds(value)) {
+          const bounds = dayBounds(value);
+          if (key === 'before') parsed.before = bounds.from;
+          if (key === 'after') parsed.after = bounds.to;
+          if (key === 'on') { parsed.from = bounds.from; parsed.to = bounds.to; }
+        } else {
+          parsed.terms.push(...this._tokenize(part));
+        }
+      });
+      return parsed;
+    },
+
+    // Every searchable record as { kind, type, id, date, name, amount, currency, category, accounts, tags, note, text, record }
+    _searchableRecords(kinds) {
+      const records = [];
+      const accountNames = (ids) => ids.filter(Boolean).map(id => {
+        const account = this.getAccount(id);
+        return account ? account.name : id;
+      });
+      if (kinds.includes('entry')) {
+        [['income', this.income], ['expense', this.expenses]].forEach(([type, list]) => {
+          (Array.isArray(list) ? list : []).forEach(item => {
+            const accounts = accountNames([item.accountId]);
+            records.push({
+              kind: 'entry', type, id: item.id, record: item,
+              date: (item.recurrence && item.recurrence.startDate) || this._toDateKey(item.timestamp),
+              name: item.name, amount: item.amount, currency: item.currency,
+              category: type === 'income' ? 'income' : 'fixed', accounts,
+              text: [item.name, item.note, type, ...accounts].join(' ')
+            });
+          });
+        });
+      }
+      if (kinds.includes('transaction')) {
+        (Array.isArray(this.transactions) ? this.transactions : []).forEach(t => {
+          const accounts = accountNames([t.account, t.toAccount]);
+          records.push({
+            kind: 'transaction', type: t.type, id: t.id, record: t,
+            date: t.date, name: t.payee, amount: t.amount, currency: t.currency,
+            category: t.category, accounts,
+            text: [t.payee, t.note, t.type, this.getCategoryLabel(t.category), ...accounts].join(' ')
+          });
+        });
+      }
+      if (kinds.includes('history')) {
+        (Array.isArray(this.HISTORY) ? this.HISTORY : []).forEach(h => {
+          records.push({
+            kind: 'history', type: h.type, id: h.id, record: h,
+            date: this._toDateKey(h.dateTime || h.timestamp), name: h.name || h.category,
+            amount: h.amount, currency: h.currency, category: h.category, accounts: [],
+            text: [h.category, h.name, h.action, h.note, h.type].join(' ')
+          });
+        });
+      }
+      return records;
+    },
+
+    /**
+     * Search entries, ledger rows and history.
+     * @param {string} query - Free text plus filters, e.g. 'goa tag:trip amount>500 before:2026-09-01'
+     * @param {Object} options - { kinds: ['entry', 'transaction', 'history'] } limits what is searched
+     * @returns {Array} Matches, newest first: { kind, type, id, date, name, amount, currency, tags, note, record }
+     */
+    search(query, options = {}) {
+      const q = this.parseSearchQuery(query);
+      const kinds = q.kinds.length > 0 ? q.kinds : (options.kinds || ['entry', 'transaction', 'history']);
+      const compare = { '>': (a, b) => a > b, '>=': (a, b) => a >= b, '<': (a, b) => a < b, '<=': (a, b) => a <= b, '=': (a, b) => Math.abs(a - b) < 0.005 };
+
+      return this._searchableRecords(kinds)
+        .filter(r => {
+          const tags = r.record.tags || [];
+          if (q.tags.some(tag => !tags.includes(tag))) return false;
+          if (q.type && String(r.type || '').toLowerCase() !== q.type) return false;
+          if (q.category) {
+            const label = String(this.getCategoryLabel(r.category) || '').toLowerCase();
+            if (String(r.category || '').toLowerCase() !== q.category && !label.includes(q.category)) return false;
+          }
+          if (q.account && !r.accounts.some(name => String(name).toLowerCase().includes(q.account))) return false;
+          if (q.before && !(r.date && r.date < q.before)) return false;
+          if (q.after && !(r.date && r.date > q.after)) return false;
+          if (q.from && !(r.date && r.date >= q.from && r.date <= q.to)) return false;
+          if (q.amount.length > 0) {
+            const amount = this.toBaseCurrency(parseFloat(r.amount) || 0, r.currency, r.date);
+            if (q.amount.some(c => !compare[c.op](amount, c.value))) return false;
+          }
+          const text = `${r.text} ${tags.join(' ')}`.toLowerCase();
+          if (q.phrases.some(phrase => !text.includes(phrase))) return false;
+          const tokens = this._tokenize(text);
+          return q.terms.every(term => tokens.some(token => token.startsWith(term)));
+        })
+        .map(r => ({
+          kind: r.kind, type: r.type, id: r.id, date: r.date, name: r.name,
+          amount: r.amount, currency: r.currency, tags: [...(r.record.tags || [])], note: r.record.note || '',
+          record: { ...r.record }
+        }))
+        .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+    },
+
+    /* ---------- CALCULATIONS ---------- */
+    calculateSavings(monthKey) {
+      return this.getTotalIncome(monthKey) - this.getTotalExpenses(monthKey);
+    },
+
+    /* ---------- RESET ---------- */
+    resetAllData() {
+      // Wiping a shared household is the owner's call
+      if (this.getRole() !== 'owner') return;
+      this.income = [];
+      this.expenses = [];
+      this.flexibleSpending = {};
+      this.HISTORY = [];
+      this.transactions = [];
+      this.categories = DEFAULT_CATEGORIES.map(c => ({ ...c, archived: false }));
+      this.exchangeRates = [];
+      this.accounts = [];
+      this.assets = [];
+      this.investments = [];
+      this.splits = [];
+      this._writeHistory('clear');
+      
+      Object.keys(this.KEYS).forEach(key => {
+        if (key === 'QUARANTINE' || key === 'CONTEXT') return;
+        try {
+          localStorage.removeItem(this.KEYS[key]);
+        } catch (e) {}
+      });
+      // Empty data is already in the current shape
+      this._writeSchemaVersion(this.KEYS, SCHEMA_VERSION);
+      this._emit('data:reset');
+    },
+
+    /* ---------- HOUSEHOLDS ---------- */
+    // A household is a workspace shared through Firestore (households/{id}) with
+    // its own finance document and history; the personal space under users/{uid}
+    // stays private. Members are owners, editors or viewers. AuthManager does the
+    // Firestore I/O; switching context reloads every list from the chosen workspace.
+    getHouseholdRoles() {
+      return { ...HOUSEHOLD_ROLES };
+    },
+
+    _canUseHouseholds() {
+      return typeof AuthManager !== 'undefined' && AuthManager.isAuthenticated() && !!AuthManager.currentUser &&
+        !!AuthManager.currentUser.uid && !(typeof AuthManager.isGuest === 'function' && AuthManager.isGuest()) &&
+        typeof AuthManager.loadHouseholds === 'function';
+    },
+
+    // Firestore household document -> { id, name, ownerId, role, members: [{ uid, role, email, name, isYou }] }
+    _normalizeHousehold(doc, userId) {
+      const order = Object.keys(HOUSEHOLD_ROLES);
+      const members = Object.keys(doc.members || {}).map(uid => {
+        const member = doc.members[uid] || {};
+        return {
+          uid,
+          role: HOUSEHOLD_ROLES[member.role] ? member.role : 'viewer',
+          email: String(member.email || ''),
+          name: String(member.name || member.email || 'Member'),
+          isYou: uid === userId
+        };
+      }).sort((a, b) => order.indexOf(a.role) - order.indexOf(b.role) || a.name.localeCompare(b.name));
+      const me = members.find(m => m.isYou);
+      return { id: doc.id, name: String(doc.name || 'Household'), ownerId: doc.ownerId, role: me ? me.role : null, members };
+    },
+
+    getHouseholds() {
+      return (this._households || []).map(h => ({ ...h, members: h.members.map(m => ({ ...m })) }));
+    },
+
+    getHousehold(id) {
+      return this.getHouseholds().find(h => h.id === id) || null;
+    },
+
+    // Invitations waiting for the signed-in user: { id, householdId, householdName, email, role, invitedByName }
+    getInvitations() {
+      return (this._invitations || []).map(i => ({ ...i }));
+    },
+
+    /**
+     * The open workspace.
+     * @returns {Object} { type: 'personal' } or { type: 'household', householdId, name, role }
+     */
+    getContext() {
+      const userId = typeof AuthManager !== 'undefined' && AuthManager.currentUser ? AuthManager.currentUser.uid : null;
+      const context = this._context;
+      if (!context || context.type !== 'household' || !userId || context.userId !== userId) return { type: 'personal' };
+      const household = (this._households || []).find(h => h.id === context.householdId);
+      return {
+        type: 'household',
+        householdId: context.householdId,
+        name: household ? household.name : '',
+        role: household && household.role ? household.role : 'viewer'
+      };
+    },
+
+    // The personal space is always the user's own
+    getRole() {
+      const context = this.getContext();
+      return context.type === 'household' ? context.role : 'owner';
+    },
+
+    canEdit() {
+      return this.getRole() !== 'viewer';
+    },
+
+    /**
+     * Reload the user's households and pending invitations. Falls back to the
+     * personal space when the open household no longer lists the user.
+     * @returns {Promise<Object[]>} getHouseholds()
+     */
+    async refreshHouseholds() {
+      if (!this._canUseHouseholds()) return [];
+      const userId = AuthManager.currentUser.uid;
+      const [households, invitations] = await Promise.all([AuthManager.loadHouseholds(), AuthManager.loadInvitations()]);
+      this._households = (households || []).map(doc => this._normalizeHousehold(doc, userId)).filter(h => h.role);
+      this._invitations = Array.isArray(invitations) ? invitations : [];
+      this._emit('household:updated', { households: this._households.length, invitations: this._invitations.length });
+      const context = this._context;
+      if (context && context.type === 'household' && !this._households.some(h => h.id === context.householdId)) {
+        await this.switchContext('personal');
+      }
+      return this.getHouseholds();
+    },
+
+    // Push a debounced sync now, before the workspace it belongs to is closed
+    async _flushSync() {
+      if (!this._syncTimeout) return;
+      clearTimeout(this._syncTimeout);
+      this._syncTimeout = null;
+      this._lastSyncPayload = null;
+      if (this.canEdit() && typeof AuthManager.saveUserData === 'function') {
+        await this._pushFinanceData();
+      }
+    },
+
+    /**
+     * Open the personal space or a household. Pending changes are synced to the
+     * workspace being left, then data and history load from the new one.
+     * @param {string} target - 'personal' or a household id from getHouseholds()
+     * @returns {Promise<Object|undefined>} The new getContext()
+     */
+    async switchContext(target) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      const userId = AuthManager.currentUser.uid;
+      const household = target && target !== 'personal' ? this.getHousehold(target) : null;
+      if (target && target !== 'personal' && !household) return;
+
+      await this._flushSync();
+      this._context = household ? { type: 'household', householdId: household.id, userId } : { type: 'personal' };
+      this._lastSyncPayload = null;
+      try {
+        localStorage.setItem(this._getUserKeys(userId).CONTEXT, household ? household.id : 'personal');
+      } catch (e) {}
+      if (typeof AuthManager.loadWorkspaceData === 'function') {
+        await AuthManager.loadWorkspaceData();
+      }
+      this._initData();
+      const context = this.getContext();
+      this._emit('context:switched', { context: { ...context } });
+      return context;
+    },
+
+    // Reopen the workspace last used on this device once the households are known
+    async resumeContext() {
+      if (!this._canUseHouseholds() || this.getContext().type !== 'personal') return;
+      let saved = null;
+      try {
+        saved = localStorage.getItem(this._getUserKeys(AuthManager.currentUser.uid).CONTEXT);
+      } catch (e) {}
+      if (saved && saved !== 'personal' && this.getHousehold(saved)) await this.switchContext(saved);
+    },
+
+    /**
+     * Start a household with the signed-in user as its owner.
+     * @param {string} name
+     * @returns {Promise<Object|null>} The household, from getHouseholds()
+     */
+    async createHousehold(name) {
+      if (!this._canUseHouseholds()) return null;
+      const title = String(name || '').trim();
+      if (!title) throw new Error('Give the household a name.');
+      const created = await AuthManager.createHousehold(title);
+      await this.refreshHouseholds();
+      return this.getHousehold(created.id);
+    },
+
+    _ownedHousehold(householdId) {
+      const household = this.getHousehold(householdId);
+      if (!household) throw new Error('That household is not available.');
+      if (household.role !== 'owner') throw new Error('Only the household owner can manage members.');
+      return household;
+    },
+
+    /**
+     * Invite someone by email. They join with `role` when they accept after signing in.
+     * @param {string} householdId
+     * @param {Object} invite - { email, role: 'editor'|'viewer' }
+     * @returns {Promise<Object>} { email, role }
+     */
+    async inviteMember(householdId, { email, role } = {}) {
+      const household = this._ownedHousehold(householdId);
+      const address = String(email || '').trim().toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) throw new Error('Enter a valid email address.');
+      if (role !== 'editor' && role !== 'viewer') throw new Error('Invite members as an editor or a viewer.');
+      if (household.members.some(m => m.email.toLowerCase() === address)) throw new Error(`${address} is already a member.`);
+      await AuthManager.inviteToHousehold(household, address, role);
+      this._emit('household:updated', { householdId, invited: address });
+      return { email: address, role };
+    },
+
+    // Invitations the owner sent that are still pending: [{ email, role }]
+    async getSentInvitations(householdId) {
+      this._ownedHousehold(householdId);
+      return AuthManager.loadSentInvitations(householdId);
+    },
+
+    async cancelInvitation(householdId, email) {
+      this._ownedHousehold(householdId);
+      await AuthManager.cancelInvitation(householdId, String(email || '').trim().toLowerCase());
+      this._emit('household:updated', { householdId, cancelled: email });
     },
 
-    deleteIncomeSource(id) {
-      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
-        return;
-      }
-      const index = this.income.findIndex(item => item.id === id);
-      if (index === -1) return;
-      
-      const item = this.income[index];
-      this.income.splice(index, 1);
-      this._save('INCOME', this.income);
-      
-      // Add to history
-      this.addHistoryEntry({
-        type: 'income',
-        category: item.name,
-        action: 'Deleted',
-        amount: item.amount,
-        name: item.name
-      });
-      
-      // Trigger recent activity update
-      if (typeof window.renderRecentActivity === 'function') {
-        setTimeout(() => window.renderRecentActivity(), 50);
-      }
+    /**
+     * Accept or decline an invitation from getInvitations().
+     * @returns {Promise<Object|null>} The joined household, null when declined
+     */
+    async respondToInvitation(invitationId, accept) {
+      const invitation = (this._invitations || []).find(i => i.id === invitationId);
+      if (!invitation) return null;
+      await AuthManager.respondToInvitation(invitation, !!accept);
+      await this.refreshHouseholds();
+      return accept ? this.getHousehold(invitation.householdId) : null;
     },
 
-    getIncome() {
-      return Array.isArray(this.income) ? [...this.income] : [];
+    async setMemberRole(householdId, memberId, role) {
+      const household = this._ownedHousehold(householdId);
+      if (role !== 'editor' && role !== 'viewer') throw new Error('Members are editors or viewers.');
+      const member = household.members.find(m => m.uid === memberId);
+      if (!member) return;
+      if (member.role === 'owner') throw new Error('The owner\'s role cannot be changed.');
+      await AuthManager.updateHouseholdMember(householdId, memberId, role);
+      await this.refreshHouseholds();
     },
 
-    getTotalIncome() {
-      return this.getIncome().reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0);
+    /**
+     * Remove a member (owners only), or leave when memberId is the signed-in user.
+     * Leaving the open household returns to the personal space.
+     */
+    async removeMember(householdId, memberId) {
+      const household = this.getHousehold(householdId);
+      if (!household) return;
+      const member = household.members.find(m => m.uid === memberId);
+      if (!member) return;
+      if (member.role === 'owner') throw new Error('The owner cannot leave or be removed from the household.');
+      if (!member.isYou && household.role !== 'owner') throw new Error('Only the household owner can remove members.');
+      await AuthManager.updateHouseholdMember(householdId, memberId, null);
+      await this.refreshHouseholds();
     },
 
-    /* ---------- EXPENSE METHODS ---------- */
-    addFixedExpense({ name, amount }) {
-      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
-        return;
+    // Who created an entry; kept on the entry so a household can show it
+    _attribution() {
+      const user = AuthManager.currentUser;
+      return { uid: user.uid, name: user.displayName || user.email || 'Member' };
+    },
+
+    /**
+     * "Added by …" for an entry in the open household; '' in the personal space
+     * and for entries written before attribution existed.
+     * @param {Object} entry - Income, expense, transaction or history entry
+     * @returns {string}
+     */
+    describeAttribution(entry) {
+      const context = this.getContext();
+      if (context.type !== 'household' || !entry || !entry.addedBy) return '';
+      const household = this.getHousehold(context.householdId);
+      const member = household ? household.members.find(m => m.uid === entry.addedBy.uid) : null;
+      if (member && member.isYou) return 'Added by you';
+      return `Added by ${member ? member.name : entry.addedBy.name || 'a former member'}`;
+    },
+
+    /* ---------- GUEST MODE ---------- */
+    // Guests work under the 'guest' key namespace on this device only. After
+    // sign-in that data can be merged into the account once, then it is removed.
+    _readGuestData() {
+      const keys = this._getUserKeys('guest');
+      const read = (key, fallback, isValid) => {
+        try {
+          const value = JSON.parse(localStorage.getItem(keys[key]));
+          return isValid(value) ? value : fallback;
+        } catch (e) {
+          return fallback;
+        }
+      };
+      const isList = value => Array.isArray(value);
+      const isMap = value => !!value && typeof value === 'object' && !Array.isArray(value);
+      return {
+        income: read('INCOME', [], isList),
+        expenses: read('EXPENSES', [], isList),
+        flexibleSpending: read('FLEXIBLE', {}, isMap),
+        transactions: read('TRANSACTIONS', [], isList),
+        categories: read('CATEGORIES', [], isList),
+        exchangeRates: read('RATES', [], isList),
+        accounts: read('ACCOUNTS', [], isList),
+        assets: read('ASSETS', [], isList),
+        investments: read('INVESTMENTS', [], isList),
+        splits: read('SPLITS', [], isList)
+      };
+    },
+
+    /**
+     * What a guest session left on this device (nothing while still a guest).
+     * @returns {Object|null} Counts per kind, or null when there is nothing to merge
+     */
+    getGuestDataSummary() {
+      if (typeof AuthManager !== 'undefined' && typeof AuthManager.isGuest === 'function' && AuthManager.isGuest()) {
+        return null;
       }
-      if (!name || !amount || parseFloat(amount) <= 0) return;
-      
-      const id = this._generateId();
-      const entry = {
-        id,
-        name: name.trim(),
-        amount: parseFloat(amount),
-        category: 'fixed',
-        timestamp: new Date().toISOString()
+      const guest = this._readGuestData();
+      const summary = {
+        income: guest.income.length,
+        expenses: guest.expenses.length,
+        transactions: guest.transactions.length,
+        accounts: guest.accounts.length,
+        assets: guest.assets.length,
+        investments: guest.investments.length,
+        splits: guest.splits.length,
+        exchangeRates: guest.exchangeRates.length
       };
-      
-      this.expenses.push(entry);
-      this._save('EXPENSES', this.expenses);
-      
-      // Add to history
-      this.addHistoryEntry({
-        type: 'expense',
-        category: name,
-        action: 'Added',
-        amount: parseFloat(amount),
-        name: name
+      return Object.values(summary).some(count => count > 0) ? summary : null;
+    },
+
+    hasGuestData() {
+      return this.getGuestDataSummary() !== null;
+    },
+
+    // Remove the guest namespace (after a merge, or when the user declines it)
+    discardGuestData() {
+      const keys = this._getUserKeys('guest');
+      Object.values(keys).forEach(key => {
+        try {
+          localStorage.removeItem(key);
+        } catch (e) {}
       });
-      
-      // Trigger recent activity update
-      if (typeof window.renderRecentActivity === 'function') {
-        setTimeout(() => window.renderRecentActivity(), 50);
+      return this.destroyHistoryStore('guest');
+    },
+
+    /**
+     * Fold another copy of finance data (a guest session, a backup) into the
+     * loaded account. Entries already in the account are skipped: categories and
+     * accounts, net-worth items and investments match by name, splits by id, standing entries by name, amount and currency,
+     * ledger rows by date, type, amount, payee and category, history by time,
+     * action, amount and name. Only memory and the history store are written;
+     * callers persist the lists.
+     * @param {Object} source - { income, expenses, flexibleSpending, transactions, categories, exchangeRates, accounts, assets, investments, splits }
+     * @param {Array} sourceHistory - History entries to append
+     * @param {string} label - Suffix for accounts whose name clashes with another type
+     * @returns {Object} Counts of merged and skipped items
+     */
+    _mergeFinanceData(source, sourceHistory, label) {
+      const summary = { categories: 0, accounts: 0, assets: 0, investments: 0, splits: 0, income: 0, expenses: 0, transactions: 0, exchangeRates: 0, history: 0, skipped: 0 };
+      const lower = value => String(value || '').trim().toLowerCase();
+      const remap = (map, id) => (id && map[id]) || id;
+
+      // Categories: same id or same name means the same category
+      const categoryMap = {};
+      source.categories.forEach(category => {
+        if (!category || !category.id) return;
+        const match = this.categories.find(c => c.id === category.id) ||
+          this.categories.find(c => lower(c.name) === lower(category.name));
+        if (match) {
+          categoryMap[category.id] = match.id;
+          return;
+        }
+        this.categories.push({ ...category });
+        summary.categories++;
+      });
+
+      // Accounts: same name and type; a name clash with another type gets a suffix
+      const accountMap = {};
+      if (!Array.isArray(this.accounts)) this.accounts = [];
+      source.accounts.forEach(account => {
+        if (!account || !account.id) return;
+        const match = this.accounts.find(a => lower(a.name) === lower(account.name) && a.type === account.type);
+        if (match) {
+          accountMap[account.id] = match.id;
+          return;
+        }
+        const name = this._isAccountNameTaken(account.name) ? `${account.name} (${label})` : account.name;
+        const id = this.accounts.some(a => a.id === account.id) ? this._generateId() : account.id;
+        accountMap[account.id] = id;
+        this.accounts.push({ ...account, id, name });
+        summary.accounts++;
+      });
+
+      // Income sources and fixed expenses
+      const entryMap = {};
+      const entrySignature = item => `${lower(item.name)}|${parseFloat(item.amount) || 0}|${item.currency || this.getBaseCurrency()}`;
+      [['income', 'income'], ['expenses', 'expenses']].forEach(([listKey, countKey]) => {
+        if (!Array.isArray(this[listKey])) this[listKey] = [];
+        const list = this[listKey];
+        source[listKey].forEach(item => {
+          if (!item || !item.id) return;
+          const match = list.find(existing => existing.id === item.id || entrySignature(existing) === entrySignature(item));
+          if (match) {
+            entryMap[item.id] = match.id;
+            summary.skipped++;
+            return;
+          }
+          list.push({ ...item, accountId: remap(accountMap, item.accountId) || null });
+          summary[countKey]++;
+        });
+      });
+
+      // Investments: same name and type; lots and prices the account lacks are added
+      // to a match. Their ids join entryMap so SIP and purchase rows follow them.
+      if (!Array.isArray(this.investments)) this.investments = [];
+      (source.investments || []).forEach(holding => {
+        if (!holding || !holding.id) return;
+        const match = this.investments.find(h => lower(h.name) === lower(holding.name) && h.type === holding.type);
+        if (!match) {
+          const id = this.investments.some(h => h.id === holding.id) ? this._generateId() : holding.id;
+          entryMap[holding.id] = id;
+          this.investments.push({
+            ...holding,
+            id,
+            accountId: remap(accountMap, holding.accountId) || null,
+            sip: holding.sip ? { ...holding.sip, accountId: remap(accountMap, holding.sip.accountId) || null } : null,
+            lots: (holding.lots || []).map(lot => ({ ...lot })),
+            prices: (holding.prices || []).map(p => ({ ...p }))
+          });
+          summary.investments++;
+          return;
+        }
+        entryMap[holding.id] = match.id;
+        (holding.lots || []).forEach(lot => {
+          if (match.lots.some(l => l.id === lot.id || (l.date === lot.date && l.amount === lot.amount))) {
+            summary.skipped++;
+            return;
+          }
+          match.lots.push({ ...lot });
+        });
+        (holding.prices || []).forEach(price => {
+          if (!match.prices.some(p => p.date === price.date)) match.prices.push({ ...price });
+        });
+        match.lots.sort((x, y) => x.date.localeCompare(y.date));
+        match.prices.sort((x, y) => x.date.localeCompare(y.date));
+      });
+
+      // Split expenses and settlements keep their ids, so the same entry is never added twice
+      if (!Array.isArray(this.splits)) this.splits = [];
+      (source.splits || []).forEach(entry => {
+        if (!entry || !entry.id) return;
+        if (this.splits.some(s => s.id === entry.id)) {
+          summary.skipped++;
+          return;
+        }
+        this.splits.push(entry.kind === 'settlement'
+          ? { ...entry, accountId: remap(accountMap, entry.accountId) || null }
+          : {
+            ...entry,
+            category: remap(categoryMap, entry.category),
+            accountId: remap(accountMap, entry.accountId) || null,
+            participants: (entry.participants || []).map(p => ({ ...p })),
+            shares: (entry.shares || []).map(share => ({ ...share }))
+          });
+        summary.splits++;
+      });
+
+      // Ledger rows
+      if (!Array.isArray(this.transactions)) this.transactions = [];
+      const rowSignature = t => [t.date, t.type, t.amount, t.currency, lower(t.payee), t.category].join('|');
+      const knownRows = new Set(this.transactions.map(rowSignature));
+      const knownRowIds = new Set(this.transactions.map(t => t.id));
+      source.transactions.forEach(row => {
+        if (!row) return;
+        const mapped = this._normalizeTransaction({
+          ...row,
+          category: remap(categoryMap, row.category),
+          account: remap(accountMap, row.account),
+          ...(row.toAccount ? { toAccount: remap(accountMap, row.toAccount) } : {}),
+          ...(row.sourceId ? { sourceId: remap(entryMap, row.sourceId) } : {})
+        });
+        if (knownRowIds.has(mapped.id) || knownRows.has(rowSignature(mapped))) {
+          summary.skipped++;
+          return;
+        }
+        knownRows.add(rowSignature(mapped));
+        knownRowIds.add(mapped.id);
+        this.transactions.push(mapped);
+        summary.transactions++;
+      });
+
+      // Flexible amounts only fill categories the account has not set
+      if (!this.flexibleSpending) this.flexibleSpending = {};
+      Object.keys(source.flexibleSpending).forEach(id => {
+        const target = remap(categoryMap, id);
+        if (!(parseFloat(this.flexibleSpending[target]) > 0)) this.flexibleSpending[target] = source.flexibleSpending[id];
+      });
+
+      // Net-worth items: same name and kind; valuations the account lacks are added to a match
+      if (!Array.isArray(this.assets)) this.assets = [];
+      (source.assets || []).forEach(item => {
+        if (!item || !item.id) return;
+        const match = this.assets.find(a => lower(a.name) === lower(item.name) && a.kind === item.kind);
+        if (!match) {
+          const id = this.assets.some(a => a.id === item.id) ? this._generateId() : item.id;
+          this.assets.push({ ...item, id, valuations: (item.valuations || []).map(v => ({ ...v })) });
+          summary.assets++;
+          return;
+        }
+        (item.valuations || []).forEach(valuation => {
+          if (match.valuations.some(v => v.date === valuation.date)) {
+            summary.skipped++;
+            return;
+          }
+          match.valuations.push({ ...valuation });
+        });
+        match.valuations.sort((a, b) => a.date.localeCompare(b.date));
+      });
+
+      // Exchange rates: the account's own rate wins for the same pair and day
+      if (!Array.isArray(this.exchangeRates)) this.exchangeRates = [];
+      source.exchangeRates.forEach(rate => {
+        if (!rate) return;
+        if (this.exchangeRates.some(r => r.from === rate.from && r.to === rate.to && r.effectiveDate === rate.effectiveDate)) {
+          summary.skipped++;
+          return;
+        }
+        this.exchangeRates.push({ ...rate });
+        summary.exchangeRates++;
+      });
+
+      // History: appended to the account's log and its Firestore collection
+      if (!Array.isArray(this.HISTORY)) this.HISTORY = [];
+      const historySignature = h => [h.timestamp, h.action, h.amount, lower(h.name)].join('|');
+      const knownHistory = new Set(this.HISTORY.map(historySignature));
+      const mergedHistory = sourceHistory.filter(h => h && !knownHistory.has(historySignature(h)));
+      summary.skipped += sourceHistory.length - mergedHistory.length;
+      summary.history = mergedHistory.length;
+      if (mergedHistory.length > 0) {
+        this.HISTORY = this.HISTORY.concat(mergedHistory)
+          .sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+        this._writeHistory('putMany', mergedHistory);
+        if (typeof AuthManager.saveHistoryEntry === 'function') {
+          mergedHistory.forEach(entry => AuthManager.saveHistoryEntry(entry).catch(() => {}));
+        }
       }
-      
-      return entry;
+
+      return summary;
     },
 
-    deleteFixedExpense(id) {
+    /**
+     * Fold guest data into the signed-in account and write the result through
+     * AuthManager.saveUserData (see _mergeFinanceData for what counts as a duplicate).
+     * @returns {Promise<Object|undefined>} Counts of merged and skipped items
+     */
+    async mergeGuestData() {
       if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
         return;
       }
-      const index = this.expenses.findIndex(item => item.id === id);
-      if (index === -1) return;
-      
-      const item = this.expenses[index];
-      this.expenses.splice(index, 1);
-      this._save('EXPENSES', this.expenses);
-      
-      // Add to history
-      this.addHistoryEntry({
-        type: 'expense',
-        category: item.name,
-        action: 'Deleted',
-        amount: item.amount,
-        name: item.name
-      });
-      
-      // Trigger recent activity update
-      if (typeof window.renderRecentActivity === 'function') {
-        setTimeout(() => window.renderRecentActivity(), 50);
+      if (typeof AuthManager.isGuest === 'function' && AuthManager.isGuest()) return;
+
+      const guest = this._readGuestData();
+      const guestKeys = this._getUserKeys('guest');
+      let guestHistory = [];
+      try {
+        const store = typeof indexedDB !== 'undefined'
+          ? HISTORY_ADAPTERS.indexedDB(guestKeys, 'guest')
+          : HISTORY_ADAPTERS.localStorage(guestKeys, 'guest');
+        guestHistory = await store.getAll();
+        await store.close();
+      } catch (e) {
+        console.warn('Guest history unavailable:', e);
       }
-    },
 
-    getFixedExpenses() {
-      return Array.isArray(this.expenses) 
-        ? this.expenses.filter(e => e.category === 'fixed' || !e.category)
-        : [];
-    },
+      const summary = this._mergeFinanceData(guest, guestHistory, 'guest');
+      this._saveAllFinanceData();
+
+      // Written now, not only on the debounced sync, so the account copy exists before the guest copy goes
+      if (typeof AuthManager.saveUserData === 'function') {
+        await this._pushFinanceData();
+      }
 
-    getTotalFixedExpenses() {
-      return this.getFixedExpenses().reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0);
+      await this.discardGuestData();
+      this._emit('data:merged', { summary: { ...summary } });
+      return summary;
     },
 
-    getExpenses() {
-      return Array.isArray(this.expenses) ? [...this.expenses] : [];
+    /* ---------- BACKUP & RESTORE ---------- */
+    // One JSON archive with everything the account owns on this device:
+    // { format, version, schemaVersion, createdAt, checksum, data: { income,
+    //   expenses, flexibleSpending, transactions, categories, settings,
+    //   exchangeRates, accounts, assets, investments, splits, history, goals, aiPreferences } }
+    // The checksum covers JSON.stringify(data), so any edit to the data fails validation.
+    _backupKeys(userId) {
+      return { GOALS: `finance_goals_${userId}`, AI_MEMORY: `ai_memory_${userId}` };
     },
 
-    getTotalExpenses() {
-      const fixed = this.getTotalFixedExpenses();
-      const flexible = this.getTotalFlexibleSpending();
-      return fixed + flexible;
+    // SHA-256 where Web Crypto is available (https, localhost); FNV-1a on plain http and file://
+    async _checksum(text, algorithm) {
+      const useSha = algorithm ? algorithm === 'sha256' : !!(window.crypto && window.crypto.subtle);
+      if (useSha) {
+        if (!(window.crypto && window.crypto.subtle)) return null;
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return `sha256-${Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('')}`;
+      }
+      let hash = 0x811c9dc5;
+      for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+      }
+      return `fnv1a-${hash.toString(16).padStart(8, '0')}`;
     },
 
-    /* ---------- FLEXIBLE SPENDING METHODS ---------- */
-    updateFlexibleSpending(category, amount) {
+    /**
+     * Build the backup archive for the signed-in account.
+     * @returns {Promise<Object|undefined>} The archive, ready for JSON.stringify
+     */
+    async createBackup() {
       if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
         return;
       }
-      const categories = ['food', 'travel', 'shopping', 'miscellaneous'];
-      if (!categories.includes(category)) return;
-      
-      const oldAmount = this.flexibleSpending[category] || 0;
-      const newAmount = parseFloat(amount) || 0;
-      
-      this.flexibleSpending[category] = newAmount;
-      this._save('FLEXIBLE', this.flexibleSpending);
-      
-      // Add to history if amount changed
-      if (oldAmount !== newAmount && newAmount > 0) {
-        const categoryNames = {
-          food: 'Food & Dining',
-          travel: 'Travel & Transport',
-          shopping: 'Shopping',
-          miscellaneous: 'Miscellaneous'
-        };
-        
-        this.addHistoryEntry({
-          type: 'expense',
-          category: categoryNames[category] || category,
-          action: 'Updated',
-          amount: newAmount,
-          name: categoryNames[category] || category
-        });
-        
-        // Trigger recent activity update
-        if (typeof window.renderRecentActivity === 'function') {
-          setTimeout(() => window.renderRecentActivity(), 50);
+      const keys = this._backupKeys(AuthManager.currentUser.uid);
+      const readJSON = (key, fallback) => {
+        try {
+          return JSON.parse(localStorage.getItem(key)) || fallback;
+        } catch (e) {
+          return fallback;
+        }
+      };
+      let history = Array.isArray(this.HISTORY) ? this.HISTORY : [];
+      if (this._historyStore) {
+        try {
+          history = await this._historyStore.getAll();
+        } catch (e) {
+          console.warn('Backing up in-memory history; the history store could not be read:', e);
         }
       }
-    },
 
-    getFlexibleSpending() {
-      return this.flexibleSpending || { food: 0, travel: 0, shopping: 0, miscellaneous: 0 };
-    },
-
-    getTotalFlexibleSpending() {
-      const spending = this.getFlexibleSpending();
-      return (parseFloat(spending.food) || 0) +
-             (parseFloat(spending.travel) || 0) +
-             (parseFloat(spending.shopping) || 0) +
-             (parseFloat(spending.miscellaneous) || 0);
+      const payload = this._financePayload();
+      const data = {
+        income: payload.income,
+        expenses: payload.fixedExpenses,
+        flexibleSpending: payload.flexibleSpending,
+        transactions: payload.transactions,
+        categories: payload.categories,
+        settings: payload.settings,
+        exchangeRates: payload.exchangeRates,
+        accounts: payload.accounts,
+        assets: payload.assets,
+        investments: payload.investments,
+        splits: payload.splits,
+        history,
+        goals: readJSON(keys.GOALS, []),
+        aiPreferences: readJSON(keys.AI_MEMORY, {})
+      };
+      return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        schemaVersion: SCHEMA_VERSION,
+        createdAt: new Date().toISOString(),
+        checksum: await this._checksum(JSON.stringify(data)),
+        data
+      };
     },
 
-    /* ---------- HISTORY METHODS ---------- */
-    addHistoryEntry(entry) {
-      // Only add if authenticated
-      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
-        return;
+    /**
+     * Check an archive before restoring it.
+     * @param {string|Object} input - File text or parsed archive
+     * @returns {Promise<Object>} { valid, errors, archive, summary }
+     */
+    async validateBackup(input) {
+      const errors = [];
+      let archive = input;
+      if (typeof input === 'string') {
+        try {
+          archive = JSON.parse(input);
+        } catch (e) {
+          return { valid: false, errors: ['This file is not valid JSON.'], archive: null, summary: null };
+        }
+      }
+      if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+        return { valid: false, errors: ['This file is not a Finance Clarity backup.'], archive: null, summary: null };
+      }
+      if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION) {
+        errors.push('This backup was made by a newer version of the app.');
+      }
+      if (!Number.isInteger(archive.schemaVersion) || archive.schemaVersion < 1 || archive.schemaVersion > SCHEMA_VERSION) {
+        errors.push('This backup uses a data format this version of the app cannot read.');
       }
 
-      if (!this.HISTORY) this.HISTORY = [];
-      
-      const historyEntry = {
-        ...entry,
-        id: entry.id || this._generateId(),
-        timestamp: entry.timestamp || new Date().toISOString(),
-        dateTime: entry.dateTime || new Date().toISOString()
+      const data = archive.data;
+      const isList = value => Array.isArray(value);
+      const isMap = value => !!value && typeof value === 'object' && !Array.isArray(value);
+      const shapes = {
+        income: isList, expenses: isList, flexibleSpending: isMap, transactions: isList, categories: isList,
+        settings: isMap, exchangeRates: isList, accounts: isList, assets: isList, investments: isList, splits: isList, history: isList, goals: isList, aiPreferences: isMap
       };
-      
-      this.HISTORY.push(historyEntry);
-      this._save('HISTORY', this.HISTORY);
-      
-      // Save to Firestore if authenticated
-      if (typeof AuthManager !== 'undefined' && AuthManager.isAuthenticated() && AuthManager.currentUser && AuthManager.currentUser.uid) {
-        if (typeof AuthManager.saveHistoryEntry === 'function') {
-          AuthManager.saveHistoryEntry(historyEntry).catch(err => {
-            if (err && err.message && !err.message.includes('permission')) {
-              console.warn('Firestore save failed:', err.message);
-            }
-          });
+      if (!isMap(data)) {
+        errors.push('The backup has no data section.');
+      } else {
+        Object.keys(shapes).forEach(key => {
+          if (data[key] !== undefined && !shapes[key](data[key])) errors.push(`The backup's ${key} section is damaged.`);
+        });
+        const algorithm = String(archive.checksum || '').split('-')[0];
+        const expected = algorithm === 'sha256' || algorithm === 'fnv1a' ? await this._checksum(JSON.stringify(data), algorithm) : undefined;
+        if (expected === null) {
+          errors.push('This backup can only be checked over https. Open the app from its website to restore it.');
+        } else if (expected !== archive.checksum) {
+          errors.push('The checksum does not match; the file is incomplete or was edited.');
         }
       }
-    },
 
-    getHistory() {
-      if (!Array.isArray(this.HISTORY)) this.HISTORY = [];
-      return [...this.HISTORY].reverse(); // Most recent first
+      const count = key => (data && Array.isArray(data[key]) ? data[key].length : 0);
+      const summary = isMap(data) ? {
+        createdAt: archive.createdAt || null,
+        schemaVersion: archive.schemaVersion,
+        income: count('income'),
+        expenses: count('expenses'),
+        transactions: count('transactions'),
+        accounts: count('accounts'),
+        assets: count('assets'),
+        investments: count('investments'),
+        splits: count('splits'),
+        categories: count('categories'),
+        exchangeRates: count('exchangeRates'),
+        history: count('history'),
+        goals: count('goals'),
+        aiPreferences: isMap(data.aiPreferences) && Object.keys(data.aiPreferences).length > 0,
+        baseCurrency: isMap(data.settings) ? data.settings.baseCurrency || null : null
+      } : null;
+      return { valid: errors.length === 0, errors, archive, summary };
     },
 
-    clearHistory() {
-      this.HISTORY = [];
-      this._save('HISTORY', this.HISTORY);
+    // Bring an older archive's data up to SCHEMA_VERSION without writing anything
+    _upgradeBackupData(data, fromVersion) {
+      const fields = ['income', 'expenses', 'flexibleSpending', 'transactions', 'categories', 'settings', 'exchangeRates', 'accounts', 'assets', 'investments', 'splits', 'HISTORY'];
+      const saved = {};
+      fields.forEach(field => { saved[field] = this[field]; });
+      this._detachedWrites = true;
+      try {
+        this.income = data.income || [];
+        this.expenses = data.expenses || [];
+        this.flexibleSpending = data.flexibleSpending || {};
+        this.transactions = data.transactions || [];
+        this.categories = data.categories || [];
+        this.settings = data.settings || { baseCurrency: 'INR' };
+        this.exchangeRates = data.exchangeRates || [];
+        this.accounts = data.accounts || [];
+        this.assets = data.assets || [];
+        this.investments = data.investments || [];
+        this.splits = data.splits || [];
+        this.HISTORY = data.history || [];
+        SCHEMA_MIGRATIONS.forEach(step => {
+          if (step.version > fromVersion) step.run(this);
+        });
+        return {
+          ...data,
+          income: this.income,
+          expenses: this.expenses,
+          flexibleSpending: this.flexibleSpending,
+          transactions: this.transactions,
+          categories: this.categories,
+          settings: this.settings,
+          exchangeRates: this.exchangeRates,
+          accounts: this.accounts,
+          assets: this.assets,
+          investments: this.investments,
+          splits: this.splits,
+          history: this.HISTORY
+        };
+      } finally {
+        fields.forEach(field => { this[field] = saved[field]; });
+        this._detachedWrites = false;
+      }
     },
 
-    /* ---------- CALCULATIONS ---------- */
-    calculateSavings() {
-      return this.getTotalIncome() - this.getTotalExpenses();
-    },
+    /**
+     * Restore a validated archive into the signed-in account, locally and in Firestore.
+     * 'replace' swaps the account's data for the backup's; 'merge' adds what the
+     * account does not already have (see _mergeFinanceData), keeps the account's
+     * settings, adds missing goals and fills unset AI preferences.
+     * @param {Object} archive - Archive accepted by validateBackup
+     * @param {Object} options - { mode: 'replace'|'merge' }
+     * @returns {Promise<Object|undefined>} { mode, ...counts }
+     */
+    async restoreBackup(archive, { mode = 'merge' } = {}) {
+      if (typeof AuthManager === 'undefined' || !AuthManager.isAuthenticated() || !AuthManager.currentUser || !AuthManager.currentUser.uid) {
+        return;
+      }
+      if (!this.canEdit()) throw new Error('You have view-only access to this household.');
+      const check = await this.validateBackup(archive);
+      if (!check.valid) throw new Error(check.errors[0]);
 
-    /* ---------- RESET ---------- */
-    resetAllData() {
-      this.income = [];
-      this.expenses = [];
-      this.flexibleSpending = { food: 0, travel: 0, shopping: 0, miscellaneous: 0 };
-      this.HISTORY = [];
-      
-      Object.keys(this.KEYS).forEach(key => {
+      const userId = AuthManager.currentUser.uid;
+      const keys = this._backupKeys(userId);
+      const data = archive.schemaVersion < SCHEMA_VERSION
+        ? this._upgradeBackupData(JSON.parse(JSON.stringify(archive.data)), archive.schemaVersion)
+        : JSON.parse(JSON.stringify(archive.data));
+      const history = (data.history || []).filter(h => h && typeof h === 'object');
+      const goals = data.goals || [];
+      const aiPreferences = data.aiPreferences || {};
+      let result;
+
+      if (mode === 'replace') {
+        this.income = data.income || [];
+        this.expenses = data.expenses || [];
+        this.flexibleSpending = data.flexibleSpending || {};
+        this.transactions = data.transactions || [];
+        this.categories = (data.categories && data.categories.length) ? data.categories : DEFAULT_CATEGORIES.map(c => ({ ...c, archived: false }));
+        this.settings = data.settings || { baseCurrency: 'INR' };
+        this.exchangeRates = data.exchangeRates || [];
+        this.accounts = data.accounts || [];
+        this.assets = data.assets || [];
+        this.investments = data.investments || [];
+        this.splits = data.splits || [];
+        this._saveAllFinanceData();
+        this.replaceHistory(history);
+        localStorage.setItem(keys.GOALS, JSON.stringify(goals));
+        localStorage.setItem(keys.AI_MEMORY, JSON.stringify(aiPreferences));
+        if (typeof AuthManager.replaceFirestoreHistory === 'function') {
+          await AuthManager.replaceFirestoreHistory(this.HISTORY);
+        }
+        result = { ...check.summary, mode };
+      } else {
+        result = { ...this._mergeFinanceData(data, history, 'restored'), mode };
+        this._saveAllFinanceData();
+
+        let current = [];
+        let currentMemory = {};
         try {
-          localStorage.removeItem(this.KEYS[key]);
-        } catch (e) {}
-      });
+          current = JSON.parse(localStorage.getItem(keys.GOALS)) || [];
+          currentMemory = JSON.parse(localStorage.getItem(keys.AI_MEMORY)) || {};
+        } catch (e) {
+          // Unreadable goals or preferences are replaced by the backup's
+        }
+        const knownGoals = new Set(current.map(g => g && (g.id || g.name)));
+        const addedGoals = goals.filter(g => g && !knownGoals.has(g.id || g.name));
+        localStorage.setItem(keys.GOALS, JSON.stringify(current.concat(addedGoals)));
+        localStorage.setItem(keys.AI_MEMORY, JSON.stringify({ ...aiPreferences, ...currentMemory }));
+        result.goals = addedGoals.length;
+      }
+
+      // Written now rather than on the debounced sync so Firestore matches before we report success
+      this._writeSchemaVersion(this._getUserKeys(this._storageScope()), SCHEMA_VERSION);
+      if (typeof AuthManager.saveUserData === 'function') {
+        await this._pushFinanceData();
+      }
+      // Goals and AI preferences are owned by the chatbot module; have it re-read them
+      if (window.AIChatbot) {
+        if (typeof window.AIChatbot.loadFinancialGoals === 'function') window.AIChatbot.loadFinancialGoals();
+        if (typeof window.AIChatbot.loadUserMemory === 'function') window.AIChatbot.loadUserMemory();
+      }
+
+      // The undo journal describes the data that was just replaced
+      this._undoStack = [];
+      this._redoStack = [];
+      this._emit('data:restored', { label: 'Backup restored', direction: 'backup', mode, summary: { ...result } });
+      return result;
     },
 
     // Legacy methods for backward compatibility
@@ -546,16 +5243,93 @@
 
     addExpense(amount, label = "Expense", category = "fixed") {
       if (category === "flexible") {
-        // Map to flexible spending
-        const flexibleMap = { food: 'food', travel: 'travel', shopping: 'shopping', misc: 'miscellaneous' };
-        const cat = flexibleMap[label.toLowerCase()] || 'miscellaneous';
-        this.updateFlexibleSpending(cat, amount);
-        return;
+        // Map to flexible spending by category id or name
+        const lower = String(label).toLowerCase();
+        const match = this.getCategories().find(c => c.id === lower || c.name.toLowerCase() === lower);
+        const cat = match ? match.id : 'miscellaneous';
+        return this.recordSpending({ category: cat, amount });
       }
       return this.addFixedExpense({ name: label, amount });
     }
   };
 
+  // Mutations recorded in the undo journal, with the label shown on the Undo toast
+  const JOURNALED_METHODS = {
+    addTransaction: 'Transaction added',
+    updateTransaction: 'Transaction updated',
+    deleteTransaction: 'Transaction deleted',
+    addIncomeSource: 'Income source added',
+    updateIncomeSource: 'Income source edited',
+    deleteIncomeSource: 'Income source deleted',
+    addFixedExpense: 'Fixed expense added',
+    updateFixedExpense: 'Fixed expense edited',
+    deleteFixedExpense: 'Fixed expense deleted',
+    markBillPaid: 'Bill paid',
+    addLoan: 'Loan added',
+    prepayLoan: 'Loan prepayment recorded',
+    addNetWorthItem: 'Net worth item added',
+    updateNetWorthItem: 'Net worth item edited',
+    recordValuation: 'Valuation recorded',
+    deleteValuation: 'Valuation deleted',
+    archiveNetWorthItem: 'Net worth item archived',
+    addInvestment: 'Investment added',
+    updateInvestment: 'Investment edited',
+    archiveInvestment: 'Investment archived',
+    recordInvestmentPrice: 'Price recorded',
+    buyInvestment: 'Purchase recorded',
+    deleteInvestmentLot: 'Purchase deleted',
+    setInvestmentSip: 'SIP changed',
+    addSplitExpense: 'Split expense added',
+    settleUp: 'Settlement recorded',
+    deleteSplit: 'Split entry deleted',
+    setCategoryBudget: 'Budget changed',
+    setBudgetMode: 'Budget mode changed',
+    moveEnvelopeFunds: 'Envelope money moved',
+    recordSpending: 'Spending recorded',
+    addCategory: 'Category added',
+    renameCategory: 'Category renamed',
+    recolorCategory: 'Category recolored',
+    archiveCategory: 'Category archived',
+    mergeCategories: 'Categories merged',
+    setBaseCurrency: 'Base currency changed',
+    addExchangeRate: 'Exchange rate added',
+    deleteExchangeRate: 'Exchange rate deleted',
+    addAccount: 'Account added',
+    updateAccount: 'Account edited',
+    archiveAccount: 'Account archived',
+    addTransfer: 'Transfer recorded',
+    importTransactions: 'Statement imported',
+    setSavingsBasis: 'Savings source changed',
+    setJournalAccountNames: 'Export account names changed',
+    resetAllData: 'All data reset'
+  };
+  // Household viewers can look but not change anything
+  Object.keys(JOURNALED_METHODS).forEach(method => {
+    const original = DataManager[method];
+    DataManager[method] = function (...args) {
+      if (!this.canEdit()) {
+        if (window.FCToast) FCToast.error('You have view-only access to this household.');
+        return;
+      }
+      return this._journaled(JOURNALED_METHODS[method], () => original.apply(this, args));
+    };
+  });
+
+  // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redo. Text fields keep their native undo.
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = String(e.key || '').toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    const target = e.target;
+    if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName || ''))) return;
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) {
+      DataManager.redo();
+    } else {
+      DataManager.undo();
+    }
+  });
+
   // Initialize data on load
   DataManager._initData();
 
@@ -587,7 +5361,7 @@
 
       const itemsHtml = recentItems.map(item => {
         const type = item.type || 'expense';
-        const sign = type === 'income' || type === 'savings' ? '+' : '−';
+        const sign = type === 'income' || type === 'savings' ? '+' : type === 'transfer' ? '' : '−';
         const amount = parseFloat(item.amount) || 0;
         const name = item.name || item.category || 'Unknown';
         const date = item.dateTime || item.timestamp || new Date().toISOString();
@@ -595,14 +5369,14 @@
         return `
           <div class="activity-item">
             <div class="activity-item-left">
-              <div class="activity-icon-small ${type}">${type === 'income' ? '💰' : type === 'savings' ? '💵' : '💸'}</div>
+              <div class="activity-icon-small ${type}">${type === 'income' ? '💰' : type === 'savings' ? '💵' : type === 'transfer' ? '⇄' : '💸'}</div>
               <div class="activity-details">
                 <div class="activity-category">${escapeHtml(name)}</div>
                 <div class="activity-action">${escapeHtml(item.action || '')}</div>
               </div>
             </div>
             <div class="activity-item-right">
-              <div class="activity-amount ${type === 'income' || type === 'savings' ? 'positive' : 'negative'}">${sign}₹${Math.abs(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</div>
+              <div class="activity-amount ${type === 'income' || type === 'savings' ? 'positive' : type === 'transfer' ? 'neutral' : 'negative'}">${sign}${formatCurrency(Math.abs(amount), item.currency)}</div>
               <div class="activity-date">${formatShortDate(date)}</div>
             </div>
           </div>
@@ -619,6 +5393,13 @@
     }
   };
 
+  // Recent activity follows the history log (and full reloads/undo)
+  DataManager.on('change', change => {
+    if (change.has('history') || change.has('data')) {
+      window.renderRecentActivity();
+    }
+  });
+
   // Helper function for date formatting
   function formatShortDate(dateStr) {
     try {
@@ -668,7 +5449,7 @@
   // FIX: Ensure savings is defined
 const savingsElement = document.querySelector('[data-savings]');
 const savings = savingsElement
-  ? parseFloat(savingsElement.textContent.replace(/[₹,]/g, '')) || 0
+  ? parseFloat(savingsElement.textContent.replace(/[^0-9.-]/g, '')) || 0
   : 0;
   window.checkAffordability = function () {
     try {
@@ -703,7 +5484,7 @@ const savings = savingsElement
       const savingsElement = document.querySelector('[data-savings]');
       let savings = 0;
       if (savingsElement && typeof savingsElement.textContent === 'string') {
-        const raw = savingsElement.textContent.replace(/[₹,\s]/g, '');
+        const raw = savingsElement.textContent.replace(/[^0-9.-]/g, '');
         const parsed = parseFloat(raw);
         if (!isNaN(parsed)) savings = parsed;
       }
@@ -713,11 +5494,25 @@ const savings = savingsElement
       const flexibleSpending = DataManager.getTotalFlexibleSpending ? DataManager.getTotalFlexibleSpending() : 0;
       const totalExpenses = DataManager.getTotalExpenses ? DataManager.getTotalExpenses() : 0;
 
-      // One-time affordability ONLY (Monthly option removed)
-      const availableSavings = Math.max(0, income - totalExpenses);
+      // Spending so far against this month's category budgets
+      const budgets = (typeof DataManager.getBudgetStatus === 'function' ? DataManager.getBudgetStatus() : []).filter(b => b.budget > 0);
+      const overBudget = budgets.filter(b => b.over);
+      let budgetNote = '';
+      if (overBudget.length > 0) {
+        budgetNote = `Over budget in ${overBudget.map(b => escapeHtml(b.name)).join(', ')} this month.`;
+      } else if (budgets.length > 0) {
+        const planned = budgets.reduce((sum, b) => sum + b.budget, 0);
+        const left = budgets.reduce((sum, b) => sum + b.remaining, 0);
+        budgetNote = `${formatCurrency(left)} of ${formatCurrency(planned)} left in this month's budgets.`;
+      }
+
+      // One-time affordability ONLY (Monthly option removed).
+      // With accounts opted in, real liquid balances (net of card dues) are what's available.
+      const useBalances = typeof DataManager.getSavingsBasis === 'function' && DataManager.getSavingsBasis() === 'accounts';
+      const availableSavings = Math.max(0, useBalances ? DataManager.getAvailableSavings() : income - totalExpenses);
 
       let availableAmount = availableSavings;
-      let amountLabel = 'Available Savings';
+      let amountLabel = useBalances ? 'Available Balance' : 'Available Savings';
       let resultClass = 'result-risky';
       let resultText = 'Risky';
       let resultMessage = '';
@@ -740,10 +5535,10 @@ const savings = savingsElement
         resultMessage = `This purchase represents ${((amount / availableAmount) * 100).toFixed(1)}% of your available savings. You may need to adjust your budget.`;
       }
 
-      if (income - totalExpenses < 0) {
+      if (!useBalances && income - totalExpenses < 0) {
         resultClass = 'result-difficult';
         resultText = 'Cannot Afford';
-        resultMessage = `You are currently overspending by ₹${Math.abs(income - totalExpenses).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.`;
+        resultMessage = `You are currently overspending by ${formatCurrency(Math.abs(income - totalExpenses))}.`;
       }
 
       let borderColor = '';
@@ -777,7 +5572,8 @@ const savings = savingsElement
           <h3 style="margin: 0 0 12px 0; font-size: 20px; font-weight: 700;">${resultText}</h3>
           <p style="margin: 0; font-size: 14px; opacity: 0.9;">${resultMessage}</p>
           ${aiExplanation ? `<p style="margin: 12px 0 0 0; font-size: 13px; opacity: 0.85; font-style: italic; line-height: 1.5;">${aiExplanation}</p>` : ''}
-          <p style="margin: ${aiExplanation ? '8px' : '12px'} 0 0 0; font-size: 12px; opacity: 0.7;">${amountLabel}: ₹${availableAmount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
+          <p style="margin: ${aiExplanation ? '8px' : '12px'} 0 0 0; font-size: 12px; opacity: 0.7;">${amountLabel}: ${formatCurrency(availableAmount)}</p>
+          ${budgetNote ? `<p style="margin: 4px 0 0 0; font-size: 12px; opacity: 0.7;">${budgetNote}</p>` : ''}
         </div>
       `;
       
@@ -786,15 +5582,10 @@ const savings = savingsElement
         DataManager.addHistoryEntry({
           type: 'expense',
           category: 'Affordability Check',
-          action: `Checked: ₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} - ${resultText}`,
+          action: `Checked: ${formatCurrency(amount)} - ${resultText}`,
           amount: amount,
           name: 'Affordability Check'
         });
-        
-        // Trigger recent activity update
-        if (typeof window.renderRecentActivity === 'function') {
-          setTimeout(() => window.renderRecentActivity(), 50);
-        }
       }
     } catch (e) {
       console.warn('Affordability check error:', e);
@@ -861,15 +5652,6 @@ const savings = savingsElement
         }
       });
     } catch (e) {}
-    
-    // Render recent activity if element exists
-    if (document.getElementById('recent-activity-container') || document.getElementById('recent-activity-list')) {
-      requestAnimationFrame(() => {
-        if (typeof window.renderRecentActivity === 'function') {
-          window.renderRecentActivity();
-        }
-      });
-    }
   });
 
   // Export helper functions globally
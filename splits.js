@@ -0,0 +1,148 @@
+// ============================================
+// SPLITS - shared expenses and settle-up maths
+// Pure calculations behind DataManager's split tracker
+// ============================================
+
+(function () {
+    'use strict';
+
+    // How a participant's `value` is read for each method
+    const METHODS = {
+        equal: { label: 'Equally', valueLabel: '' },
+        shares: { label: 'By shares', valueLabel: 'Shares' },
+        percent: { label: 'By percentage', valueLabel: '%' },
+        exact: { label: 'Exact amounts', valueLabel: 'Amount' }
+    };
+
+    // The signed-in user among the people in a split
+    const SELF = 'me';
+
+    const round2 = value => Math.round(value * 100) / 100;
+
+    const SplitCalculator = {
+        METHODS: METHODS,
+        SELF: SELF,
+
+        /**
+         * Why a split cannot be made, or '' when it can.
+         * @param {number} total - Amount of the expense
+         * @param {Object[]} participants - [{ name, value? }]
+         * @param {string} method - Key of METHODS
+         * @returns {string}
+         */
+        check(total, participants, method) {
+            const amount = parseFloat(total);
+            const people = Array.isArray(participants) ? participants : [];
+            if (!METHODS[method]) return 'Choose how to split the expense.';
+            if (!(amount > 0)) return 'Enter the amount of the expense.';
+            if (people.length < 2) return 'Add at least two people to split between.';
+            const names = people.map(p => String(p.name || '').trim().toLowerCase());
+            if (names.some(name => !name)) return 'Every participant needs a name.';
+            if (new Set(names).size !== names.length) return 'Each person can only appear once.';
+            if (method === 'equal') return '';
+
+            const values = people.map(p => parseFloat(p.value));
+            if (values.some(value => !isFinite(value) || value < 0)) return `Enter a ${METHODS[method].valueLabel.toLowerCase() || 'value'} for everyone.`;
+            const sum = values.reduce((a, b) => a + b, 0);
+            if (method === 'shares' && !(sum > 0)) return 'At least one person needs a share.';
+            if (method === 'percent' && Math.abs(sum - 100) > 0.01) return `Percentages add up to ${round2(sum)}%, not 100%.`;
+            if (method === 'exact' && Math.abs(sum - amount) > 0.005) return `Amounts add up to ${round2(sum)}, not ${round2(amount)}.`;
+            return '';
+        },
+
+        /**
+         * Divide an expense. Shares are rounded to paise and the paise left over
+         * go to the largest remainders, so the shares always add up to the total.
+         * @param {number} total
+         * @param {Object[]} participants - [{ name, value? }]; value is ignored for 'equal'
+         * @param {string} method - 'equal' | 'shares' | 'percent' | 'exact'
+         * @returns {Object[]|null} [{ name, amount }] in participant order, null when check() fails
+         */
+        split(total, participants, method) {
+            if (this.check(total, participants, method)) return null;
+            const cents = Math.round(parseFloat(total) * 100);
+            if (method === 'exact') {
+                return participants.map(p => ({ name: String(p.name).trim(), amount: round2(parseFloat(p.value)) }));
+            }
+            const weights = participants.map(p => (method === 'equal' ? 1 : parseFloat(p.value)));
+            const weightSum = weights.reduce((a, b) => a + b, 0);
+            const raw = weights.map(weight => (cents * weight) / weightSum);
+            const floors = raw.map(Math.floor);
+            let left = cents - floors.reduce((a, b) => a + b, 0);
+            raw.map((value, i) => ({ i, remainder: value - floors[i] }))
+                .sort((a, b) => b.remainder - a.remainder || a.i - b.i)
+                .forEach(({ i }) => {
+                    if (left <= 0) return;
+                    floors[i]++;
+                    left--;
+                });
+            return participants.map((p, i) => ({ name: String(p.name).trim(), amount: floors[i] / 100 }));
+        },
+
+        /**
+         * Net position of everyone involved. Positive means the person is owed money.
+         * @param {Object[]} expenses - [{ paidBy, total, shares: [{ name, amount }] }]
+         * @param {Object[]} settlements - [{ from, to, amount }] money paid by `from` to `to`
+         * @returns {Object} { [name]: balance } without people who are square
+         */
+        balances(expenses, settlements) {
+            const net = {};
+            const add = (name, amount) => { net[name] = (net[name] || 0) + amount; };
+            (expenses || []).forEach(expense => {
+                add(expense.paidBy, parseFloat(expense.total) || 0);
+                (expense.shares || []).forEach(share => add(share.name, -(parseFloat(share.amount) || 0)));
+            });
+            (settlements || []).forEach(payment => {
+                add(payment.from, parseFloat(payment.amount) || 0);
+                add(payment.to, -(parseFloat(payment.amount) || 0));
+            });
+            const result = {};
+            Object.keys(net).forEach(name => {
+                const value = round2(net[name]);
+                if (Math.abs(value) >= 0.01) result[name] = value;
+            });
+            return result;
+        },
+
+        /**
+         * Payments that clear every balance. Debts that cancel exactly are paired
+         * first; the rest go largest debtor to largest creditor, which never needs
+         * more than one payment fewer than the number of people owing or owed.
+         * @param {Object} balances - Output of balances()
+         * @returns {Object[]} [{ from, to, amount }] largest first
+         */
+        simplify(balances) {
+            const creditors = [];
+            const debtors = [];
+            Object.keys(balances || {}).forEach(name => {
+                const cents = Math.round(balances[name] * 100);
+                if (cents > 0) creditors.push({ name, cents });
+                else if (cents < 0) debtors.push({ name, cents: -cents });
+            });
+            const transfers = [];
+            debtors.forEach(debtor => {
+                const match = creditors.find(creditor => creditor.cents === debtor.cents);
+                if (!match) return;
+                transfers.push({ from: debtor.name, to: match.name, amount: debtor.cents / 100 });
+                match.cents = 0;
+                debtor.cents = 0;
+            });
+
+            const largest = list => list.filter(p => p.cents > 0)
+                .sort((a, b) => b.cents - a.cents || a.name.localeCompare(b.name))[0];
+            let debtor = largest(debtors);
+            let creditor = largest(creditors);
+            while (debtor && creditor) {
+                const cents = Math.min(debtor.cents, creditor.cents);
+                transfers.push({ from: debtor.name, to: creditor.name, amount: cents / 100 });
+                debtor.cents -= cents;
+                creditor.cents -= cents;
+                debtor = largest(debtors);
+                creditor = largest(creditors);
+            }
+            return transfers.sort((a, b) => b.amount - a.amount || a.from.localeCompare(b.from));
+        }
+    };
+
+    window.SplitCalculator = SplitCalculator;
+})();
@@ -0,0 +1,193 @@
+// ============================================
+// SUBSCRIPTIONS - recurring charge detection
+// Pure calculations behind DataManager's subscription view
+// ============================================
+
+(function () {
+    'use strict';
+
+    // Gap between charges that counts as each cadence, and how long after a
+    // missed charge a subscription still counts as active
+    const CADENCES = {
+        weekly: { label: 'Weekly', min: 5, max: 9, perYear: 52, minCharges: 3, graceDays: 7 },
+        monthly: { label: 'Monthly', min: 26, max: 35, perYear: 12, minCharges: 3, graceDays: 10 },
+        annual: { label: 'Annual', min: 350, max: 380, perYear: 1, minCharges: 2, graceDays: 30 }
+    };
+
+    // Services that overlap when more than one is active
+    const KINDS = {
+        video: { label: 'video streaming', words: ['netflix', 'prime video', 'amazon prime', 'hotstar', 'disney', 'sonyliv', 'zee5', 'jiocinema', 'youtube premium', 'apple tv', 'mubi'] },
+        music: { label: 'music streaming', words: ['spotify', 'jiosaavn', 'gaana', 'apple music', 'youtube music', 'wynk'] },
+        storage: { label: 'cloud storage', words: ['icloud', 'google one', 'google storage', 'dropbox', 'onedrive'] },
+        fitness: { label: 'fitness', words: ['gym', 'cult', 'curefit', 'fitness', 'yoga'] }
+    };
+
+    // Payment-rail prefixes and company suffixes that vary between charges of the same service
+    const PREFIXES = /^(upi|pos|ach|nach|ecs|imps|neft|si|billpay|bil|card|dd|vps|mps)\b[\s/:*-]*/;
+    const NOISE_WORDS = /\b(pvt|ltd|private|limited|inc|llc|llp|india|payments?|subscriptions?|autopay|mandate|recurring|renewal|bill)\b/g;
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const round2 = value => Math.round(value * 100) / 100;
+    const daysBetween = (from, to) => Math.round((new Date(to + 'T00:00:00') - new Date(from + 'T00:00:00')) / DAY_MS);
+
+    const SubscriptionDetector = {
+        CADENCES: CADENCES,
+
+        /**
+         * Reduce a payee to the part that stays the same from charge to charge.
+         * "UPI/NETFLIX.COM/0412" and "Netflix India Pvt Ltd" both become "netflix".
+         * @param {string} payee
+         * @returns {string} Lower-case name, '' when nothing is left
+         */
+        normalizeName(payee) {
+            let name = String(payee || '').toLowerCase().replace(/https?:\/\/|www\./g, '').trim();
+            let previous;
+            do {
+                previous = name;
+                name = name.replace(PREFIXES, '');
+            } while (name !== previous);
+            return name
+                .replace(/\.(com|in|net|co|io|tv|app)\b/g, ' ')
+                .replace(/[^a-z\s]/g, ' ')
+                .replace(NOISE_WORDS, ' ')
+                .split(/\s+/)
+                .filter(word => word.length > 1)
+                .slice(0, 3)
+                .join(' ');
+        },
+
+        // Date one cadence after another, clamping to the month's last day
+        _nextDate(date, cadence) {
+            const [year, month, day] = date.split('-').map(Number);
+            if (cadence === 'weekly') {
+                const next = new Date(year, month - 1, day + 7);
+                return `${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, '0')}-${String(next.getDate()).padStart(2, '0')}`;
+            }
+            const target = new Date(year, month - 1 + (cadence === 'annual' ? 12 : 1), 1);
+            const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+            target.setDate(Math.min(day, lastDay));
+            return `${target.getFullYear()}-${String(target.getMonth() + 1).padStart(2, '0')}-${String(target.getDate()).padStart(2, '0')}`;
+        },
+
+        /**
+         * The cadence most gaps between charges fit (three in four), or null.
+         * @param {string[]} dates - Charge dates, oldest first
+         * @returns {string|null} 'weekly' | 'monthly' | 'annual'
+         */
+        cadenceOf(dates) {
+            const gaps = dates.slice(1).map((date, i) => daysBetween(dates[i], date));
+            if (gaps.length === 0) return null;
+            return Object.keys(CADENCES).find(key => {
+                const rule = CADENCES[key];
+                if (dates.length < rule.minCharges) return false;
+                const fitting = gaps.filter(gap => gap >= rule.min && gap <= rule.max).length;
+                return fitting / gaps.length >= 0.75;
+            }) || null;
+        },
+
+        /**
+         * Group expense rows into subscriptions. A group qualifies when its charges
+         * follow one cadence and the amount changes rarely (at most once every three
+         * charges); groceries and fuel bought on a schedule vary too much to pass.
+         * @param {Object[]} rows - Expense rows { id, date, amount, currency, payee }
+         * @param {string} asOf - YYYY-MM-DD
+         * @returns {Object[]} { key, name, normalizedName, kind, currency, cadence, cadenceLabel,
+         *   amount, annualCost, count, firstDate, lastDate, nextExpected, active,
+         *   changes: [{ date, from, to, percent }], priceHike, charges: [{ id, date, amount }] }
+         *   Most expensive first; amounts are in the group's currency
+         */
+        detect(rows, asOf) {
+            const groups = {};
+            (rows || []).forEach(row => {
+                const amount = parseFloat(row.amount) || 0;
+                const name = this.normalizeName(row.payee);
+                if (!name || amount <= 0 || !row.date) return;
+                const key = `${name}|${row.currency}`;
+                if (!groups[key]) groups[key] = { key, normalizedName: name, currency: row.currency, rows: [] };
+                groups[key].rows.push({ id: row.id, date: row.date, amount });
+            });
+
+            const subscriptions = [];
+            Object.values(groups).forEach(group => {
+                const charges = group.rows.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+                const cadence = this.cadenceOf(charges.map(charge => charge.date));
+                if (!cadence) return;
+
+                const changes = [];
+                charges.slice(1).forEach((charge, i) => {
+                    const from = charges[i].amount;
+                    if (Math.abs(charge.amount - from) <= Math.max(0.5, from * 0.01)) return;
+                    changes.push({ date: charge.date, from, to: charge.amount, percent: round2(((charge.amount - from) / from) * 100) });
+                });
+                if (changes.length > Math.max(1, Math.floor(charges.length / 3))) return;
+
+                const rule = CADENCES[cadence];
+                const last = charges[charges.length - 1];
+                const nextExpected = this._nextDate(last.date, cadence);
+                subscriptions.push({
+                    key: group.key,
+                    name: group.normalizedName.replace(/\b\w/g, letter => letter.toUpperCase()),
+                    normalizedName: group.normalizedName,
+                    kind: this.kindOf(group.normalizedName),
+                    currency: group.currency,
+                    cadence,
+                    cadenceLabel: rule.label,
+                    amount: last.amount,
+                    annualCost: round2(last.amount * rule.perYear),
+                    count: charges.length,
+                    firstDate: charges[0].date,
+                    lastDate: last.date,
+                    nextExpected,
+                    active: daysBetween(nextExpected, asOf) <= rule.graceDays,
+                    changes,
+                    priceHike: changes.some(change => change.to > change.from),
+                    charges: charges.map(charge => ({ id: charge.id, date: charge.date, amount: charge.amount }))
+                });
+            });
+            return subscriptions.sort((a, b) => b.annualCost - a.annualCost || a.name.localeCompare(b.name));
+        },
+
+        /**
+         * Which overlapping-service group a name belongs to.
+         * @param {string} normalizedName - Output of normalizeName()
+         * @returns {string|null} Key of KINDS
+         */
+        kindOf(normalizedName) {
+            const padded = ` ${normalizedName} `;
+            return Object.keys(KINDS).find(key => KINDS[key].words.some(word => padded.includes(` ${word} `))) || null;
+        },
+
+        /**
+         * Active subscriptions worth a second look: a recent price hike, an annual
+         * renewal coming up, or several services of the same kind.
+         * @param {Object[]} subscriptions - Output of detect()
+         * @param {string} asOf - YYYY-MM-DD
+         * @returns {Object[]} { key, name, annualCost, currency, reasons: string[] }
+         */
+        suggestCancellations(subscriptions, asOf) {
+            const active = (subscriptions || []).filter(sub => sub.active);
+            const byKind = {};
+            active.forEach(sub => {
+                if (sub.kind) byKind[sub.kind] = (byKind[sub.kind] || 0) + 1;
+            });
+
+            return active.map(sub => {
+                const reasons = [];
+                const hike = sub.changes.filter(change => change.to > change.from).pop();
+                if (hike && daysBetween(hike.date, asOf) <= 365) {
+                    reasons.push(`Price went up ${hike.percent.toFixed(0)}% on ${hike.date}`);
+                }
+                if (sub.kind && byKind[sub.kind] > 1) {
+                    reasons.push(`One of ${byKind[sub.kind]} ${KINDS[sub.kind].label} services`);
+                }
+                const renewsIn = daysBetween(asOf, sub.nextExpected);
+                if (sub.cadence === 'annual' && renewsIn >= 0 && renewsIn <= 30) {
+                    reasons.push(`Renews in ${renewsIn} day${renewsIn !== 1 ? 's' : ''}`);
+                }
+                return { key: sub.key, name: sub.name, annualCost: sub.annualCost, currency: sub.currency, reasons };
+            }).filter(candidate => candidate.reasons.length > 0);
+        }
+    };
+
+    window.SubscriptionDetector = SubscriptionDetector;
+})();
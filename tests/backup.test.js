@@ -0,0 +1,115 @@
+// Backups: the checksum catches damaged files, and restoring replaces or merges into the account.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers/app');
+
+function boot() {
+    const app = loadApp();
+    app.window.DataManager._initData();
+    return app;
+}
+
+// An account with a little of everything a backup carries
+async function backupOf(setup) {
+    const app = boot();
+    setup(app.window.DataManager);
+    app.store[app.window.DataManager._backupKeys('test-user').GOALS] = JSON.stringify([{ id: 'g1', name: 'Emergency fund', target: 300000 }]);
+    return plain(await app.window.DataManager.createBackup());
+}
+
+function sampleData(dm) {
+    const bank = dm.addAccount({ name: 'Bank', type: 'bank', currency: 'INR', openingBalance: 50000, openingDate: '2026-01-01' });
+    dm.addIncomeSource({ name: 'Salary', amount: 90000, recurrence: { frequency: 'monthly', startDate: '2026-09-01' } });
+    dm.addTransaction({ type: 'expense', amount: 1200, payee: 'Groceries', category: 'food', account: bank.id, date: '2026-09-05' });
+    dm.addTransaction({ type: 'expense', amount: 650, payee: 'Cinema', category: 'miscellaneous', date: '2026-09-08' });
+    dm.setBaseCurrency('INR');
+}
+
+// Rows entered by hand; salary postings depend on today's date
+const payees = dm => plain(dm.transactions).filter(t => !t.sourceId).map(t => t.payee).sort();
+const salaryRows = dm => dm.transactions.filter(t => t.payee === 'Salary').length;
+
+test('a fresh backup validates and summarises what it holds', async () => {
+    const archive = await backupOf(sampleData);
+    assert.match(archive.checksum, /^fnv1a-[0-9a-f]{8}$/);
+
+    const dm = boot().window.DataManager;
+    const check = plain(await dm.validateBackup(JSON.stringify(archive)));
+    assert.deepStrictEqual(check.errors, []);
+    assert.strictEqual(check.valid, true);
+    assert.strictEqual(check.summary.accounts, 1);
+    assert.strictEqual(check.summary.income, 1);
+    assert.strictEqual(check.summary.transactions, archive.data.transactions.length);
+    assert.strictEqual(check.summary.goals, 1);
+    assert.strictEqual(check.summary.baseCurrency, 'INR');
+});
+
+test('a damaged or foreign file is refused with a reason', async () => {
+    const archive = await backupOf(sampleData);
+    const dm = boot().window.DataManager;
+    const errors = async input => plain(await dm.validateBackup(input)).errors;
+
+    const edited = plain(archive);
+    edited.data.transactions[0].amount = 1;
+    assert.deepStrictEqual(await errors(edited), ['The checksum does not match; the file is incomplete or was edited.']);
+
+    const damaged = plain(archive);
+    damaged.data.transactions = {};
+    assert.ok((await errors(damaged)).includes("The backup's transactions section is damaged."));
+
+    assert.deepStrictEqual(await errors('{"format":'), ['This file is not valid JSON.']);
+    assert.deepStrictEqual(await errors({ ...archive, format: 'something-else' }), ['This file is not a Finance Clarity backup.']);
+    assert.ok((await errors({ ...archive, version: archive.version + 1 })).includes('This backup was made by a newer version of the app.'));
+    assert.ok((await errors({ ...archive, schemaVersion: archive.schemaVersion + 1 })).includes('This backup uses a data format this version of the app cannot read.'));
+
+    // Restoring checks too, and leaves the account alone
+    dm.addTransaction({ type: 'expense', amount: 99, payee: 'Tea', date: '2026-09-01' });
+    await assert.rejects(dm.restoreBackup(edited, { mode: 'replace' }), /checksum/);
+    assert.deepStrictEqual(payees(dm), ['Tea']);
+});
+
+test('replace swaps the account data for the backup', async () => {
+    const archive = await backupOf(sampleData);
+    const app = boot();
+    const dm = app.window.DataManager;
+    dm.addTransaction({ type: 'expense', amount: 99, payee: 'Tea', date: '2026-09-01' });
+    dm.setBaseCurrency('USD');
+
+    const result = await dm.restoreBackup(archive, { mode: 'replace' });
+    assert.strictEqual(result.mode, 'replace');
+    assert.deepStrictEqual(payees(dm), ['Cinema', 'Groceries']);
+    assert.strictEqual(salaryRows(dm), archive.data.transactions.filter(t => t.payee === 'Salary').length);
+    assert.deepStrictEqual(plain(dm.getAccounts()).map(a => a.name), ['Bank']);
+    assert.strictEqual(dm.getBaseCurrency(), 'INR');
+    assert.deepStrictEqual(JSON.parse(app.store[dm._backupKeys('test-user').GOALS]).map(g => g.name), ['Emergency fund']);
+});
+
+test('merge adds what the account lacks, keeps its settings, and is safe to repeat', async () => {
+    const archive = await backupOf(sampleData);
+    const app = boot();
+    const dm = app.window.DataManager;
+    dm.addAccount({ name: 'Bank', type: 'bank', currency: 'INR', openingDate: '2026-01-01' });
+    dm.addTransaction({ type: 'expense', amount: 99, payee: 'Tea', date: '2026-09-01' });
+    dm.setBaseCurrency('USD');
+    app.store[dm._backupKeys('test-user').GOALS] = JSON.stringify([{ id: 'g2', name: 'Holiday', target: 80000 }]);
+
+    const result = plain(await dm.restoreBackup(archive, { mode: 'merge' }));
+    assert.strictEqual(result.mode, 'merge');
+    assert.strictEqual(result.accounts, 0);
+    assert.strictEqual(result.income, 1);
+    assert.strictEqual(result.goals, 1);
+    assert.deepStrictEqual(payees(dm), ['Cinema', 'Groceries', 'Tea']);
+    assert.strictEqual(dm.getBaseCurrency(), 'USD');
+    // The matched account takes the backup's rows
+    const bank = dm.getAccounts()[0];
+    assert.strictEqual(dm.transactions.find(t => t.payee === 'Groceries').account, bank.id);
+    assert.deepStrictEqual(JSON.parse(app.store[dm._backupKeys('test-user').GOALS]).map(g => g.name), ['Holiday', 'Emergency fund']);
+
+    const again = plain(await dm.restoreBackup(archive, { mode: 'merge' }));
+    assert.strictEqual(again.transactions, 0);
+    assert.strictEqual(again.income, 0);
+    assert.strictEqual(again.goals, 0);
+    assert.deepStrictEqual(payees(dm), ['Cinema', 'Groceries', 'Tea']);
+    assert.strictEqual(salaryRows(dm), archive.data.transactions.filter(t => t.payee === 'Salary').length);
+});
@@ -0,0 +1,70 @@
+// Importing a statement: rows already in the ledger are flagged before import and never booked twice.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, readFixture, plain } = require('./helpers/app');
+
+function boot() {
+    const app = loadApp({ scripts: ['importers.js', 'script.js'] });
+    const dm = app.window.DataManager;
+    dm._initData();
+    return { dm, importer: app.window.StatementImporter };
+}
+
+const reasons = matches => plain(matches).map(match => match && match.reason);
+
+test('importing the same statement twice books nothing the second time', () => {
+    const { dm, importer } = boot();
+    const bank = dm.addAccount({ name: 'HDFC', type: 'bank', currency: 'INR', openingDate: '2026-01-01' });
+    const buffer = Buffer.from(readFixture('statements/hdfc.csv'), 'utf8');
+    const parsed = importer.read(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length), 'hdfc.csv');
+    const rows = importer.mapRecords(parsed.records, parsed.mapping, { dateFormat: parsed.dateFormat });
+
+    assert.deepStrictEqual(reasons(dm.findDuplicateTransactions(rows, { accountId: bank.id })), [null, null, null, null]);
+    const first = dm.importTransactions(rows, { accountId: bank.id, fileName: 'hdfc.csv' });
+    assert.strictEqual(first.imported, 4);
+    assert.ok(first.transactions.every(t => t.account === bank.id && t.source === 'import' && t.importId));
+
+    assert.deepStrictEqual(reasons(dm.findDuplicateTransactions(rows, { accountId: bank.id })), Array(4).fill('imported'));
+    const second = dm.importTransactions(rows, { accountId: bank.id, fileName: 'hdfc.csv' });
+    assert.deepStrictEqual(plain(second), { imported: 0, skipped: 4, transactions: [] });
+    assert.strictEqual(dm.transactions.length, 4);
+});
+
+test('OFX rows match on the bank transaction id, whatever the description says', () => {
+    const { dm } = boot();
+    const row = { date: '2026-09-05', type: 'expense', amount: 54.23, description: 'WHOLE FOODS', fitId: '2026090501', sourceAccount: '987654321' };
+    dm.importTransactions([row]);
+    const renamed = { ...row, description: 'WHOLE FOODS MARKET #10' };
+    const otherAccount = { ...row, sourceAccount: '111' };
+    assert.deepStrictEqual(reasons(dm.findDuplicateTransactions([renamed])), ['imported']);
+    // Another account's FITID is only a lookalike
+    assert.deepStrictEqual(reasons(dm.findDuplicateTransactions([otherAccount])), ['similar']);
+});
+
+test('hand-entered rows match by type, amount and a nearby date, once each', () => {
+    const { dm } = boot();
+    const bank = dm.addAccount({ name: 'Bank', type: 'bank', currency: 'INR', openingDate: '2026-01-01' });
+    const other = dm.addAccount({ name: 'Other', type: 'bank', currency: 'INR', openingDate: '2026-01-01' });
+    const coffee = dm.addTransaction({ type: 'expense', amount: 250, payee: 'Coffee', date: '2026-09-10' });
+    dm.addTransaction({ type: 'expense', amount: 250, payee: 'Blue Tokai', date: '2026-09-12' });
+    dm.addTransaction({ type: 'expense', amount: 900, payee: 'Fuel', account: other.id, date: '2026-09-10' });
+    dm.addTransaction({ type: 'income', amount: 400, payee: 'Refund', date: '2026-09-10' });
+
+    const statement = [
+        { date: '2026-09-11', type: 'expense', amount: 250, description: 'UPI/BLUE TOKAI' },
+        { date: '2026-09-11', type: 'expense', amount: 250, description: 'UPI/COFFEE' },
+        { date: '2026-09-11', type: 'expense', amount: 250, description: 'UPI/COFFEE' },
+        { date: '2026-09-10', type: 'expense', amount: 900, description: 'FUEL' },
+        { date: '2026-09-10', type: 'expense', amount: 400, description: 'REFUND' },
+        { date: '2026-09-20', type: 'expense', amount: 250, description: 'COFFEE' }
+    ];
+    const matches = plain(dm.findDuplicateTransactions(statement, { accountId: bank.id }));
+    assert.deepStrictEqual(reasons(matches), ['similar', 'similar', null, null, null, null]);
+    // Equally close dates: the row whose payee is in the narration wins
+    assert.strictEqual(matches[0].transaction.payee, 'Blue Tokai');
+    assert.strictEqual(matches[1].transaction.id, coffee.id);
+
+    // A wider window reaches the 20th
+    assert.deepStrictEqual(reasons(dm.findDuplicateTransactions(statement.slice(5), { windowDays: 10 })), ['similar']);
+});
@@ -0,0 +1,44 @@
+// Editing an income source or fixed expense rewrites booked rows from this month on,
+// or every month when asked to.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers/app');
+
+function bootWithSalary() {
+    const { window } = loadApp();
+    const dm = window.DataManager;
+    dm._initData();
+    const start = new Date();
+    start.setMonth(start.getMonth() - 3, 1);
+    const salary = dm.addIncomeSource({ name: 'Salary', amount: 80000, recurrence: { frequency: 'monthly', startDate: dm._toDateKey(start) } });
+    const thisMonth = dm._monthRange(dm._toMonthKey(new Date())).from;
+    const amounts = () => {
+        const rows = plain(dm.queryTransactions(null, { sourceId: salary.id }));
+        return {
+            past: [...new Set(rows.filter(t => t.date < thisMonth).map(t => t.amount))],
+            current: [...new Set(rows.filter(t => t.date >= thisMonth).map(t => t.amount))]
+        };
+    };
+    return { dm, salary, amounts };
+}
+
+test('an edit leaves earlier months as booked by default', () => {
+    const { dm, salary, amounts } = bootWithSalary();
+    assert.deepStrictEqual(amounts(), { past: [80000], current: [80000] });
+
+    dm.updateIncomeSource(salary.id, { amount: 90000 });
+    assert.deepStrictEqual(amounts(), { past: [80000], current: [90000] });
+    const edit = plain(dm.getHistory())[0];
+    assert.strictEqual(edit.action, 'Edited');
+    assert.strictEqual(edit.applyToPast, undefined);
+});
+
+test('applyToPast rewrites every month', () => {
+    const { dm, salary, amounts } = bootWithSalary();
+    dm.updateIncomeSource(salary.id, { amount: 90000, applyToPast: true });
+    assert.deepStrictEqual(amounts(), { past: [90000], current: [90000] });
+    const edit = plain(dm.getHistory())[0];
+    assert.strictEqual(edit.action, 'Edited');
+    assert.strictEqual(edit.applyToPast, true);
+});
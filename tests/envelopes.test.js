@@ -0,0 +1,91 @@
+// Envelope budgeting: month close rolls unspent money forward, and moves cover overspending.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers/app');
+
+// Envelopes kept since two months ago: food 5000, travel 2000, shopping 1000 a month
+function boot() {
+    const dm = loadApp().window.DataManager;
+    dm._initData();
+    const current = dm._toMonthKey(new Date());
+    const months = [dm._addMonths(current, -2), dm._addMonths(current, -1), current];
+    dm.setCategoryBudget('food', 5000);
+    dm.setCategoryBudget('travel', 2000);
+    dm.setCategoryBudget('shopping', 1000);
+    dm.setBudgetMode('envelope');
+    dm._saveEnvelopeState({ startMonth: months[0], closedThrough: null, carry: {}, moves: [] });
+    return { dm, months };
+}
+
+const envelope = (dm, month, id) => plain(dm.getEnvelopes(month)).find(e => e.id === id);
+
+test('closing a month carries each unspent balance into the next', () => {
+    const { dm, months } = boot();
+    dm.recordSpending({ category: 'food', amount: 3000, date: `${months[0]}-10` });
+    dm.recordSpending({ category: 'travel', amount: 2500, date: `${months[0]}-12` });
+    dm.recordSpending({ category: 'food', amount: 8000, date: `${months[1]}-05` });
+
+    // Months close in order, and never the current one
+    assert.strictEqual(dm.closeEnvelopeMonth(months[1]), undefined);
+    const first = plain(dm.closeEnvelopeMonth(months[0]));
+    assert.deepStrictEqual(first, { month: months[0], carried: { food: 2000, shopping: 1000 }, overspent: { travel: 500 } });
+
+    // Overspent travel starts again from zero
+    assert.deepStrictEqual(envelope(dm, months[1], 'travel'), {
+        ...envelope(dm, months[1], 'travel'), budget: 2000, carriedIn: 0, available: 2000, balance: 2000
+    });
+    assert.strictEqual(envelope(dm, months[1], 'food').available, 7000);
+    assert.strictEqual(envelope(dm, months[1], 'food').overspent, 1000);
+    assert.strictEqual(envelope(dm, months[1], 'shopping').available, 2000);
+
+    const second = plain(dm.closeEnvelopeMonth(months[1]));
+    assert.deepStrictEqual(second.carried, { travel: 2000, shopping: 2000 });
+    assert.deepStrictEqual(second.overspent, { food: 1000 });
+    assert.strictEqual(dm.closeEnvelopeMonth(months[2]), undefined);
+    assert.strictEqual(envelope(dm, months[2], 'shopping').available, 3000);
+    assert.strictEqual(envelope(dm, months[2], 'food').available, 5000);
+
+    // The carry is fixed once closed: a late expense does not change it
+    dm.recordSpending({ category: 'shopping', amount: 400, date: `${months[1]}-20` });
+    assert.strictEqual(envelope(dm, months[2], 'shopping').carriedIn, 2000);
+});
+
+test('catch-up closes every finished month once', () => {
+    const { dm, months } = boot();
+    dm.recordSpending({ category: 'food', amount: 1000, date: `${months[0]}-03` });
+    assert.strictEqual(dm.closeEnvelopeMonths(), 2);
+    assert.strictEqual(dm.closeEnvelopeMonths(), 0);
+    assert.strictEqual(dm._envelopeState().closedThrough, months[1]);
+    // 4000 left in the first month plus 5000 unspent in the second
+    assert.strictEqual(envelope(dm, months[2], 'food').carriedIn, 9000);
+});
+
+test('moves cover overspending with what the source envelope has left', () => {
+    const { dm, months } = boot();
+    const month = months[0];
+    dm.recordSpending({ category: 'travel', amount: 2600, date: `${month}-12` });
+    dm.recordSpending({ category: 'shopping', amount: 300, date: `${month}-14` });
+
+    // Shopping has 700 left, not more
+    assert.strictEqual(dm.moveEnvelopeFunds({ from: 'shopping', to: 'travel', amount: 800, month }), undefined);
+    assert.strictEqual(dm.moveEnvelopeFunds({ from: 'shopping', to: 'shopping', amount: 100, month }), undefined);
+    assert.strictEqual(dm.moveEnvelopeFunds({ from: 'shopping', to: 'travel', amount: 0, month }), undefined);
+    const move = plain(dm.moveEnvelopeFunds({ from: 'shopping', to: 'travel', amount: 600, month, note: 'Cab fares' }));
+    assert.deepStrictEqual([move.from, move.to, move.amount, move.note], ['shopping', 'travel', 600, 'Cab fares']);
+
+    const travel = envelope(dm, month, 'travel');
+    assert.deepStrictEqual([travel.movedIn, travel.available, travel.balance, travel.overspent], [600, 2600, 0, 0]);
+    const shopping = envelope(dm, month, 'shopping');
+    assert.deepStrictEqual([shopping.movedOut, shopping.balance], [600, 100]);
+    assert.deepStrictEqual(plain(dm.getEnvelopeMoves(month)).map(m => m.id), [move.id]);
+
+    // Closed months are fixed
+    dm.closeEnvelopeMonth(month);
+    assert.strictEqual(dm.moveEnvelopeFunds({ from: 'food', to: 'travel', amount: 100, month }), undefined);
+    assert.deepStrictEqual(plain(dm.closeEnvelopeMonth(months[1]).carried).shopping, 1100);
+
+    // Simple mode has no envelopes to move between
+    dm.setBudgetMode('simple');
+    assert.strictEqual(dm.moveEnvelopeFunds({ from: 'food', to: 'travel', amount: 100, month: months[2] }), undefined);
+});
@@ -0,0 +1,134 @@
+// Journal exports match the golden files in tests/fixtures/journals byte for byte.
+// After an intended change to the output, regenerate them and review the diff.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, readFixture } = require('./helpers/app');
+const source = require('./fixtures/journals/source');
+
+const { window } = loadApp({ scripts: ['exporters.js'], uid: null });
+const exporter = window.JournalExporter;
+
+['ledger', 'hledger', 'beancount'].forEach(format => {
+    test(`${format} export matches the golden file`, () => {
+        assert.strictEqual(exporter.build(format, source, {}), readFixture(`journals/export.${format}`));
+    });
+});
+
+test('ledger and hledger payees cannot start a comment, code or status mark', () => {
+    const payees = ['Salary; Inc', '(Refund) Swiggy | order 88', '*Netflix', '!Metro\ncard top-up', '( *', ''];
+    assert.deepStrictEqual(payees.map(payee => exporter._ledgerPayee(payee)),
+        ['Salary, Inc', '[Refund] Swiggy / order 88', 'Netflix', 'Metro card top-up', 'Other', 'Other']);
+});
+
+test('beancount keeps the payee as written, quoted', () => {
+    const line = exporter.build('beancount', source, {}).split('\n').find(l => l.startsWith('2026-09-01 * "Salary'));
+    assert.strictEqual(line, '2026-09-01 * "Salary; Inc" "September pay" #work');
+});
+
+// Round trip: export what a booted DataManager holds, read the journal back and
+// check that it says the same thing about every account, category and holding.
+
+function bootWithLedger() {
+    const app = loadApp({ scripts: ['splits.js', 'investments.js', 'loans.js', 'script.js', 'exporters.js'] });
+    const dm = app.window.DataManager;
+    dm._initData();
+    const bank = dm.addAccount({ name: 'HDFC Savings', type: 'bank', currency: 'INR', openingBalance: 50000, openingDate: '2026-08-31' });
+    const card = dm.addAccount({ name: 'Amex Card', type: 'credit', currency: 'INR', openingBalance: 2000, openingDate: '2026-08-31' });
+    const wallet = dm.addAccount({ name: 'Travel Wallet', type: 'wallet', currency: 'USD', openingBalance: 100, openingDate: '2026-08-31' });
+
+    dm.addTransaction({ type: 'income', amount: 125000, payee: 'Acme Payroll', category: 'income', account: bank.id, date: '2026-09-01' });
+    dm.addTransaction({ type: 'expense', amount: 25000, payee: 'Rent', category: 'fixed', account: bank.id, date: '2026-09-02' });
+    dm.recordSpending({ category: 'food', amount: 2345.6, payee: 'Big Basket', account: bank.id, date: '2026-09-03' });
+    dm.recordSpending({ category: 'shopping', amount: 4999, payee: 'Myntra', account: card.id, date: '2026-09-04' });
+    dm.recordSpending({ category: 'travel', amount: 42.5, payee: 'Uber', account: wallet.id, date: '2026-09-05' });
+    dm.addTransfer({ fromAccountId: bank.id, toAccountId: card.id, amount: 6999, date: '2026-09-10' });
+    dm.addTransfer({ fromAccountId: bank.id, toAccountId: wallet.id, amount: 8350, toAmount: 100, date: '2026-09-11' });
+
+    const fund = dm.addInvestment({ name: 'Index Fund', type: 'mutual_fund', currency: 'INR', accountId: bank.id });
+    dm.buyInvestment(fund.id, { amount: 10000, price: 50, date: '2026-09-12', accountId: bank.id });
+    dm.addSplitExpense({ description: 'Dinner', total: 3000, method: 'equal', participants: [{ name: 'me' }, { name: 'Asha' }, { name: 'Ravi' }], accountId: bank.id, category: 'food', date: '2026-09-13' });
+    return { dm, journals: app.window.JournalExporter, accounts: { bank, card, wallet }, fund };
+}
+
+// Each entry's postings, with the one posting left blank balanced from the others
+function parseJournal(text) {
+    const entries = [];
+    text.split('\n').forEach(line => {
+        const head = line.match(/^(\d{4}-\d{2}-\d{2}) \*/);
+        if (head) {
+            entries.push({ date: head[1], postings: [] });
+            return;
+        }
+        if (!line.startsWith('    ') || line.trim().startsWith(';') || entries.length === 0) return;
+        const [, account, amount, currency, price, priceCurrency] = line.trim().match(/^(.+?)(?:\s{2,}(-?\d+\.\d+) (\S+)(?: @@ (\d+\.\d+) (\S+))?)?$/);
+        entries[entries.length - 1].postings.push(amount === undefined
+            ? { account }
+            : { account, amount: Number(amount), currency, price: price === undefined ? null : { amount: Number(price), currency: priceCurrency } });
+    });
+    entries.forEach(entry => {
+        const blank = entry.postings.filter(p => p.amount === undefined);
+        assert.ok(blank.length <= 1, `${entry.date}: more than one posting without an amount`);
+        const weights = {};
+        entry.postings.filter(p => p.amount !== undefined).forEach(p => {
+            const weight = p.price ? { amount: Math.sign(p.amount) * p.price.amount, currency: p.price.currency } : p;
+            weights[weight.currency] = (weights[weight.currency] || 0) + weight.amount;
+        });
+        if (blank.length) {
+            const [currency] = Object.keys(weights);
+            blank[0].amount = -weights[currency];
+            blank[0].currency = currency;
+            weights[currency] = 0;
+        }
+        Object.keys(weights).forEach(currency => {
+            assert.strictEqual(round(weights[currency]), 0, `${entry.date}: ${currency} postings do not balance`);
+        });
+    });
+    return entries;
+}
+
+const round = value => Math.round(value * 100) / 100 + 0;
+
+function balances(entries) {
+    const result = {};
+    entries.forEach(entry => entry.postings.forEach(p => {
+        const key = `${p.account} ${p.currency}`;
+        result[key] = round((result[key] || 0) + p.amount);
+    }));
+    return result;
+}
+
+['ledger', 'beancount'].forEach(format => {
+    test(`${format} export of DataManager data reads back to the same balances and transactions`, () => {
+        const { dm, journals, accounts, fund } = bootWithLedger();
+        const entries = parseJournal(journals.exportJournal(dm, format));
+        const totals = balances(entries);
+        const name = (...path) => journals._accountName(format, path);
+
+        const openings = Object.values(accounts).filter(a => a.openingBalance).length;
+        assert.strictEqual(entries.length, dm.transactions.length + openings);
+
+        // Accounts: what DataManager says each holds; a card's balance is what is owed
+        Object.values(accounts).forEach(account => {
+            const expected = dm.getAccountBalance(account.id, '2026-09-30');
+            const sign = account.type === 'credit' ? -1 : 1;
+            const root = account.type === 'credit' ? 'Liabilities' : 'Assets';
+            assert.strictEqual(totals[`${name(root, account.name)} ${account.currency}`], round(sign * expected), account.name);
+        });
+
+        // Spending per category, fixed expenses by payee, income
+        ['food', 'shopping'].forEach(category => {
+            const spent = dm.queryTransactions(null, { type: 'expense', category }).reduce((sum, t) => sum + t.amount, 0);
+            assert.strictEqual(totals[`${name('Expenses', dm.getCategoryLabel(category))} INR`], round(spent), category);
+        });
+        assert.strictEqual(totals[`${name('Expenses', dm.getCategoryLabel('travel'))} USD`], 42.5);
+        assert.strictEqual(totals[`${name('Expenses', 'Fixed', 'Rent')} INR`], 25000);
+        assert.strictEqual(totals[`${name('Income', 'Acme Payroll')} INR`], -125000);
+
+        // Money moved out of the accounts into a holding and to friends
+        assert.strictEqual(totals[`${name('Assets', 'Investments', fund.name)} INR`], 10000);
+        assert.strictEqual(totals[`${name('Assets', 'Friends')} INR`], 2000);
+        assert.strictEqual(totals[`${name('Equity', 'Opening Balances')} INR`], -48000);
+        assert.strictEqual(totals[`${name('Equity', 'Opening Balances')} USD`], -100);
+    });
+});
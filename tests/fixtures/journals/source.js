@@ -0,0 +1,32 @@
+// Input for the journal golden files: what JournalExporter.collect() returns,
+// with one of each kind of ledger row and payees that need escaping.
+
+const CATEGORY_LABELS = { fixed: 'Fixed', food: 'Food & Dining', travel: 'Travel', shopping: 'Shopping' };
+
+module.exports = {
+    baseCurrency: 'INR',
+    accounts: [
+        { id: 'acc-bank', name: 'HDFC Savings', type: 'bank', currency: 'INR', openingBalance: 50000, openingDate: '2026-09-01' },
+        { id: 'acc-card', name: 'Amex Card', type: 'credit', currency: 'INR', openingBalance: 1200, openingDate: '2026-09-01' },
+        { id: 'acc-usd', name: 'Wise USD', type: 'bank', currency: 'USD', openingBalance: 0, openingDate: '2026-09-01' }
+    ],
+    investments: [
+        { id: 'inv-index', name: 'Nifty Index Fund' }
+    ],
+    loans: [
+        { id: 'exp-home-loan', name: 'Home Loan', loan: { principal: 2500000, prepayments: [{ id: 'pre-1', date: '2026-09-15', amount: 100000, mode: 'tenure' }] } }
+    ],
+    transactions: [
+        { id: 't1', date: '2026-09-01', type: 'income', amount: 85000, payee: 'Salary; Inc', category: 'fixed', currency: 'INR', account: 'acc-bank', note: 'September pay', tags: ['work'] },
+        { id: 't2', date: '2026-09-02', type: 'expense', amount: 25000, payee: 'Rent', category: 'fixed', currency: 'INR', account: 'acc-bank', note: '', tags: [] },
+        { id: 't3', date: '2026-09-03', type: 'expense', amount: 649, payee: '*Netflix', category: 'shopping', currency: 'INR', account: 'acc-card', note: '', tags: ['subscription', 'home office'] },
+        { id: 't4', date: '2026-09-04', type: 'expense', amount: 420.5, payee: '(Refund) Swiggy | order 88', category: 'food', currency: 'INR', account: 'acc-card', note: 'split with\nflatmates', tags: ['food:delivery'] },
+        { id: 't5', date: '2026-09-05', type: 'expense', amount: 180, payee: '!Metro\ncard top-up', category: 'travel', currency: 'INR', account: '', note: '', tags: [] },
+        { id: 't6', date: '2026-09-06', type: 'transfer', amount: 10000, payee: 'Card bill', category: 'fixed', currency: 'INR', account: 'acc-bank', toAccount: 'acc-card', note: '', tags: [] },
+        { id: 't7', date: '2026-09-07', type: 'transfer', amount: 8350, toAmount: 100, payee: 'To Wise', category: 'fixed', currency: 'INR', account: 'acc-bank', toAccount: 'acc-usd', note: '', tags: [] },
+        { id: 't8', date: '2026-09-10', type: 'transfer', amount: 5000, payee: 'SIP: Nifty Index Fund', category: 'fixed', currency: 'INR', account: 'acc-bank', toAccount: '', source: 'sip', sourceId: 'inv-index', note: '', tags: [] },
+        { id: 't9', date: '2026-09-12', type: 'transfer', amount: 1200, payee: 'Dinner "Toit" (split)', category: 'food', currency: 'INR', account: 'acc-card', toAccount: '', source: 'split', sourceId: 'split-1', note: '', tags: [] },
+        { id: 't10', date: '2026-09-15', type: 'transfer', amount: 100000, payee: 'Home Loan prepayment', category: 'transfer', currency: 'INR', account: 'acc-bank', toAccount: '', source: 'prepayment', sourceId: 'pre-1', note: '', tags: [] }
+    ],
+    categoryLabel: category => CATEGORY_LABELS[category] || 'Other'
+};
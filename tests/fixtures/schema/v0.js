@@ -0,0 +1,21 @@
+// Stored before schema versions existed (no meta key): income sources and fixed
+// expenses from the original addIncome/addExpense paths, flexible amounts per
+// category and a history log. One entry predates ids and stored its amount as text.
+module.exports = {
+    version: 0,
+    stored: {
+        INCOME: [
+            { id: 'inc-salary', name: 'Salary', amount: 85000, timestamp: '2026-03-15T09:00:00.000Z' },
+            { source: 'Freelance', amount: '12000' }
+        ],
+        EXPENSES: [
+            { id: 'exp-rent', name: 'Rent', amount: 25000, category: 'fixed', timestamp: '2026-03-15T09:05:00.000Z' },
+            { id: 'exp-internet', name: 'Internet', amount: '999', timestamp: '2026-03-15T09:06:00.000Z' }
+        ],
+        FLEXIBLE: { food: 6000, travel: 2500, pets: 1500 },
+        HISTORY: [
+            { id: 'h-1', type: 'income', category: 'Salary', action: 'Added', amount: 85000, name: 'Salary', timestamp: '2026-03-15T09:00:00.000Z' },
+            { id: 'h-2', type: 'expense', category: 'fixed', action: 'Added', amount: 25000, name: 'Rent', timestamp: '2026-03-15T09:05:00.000Z' }
+        ]
+    }
+};
@@ -0,0 +1,30 @@
+// Schema v2: flexible categories live in a registry; 'pets' was budgeted under
+// a key the defaults did not have, so it became a category of its own.
+const categories = [
+    { id: 'food', name: 'Food & Dining', color: '#ff6b35', icon: '🍴', archived: false },
+    { id: 'travel', name: 'Travel & Transport', color: '#2ed573', icon: '✈️', archived: false },
+    { id: 'shopping', name: 'Shopping', color: '#a55eea', icon: '🛍️', archived: false },
+    { id: 'miscellaneous', name: 'Miscellaneous', color: '#ffc107', icon: '⋯', archived: false },
+    { id: 'pets', name: 'Pets', color: '#00d4ff', icon: '•', archived: false }
+];
+
+module.exports = {
+    version: 2,
+    stored: {
+        INCOME: [
+            { id: 'inc-salary', name: 'Salary', amount: 85000, timestamp: '2026-03-15T09:00:00.000Z' },
+            { id: 'inc-freelance', name: 'Freelance', amount: 12000, timestamp: '2026-03-15T09:01:00.000Z' }
+        ],
+        EXPENSES: [
+            { id: 'exp-rent', name: 'Rent', amount: 25000, category: 'fixed', timestamp: '2026-03-15T09:05:00.000Z' },
+            { id: 'exp-internet', name: 'Internet', amount: 999, category: 'fixed', timestamp: '2026-03-15T09:06:00.000Z' }
+        ],
+        FLEXIBLE: { food: 6000, travel: 2500, pets: 1500 },
+        CATEGORIES: categories,
+        HISTORY: [
+            { id: 'h-1', type: 'income', category: 'Salary', action: 'Added', amount: 85000, name: 'Salary', timestamp: '2026-03-15T09:00:00.000Z' },
+            { id: 'h-2', type: 'expense', category: 'fixed', action: 'Added', amount: 25000, name: 'Rent', timestamp: '2026-03-15T09:05:00.000Z' }
+        ]
+    },
+    categories
+};
@@ -0,0 +1,24 @@
+// Schema v3: entries carry a currency code and the settings hold the base currency.
+const { categories } = require('./v2');
+
+module.exports = {
+    version: 3,
+    stored: {
+        INCOME: [
+            { id: 'inc-salary', name: 'Salary', amount: 85000, currency: 'INR', timestamp: '2026-03-15T09:00:00.000Z' },
+            { id: 'inc-freelance', name: 'Freelance', amount: 400, currency: 'USD', timestamp: '2026-03-15T09:01:00.000Z' }
+        ],
+        EXPENSES: [
+            { id: 'exp-rent', name: 'Rent', amount: 25000, category: 'fixed', currency: 'INR', timestamp: '2026-03-15T09:05:00.000Z' },
+            { id: 'exp-internet', name: 'Internet', amount: 999, category: 'fixed', currency: 'INR', timestamp: '2026-03-15T09:06:00.000Z' }
+        ],
+        FLEXIBLE: { food: 6000, travel: 2500, pets: 1500 },
+        CATEGORIES: categories,
+        SETTINGS: { baseCurrency: 'INR' },
+        RATES: [{ id: 'rate-usd', from: 'USD', to: 'INR', rate: 83, effectiveDate: '2026-03-01' }],
+        HISTORY: [
+            { id: 'h-1', type: 'income', category: 'Salary', action: 'Added', amount: 85000, currency: 'INR', name: 'Salary', timestamp: '2026-03-15T09:00:00.000Z' },
+            { id: 'h-2', type: 'expense', category: 'fixed', action: 'Added', amount: 25000, currency: 'INR', name: 'Rent', timestamp: '2026-03-15T09:05:00.000Z' }
+        ]
+    }
+};
@@ -0,0 +1,46 @@
+// Schema v4: standing entries and the flexible amounts were booked into the
+// dated ledger. The flexible amounts went in as 'flexible' rows, which v7 keeps
+// as plain March spending (only a row dated in the current month is dropped).
+const { categories } = require('./v2');
+
+const income = [
+    { id: 'inc-salary', name: 'Salary', amount: 85000, currency: 'INR', timestamp: '2026-03-15T09:00:00.000Z' },
+    { id: 'inc-freelance', name: 'Freelance', amount: 400, currency: 'USD', timestamp: '2026-03-15T09:01:00.000Z' }
+];
+const expenses = [
+    { id: 'exp-rent', name: 'Rent', amount: 25000, category: 'fixed', currency: 'INR', timestamp: '2026-03-15T09:05:00.000Z' },
+    { id: 'exp-internet', name: 'Internet', amount: 999, category: 'fixed', currency: 'INR', timestamp: '2026-03-15T09:06:00.000Z' }
+];
+const row = (id, type, amount, payee, category, extra) => ({
+    id, date: '2026-03-15', type, amount, payee, category, currency: 'INR', account: '', note: '', timestamp: '2026-03-15T09:10:00.000Z', ...extra
+});
+const transactions = [
+    row('txn-salary', 'income', 85000, 'Salary', 'income', { source: 'income', sourceId: 'inc-salary' }),
+    row('txn-freelance', 'income', 400, 'Freelance', 'income', { currency: 'USD', source: 'income', sourceId: 'inc-freelance' }),
+    row('txn-rent', 'expense', 25000, 'Rent', 'fixed', { source: 'fixed', sourceId: 'exp-rent' }),
+    row('txn-internet', 'expense', 999, 'Internet', 'fixed', { source: 'fixed', sourceId: 'exp-internet' }),
+    row('txn-flex-food', 'expense', 6000, 'Food', 'food', { source: 'flexible' }),
+    row('txn-flex-travel', 'expense', 2500, 'Travel', 'travel', { source: 'flexible' }),
+    row('txn-flex-pets', 'expense', 1500, 'Pets', 'pets', { source: 'flexible' }),
+    row('txn-groceries', 'expense', 450, 'Big Basket', 'food')
+];
+
+module.exports = {
+    version: 4,
+    stored: {
+        INCOME: income,
+        EXPENSES: expenses,
+        FLEXIBLE: { food: 6000, travel: 2500, pets: 1500 },
+        CATEGORIES: categories,
+        SETTINGS: { baseCurrency: 'INR' },
+        RATES: [{ id: 'rate-usd', from: 'USD', to: 'INR', rate: 83, effectiveDate: '2026-03-01' }],
+        TRANSACTIONS: transactions,
+        HISTORY: [
+            { id: 'h-1', type: 'income', category: 'Salary', action: 'Added', amount: 85000, currency: 'INR', name: 'Salary', timestamp: '2026-03-15T09:00:00.000Z' },
+            { id: 'h-2', type: 'expense', category: 'fixed', action: 'Added', amount: 25000, currency: 'INR', name: 'Rent', timestamp: '2026-03-15T09:05:00.000Z' }
+        ]
+    },
+    income,
+    expenses,
+    transactions
+};
@@ -0,0 +1,16 @@
+// Schema v5: standing entries repeat on a schedule and remember the last
+// occurrence booked.
+const v4 = require('./v4');
+
+const schedule = { frequency: 'monthly', interval: 1, unit: 'month', dayOfMonth: 15, startDate: '2026-03-15', endDate: null };
+const scheduled = item => ({ ...item, recurrence: { ...schedule }, lastPostedDate: '2026-03-15' });
+
+module.exports = {
+    version: 5,
+    stored: {
+        ...v4.stored,
+        INCOME: v4.income.map(scheduled),
+        EXPENSES: v4.expenses.map(scheduled)
+    },
+    scheduled
+};
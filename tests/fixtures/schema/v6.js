@@ -0,0 +1,16 @@
+// Schema v6: entries, ledger rows and history carry tags and a note.
+const v4 = require('./v4');
+const { scheduled } = require('./v5');
+
+const tagged = (item, tags = []) => ({ ...item, tags, note: '' });
+
+module.exports = {
+    version: 6,
+    stored: {
+        ...v4.stored,
+        INCOME: v4.income.map(item => tagged(scheduled(item))),
+        EXPENSES: v4.expenses.map(item => tagged(scheduled(item), item.id === 'exp-rent' ? ['home'] : [])),
+        TRANSACTIONS: v4.transactions.map(row => tagged(row)),
+        HISTORY: v4.stored.HISTORY.map(entry => tagged(entry))
+    }
+};
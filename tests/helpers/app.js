@@ -0,0 +1,76 @@
+// ============================================
+// TEST HARNESS - the browser scripts in a Node sandbox
+// Loads the same files index.html does into a vm context with an in-memory
+// localStorage and a signed-in AuthManager. Run the suite with `node --test`.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Load app scripts into a fresh sandbox.
+ * @param {Object} options - { scripts: file names relative to the repo root,
+ *   storage: initial localStorage contents { key: string }, uid: signed-in user or null }
+ * @returns {Object} { window, store, toasts } store is the live localStorage map
+ */
+function loadApp({ scripts = ['script.js'], storage = {}, uid = 'test-user' } = {}) {
+    const store = { ...storage };
+    const toasts = [];
+    const context = {
+        console: { log() {}, info() {}, warn() {}, error: console.error },
+        setTimeout,
+        clearTimeout,
+        Promise,
+        TextDecoder,
+        addEventListener() {},
+        requestAnimationFrame: fn => setTimeout(fn, 0),
+        localStorage: {
+            getItem: key => (Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null),
+            setItem: (key, value) => { store[key] = String(value); },
+            removeItem: key => { delete store[key]; }
+        },
+        document: {
+            readyState: 'complete',
+            addEventListener() {},
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => []
+        },
+        FCToast: {
+            success: message => toasts.push({ kind: 'success', message }),
+            error: message => toasts.push({ kind: 'error', message }),
+            info: message => toasts.push({ kind: 'info', message })
+        },
+        AuthManager: {
+            currentUser: uid ? { uid, email: `${uid}@example.com`, displayName: uid } : null,
+            isAuthenticated() { return !!this.currentUser; },
+            isGuest: () => false,
+            saveUserData: async () => {},
+            saveHistoryEntry: async () => {},
+            deleteHistoryEntry: async () => {}
+        }
+    };
+    context.window = context;
+    vm.createContext(context);
+    scripts.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return { window: context, store, toasts };
+}
+
+/**
+ * Read a fixture file from tests/fixtures.
+ * @param {string} name - Path relative to tests/fixtures
+ * @returns {string}
+ */
+function readFixture(name) {
+    return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8');
+}
+
+// Objects made inside the sandbox have its own prototypes; copy them out before deepStrictEqual
+const plain = value => JSON.parse(JSON.stringify(value));
+
+module.exports = { ROOT, loadApp, readFixture, plain };
@@ -0,0 +1,53 @@
+// History loaded from Firestore merges into the local log by id instead of replacing it.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers/app');
+
+function boot(storage) {
+    const app = loadApp({ storage });
+    const dm = app.window.DataManager;
+    dm._initData();
+    return { ...app, dm };
+}
+
+const entry = (id, minute, extra) => ({
+    id, type: 'expense', category: 'Food & Dining', action: 'Spent', amount: 100, name: id,
+    timestamp: `2026-09-01T10:${String(minute).padStart(2, '0')}:00.000Z`, ...extra
+});
+
+test('entries only this device has survive a load from Firestore', async () => {
+    const { dm } = boot();
+    dm.replaceHistory([entry('shared', 1), entry('offline', 2)]);
+
+    const remote = [entry('shared', 1, { amount: 120 }), entry('from-partner', 3)];
+    const localOnly = plain(await dm.mergeHistory(remote));
+
+    assert.deepStrictEqual(localOnly.map(h => h.id), ['offline']);
+    const history = plain(dm.getHistory());
+    assert.deepStrictEqual(history.map(h => h.id), ['from-partner', 'offline', 'shared']);
+    // The remote copy wins where both have the entry
+    assert.strictEqual(history.find(h => h.id === 'shared').amount, 120);
+});
+
+test('the merge reads the full stored log and writes the result back', async () => {
+    const { dm } = boot();
+    dm.replaceHistory([entry('a', 1), entry('b', 2)]);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    // Only part of the log is in memory, as while the store is still loading
+    dm.HISTORY = [entry('c', 4)];
+
+    const localOnly = plain(await dm.mergeHistory([entry('b', 2)]));
+    assert.deepStrictEqual(localOnly.map(h => h.id).sort(), ['a', 'c']);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const stored = plain(await dm._historyStore.getAll());
+    assert.deepStrictEqual(stored.map(h => h.id), ['a', 'b', 'c']);
+});
+
+test('an empty remote log keeps every local entry for upload', async () => {
+    const { dm } = boot();
+    dm.replaceHistory([entry('a', 1), entry('b', 2)]);
+    assert.deepStrictEqual(plain(await dm.mergeHistory([])).map(h => h.id), ['a', 'b']);
+    assert.strictEqual(dm.getHistory().length, 2);
+    assert.deepStrictEqual(plain(await dm.mergeHistory(null)), []);
+});
@@ -0,0 +1,99 @@
+// Household roles: owners and editors write the shared workspace, viewers never do.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers/app');
+
+// The signed-in user belongs to one household with the given role
+async function boot(role) {
+    const app = loadApp();
+    const auth = app.window.AuthManager;
+    const household = {
+        id: 'h1',
+        name: 'Home',
+        ownerId: role === 'owner' ? 'test-user' : 'owner-uid',
+        members: {
+            'owner-uid': { role: 'owner', email: 'asha@example.com', name: 'Asha' },
+            'test-user': { role, email: 'test-user@example.com', name: 'Me' }
+        }
+    };
+    if (role === 'owner') delete household.members['owner-uid'];
+    auth.loadHouseholds = async () => [plain(household)];
+    auth.loadInvitations = async () => [];
+    auth.inviteToHousehold = async () => {};
+    app.window.DataManager._initData();
+    await app.window.DataManager.refreshHouseholds();
+    return { app, dm: app.window.DataManager, household };
+}
+
+const householdKeys = dm => dm._getUserKeys('household_h1');
+
+test('the role in the open household decides canEdit', async () => {
+    for (const [role, canEdit] of [['owner', true], ['editor', true], ['viewer', false]]) {
+        const { dm } = await boot(role);
+        assert.strictEqual(dm.getRole(), 'owner', 'the personal space is always yours');
+        await dm.switchContext('h1');
+        assert.deepStrictEqual(plain(dm.getContext()), { type: 'household', householdId: 'h1', name: 'Home', role });
+        assert.strictEqual(dm.canEdit(), canEdit, role);
+    }
+});
+
+test('an editor writes to the household, not the personal space', async () => {
+    const { app, dm } = await boot('editor');
+    await dm.switchContext('h1');
+    dm.addTransaction({ type: 'expense', amount: 450, payee: 'Vegetables', date: '2026-09-04' });
+
+    const stored = JSON.parse(app.store[householdKeys(dm).TRANSACTIONS]);
+    assert.deepStrictEqual(stored.map(t => t.payee), ['Vegetables']);
+    assert.strictEqual(stored[0].addedBy.uid, 'test-user');
+    assert.strictEqual(app.store[dm._getUserKeys('test-user').TRANSACTIONS], undefined);
+});
+
+test('a viewer saves nothing, locally or to Firestore', async () => {
+    const { app, dm } = await boot('viewer');
+    await dm.switchContext('h1');
+    let pushed = 0;
+    app.window.AuthManager.saveUserData = async () => { pushed++; };
+    const before = { ...app.store };
+
+    dm.addTransaction({ type: 'expense', amount: 450, payee: 'Vegetables', date: '2026-09-04' });
+    dm.setBaseCurrency('USD');
+    dm.addAccount({ name: 'Joint', type: 'bank', currency: 'INR', openingDate: '2026-01-01' });
+    dm._save('TRANSACTIONS', [{ id: 'x' }]);
+
+    assert.deepStrictEqual(app.store, before);
+    assert.strictEqual(dm._syncTimeout, null);
+    await dm._flushSync();
+    assert.strictEqual(pushed, 0);
+    await assert.rejects(dm.restoreBackup({}), /view-only/);
+});
+
+test('a role change takes effect on refresh, and removal returns to the personal space', async () => {
+    const { app, dm, household } = await boot('editor');
+    await dm.switchContext('h1');
+    assert.strictEqual(dm.canEdit(), true);
+
+    household.members['test-user'].role = 'viewer';
+    app.window.AuthManager.loadHouseholds = async () => [plain(household)];
+    await dm.refreshHouseholds();
+    assert.strictEqual(dm.canEdit(), false);
+    const before = app.store[householdKeys(dm).TRANSACTIONS];
+    dm.addTransaction({ type: 'expense', amount: 99, payee: 'Tea', date: '2026-09-04' });
+    assert.strictEqual(app.store[householdKeys(dm).TRANSACTIONS], before);
+
+    app.window.AuthManager.loadHouseholds = async () => [];
+    await dm.refreshHouseholds();
+    assert.deepStrictEqual(plain(dm.getContext()), { type: 'personal' });
+    assert.strictEqual(dm.canEdit(), true);
+});
+
+test('only the owner manages members', async () => {
+    const { dm } = await boot('editor');
+    await assert.rejects(dm.inviteMember('h1', { email: 'ravi@example.com', role: 'viewer' }), /Only the household owner/);
+    await assert.rejects(dm.setMemberRole('h1', 'owner-uid', 'viewer'), /Only the household owner/);
+    await assert.rejects(dm.removeMember('h1', 'owner-uid'), /owner cannot leave/);
+
+    const owner = (await boot('owner')).dm;
+    await assert.rejects(owner.inviteMember('h1', { email: 'ravi@example.com', role: 'owner' }), /editor or a viewer/);
+    assert.deepStrictEqual(plain(await owner.inviteMember('h1', { email: 'Ravi@Example.com ', role: 'viewer' })), { email: 'ravi@example.com', role: 'viewer' });
+});
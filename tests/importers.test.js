@@ -0,0 +1,115 @@
+// Statement files in each supported dialect parse into the expected ledger rows.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, readFixture, plain } = require('./helpers/app');
+
+const { window } = loadApp({ scripts: ['importers.js'], uid: null });
+const importer = window.StatementImporter;
+
+// Raw file bytes, the way FileReader.readAsArrayBuffer hands them over
+const bytes = name => {
+    const buffer = Buffer.from(readFixture(`statements/${name}`), 'utf8');
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+};
+const summary = rows => plain(rows).map(row => [row.date, row.type, row.amount, row.description, row.error]);
+
+test('CSV: Indian bank export with preamble, debit/credit columns and lakh grouping', () => {
+    const parsed = importer.read(bytes('hdfc.csv'), 'hdfc.csv');
+    assert.strictEqual(parsed.format, 'csv');
+    assert.strictEqual(parsed.delimiter, ',');
+    assert.strictEqual(parsed.dateFormat, 'DMY');
+    assert.strictEqual(parsed.headers[1], 'Narration');
+    assert.deepStrictEqual(plain(parsed.mapping), { date: 0, description: 1, debit: 4, credit: 5, balance: 6, amount: -1 });
+
+    const rows = importer.mapRecords(parsed.records, parsed.mapping, { dateFormat: parsed.dateFormat });
+    assert.deepStrictEqual(summary(rows), [
+        ['2026-09-01', 'income', 125000, 'SALARY SEP 2026 ACME TECHNOLOGIES', null],
+        ['2026-09-03', 'expense', 649, 'UPI/NETFLIX.COM/0412, AUTOPAY', null],
+        ['2026-09-15', 'expense', 25000, 'RENT SEPTEMBER - NEFT', null],
+        ['2026-09-28', 'expense', 2345.6, 'BIG BASKET', null]
+    ]);
+    assert.deepStrictEqual(plain(rows.map(row => row.balance)), [175430.5, 174781.5, 149781.5, 147435.9]);
+    assert.strictEqual(importer.checkBalances(rows), 0);
+});
+
+test('CSV: semicolons, one signed amount column, decimal commas and month-first dates', () => {
+    const parsed = importer.read(bytes('signed-amount.csv'), 'export.csv');
+    assert.strictEqual(parsed.delimiter, ';');
+    assert.strictEqual(parsed.dateFormat, 'MDY');
+
+    const rows = importer.mapRecords(parsed.records, parsed.mapping, { dateFormat: parsed.dateFormat });
+    assert.deepStrictEqual(summary(rows), [
+        ['2026-09-02', 'expense', 1250, 'Rent September', null],
+        ['2026-09-14', 'income', 3200, 'Salary', null],
+        ['2026-09-20', 'expense', 18.4, 'Café Mocha; breakfast', null]
+    ]);
+    assert.strictEqual(importer.checkBalances(rows), 0);
+
+    const inverted = importer.mapRecords(parsed.records, parsed.mapping, { dateFormat: 'MDY', invertAmount: true });
+    assert.deepStrictEqual(plain(inverted.map(row => row.type)), ['income', 'expense', 'income']);
+});
+
+test('OFX 1.x (SGML): rows, currency, account and repeated FITIDs dropped', () => {
+    const parsed = importer.read(bytes('checking.ofx'), 'checking.ofx');
+    assert.strictEqual(parsed.format, 'ofx');
+    assert.deepStrictEqual(plain(parsed.accounts), [{ id: '987654321', type: 'bank', currency: 'USD', balance: 4933.27 }]);
+    assert.deepStrictEqual(summary(parsed.rows), [
+        ['2026-09-05', 'expense', 54.23, 'WHOLE FOODS MARKET · POS PURCHASE', null],
+        ['2026-09-15', 'income', 2500, 'ACME PAYROLL', null],
+        ['2026-09-20', 'expense', 12.5, 'BARNES & NOBLE', null]
+    ]);
+    assert.deepStrictEqual(plain(parsed.rows.map(row => [row.fitId, row.sourceAccount, row.currency])), [
+        ['2026090501', '987654321', 'USD'],
+        ['2026091502', '987654321', 'USD'],
+        ['2026092003', '987654321', 'USD']
+    ]);
+});
+
+test('QFX / OFX 2.x (XML): credit card statement', () => {
+    const parsed = importer.read(bytes('card.qfx'), 'card.qfx');
+    assert.strictEqual(parsed.format, 'ofx');
+    assert.deepStrictEqual(plain(parsed.accounts), [{ id: 'XXXX4321', type: 'credit', currency: 'INR', balance: -8499 }]);
+    assert.deepStrictEqual(summary(parsed.rows), [
+        ['2026-09-11', 'expense', 1499, 'AMAZON PAY INDIA', null],
+        ['2026-09-25', 'income', 5000, 'PAYMENT RECEIVED', null]
+    ]);
+});
+
+test('QIF: Quicken dates read month-first, splits collapse, investment sections are skipped', () => {
+    const parsed = importer.read(bytes('quicken.qif'), 'quicken.qif');
+    assert.strictEqual(parsed.format, 'qif');
+    assert.strictEqual(parsed.dateFormat, 'MDY');
+    assert.deepStrictEqual(plain(parsed.accounts), [{ id: 'Everyday Checking', type: 'bank' }]);
+    assert.deepStrictEqual(summary(parsed.rows), [
+        ['2026-09-01', 'expense', 1250, 'City Apartments', null],
+        ['2026-09-05', 'income', 3200, 'Acme Payroll', null],
+        ['2026-09-12', 'expense', 84.17, 'Costco', null],
+        ['2026-09-12', 'expense', 500, 'Transfer to savings', null]
+    ]);
+    assert.deepStrictEqual(plain(parsed.rows.map(row => row.categoryName)), ['Rent', 'Salary', 'Groceries', '']);
+    assert.deepStrictEqual(plain(parsed.rows.map(row => row.sourceAccount)), Array(4).fill('Everyday Checking'));
+});
+
+test('QIF: the duplicate key does not depend on the date order chosen', () => {
+    const text = readFixture('statements/quicken.qif');
+    const monthFirst = importer.parseQIF(text);
+    const dayFirst = importer.parseQIF(text, 'DMY');
+    assert.strictEqual(dayFirst.rows[0].date, '2026-01-09');
+    assert.deepStrictEqual(plain(dayFirst.rows.map(row => row.fitId)), plain(monthFirst.rows.map(row => row.fitId)));
+    assert.strictEqual(monthFirst.rows[0].fitId, "qif:Everyday Checking|9/1'26|-1250|City Apartments|#1");
+    assert.notStrictEqual(monthFirst.rows[2].fitId, monthFirst.rows[3].fitId);
+});
+
+test('QIF: an unambiguous day-first file is still read day-first', () => {
+    const parsed = importer.parseQIF("!Type:Bank\nD25/09/2026\nT-10.00\nPTea stall\n^\nD03/10/2026\nT-20.00\nPTea stall\n^\n");
+    assert.strictEqual(parsed.dateFormat, 'DMY');
+    assert.deepStrictEqual(plain(parsed.rows.map(row => row.date)), ['2026-09-25', '2026-10-03']);
+});
+
+test('detectDateFormat falls back only when every date is ambiguous', () => {
+    assert.strictEqual(importer.detectDateFormat(['01/02/2026', '03/04/2026']), 'DMY');
+    assert.strictEqual(importer.detectDateFormat(['01/02/2026', '03/04/2026'], 'MDY'), 'MDY');
+    assert.strictEqual(importer.detectDateFormat(['01/02/2026', '13/04/2026'], 'MDY'), 'DMY');
+    assert.strictEqual(importer.detectDateFormat(['2026-04-13']), 'YMD');
+});
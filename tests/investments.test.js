@@ -0,0 +1,111 @@
+// Investment returns: XIRR over irregular cash flows, and SIP holdings valued from their NAVs.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers/app');
+
+const { window } = loadApp({ scripts: ['investments.js'], uid: null });
+const calculator = window.InvestmentCalculator;
+
+function boot() {
+    const app = loadApp({ scripts: ['investments.js', 'script.js'] });
+    const dm = app.window.DataManager;
+    dm._initData();
+    return dm;
+}
+
+test('XIRR of irregular flows matches the spreadsheet XIRR', () => {
+    // The worked example from the XIRR documentation: 37.34% a year
+    const rate = calculator.xirr([
+        { date: '2008-01-01', amount: -10000 },
+        { date: '2008-03-01', amount: 2750 },
+        { date: '2008-10-30', amount: 4250 },
+        { date: '2009-02-15', amount: 3250 },
+        { date: '2009-04-01', amount: 2750 }
+    ]);
+    assert.ok(Math.abs(rate - 0.373362535) < 1e-6, `got ${rate}`);
+});
+
+test('XIRR handles losses, unsorted flows and uneven top-ups', () => {
+    assert.ok(Math.abs(calculator.xirr([{ date: '2026-01-01', amount: 900 }, { date: '2025-01-01', amount: -1000 }]) + 0.1) < 1e-9);
+
+    // Three top-ups of different sizes at uneven gaps; the rate found discounts them to zero
+    const flows = [
+        { date: '2024-02-29', amount: -5000 },
+        { date: '2024-07-15', amount: -12000 },
+        { date: '2025-01-03', amount: -1500 },
+        { date: '2025-09-30', amount: 21000 }
+    ];
+    const rate = calculator.xirr(flows);
+    const first = new Date('2024-02-29T00:00:00');
+    const npv = flows.reduce((sum, f) => sum + f.amount / Math.pow(1 + rate, (new Date(f.date + 'T00:00:00') - first) / 864e5 / 365), 0);
+    assert.ok(rate > 0.1 && rate < 0.2, `got ${rate}`);
+    assert.ok(Math.abs(npv) < 1e-6);
+});
+
+test('XIRR is undefined without both money in and money out', () => {
+    assert.strictEqual(calculator.xirr([{ date: '2026-01-01', amount: -1000 }]), null);
+    assert.strictEqual(calculator.xirr([{ date: '2026-01-01', amount: -1000 }, { date: '2026-06-01', amount: -500 }]), null);
+    assert.strictEqual(calculator.xirr([{ date: '2026-01-01', amount: -1000 }, { date: '2026-01-01', amount: 1100 }]), null);
+});
+
+test('SIP lots booked without units take the NAV recorded nearest their date', () => {
+    const holding = {
+        lots: [
+            { date: '2026-01-05', amount: 5000, units: null },
+            { date: '2026-02-05', amount: 5000, units: null },
+            { date: '2026-03-05', amount: 5000, units: null }
+        ],
+        prices: [
+            { date: '2026-01-05', price: 50 },
+            { date: '2026-02-06', price: 40 },
+            { date: '2026-03-01', price: 62.5 }
+        ]
+    };
+    const summary = plain(calculator.summarize(holding, '2026-04-01'));
+    assert.strictEqual(summary.units, 305);
+    assert.strictEqual(summary.invested, 15000);
+    assert.strictEqual(summary.value, 19062.5);
+    assert.strictEqual(summary.gain, 4062.5);
+    assert.strictEqual(summary.absoluteReturn, 27.08);
+    assert.strictEqual(summary.firstDate, '2026-01-05');
+    assert.ok(summary.xirr > 0);
+
+    // Before the first price there is nothing to value the lots with
+    const early = plain(calculator.summarize({ lots: holding.lots.slice(0, 1), prices: [] }, '2026-01-31'));
+    assert.strictEqual(early.units, null);
+    assert.strictEqual(early.value, null);
+    assert.strictEqual(early.invested, 5000);
+});
+
+test('a SIP books each installment as a transfer and values the holding at the latest NAV', () => {
+    const dm = boot();
+    const bank = dm.addAccount({ name: 'Bank', type: 'bank', currency: 'INR', openingBalance: 100000, openingDate: '2025-01-01' });
+    const fund = dm.addInvestment({ name: 'Flexi Cap', type: 'mutual_fund', currency: 'INR', accountId: bank.id });
+    const start = new Date();
+    start.setMonth(start.getMonth() - 3, 10);
+    dm.setInvestmentSip(fund.id, { amount: 2000, recurrence: { frequency: 'monthly', startDate: dm._toDateKey(start) } });
+
+    const rows = plain(dm.queryTransactions(null, { sourceId: fund.id }));
+    const dates = rows.map(t => t.date);
+    assert.ok(dates.length >= 3);
+    assert.ok(rows.every(t => t.type === 'transfer' && t.source === 'sip' && t.toAccount === '' && t.account === bank.id));
+    // Installments move money, they are not spending
+    assert.strictEqual(dm.queryTransactions(null, { type: 'expense' }).length, 0);
+
+    // NAVs on each installment date, rising 10% a month
+    dates.forEach((date, i) => dm.recordInvestmentPrice(fund.id, { price: 100 * Math.pow(1.1, i), date }));
+    const units = dates.reduce((sum, date, i) => sum + 2000 / (100 * Math.pow(1.1, i)), 0);
+    const latest = 100 * Math.pow(1.1, dates.length - 1);
+
+    const summary = plain(dm.getInvestment(fund.id));
+    assert.strictEqual(summary.invested, 2000 * dates.length);
+    assert.strictEqual(summary.units, Math.round(units * 10000) / 10000);
+    assert.strictEqual(summary.value, Math.round(summary.units * latest * 100) / 100);
+    assert.ok(summary.xirr > 0);
+
+    const portfolio = plain(dm.getPortfolioSummary());
+    assert.strictEqual(portfolio.invested, summary.invested);
+    assert.strictEqual(portfolio.value, summary.value);
+    assert.strictEqual(dm.getAccountBalance(bank.id), 100000 - 2000 * dates.length);
+});
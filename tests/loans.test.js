@@ -0,0 +1,28 @@
+// A recorded loan prepayment pays the loan down; it is not spending.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers/app');
+
+test('a prepayment is booked as a transfer to the loan', () => {
+    const { window } = loadApp({ scripts: ['loans.js', 'exporters.js', 'script.js'] });
+    const dm = window.DataManager;
+    dm._initData();
+    const bank = dm.addAccount({ name: 'HDFC Savings', type: 'bank', currency: 'INR' });
+    const loan = dm.addLoan({ name: 'Home Loan', principal: 1000000, annualRate: 9, tenureMonths: 120, startDate: '2026-01-05', currency: 'INR', accountId: bank.id });
+    const expensesBefore = dm.getMonthlyTotals(1, '2026-03')[0].expenses;
+
+    const prepayment = dm.prepayLoan(loan.id, { amount: 100000, date: '2026-03-10', mode: 'tenure' });
+    assert.ok(prepayment);
+
+    const [row] = plain(dm.queryTransactions(null, { source: 'prepayment' }));
+    assert.strictEqual(row.type, 'transfer');
+    assert.strictEqual(row.amount, 100000);
+    assert.strictEqual(row.account, bank.id);
+    assert.strictEqual(row.toAccount, '');
+    assert.strictEqual(row.sourceId, prepayment.id);
+    assert.strictEqual(dm.getMonthlyTotals(1, '2026-03')[0].expenses, expensesBefore);
+
+    const journal = window.JournalExporter.exportJournal(dm, 'ledger');
+    assert.match(journal, /2026-03-10 \* Home Loan prepayment\n {4}Liabilities:Loans:Home Loan {2,}100000\.00 INR\n {4}Assets:HDFC Savings {2,}-100000\.00 INR/);
+});
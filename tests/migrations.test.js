@@ -0,0 +1,146 @@
+// Every stored schema version loads into the current shape without losing amounts,
+// and blobs that cannot be read are set aside in the quarantine key.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers/app');
+
+const CURRENT_VERSION = 7;
+const FIXTURES = [0, 1, 2, 3, 4, 5, 6].map(version => require(`./fixtures/schema/v${version}`));
+
+// localStorage as the given version left it for the test user
+function storageFor(fixture, uid = 'test-user') {
+    const storage = {};
+    Object.keys(fixture.stored).forEach(key => {
+        storage[`finance_${key.toLowerCase()}_${uid}`] = JSON.stringify(fixture.stored[key]);
+    });
+    if (fixture.version > 0) {
+        storage[`finance_meta_${uid}`] = JSON.stringify({ schemaVersion: fixture.version, migratedAt: '2026-03-15T09:30:00.000Z' });
+    }
+    return storage;
+}
+
+function boot(storage) {
+    const app = loadApp({ storage });
+    const dm = app.window.DataManager;
+    dm._initData();
+    return { ...app, dm, keys: dm._getUserKeys('test-user') };
+}
+
+const amountOf = value => parseFloat(value);
+
+FIXTURES.forEach(fixture => {
+    test(`schema v${fixture.version} data migrates to v${CURRENT_VERSION}`, () => {
+        const { dm, store, keys } = boot(storageFor(fixture));
+        const stored = fixture.stored;
+
+        assert.strictEqual(JSON.parse(store[keys.META]).schemaVersion, CURRENT_VERSION);
+        assert.strictEqual(dm.getSchemaVersion(), CURRENT_VERSION);
+        assert.strictEqual(store[keys.QUARANTINE], undefined, 'nothing is quarantined');
+
+        // Standing entries keep their amounts and gain every field later versions added
+        [['income', stored.INCOME], ['expenses', stored.EXPENSES]].forEach(([list, before]) => {
+            const after = plain(dm[list]);
+            assert.strictEqual(after.length, before.length, `${list} count`);
+            before.forEach((item, i) => {
+                const entry = after[i];
+                assert.ok(entry.id, `${list}[${i}] has an id`);
+                assert.strictEqual(entry.name, item.name || item.source);
+                assert.strictEqual(entry.amount, amountOf(item.amount), `${entry.name} amount`);
+                assert.ok(entry.currency, `${entry.name} currency`);
+                assert.strictEqual(typeof entry.recurrence, 'object', `${entry.name} schedule`);
+                assert.ok(Array.isArray(entry.tags), `${entry.name} tags`);
+                assert.strictEqual(typeof entry.note, 'string', `${entry.name} note`);
+                if (list === 'expenses') assert.strictEqual(entry.category, 'fixed');
+                // Each standing entry is in the ledger at its own amount
+                const rows = dm.queryTransactions(null, { sourceId: entry.id });
+                assert.ok(rows.length > 0, `${entry.name} is booked`);
+                rows.forEach(row => assert.strictEqual(row.amount, entry.amount));
+            });
+        });
+
+        // The flexible amounts are budgets; rows booked from them in past months are plain spending
+        assert.deepStrictEqual(plain(dm.flexibleSpending), stored.FLEXIBLE);
+        ['food', 'travel', 'shopping', 'miscellaneous', 'pets'].forEach(id => {
+            assert.ok(dm.getCategory(id), `category ${id}`);
+        });
+        const rows = plain(dm.transactions);
+        assert.ok(!rows.some(row => row.source === 'flexible'), 'no flexible rows remain');
+        rows.forEach(row => {
+            assert.ok(row.currency, `row ${row.id} currency`);
+            assert.ok(Array.isArray(row.tags), `row ${row.id} tags`);
+        });
+        (stored.TRANSACTIONS || []).forEach(row => {
+            const kept = rows.find(r => r.id === row.id);
+            assert.ok(kept, `row ${row.id} kept`);
+            assert.strictEqual(kept.amount, row.amount);
+            assert.strictEqual(kept.date, row.date);
+            assert.strictEqual(kept.category, row.category);
+        });
+
+        // History keeps every entry and amount
+        const history = plain(dm.getHistory());
+        stored.HISTORY.forEach(entry => {
+            const kept = history.find(h => h.id === entry.id);
+            assert.ok(kept, `history ${entry.id} kept`);
+            assert.strictEqual(kept.amount, entry.amount);
+            assert.ok(Array.isArray(kept.tags));
+            assert.strictEqual(typeof kept.note, 'string');
+        });
+    });
+});
+
+test('v7 drops only this month\'s flexible row, the budget it duplicated', () => {
+    const fixture = FIXTURES[6];
+    const now = new Date();
+    const month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const current = { ...fixture.stored.TRANSACTIONS.find(row => row.id === 'txn-flex-food'), id: 'txn-flex-now', date: `${month}-01` };
+    const storage = storageFor({ ...fixture, stored: { ...fixture.stored, TRANSACTIONS: [...fixture.stored.TRANSACTIONS, current] } });
+    const { dm } = boot(storage);
+
+    const ids = plain(dm.transactions).map(row => row.id);
+    assert.ok(!ids.includes('txn-flex-now'));
+    assert.ok(ids.includes('txn-flex-food'));
+    // The March row still counts as March spending, and only once
+    assert.strictEqual(dm.getFlexibleSpending('2026-03').food, 6450);
+    assert.strictEqual(dm.getFlexibleSpending(month).food, 0);
+    assert.strictEqual(dm.getCategoryBudgets().food, 6000);
+});
+
+test('migrating twice changes nothing', () => {
+    const first = boot(storageFor(FIXTURES[0]));
+    const snapshot = { ...first.store };
+    const second = boot(snapshot);
+    assert.deepStrictEqual(plain(second.dm.income), plain(first.dm.income));
+    assert.deepStrictEqual(plain(second.dm.transactions), plain(first.dm.transactions));
+});
+
+test('an unreadable blob is quarantined and the rest still loads', () => {
+    const storage = storageFor(FIXTURES[6]);
+    storage['finance_income_test-user'] = '[{"id":"inc-salary","amount":85';
+    const { dm, store, keys, toasts } = boot(storage);
+
+    const quarantine = JSON.parse(store[keys.QUARANTINE]);
+    assert.strictEqual(quarantine.length, 1);
+    assert.strictEqual(quarantine[0].key, 'INCOME');
+    assert.strictEqual(quarantine[0].raw, '[{"id":"inc-salary","amount":85');
+    assert.ok(quarantine[0].reason);
+    assert.notStrictEqual(store[keys.INCOME], quarantine[0].raw, 'the broken blob left its key');
+    assert.deepStrictEqual(plain(dm.income), []);
+    assert.strictEqual(dm.expenses.length, FIXTURES[6].stored.EXPENSES.length);
+    assert.strictEqual(dm.getSchemaVersion(), CURRENT_VERSION);
+    assert.ok(toasts.some(t => t.kind === 'error'));
+});
+
+test('a blob with the wrong shape is quarantined', () => {
+    const storage = storageFor(FIXTURES[3]);
+    storage['finance_flexible_test-user'] = JSON.stringify([6000, 2500]);
+    const { dm, store, keys } = boot(storage);
+
+    const quarantine = JSON.parse(store[keys.QUARANTINE]);
+    assert.strictEqual(quarantine.length, 1);
+    assert.strictEqual(quarantine[0].key, 'FLEXIBLE');
+    assert.strictEqual(quarantine[0].reason, 'Unexpected data shape');
+    assert.deepStrictEqual(plain(dm.flexibleSpending), {});
+    assert.strictEqual(dm.income.length, FIXTURES[3].stored.INCOME.length);
+});
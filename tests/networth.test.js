@@ -0,0 +1,73 @@
+// Net worth adds up accounts, the asset/liability register and holdings in the base currency.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers/app');
+
+function boot() {
+    const app = loadApp({ scripts: ['investments.js', 'loans.js', 'script.js'] });
+    const dm = app.window.DataManager;
+    dm._initData();
+    return dm;
+}
+
+// INR base with USD money in an account, the register and a holding; the dollar
+// is worth 83 rupees from January and 85 from June
+function bootMixedCurrency() {
+    const dm = boot();
+    dm.addExchangeRate({ from: 'USD', to: 'INR', rate: 83, effectiveDate: '2026-01-01' });
+    dm.addExchangeRate({ from: 'USD', to: 'INR', rate: 85, effectiveDate: '2026-06-01' });
+    dm.addAccount({ name: 'Bank', type: 'bank', currency: 'INR', openingBalance: 100000, openingDate: '2026-01-01' });
+    dm.addAccount({ name: 'Dollar Wallet', type: 'wallet', currency: 'USD', openingBalance: 500, openingDate: '2026-01-01' });
+    dm.addAccount({ name: 'Card', type: 'credit', currency: 'INR', openingBalance: 5000, openingDate: '2026-01-01' });
+    dm.addNetWorthItem({ name: 'Gold coins', kind: 'asset', type: 'gold', currency: 'USD', value: 1000, date: '2026-01-01' });
+    dm.addNetWorthItem({ name: 'Loan from Dad', kind: 'liability', type: 'borrowed', currency: 'INR', value: 20000, date: '2026-01-01' });
+    const fund = dm.addInvestment({ name: 'US Index', type: 'etf', currency: 'USD' });
+    dm.buyInvestment(fund.id, { units: 100, price: 10, date: '2026-02-01' });
+    dm.recordInvestmentPrice(fund.id, { price: 12, date: '2026-08-01' });
+    return dm;
+}
+
+const values = worth => Object.fromEntries(plain(worth.lines).map(line => [line.name, [line.kind, line.value]]));
+
+test('mixed-currency net worth converts each line at the rate for that day', () => {
+    const dm = bootMixedCurrency();
+
+    const march = dm.getNetWorth('2026-03-31');
+    assert.deepStrictEqual(values(march), {
+        'Bank': ['asset', 100000],
+        'Dollar Wallet': ['asset', 41500],
+        'Card': ['liability', 5000],
+        'Gold coins': ['asset', 83000],
+        'Loan from Dad': ['liability', 20000],
+        'US Index': ['asset', 83000]
+    });
+    assert.strictEqual(march.assets, 307500);
+    assert.strictEqual(march.liabilities, 25000);
+    assert.strictEqual(march.netWorth, 282500);
+
+    // A new rate and a new NAV both show up in September
+    const september = dm.getNetWorth('2026-09-30');
+    assert.deepStrictEqual(values(september)['Dollar Wallet'], ['asset', 42500]);
+    assert.deepStrictEqual(values(september)['Gold coins'], ['asset', 85000]);
+    assert.deepStrictEqual(values(september)['US Index'], ['asset', 102000]);
+    assert.strictEqual(september.netWorth, 304500);
+});
+
+test('lines only count from the day they exist', () => {
+    const dm = bootMixedCurrency();
+    const before = plain(dm.getNetWorth('2025-12-31'));
+    assert.deepStrictEqual(before.lines, []);
+    assert.strictEqual(before.netWorth, 0);
+
+    // The holding is bought in February
+    assert.strictEqual(values(dm.getNetWorth('2026-01-31'))['US Index'], undefined);
+});
+
+test('a holding without a price yet counts at cost', () => {
+    const dm = boot();
+    dm.addExchangeRate({ from: 'USD', to: 'INR', rate: 80, effectiveDate: '2026-01-01' });
+    const fund = dm.addInvestment({ name: 'New Fund', type: 'mutual_fund', currency: 'USD' });
+    dm.buyInvestment(fund.id, { amount: 250, date: '2026-03-01' });
+    assert.deepStrictEqual(values(dm.getNetWorth('2026-03-31'))['New Fund'], ['asset', 20000]);
+});
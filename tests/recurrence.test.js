@@ -0,0 +1,86 @@
+// Schedules: which dates a recurrence falls on within a window, however long ago it started.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers/app');
+
+const { window } = loadApp();
+const dm = window.DataManager;
+
+const rule = fields => dm._normalizeRecurrence(fields);
+const between = (fields, from, to) => plain(dm._occurrencesBetween(rule(fields), from, to));
+
+// Every occurrence from the start date on, filtered to the window
+function walk(r, from, to) {
+    const dates = [];
+    for (let k = 0; ; k++) {
+        const date = dm._occurrenceAt(r, k);
+        if (!date || date > to || (r.endDate && date > r.endDate)) break;
+        if (date >= from) dates.push(date);
+    }
+    return dates;
+}
+
+test('month-end schedules fall on the last day of shorter months', () => {
+    assert.deepStrictEqual(between({ frequency: 'monthly', startDate: '2026-01-31' }, '2026-01-01', '2026-06-15'), [
+        '2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31'
+    ]);
+    // Starting mid-way through still lands on the 31st where the month has one
+    assert.deepStrictEqual(between({ frequency: 'monthly', startDate: '2026-01-31' }, '2026-04-01', '2026-05-31'), ['2026-04-30', '2026-05-31']);
+    assert.deepStrictEqual(between({ frequency: 'quarterly', startDate: '2025-11-30' }, '2026-01-01', '2026-12-31'), [
+        '2026-02-28', '2026-05-30', '2026-08-30', '2026-11-30'
+    ]);
+    assert.deepStrictEqual(between({ frequency: 'custom', interval: 2, unit: 'month', startDate: '2023-12-31' }, '2024-01-01', '2024-06-30'), [
+        '2024-02-29', '2024-04-30', '2024-06-30'
+    ]);
+});
+
+test('a leap-day yearly schedule uses 28 February in other years', () => {
+    assert.deepStrictEqual(between({ frequency: 'yearly', startDate: '2024-02-29' }, '2024-01-01', '2029-03-01'), [
+        '2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29', '2029-02-28'
+    ]);
+    assert.deepStrictEqual(between({ frequency: 'yearly', startDate: '2024-02-29' }, '2028-02-29', '2028-12-31'), ['2028-02-29']);
+    assert.deepStrictEqual(between({ frequency: 'yearly', startDate: '2024-02-29' }, '2028-03-01', '2028-12-31'), []);
+});
+
+test('schedules started decades ago still list the dates in the window', () => {
+    // Over 20,000 daily occurrences before the window opens
+    assert.deepStrictEqual(between({ frequency: 'custom', interval: 1, unit: 'day', startDate: '1950-01-01' }, '2026-10-18', '2026-10-20'), [
+        '2026-10-18', '2026-10-19', '2026-10-20'
+    ]);
+    const mondays = between({ frequency: 'weekly', startDate: '1990-01-01' }, '2026-10-01', '2026-10-31');
+    assert.deepStrictEqual(mondays, ['2026-10-05', '2026-10-12', '2026-10-19', '2026-10-26']);
+    assert.deepStrictEqual(between({ frequency: 'monthly', startDate: '1900-03-15' }, '2026-10-01', '2026-12-31'), [
+        '2026-10-15', '2026-11-15', '2026-12-15'
+    ]);
+});
+
+test('start, end and one-off dates bound the window', () => {
+    assert.deepStrictEqual(between({ frequency: 'monthly', startDate: '2026-03-10', endDate: '2026-05-10' }, '2026-01-01', '2026-12-31'), [
+        '2026-03-10', '2026-04-10', '2026-05-10'
+    ]);
+    assert.deepStrictEqual(between({ frequency: 'monthly', startDate: '2026-03-10', endDate: '2026-05-10' }, '2026-05-11', '2026-12-31'), []);
+    assert.deepStrictEqual(between({ frequency: 'once', startDate: '2026-03-10' }, '2026-01-01', '2026-12-31'), ['2026-03-10']);
+    assert.deepStrictEqual(between({ frequency: 'once', startDate: '2026-03-10' }, '2026-03-11', '2026-12-31'), []);
+    assert.deepStrictEqual(between({ frequency: 'weekly', startDate: '2026-10-19' }, '2026-10-01', '2026-10-18'), []);
+});
+
+test('jumping ahead finds the same dates as walking from the start', () => {
+    const rules = [
+        { frequency: 'weekly', startDate: '2025-01-03' },
+        { frequency: 'monthly', startDate: '2025-01-31' },
+        { frequency: 'monthly', startDate: '2025-01-29', dayOfMonth: 29 },
+        { frequency: 'quarterly', startDate: '2024-08-31' },
+        { frequency: 'yearly', startDate: '2020-02-29' },
+        { frequency: 'custom', interval: 10, unit: 'day', startDate: '2025-03-28' },
+        { frequency: 'custom', interval: 3, unit: 'week', startDate: '2024-12-30' },
+        { frequency: 'custom', interval: 5, unit: 'month', startDate: '2024-10-31', endDate: '2027-06-01' }
+    ].map(rule);
+    for (const r of rules) {
+        for (let day = 0; day < 800; day += 7) {
+            const from = dm._addDays('2025-01-01', day);
+            const to = dm._addDays(from, 120);
+            assert.deepStrictEqual(plain(dm._occurrencesBetween(r, from, to)), walk(r, from, to), `${r.frequency} from ${r.startDate}, window ${from}`);
+        }
+    }
+});
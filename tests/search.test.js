@@ -0,0 +1,67 @@
+// Search: the query syntax, and the filters it applies to ledger rows.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers/app');
+
+function boot() {
+    const app = loadApp();
+    const dm = app.window.DataManager;
+    dm._initData();
+    return dm;
+}
+
+test('a query splits into terms, phrases and filters', () => {
+    const dm = boot();
+    assert.deepStrictEqual(plain(dm.parseSearchQuery('Goa "car service" tag:Trip #Family,Kids type:Expense in:ledger category:food account:HDFC amount>=500 amount<2000.5 before:2026-09-01 after:2026-06 on:2026-07')), {
+        terms: ['goa'],
+        phrases: ['car service'],
+        tags: ['trip', 'family', 'kids'],
+        kinds: ['transaction'],
+        amount: [{ op: '>=', value: 500 }, { op: '<', value: 2000.5 }],
+        type: 'expense',
+        category: 'food',
+        account: 'hdfc',
+        before: '2026-09-01',
+        after: '2026-06-30',
+        from: '2026-07-01',
+        to: '2026-07-31'
+    });
+});
+
+test('anything that is not a known filter is searched as text', () => {
+    const dm = boot();
+    const parsed = plain(dm.parseSearchQuery('amount:250 in:nowhere before:soon Dr.Rao\'s clinic ""'));
+    assert.deepStrictEqual(parsed.amount, [{ op: '=', value: 250 }]);
+    assert.deepStrictEqual(parsed.kinds, []);
+    assert.strictEqual(parsed.before, undefined);
+    assert.deepStrictEqual(parsed.terms, ['before', 'soon', 'dr', 'rao', 's', 'clinic']);
+    assert.deepStrictEqual(parsed.phrases, []);
+    assert.deepStrictEqual(plain(dm.parseSearchQuery('')), { terms: [], phrases: [], tags: [], kinds: [], amount: [] });
+});
+
+test('filters narrow ledger rows and results come newest first', () => {
+    const dm = boot();
+    const card = dm.addAccount({ name: 'HDFC Card', type: 'credit', currency: 'INR', openingDate: '2026-01-01' });
+    dm.addExchangeRate({ from: 'USD', to: 'INR', rate: 80, effectiveDate: '2026-01-01' });
+    dm.addTransaction({ type: 'expense', amount: 1800, payee: 'Beach shack', category: 'food', account: card.id, tags: ['goa', 'trip'], date: '2026-07-14' });
+    dm.addTransaction({ type: 'expense', amount: 3500, payee: 'Car service centre', category: 'travel', note: 'annual car service', date: '2026-08-02' });
+    dm.addTransaction({ type: 'expense', amount: 30, currency: 'USD', payee: 'Airport taxi', category: 'travel', tags: ['trip'], date: '2026-09-20' });
+    dm.addTransaction({ type: 'income', amount: 90000, payee: 'Salary', date: '2026-09-01' });
+
+    const names = query => plain(dm.search(`in:ledger ${query}`)).map(r => r.name);
+    assert.deepStrictEqual(names(''), ['Airport taxi', 'Salary', 'Car service centre', 'Beach shack']);
+    assert.deepStrictEqual(names('tag:trip'), ['Airport taxi', 'Beach shack']);
+    assert.deepStrictEqual(names('#trip #goa'), ['Beach shack']);
+    assert.deepStrictEqual(names('type:income'), ['Salary']);
+    assert.deepStrictEqual(names('category:travel'), ['Airport taxi', 'Car service centre']);
+    assert.deepStrictEqual(names('category:dining'), ['Beach shack']);
+    assert.deepStrictEqual(names('account:hdfc'), ['Beach shack']);
+    assert.deepStrictEqual(names('"car service"'), ['Car service centre']);
+    assert.deepStrictEqual(names('serv cen'), ['Car service centre']);
+    assert.deepStrictEqual(names('on:2026-08'), ['Car service centre']);
+    assert.deepStrictEqual(names('after:2026-07-14 before:2026-09-20'), ['Salary', 'Car service centre']);
+    // Amounts compare in the base currency: 30 USD is 2400 INR
+    assert.deepStrictEqual(names('amount>2000 amount<5000'), ['Airport taxi', 'Car service centre']);
+    assert.deepStrictEqual(names('amount=1800'), ['Beach shack']);
+});
@@ -0,0 +1,36 @@
+// Split expenses: bad input is refused like any other mutator, good input books your share.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers/app');
+
+function boot() {
+    const { window } = loadApp({ scripts: ['splits.js', 'script.js'] });
+    const dm = window.DataManager;
+    dm._initData();
+    return dm;
+}
+
+test('a split that does not add up is refused without throwing', () => {
+    const dm = boot();
+    const expense = { total: 900, method: 'exact', participants: [{ name: 'me', value: 300 }, { name: 'Asha', value: 500 }] };
+    assert.ok(dm.checkSplitExpense(expense));
+    assert.strictEqual(dm.addSplitExpense(expense), undefined);
+
+    const outsider = { total: 900, method: 'equal', participants: [{ name: 'me' }, { name: 'Asha' }], paidBy: 'Ravi' };
+    assert.match(dm.checkSplitExpense(outsider), /Ravi paid/);
+    assert.strictEqual(dm.addSplitExpense(outsider), undefined);
+
+    assert.deepStrictEqual(plain(dm.getSplits()), []);
+    assert.deepStrictEqual(plain(dm.transactions), []);
+    assert.strictEqual(dm.canUndo(), false);
+});
+
+test('a valid split books only your share as spending', () => {
+    const dm = boot();
+    const expense = { description: 'Dinner', total: 900, method: 'equal', participants: [{ name: 'me' }, { name: 'Asha' }, { name: 'Ravi' }], date: '2026-09-12' };
+    assert.strictEqual(dm.checkSplitExpense(expense), '');
+    const split = dm.addSplitExpense(expense);
+    assert.ok(split);
+    assert.deepStrictEqual(plain(dm.queryTransactions(null, { type: 'expense' }).map(t => t.amount)), [300]);
+});
@@ -0,0 +1,22 @@
+// The subscription view finds recurring merchant charges, not the fixed costs the user set up.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers/app');
+
+test('rent, bills and EMIs are not reported as subscriptions', () => {
+    const { window } = loadApp({ scripts: ['subscriptions.js', 'script.js'] });
+    const dm = window.DataManager;
+    dm._initData();
+
+    ['2026-06', '2026-07', '2026-08', '2026-09'].forEach(month => {
+        dm.addTransaction({ date: `${month}-03`, type: 'expense', amount: 649, payee: 'UPI/NETFLIX.COM/0412', category: 'shopping', source: 'import' });
+        dm.addTransaction({ date: `${month}-05`, type: 'expense', amount: 199, payee: 'Spotify', category: 'shopping' });
+        dm.addTransaction({ date: `${month}-01`, type: 'expense', amount: 25000, payee: 'Rent', category: 'fixed', source: 'fixed', sourceId: 'exp-rent' });
+        dm.addTransaction({ date: `${month}-10`, type: 'expense', amount: 1180, payee: 'Electricity bill', category: 'fixed', source: 'fixed', sourceId: 'exp-power' });
+        dm.addTransaction({ date: `${month}-07`, type: 'expense', amount: 18500, payee: 'Home loan EMI', category: 'fixed', source: 'fixed', sourceId: 'exp-loan' });
+    });
+
+    const { subscriptions } = dm.getSubscriptions('2026-09-20');
+    assert.deepStrictEqual(plain(subscriptions.map(sub => sub.amount)).sort((a, b) => a - b), [199, 649]);
+});
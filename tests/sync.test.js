@@ -0,0 +1,119 @@
+// Two members saving the same workspace: edits merge entry by entry, nothing is overwritten.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers/app');
+
+// A stand-in for the Firestore finance document: saves run their merge against
+// whatever is stored at that moment, like the transaction in AuthManager.saveUserData
+function createServer() {
+    return { doc: null };
+}
+
+function boot(server, storage = {}) {
+    const app = loadApp({ storage });
+    app.window.AuthManager.saveUserData = async (data, resolve) => {
+        server.doc = plain(resolve(server.doc));
+        return server.doc;
+    };
+    app.window.DataManager._initData();
+    return app;
+}
+
+// A second device opening the workspace: its storage holds what Firestore had
+function bootFromServer(server) {
+    const storage = {};
+    const seed = loadApp({ storage });
+    seed.window.DataManager._initData();
+    const keys = seed.window.DataManager._getUserKeys('test-user');
+    storage[keys.INCOME] = JSON.stringify(server.doc.income);
+    storage[keys.EXPENSES] = JSON.stringify(server.doc.fixedExpenses);
+    storage[keys.TRANSACTIONS] = JSON.stringify(server.doc.transactions);
+    storage[keys.CATEGORIES] = JSON.stringify(server.doc.categories);
+    storage[keys.SETTINGS] = JSON.stringify(server.doc.settings);
+    storage[keys.META] = seed.store[keys.META];
+    return boot(server, storage);
+}
+
+const payees = dm => plain(dm.transactions).map(t => t.payee).sort();
+
+test('edits saved by two members at the same time both survive', async () => {
+    const server = createServer();
+    const a = boot(server).window.DataManager;
+    a.addTransaction({ type: 'expense', amount: 120, payee: 'Groceries', date: '2026-09-02' });
+    a.addTransaction({ type: 'expense', amount: 40, payee: 'Bus pass', date: '2026-09-03' });
+    await a._pushFinanceData();
+
+    const b = bootFromServer(server).window.DataManager;
+    assert.deepStrictEqual(payees(b), ['Bus pass', 'Groceries']);
+
+    // Neither has seen the other's change when it saves
+    a.addTransaction({ type: 'expense', amount: 900, payee: 'Electricity', date: '2026-09-10' });
+    const busPass = b.transactions.find(t => t.payee === 'Bus pass');
+    b.deleteTransaction(busPass.id);
+    b.addTransaction({ type: 'income', amount: 5000, payee: 'Refund', date: '2026-09-11' });
+    await b._pushFinanceData();
+    await a._pushFinanceData();
+
+    assert.deepStrictEqual(plain(server.doc.transactions).map(t => t.payee).sort(), ['Electricity', 'Groceries', 'Refund']);
+    assert.deepStrictEqual(payees(a), ['Electricity', 'Groceries', 'Refund']);
+
+    // B picks up A's save from the live listener
+    assert.strictEqual(b.applyRemoteFinanceData(server.doc), true);
+    assert.deepStrictEqual(payees(b), ['Electricity', 'Groceries', 'Refund']);
+});
+
+test('an entry edited on both sides keeps the later save; untouched fields follow remote', async () => {
+    const server = createServer();
+    const a = boot(server).window.DataManager;
+    const row = a.addTransaction({ type: 'expense', amount: 120, payee: 'Groceries', date: '2026-09-02' });
+    await a._pushFinanceData();
+    const b = bootFromServer(server).window.DataManager;
+
+    a.updateTransaction(row.id, { amount: 150 });
+    b.setBaseCurrency('USD');
+    await a._pushFinanceData();
+    await b._pushFinanceData();
+
+    assert.strictEqual(plain(server.doc.transactions)[0].amount, 150);
+    assert.strictEqual(server.doc.settings.baseCurrency, 'USD');
+    assert.strictEqual(plain(b.transactions)[0].amount, 150);
+});
+
+test('a snapshot older than the last save is ignored', async () => {
+    const server = createServer();
+    const a = boot(server).window.DataManager;
+    a.addTransaction({ type: 'expense', amount: 120, payee: 'Groceries', date: '2026-09-02' });
+    await a._pushFinanceData();
+    const stale = plain(server.doc);
+    a.addTransaction({ type: 'expense', amount: 40, payee: 'Bus pass', date: '2026-09-03' });
+    await a._pushFinanceData();
+
+    assert.strictEqual(a.applyRemoteFinanceData(stale), false);
+    assert.deepStrictEqual(payees(a), ['Bus pass', 'Groceries']);
+});
+
+test('scheduled occurrences posted by two members are stored once', async () => {
+    const server = createServer();
+    const a = boot(server).window.DataManager;
+    const start = new Date();
+    start.setMonth(start.getMonth() - 4, 1);
+    a.addFixedExpense({ name: 'Rent', amount: 25000, recurrence: { frequency: 'monthly', startDate: a._toDateKey(start) } });
+    // Rewind to before the catch-up ran, as if nobody had opened the app for a while
+    const rent = a.expenses[0];
+    rent.lastPostedDate = null;
+    a.transactions = [];
+    await a._pushFinanceData();
+
+    const b = bootFromServer(server).window.DataManager;
+    const c = bootFromServer(server).window.DataManager;
+    const posted = b.transactions.filter(t => t.sourceId === rent.id);
+    assert.ok(posted.length >= 4);
+    assert.deepStrictEqual(plain(c.transactions).map(t => t.id), plain(posted).map(t => t.id));
+
+    await b._pushFinanceData();
+    await c._pushFinanceData();
+    const stored = plain(server.doc.transactions).filter(t => t.sourceId === rent.id);
+    assert.strictEqual(stored.length, posted.length);
+    assert.strictEqual(new Set(stored.map(t => t.date)).size, posted.length);
+});
@@ -0,0 +1,61 @@
+// Undo and redo rewind history along with the finance data.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers/app');
+
+function boot() {
+    const { window } = loadApp();
+    const dm = window.DataManager;
+    dm._initData();
+    return dm;
+}
+
+const historyIds = dm => plain(dm.getHistory()).map(h => h.id);
+
+test('undo removes the history entry a mutation added, redo puts it back', () => {
+    const dm = boot();
+    dm.addIncomeSource({ name: 'Salary', amount: 85000 });
+    const afterIncome = historyIds(dm);
+
+    assert.ok(dm.settleUp({ from: 'Asha', to: 'me', amount: 700 }));
+    const afterSettle = historyIds(dm);
+    assert.strictEqual(afterSettle.length, afterIncome.length + 1);
+
+    dm.undo();
+    assert.deepStrictEqual(historyIds(dm), afterIncome);
+    assert.strictEqual(dm.getSplits().length, 0);
+
+    dm.redo();
+    assert.deepStrictEqual(historyIds(dm), afterSettle);
+    assert.strictEqual(plain(dm.getHistory())[0].action, 'Settled up');
+});
+
+test('undoing a reset brings the history back', () => {
+    const dm = boot();
+    dm.addIncomeSource({ name: 'Salary', amount: 85000 });
+    dm.addFixedExpense({ name: 'Rent', amount: 25000 });
+    const before = plain(dm.getHistory());
+    assert.ok(before.length >= 2);
+
+    dm.resetAllData();
+    assert.deepStrictEqual(historyIds(dm), []);
+    assert.deepStrictEqual(plain(dm.income), []);
+
+    dm.undo();
+    assert.deepStrictEqual(plain(dm.getHistory()), before);
+    assert.strictEqual(dm.income.length, 1);
+
+    dm.redo();
+    assert.deepStrictEqual(historyIds(dm), []);
+});
+
+test('history added outside a journaled mutation is left alone by undo', () => {
+    const dm = boot();
+    dm.addIncomeSource({ name: 'Salary', amount: 85000 });
+    dm.addHistoryEntry({ type: 'note', action: 'Checked balances', amount: 0, name: 'Review' });
+    const [noteId] = historyIds(dm);
+
+    dm.undo();
+    assert.deepStrictEqual(historyIds(dm), [noteId]);
+});